@@ -23,6 +23,14 @@ function initServices() {
       initApi();
     }
 
+    // Webhook init
+    require('./modules/webhook').init();
+
+    // Telegram commands init
+    if (config.manageTelegramBotToken) {
+      require('./modules/telegramBot').start();
+    }
+
     // Comserver init
     const { botInterchange } = require('./modules/botInterchange');
     if (config.com_server) {
@@ -55,6 +63,9 @@ function startModules() {
       }
 
       require('./trade/co_ladder').run();
+      require('./trade/co_dca').run();
+      require('./trade/co_twap').run();
+      require('./trade/fundWatcher').run();
       require('./trade/co_test').test();
 
       const addressInfo = config.address ? ` for address _${config.address}_` : ' in CLI mode';
@@ -1,121 +1,148 @@
+/**
+ * Known blockchain networks to withdraw coins to
+ * addressRegex checks the address format when withdrawing. If not set, the address is not checked.
+ */
 const networks = {
   TRC20: {
     code: 'TRC20',
     name: 'Tron network',
     sampleAddress: 'TA1M9YPEBNFv1Ww62kXgYgAaqMr7HCWsws',
+    addressRegex: /^T[1-9A-HJ-NP-Za-km-z]{33}$/,
   },
   OPTIMISM: {
     code: 'OPTIMISM',
     name: 'Optimism',
     sampleAddress: '0xe16d65d4b592c4fddaecb7363c276b68c5758e34',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   ARBITRUM: {
     code: 'ARBITRUM',
     name: 'Arbitrum',
     sampleAddress: '0xe16d65d4b592c4fddaecb7363c276b68c5758e34',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   BEP20: {
     code: 'BEP20',
     name: 'BNB Smart Chain',
     sampleAddress: '0xbe807dddb074639cd9fa61b47676c064fc50d62c',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   BNB: {
     code: 'BNB',
     name: 'BNB Chain',
     sampleAddress: 'bnb1fnd0k5l4p3ck2j9x9dp36chk059w977pszdgdz',
+    addressRegex: /^bnb1[02-9ac-hj-np-z]{38}$/,
   },
   ERC20: {
     code: 'ERC20',
     name: 'Ethereum',
     sampleAddress: '0xF110E32D351Cedba6400E85f3bfa308DC606e079',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   'AVAX-C-CHAIN': {
     code: 'AVAX-C-CHAIN',
     altcode: 'AVAX-CCHAIN',
     name: 'Avalanche C-Chain',
     sampleAddress: '0xf41ca2e343a827403527c6b3c1fa91a9b134d45b',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   'AVAX-X-CHAIN': {
     code: 'AVAX-X-CHAIN',
     altcode: 'AVAX-XCHAIN',
     name: 'Avalanche X-Chain',
     sampleAddress: 'X-avax1tzdcgj4ehsvhhgpl7zylwpw0gl2rxcg4r5afk5',
+    addressRegex: /^X-avax1[02-9ac-hj-np-z]{38}$/,
   },
   MATIC: {
     code: 'MATIC',
     name: 'Polygon',
     sampleAddress: '0x47cf5d48fb585991139316e0b37080111c760a7a',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   ALGO: {
     code: 'ALGO',
     name: 'Algorand',
     sampleAddress: 'C7RYOGEWDT7HZM3HKPSMU7QGWTRWR3EPOQTJ2OHXGYLARD3X62DNWELS34',
+    addressRegex: /^[A-Z2-7]{58}$/,
   },
   OKT: {
     code: 'OKT',
     name: 'OKX Chain',
     sampleAddress: '0x0d0707963952f2fba59dd06f2b425ace40b492fe',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   KCC: {
     code: 'KCC',
     name: 'KuCoin Chain',
     sampleAddress: '0x0d0707963952f2fba59dd06f2b425ace40b492fe',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   BTC: {
     code: 'BTC',
     name: 'Bitcoin',
     sampleAddress: 'bc1qx97fj3ze7snapdpgz3r4sjy7vpstgchrwc954u',
+    addressRegex: /^(bc1[02-9ac-hj-np-z]{11,71}|[13][1-9A-HJ-NP-Za-km-z]{25,34})$/,
   },
   KUSAMA: {
     code: 'KUSAMA',
     name: 'Kusama',
     sampleAddress: 'D4davkiP24KXiUm2VAHZs7kBsh8tEQuJX5cytL6cRvterAJ',
+    addressRegex: /^[1-9A-HJ-NP-Za-km-z]{47,48}$/,
   },
   SOL: {
     code: 'SOL',
     altcode: 'SPL',
     name: 'Solana',
     sampleAddress: '31Sof5r1xi7dfcaz4x9Kuwm8J9ueAdDduMcme59sP8gc',
+    addressRegex: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/,
   },
   HT: {
     code: 'HT',
     name: 'Huobi ECO Chain',
     sampleAddress: '0x6e141a6c7c025f1a988e4dd3e991ae9ff8f01658',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   EOS: {
     code: 'EOS',
     name: 'EOS',
     sampleAddress: 'doeelyivxerl',
+    addressRegex: /^[a-z1-5.]{1,12}$/,
   },
   XTZ: {
     code: 'XTZ',
     name: 'Tezos',
     sampleAddress: 'tz1MPt33iQWH2hD2tiNbRHrh6y2gGYvEuQdX',
+    addressRegex: /^(tz[1-3]|KT1)[1-9A-HJ-NP-Za-km-z]{33}$/,
   },
   DOT: {
     code: 'DOT',
     name: 'Polkadot',
     sampleAddress: '1WbK3qvsZLKshdXZP4bhXUf7JTaFDmVXx1nmLtkUU62XtBf',
+    addressRegex: /^1[1-9A-HJ-NP-Za-km-z]{46,47}$/,
   },
   ETC: {
     code: 'ETC',
     name: 'Ethereum Classic',
-    sampleAddress: '0xedeb94ef299920ed9cbae0f9f6a52d7bc744047dcbcdec5d2de5c1af32b9f75b',
+    sampleAddress: '0xedeb94ef299920ed9cbae0f9f6a52d7bc744047d',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   OMNI: {
     code: 'OMNI',
     name: 'Omni',
     sampleAddress: '1JKhrVV9EsgSS5crXLBo9BRVXyuHjf2Tcp',
+    addressRegex: /^[13][1-9A-HJ-NP-Za-km-z]{25,34}$/,
   },
   CFX: {
     code: 'CFX',
     name: 'Conflux',
     sampleAddress: '0x40f8572D3Edd04C869ECBab246d6Aee37A5B9b29',
+    addressRegex: /^(0x[a-fA-F0-9]{40}|cfx:[a-z0-9]{42})$/,
   },
   FLOW: {
     code: 'FLOW',
     name: 'Flow',
     sampleAddress: '0xbaf7ab7b36232a85',
+    addressRegex: /^(0x)?[a-fA-F0-9]{16}$/,
   },
   MINA: {
     code: 'MINA',
@@ -126,21 +153,25 @@ const networks = {
     code: 'HARMONY',
     name: 'Harmony',
     sampleAddress: 'one1yxzn9gf28zdy4yhup30my2gp68qerx929rv2ns',
+    addressRegex: /^one1[02-9ac-hj-np-z]{38}$/,
   },
   XLM: {
     code: 'XLM',
     name: 'Stellar',
     sampleAddress: 'GB5A3OA657UWF3BN7WU4XFFWT333HFP2KFK2OFAXPEL3BBGQ7QLRNASG',
+    addressRegex: /^G[A-Z2-7]{55}$/,
   },
   CAP20: {
     code: 'CAP20',
     name: 'Chiliz Chain',
     sampleAddress: '0x579391C9865545000d8922ACF71a660521cc6404',
+    addressRegex: /^0x[a-fA-F0-9]{40}$/,
   },
   BRC20: {
     code: 'BRC20',
     name: 'Ordinals',
     sampleAddress: 'bc1pxaneaf3w4d27hl2y93fuft2xk6m4u3wc4rafevc6slgd7f5tq2dqyfgy06',
+    addressRegex: /^bc1p[02-9ac-hj-np-z]{58}$/,
   },
 };
 
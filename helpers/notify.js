@@ -1,7 +1,13 @@
 const axios = require('axios');
+const nodemailer = require('nodemailer');
 const config = require('../modules/config/reader');
 const log = require('./log');
+const utils = require('./utils');
+const dateTime = require('./dateTime');
+const notifyPolicy = require('./notifyPolicy');
+const { emitter, events } = require('../modules/eventEmitter');
 const api = require('../modules/api');
+const { MINUTE, MAX_TELEGRAM_MESSAGE_LENGTH } = require('./const');
 
 const {
   adamant_notify = [],
@@ -10,8 +16,25 @@ const {
   slack_priority = [],
   discord_notify = [],
   discord_notify_priority = [],
+  telegram = [],
+  telegram_priority = [],
+  email_notify = [],
+  email_priority = [],
+  email_notify_aggregate_min,
+  email_smtp = {},
 } = config;
 
+const TELEGRAM_MAX_RETRIES = 3; // Retries on HTTP 429 Too Many Requests
+const TELEGRAM_DEFAULT_RETRY_AFTER_SEC = 1;
+
+const EMAIL_SUBJECT_MAX_LENGTH = 100;
+
+let emailTransport;
+const emailDigest = {
+  messages: [], // { type, message, time }
+  timer: undefined,
+};
+
 const slackColors = {
   error: '#FF0000',
   warn: '#FFFF00',
@@ -28,19 +51,34 @@ const discordColors = {
 
 /**
  * Notify to channels, which set in config
+ * Identical messages, rate limits, and quiet hours are handled with notifyPolicy
  * @param {String} messageText Notification message, may include markdown
  * @param {String} type error < warn < info < log
  * @param {Boolean} silent_mode If true, only priority notification will be sent. only logging
  * @param {Boolean} isPriority Priority notifications have special channels
+ * @param {String} dedupKey Optional. Messages with the same key are considered identical, e.g., not enough balances with different amounts.
+ * @param {Number} dedupWindowMin Optional. Collapse messages with the dedup key within N minutes, if notify_policy.dedup_window_min is enabled.
  */
-module.exports = (messageText, type, silent_mode = false, isPriority = false) => {
+module.exports = (messageText, type, silent_mode = false, isPriority = false, dedupKey, dedupWindowMin) => {
   const paramString = `messageText: '${messageText}', type: ${type}, silent_mode: ${String(silent_mode)}, isPriority: ${String(isPriority)}`;
 
   try {
     const prefix = isPriority ? '[Attention] ' : '';
-    const message = `${prefix}${messageText}`;
+    let message = `${prefix}${messageText}`;
+
+    // Webhook receivers get all errors, regardless of silent mode and notify_policy
+    if (type === 'error') {
+      emitter.emit(events['bot:error'], { message: removeMarkdown(messageText), isPriority });
+    }
+
+    const policy = !silent_mode || isPriority ?
+      notifyPolicy.check(message, type, isPriority, dedupKey, dedupWindowMin) :
+      undefined;
 
-    if (!silent_mode || isPriority) {
+    if (policy && !policy.isAllowed) {
+      log[type](`/No notification, ${policy.reason}/ ${removeMarkdown(message)}`);
+    } else if (policy) {
+      message = policy.message;
       log[type](`/Logging notify message/ ${removeMarkdown(message)}`);
 
       const slackKeys = isPriority ?
@@ -106,6 +144,24 @@ module.exports = (messageText, type, silent_mode = false, isPriority = false) =>
           }
         });
       }
+
+      const telegramKeys = isPriority ?
+        [...telegram, ...telegram_priority] :
+        telegram;
+
+      telegramKeys.forEach((telegramKey) => {
+        if (typeof telegramKey === 'string' && telegramKey.includes('chat_id=')) {
+          sendToTelegram(telegramKey, message);
+        }
+      });
+
+      if (config.email_notify_enabled) {
+        if (isPriority) {
+          sendEmail([...email_notify, ...email_priority], message, [{ type, message, time: dateTime.fullTime() }]);
+        } else if (email_notify.length) {
+          addToEmailDigest(type, message);
+        }
+      }
     } else {
       log[type](`/No notification, Silent mode, Logging only/ ${removeMarkdown(message)}`);
     }
@@ -114,6 +170,194 @@ module.exports = (messageText, type, silent_mode = false, isPriority = false) =>
   }
 };
 
+/**
+ * Sends a notification with Telegram Bot API
+ * @param {String} telegramKey sendMessage URL like https://api.telegram.org/bot<token>/sendMessage?chat_id=<chat id>
+ * @param {String} message Notification message, may include markdown
+ * @return {Promise<void>}
+ */
+async function sendToTelegram(telegramKey, message) {
+  let url;
+  let chatId;
+
+  try {
+    const telegramUrl = new URL(telegramKey);
+    chatId = telegramUrl.searchParams.get('chat_id');
+    telegramUrl.search = '';
+    url = telegramUrl.toString();
+  } catch (error) {
+    log.warn(`Notifier: Wrong Telegram key. ${error}.`);
+    return;
+  }
+
+  await sendTelegramMessage(url, chatId, message);
+}
+
+/**
+ * Sends a message to a Telegram chat with MarkdownV2, split into several messages if it's too long
+ * If Telegram can't parse the markdown, sends the message as plain text.
+ * Also used to reply to Telegram commands, see modules/telegramBot.js.
+ * @param {String} url Bot API sendMessage URL like https://api.telegram.org/bot<token>/sendMessage
+ * @param {String|Number} chatId Telegram chat id
+ * @param {String} message Message, may include markdown
+ * @return {Promise<Boolean>} If all of the message chunks are sent
+ */
+async function sendTelegramMessage(url, chatId, message) {
+  const escapedChunks = splitTelegramMessage(utils.escapeMarkdownTelegram(message));
+
+  for (const chunk of escapedChunks) {
+    const params = {
+      chat_id: chatId,
+      text: chunk,
+      parse_mode: 'MarkdownV2',
+      disable_web_page_preview: true,
+    };
+
+    let error = await postToTelegram(url, params);
+
+    if (error?.response?.status === 400) {
+      // Unpaired markdown symbols in the message, like in 'some_variable'
+      const plainText = removeMarkdown(chunk.replace(/\\(.)/g, '$1'));
+      error = await postToTelegram(url, { chat_id: chatId, text: plainText, disable_web_page_preview: true });
+    }
+
+    if (error) {
+      const errorDescription = error.response?.data?.description || error;
+      log.warn(`Notifier: Request to Telegram with message ${message} failed. ${errorDescription}.`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Posts a message to Telegram Bot API, and retries if Telegram asks to slow down
+ * @param {String} url sendMessage URL
+ * @param {Object} params sendMessage params
+ * @return {Promise<Object|undefined>} Error, or undefined if sent
+ */
+async function postToTelegram(url, params) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await axios.post(url, params);
+      return;
+    } catch (error) {
+      if (error.response?.status !== 429 || attempt >= TELEGRAM_MAX_RETRIES) {
+        return error;
+      }
+
+      const retryAfterSec = error.response.data?.parameters?.retry_after ?? TELEGRAM_DEFAULT_RETRY_AFTER_SEC;
+      await new Promise((resolve) => setTimeout(resolve, retryAfterSec * 1000));
+    }
+  }
+}
+
+/**
+ * Splits an escaped message into chunks of MAX_TELEGRAM_MESSAGE_LENGTH, preferably by lines
+ * @param {String} text Escaped message
+ * @return {Array<String>}
+ */
+function splitTelegramMessage(text) {
+  const chunks = [];
+
+  while (text.length > MAX_TELEGRAM_MESSAGE_LENGTH) {
+    let chunkLength = text.lastIndexOf('\n', MAX_TELEGRAM_MESSAGE_LENGTH);
+
+    if (chunkLength < MAX_TELEGRAM_MESSAGE_LENGTH / 2) {
+      chunkLength = MAX_TELEGRAM_MESSAGE_LENGTH;
+
+      // Don't separate an escape backslash from its symbol
+      let backslashes = 0;
+      while (text[chunkLength - 1 - backslashes] === '\\') backslashes++;
+      if (backslashes % 2) chunkLength--;
+    }
+
+    chunks.push(text.slice(0, chunkLength));
+    text = text.slice(chunkLength).replace(/^\n/, '');
+  }
+
+  chunks.push(text);
+
+  return chunks;
+}
+
+/**
+ * Buffers a regular notification to send it with a digest every email_notify_aggregate_min minutes
+ * If email_notify_aggregate_min is not set, sends the notification at once.
+ * @param {String} type error < warn < info < log
+ * @param {String} message Notification message, may include markdown
+ */
+function addToEmailDigest(type, message) {
+  const record = { type, message, time: dateTime.fullTime() };
+
+  if (!utils.isPositiveNumber(email_notify_aggregate_min)) {
+    sendEmail(email_notify, message, [record]);
+    return;
+  }
+
+  emailDigest.messages.push(record);
+
+  if (!emailDigest.timer) {
+    emailDigest.timer = setTimeout(sendEmailDigest, email_notify_aggregate_min * MINUTE);
+  }
+}
+
+/**
+ * Sends buffered notifications as one email
+ */
+function sendEmailDigest() {
+  const records = emailDigest.messages.splice(0);
+  emailDigest.timer = undefined;
+
+  if (records.length) {
+    const subject = records.length === 1 ?
+      records[0].message :
+      `${records.length} notifications from ${config.notifyName}`;
+
+    sendEmail(email_notify, subject, records);
+  }
+}
+
+/**
+ * Sends notifications with SMTP set in email_smtp
+ * @param {Array<String>} recipients Email addresses
+ * @param {String} subject Email subject, may include markdown. It's cut to EMAIL_SUBJECT_MAX_LENGTH.
+ * @param {Array<Object>} records Notifications to include: { type, message, time }
+ * @return {Promise<void>}
+ */
+async function sendEmail(recipients, subject, records) {
+  const validRecipients = recipients.filter((email) => typeof email === 'string' && email.includes('@'));
+  if (!validRecipients.length) return;
+
+  const plainSubject = removeMarkdown(subject).replace(/\s+/g, ' ');
+
+  try {
+    if (!emailTransport) {
+      emailTransport = nodemailer.createTransport({
+        host: email_smtp.host,
+        port: email_smtp.port,
+        secure: email_smtp.secure,
+        auth: {
+          user: email_smtp.auth.username,
+          pass: email_smtp.auth.password,
+        },
+      });
+    }
+
+    await emailTransport.sendMail({
+      from: email_smtp.from || email_smtp.auth.username,
+      to: validRecipients.join(', '),
+      subject: plainSubject.length > EMAIL_SUBJECT_MAX_LENGTH ?
+        `${plainSubject.slice(0, EMAIL_SUBJECT_MAX_LENGTH - 3)}...` :
+        plainSubject,
+      text: records.map((record) => `${record.time} ${record.type}| ${removeMarkdown(record.message)}`).join('\n\n'),
+    });
+  } catch (error) {
+    log.warn(`Notifier: Failed to send email '${plainSubject}' to ${validRecipients.join(', ')}. ${error}.`);
+  }
+}
+
 function removeMarkdown(text) {
   return doubleAsterisksToSingle(text).replace(/([_*]\b|\b[_*])/g, '');
 }
@@ -137,3 +381,5 @@ function makeBoldForSlack(text) {
 function makeBoldForDiscord(text) {
   return singleAsteriskToDouble(text);
 }
+
+module.exports.sendTelegramMessage = sendTelegramMessage;
@@ -0,0 +1,126 @@
+/**
+ * Notification policy, applied by notify() before sending to any channel
+ * - Identical messages within dedup_window_min are collapsed. The next sent copy tells how many times it was repeated.
+ *   Disabled by default. Priority messages are never collapsed.
+ *   Messages with a dedup key are recurring issues of trade modules, like not enough balances.
+ *   A caller may set its own window for them, which is used instead of dedup_window_min if deduplication is enabled.
+ * - Regular messages of each type are limited with rate_limit_per_hour.
+ * - During quiet_hours, only priority messages are sent.
+ * Skipped messages are still logged.
+ */
+
+const config = require('../modules/config/reader');
+const utils = require('./utils');
+const { MINUTE, HOUR, DAY } = require('./const');
+
+const DEFAULT_DEDUP_WINDOW_MIN = 0;
+
+const {
+  dedup_window_min: dedupWindowMinConfig,
+  rate_limit_per_hour: rateLimitPerHour = {},
+  quiet_hours: quietHours,
+} = config.notify_policy || {};
+
+let dedupWindowMin = DEFAULT_DEDUP_WINDOW_MIN; // If not set in a custom notify_policy, or set to false
+if (utils.isPositiveOrZeroNumber(dedupWindowMinConfig)) {
+  dedupWindowMin = dedupWindowMinConfig;
+}
+
+const recentMessages = {}; // type:key -> { sentTimestamp, repeated, windowMs }
+const sentTimestamps = {}; // type -> timestamps of sent messages within the last hour
+const rateLimitedCount = {}; // type -> messages skipped since the last sent one
+
+module.exports = {
+  /**
+   * Decides if a notification should be sent, and adds repetition and rate limit notes to it
+   * @param {String} message Notification message
+   * @param {String} type error < warn < info < log
+   * @param {Boolean} isPriority Priority messages are not collapsed, and not limited by rate and quiet hours
+   * @param {String} dedupKey Messages with the same key are considered identical, even if the texts differ. The text is the key by default.
+   * @param {Number} keyDedupWindowMin Optional. Window for messages with this dedup key, if deduplication is enabled.
+   * @param {Number} now Timestamp to check at
+   * @return {Object} { isAllowed, message, reason } Message with notes, or a reason why it's not allowed
+   */
+  check(message, type, isPriority, dedupKey = message, keyDedupWindowMin, now = Date.now()) {
+    if (!isPriority && this.isQuietTime(new Date(now))) {
+      return { isAllowed: false, reason: 'Quiet hours' };
+    }
+
+    this.removeExpired(now);
+
+    const key = `${type}:${dedupKey}`;
+    const recent = isPriority ? undefined : recentMessages[key];
+
+    if (recent && now - recent.sentTimestamp < recent.windowMs) {
+      recent.repeated++;
+      return { isAllowed: false, reason: `Repeated ${recent.repeated} times` };
+    }
+
+    if (!isPriority && rateLimitPerHour[type]) {
+      sentTimestamps[type] = (sentTimestamps[type] || []).filter((timestamp) => now - timestamp < HOUR);
+
+      if (sentTimestamps[type].length >= rateLimitPerHour[type]) {
+        rateLimitedCount[type] = (rateLimitedCount[type] || 0) + 1;
+        return { isAllowed: false, reason: `Rate limit of ${rateLimitPerHour[type]} ${type} messages per hour` };
+      }
+
+      sentTimestamps[type].push(now);
+    }
+
+    let notes = '';
+
+    if (recent?.repeated) {
+      notes += ` _Repeated ${recent.repeated} times since ${utils.formatDate(new Date(recent.sentTimestamp))}._`;
+    }
+
+    if (rateLimitedCount[type]) {
+      notes += ` _${rateLimitedCount[type]} more ${type} notifications were skipped due to the rate limit._`;
+      rateLimitedCount[type] = 0;
+    }
+
+    const windowMin = dedupWindowMin && (keyDedupWindowMin || dedupWindowMin);
+
+    if (windowMin && !isPriority) {
+      recentMessages[key] = { sentTimestamp: now, repeated: 0, windowMs: windowMin * MINUTE };
+    }
+
+    return { isAllowed: true, message: `${message}${notes}` };
+  },
+
+  /**
+   * Forgets messages sent earlier than their dedup window ago
+   * Repeated messages are kept for a day to add the counter to the next copy.
+   * @param {Number} now Timestamp
+   */
+  removeExpired(now) {
+    for (const [key, recent] of Object.entries(recentMessages)) {
+      const keepMs = recent.repeated ? DAY : recent.windowMs;
+
+      if (now - recent.sentTimestamp >= keepMs) {
+        delete recentMessages[key];
+      }
+    }
+  },
+
+  /**
+   * Checks if the time is within quiet_hours, like { from: '23:00', to: '08:00' } in the server's local time
+   * @param {Date} date
+   * @return {Boolean}
+   */
+  isQuietTime(date) {
+    if (!quietHours?.from || !quietHours?.to) return false;
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+
+    const from = toMinutes(quietHours.from);
+    const to = toMinutes(quietHours.to);
+    const current = date.getHours() * 60 + date.getMinutes();
+
+    return from <= to ?
+      current >= from && current < to :
+      current >= from || current < to; // Over midnight
+  },
+};
@@ -24,6 +24,10 @@ module.exports = {
    * It may be updated by CLI, or in a manual way by admin.
    */
   watchConfig() {
+    if (config.isBacktest) {
+      return; // Backtests keep trade params in memory only
+    }
+
     log.log(`Watching external changes in the trade config file: ${config.fileWithPath}…`);
 
     fs.watch(config.fileWithPath, () => {
@@ -49,6 +53,10 @@ module.exports = {
    * @param {String} callerName Who saved config, for logging
    */
   saveConfig(isWebApi = false, callerName) {
+    if (config.isBacktest) {
+      return;
+    }
+
     try {
       const oldConfigString = this.readTradeConfig();
       const oldConfig = JSON.parse(oldConfigString);
@@ -1686,6 +1694,36 @@ module.exports = {
     };
   },
 
+  /**
+   * Parses a positive value or a percent from string like 0.0001 or 2%
+   * @param {String} str String to parse
+   * @return {Object} isValid, isPercent, value
+   */
+  parsePercentOrValue(str) {
+    if (!str) {
+      return {
+        isValid: false,
+      };
+    }
+
+    str = str.toString().trim();
+
+    const isPercent = str.endsWith('%');
+    const value = +(isPercent ? str.slice(0, -1) : str);
+
+    if (!this.isPositiveNumber(value)) {
+      return {
+        isValid: false,
+      };
+    }
+
+    return {
+      isValid: true,
+      isPercent,
+      value,
+    };
+  },
+
   /**
    * Searches difference between current and previous balances
    * @param {Array of Object} a Current balances
@@ -2060,17 +2098,15 @@ module.exports = {
   },
 
   /**
-   * Escape symbols for Telegram and transform double asterisks to single
+   * Escape symbols for Telegram's MarkdownV2 and transform double asterisks to single
+   * Asterisks and underscores are kept for bold and italic text.
    * @param {string} text Message
-   * @returns {String} F.e.: '[start`]' -> '\[start\`]'
+   * @returns {String} F.e.: '**Price** is 1.5 [USDT]' -> '*Price* is 1\.5 \[USDT\]'
    */
   escapeMarkdownTelegram(text) {
     const singleAsterisksText = text.replace(/\*\*/g, '*');
-    const symbols = '`['.split('');
 
-    return symbols.reduce((string, replacement) => {
-      return string.replace(new RegExp(`\\${replacement}`, 'g'), `\\${replacement}`);
-    }, singleAsterisksText);
+    return singleAsterisksText.replace(/[\\[\]()~`>#+\-=|{}.!]/g, '\\$&');
   },
 
   /**
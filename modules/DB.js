@@ -24,7 +24,23 @@ mongoClient.connect()
       fillsCollection.createIndex([['isProcessed', 1], ['purpose', 1]]);
       fillsCollection.createIndex([['pair', 1], ['exchange', 1]]);
 
+      const roundTripsCollection = db.collection('roundtrips');
+      roundTripsCollection.createIndex([['pair', 1], ['exchange', 1], ['date', 1]]);
+
+      const twapsCollection = db.collection('twaps');
+      twapsCollection.createIndex([['isActive', 1], ['exchange', 1]]);
+
+      const paperOrdersCollection = db.collection('paperorders');
+      paperOrdersCollection.createIndex([['account', 1], ['pair', 1], ['status', 1]]);
+
+      const paperBalancesCollection = db.collection('paperbalances');
+      paperBalancesCollection.createIndex([['account', 1], ['code', 1]]);
+
       collections.fillsDb = model(fillsCollection);
+      collections.roundTripsDb = model(roundTripsCollection);
+      collections.twapsDb = model(twapsCollection);
+      collections.paperOrdersDb = model(paperOrdersCollection);
+      collections.paperBalancesDb = model(paperBalancesCollection);
       collections.ordersDb = model(ordersCollection);
       collections.incomingTxsDb = model(incomingTxsCollection);
       collections.systemDb = model(db.collection('systems'));
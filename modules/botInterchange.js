@@ -105,7 +105,7 @@ class SocketConnection {
 
         logger.log(`[ComServer] Remote command '/${fullCommand}' from ${from} processed, sending results to a requesting bot…`);
         if (commandResult.msgNotify) {
-          notify(`${commandResult.msgNotify} Action is executed **remotely** by ${from}.`, commandResult.notifyType);
+          notify(`${commandResult.msgNotify} Action is executed **remotely** by ${from}.`, commandResult.notifyType, false, commandResult.isPriority);
         }
 
         utils.saveConfig(false, 'BotInterchange-onRemoteCommand()');
@@ -4,13 +4,33 @@ const exchangerUtils = require('../helpers/cryptos/exchanger');
 const config = require('./config/reader');
 const log = require('../helpers/log');
 const notify = require('../helpers/notify');
+const networks = require('../helpers/networks');
 
 const tradeParams = require('../trade/settings/tradeParams_' + config.exchange);
 const traderapi = require('../trade/trader_' + config.exchange)(config.apikey, config.apisecret, config.apipassword, log);
+const traderapi2 = config.apikey2 ?
+  require('../trade/trader_' + config.exchange)(config.apikey2, config.apisecret2, config.apipassword2, log, undefined, undefined, false, false, 1) :
+  undefined;
+if (traderapi2) {
+  traderapi2.isSecondAccount = true; // orderUtils and orderCollector store and filter orders of the second account by this flag
+}
 const orderCollector = require('../trade/orderCollector');
 const orderStats = require('../trade/orderStats');
 const orderUtils = require('../trade/orderUtils');
-
+const coLadder = require('../trade/co_ladder');
+const coDca = require('../trade/co_dca');
+const coTwap = require('../trade/co_twap');
+const ladderProfit = require('../trade/ladderProfit');
+const fundWatcher = require('../trade/fundWatcher');
+const requestScheduler = require('../trade/api/request_scheduler');
+const { emitter, events } = require('./eventEmitter');
+
+const DEFAULT_LADDER_TRAILING_STEPS = 3;
+const DEFAULT_TWAP_SLICES = 10;
+const DEFAULT_HISTORY_RECORDS = 10;
+const MAX_HISTORY_RECORDS = 50;
+const REQUEST_STATS_TOP_ENDPOINTS = 5;
+const LADDER_NAMED_PARAMS = ['low', 'high', 'exit', 'profile', 'factor', 'amounts', 'sl', 'tp', 'position', 'trail', 'trailsteps']; // Named /start ld params like low=0.1
 const timeToConfirm = 1000 * 60 * 10; // 10 minutes to confirm
 const pendingConfirmation = {
   command: '',
@@ -72,7 +92,7 @@ module.exports = async (commandMsg, tx, itx) => {
     }
 
     if (commandResult.msgNotify) {
-      notify(`${commandResult.msgNotify} Action is executed by ${from}.`, commandResult.notifyType);
+      notify(`${commandResult.msgNotify} Action is executed by ${from}.`, commandResult.notifyType, false, commandResult.isPriority);
     }
 
     if (itx) {
@@ -141,6 +161,52 @@ async function getRatesInfo(pair) {
   };
 }
 
+/**
+ * Parses 'acc1' or 'acc2' command argument, which chooses a trade account
+ * @param {String[]} params Command params
+ * @return {Object} { accountNo, params } with params without the account argument. accountNo is undefined if not set.
+ *   Or { msgNotify, msgSendBack, notifyType } if the second account is not configured.
+ */
+function parseAccountParam(params = []) {
+  let accountNo;
+
+  const restParams = params.filter((param) => {
+    const accountParam = param.toLowerCase();
+
+    if (accountParam === 'acc1') {
+      accountNo = 0;
+    } else if (accountParam === 'acc2') {
+      accountNo = 1;
+    } else {
+      return true;
+    }
+
+    return false;
+  });
+
+  if (accountNo === 1 && !traderapi2) {
+    return {
+      msgNotify: '',
+      msgSendBack: 'The second trade account is not set. Add _apikey2_ and _apisecret2_ to the config file and restart the bot.',
+      notifyType: 'log',
+    };
+  }
+
+  return {
+    accountNo,
+    params: restParams,
+  };
+}
+
+/**
+ * Returns exchange API for a trade account
+ * @param {Number} accountNo 0 is for the first trade account, 1 is for the second
+ * @return {Object} traderapi or traderapi2
+ */
+function getTraderApi(accountNo = 0) {
+  return accountNo === 1 ? traderapi2 : traderapi;
+}
+
 /**
  * Set a command to be confirmed
  * @param {String} command This command will be executed with /y
@@ -200,10 +266,10 @@ async function y(params, tx) {
 async function start(params) {
   const strategy = params[0]?.toLowerCase();
 
-  if (!['ld'].includes(strategy)) {
+  if (!['ld', 'dca'].includes(strategy)) {
     return {
       msgNotify: '',
-      msgSendBack: 'Indicate strategy, _ld_ for Ladder/ Grid trading. Example: */start ld*.',
+      msgSendBack: 'Indicate strategy, _ld_ for Ladder/ Grid trading or _dca_ for Dollar-cost averaging. Example: */start ld* or */start dca*.',
       notifyType: 'log',
     };
   }
@@ -211,7 +277,23 @@ async function start(params) {
   let msgNotify; let msgSendBack; let strategyName; let infoString;
 
   if (strategy === 'ld') {
-    // start ld {AMOUNT} {COIN} {COUNT} {STEP%} [mid {MIDPRICE} COIN2]
+    // start ld {AMOUNT} {COIN} {COUNT} {STEP} [mid {MIDPRICE} COIN2] [low={LOWPRICE}] [high={HIGHPRICE}] [exit=pause|stop]
+    // [profile=flat|increasing|geometric|martingale|list] [factor={FACTOR}] [amounts={AMOUNT1,AMOUNT2,…}]
+    // [sl={PRICE}|{DRAWDOWN%}] [tp={PRICE}|{GROWTH%}] [position={COIN1AMOUNT}]
+    // [trail={INACTIVITY_TIME}] [trailsteps={STEPS}]
+    // STEP: 2% for geometric, 0.0001 for arithmetic, or 1%,1.5%,2% for custom price steps
+    // Named params like low= can be placed anywhere after the strategy
+
+    const commandParams = params;
+    const namedParams = {};
+    params = params.filter((param) => {
+      const [key, value] = param.split('=');
+      if (value !== undefined && LADDER_NAMED_PARAMS.includes(key.toLowerCase())) {
+        namedParams[key.toLowerCase()] = value;
+        return false;
+      }
+      return true;
+    });
 
     const pairObj = orderUtils.parseMarket(config.pair);
     const coin2Decimals = pairObj.coin2Decimals;
@@ -271,22 +353,19 @@ async function start(params) {
       };
     }
 
-    const stepPercentParam = params[4];
-    let stepPercent;
-    if (stepPercentParam) {
-      const percentSign = stepPercentParam.slice(-1);
-      stepPercent = +stepPercentParam.slice(0, -1);
-      if (!utils.isPositiveNumber(stepPercent) || percentSign !== '%') {
-        return {
-          msgNotify: '',
-          msgSendBack: `Set correct ladder step percent. ${sampleCommand}.`,
-          notifyType: 'log',
-        };
-      }
+    const priceStep = parseLadderPriceStep(params[4]);
+    if (!priceStep) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Set correct ladder price step: percent for geometric step like 2%, ${config.coin2} value for arithmetic step like 0.0001, or a comma-separated list for custom steps like 1%,1.5%,2%. ${sampleCommand}.`,
+        notifyType: 'log',
+      };
     }
 
     const sampleCommandFull = `Example: */start ld 100 ${config.coin2} 10 2% mid ${midPriceCalculated.toFixed(coin2Decimals)} ${config.coin2}*.${ratesInfo}`;
 
+    const sampleCommandBounded = `Example: */start ld 100 ${config.coin2} 10 2% low=${(midPriceCalculated * 0.8).toFixed(coin2Decimals)} high=${(midPriceCalculated * 1.2).toFixed(coin2Decimals)} exit=pause*.${ratesInfo}`;
+
     const midString = params[5]?.toLowerCase();
     if (midString && midString !== 'mid' && !['-y', '-Y'].includes(params[5])) {
       return {
@@ -320,8 +399,161 @@ async function start(params) {
       midPrice = midPriceCalculated;
     }
 
+    let lowPrice = null;
+    let highPrice = null;
+
+    if (namedParams.low !== undefined) {
+      lowPrice = +namedParams.low;
+      if (!utils.isPositiveNumber(lowPrice)) {
+        return {
+          msgNotify: '',
+          msgSendBack: `Incorrect lower grid price: ${namedParams.low}. ${sampleCommandBounded}.`,
+          notifyType: 'log',
+        };
+      }
+    }
+
+    if (namedParams.high !== undefined) {
+      highPrice = +namedParams.high;
+      if (!utils.isPositiveNumber(highPrice)) {
+        return {
+          msgNotify: '',
+          msgSendBack: `Incorrect upper grid price: ${namedParams.high}. ${sampleCommandBounded}.`,
+          notifyType: 'log',
+        };
+      }
+    }
+
+    if (lowPrice && highPrice && lowPrice >= highPrice) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Lower grid price ${lowPrice} should be less than the upper one ${highPrice}. ${sampleCommandBounded}.`,
+        notifyType: 'log',
+      };
+    }
+
+    if ((lowPrice && midPrice < lowPrice) || (highPrice && midPrice > highPrice)) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Middle ladder price ${midPrice} ${config.coin2} is out of the grid range ${lowPrice ?? 0}–${highPrice ?? '∞'} ${config.coin2}. ${sampleCommandBounded}.`,
+        notifyType: 'log',
+      };
+    }
+
+    const rangeExitAction = namedParams.exit?.toLowerCase() || 'pause';
+    if (!['pause', 'stop'].includes(rangeExitAction)) {
+      return {
+        msgNotify: '',
+        msgSendBack: `When the market leaves the grid range, a bot can either _pause_ the ladder until the market returns or _stop_ trading. ${sampleCommandBounded}.`,
+        notifyType: 'log',
+      };
+    }
+
+    const sampleCommandProfile = `Example: */start ld 100 ${config.coin2} 10 2% profile=increasing factor=10%*, */start ld 100 ${config.coin2} 10 2% profile=martingale factor=1.5*, or */start ld 100 ${config.coin2} 10 2% profile=list amounts=100,150,200*.${ratesInfo}`;
+
+    const amountProfile = parseLadderAmountProfile(namedParams, amountCoin);
+    if (amountProfile.error) {
+      return {
+        msgNotify: '',
+        msgSendBack: `${amountProfile.error} ${sampleCommandProfile}.`,
+        notifyType: 'log',
+      };
+    }
+
+    const sampleCommandGuards = `Example: */start ld 100 ${config.coin2} 10 2% sl=${(midPriceCalculated * 0.7).toFixed(coin2Decimals)} tp=20% position=0*. Stop-loss and take-profit are set with a price in ${config.coin2}, or with a percent of balance value drawdown and growth. Position is a ${config.coin1} amount to achieve with a market order when triggered.${ratesInfo}`;
+
+    const stopLoss = namedParams.sl === undefined ? undefined : utils.parsePercentOrValue(namedParams.sl);
+    if (
+      stopLoss &&
+      (!stopLoss.isValid || (!stopLoss.isPercent && stopLoss.value >= midPrice) || (stopLoss.isPercent && stopLoss.value >= 100))
+    ) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Incorrect stop-loss: ${namedParams.sl}. Set a price lower than the middle ladder price ${midPrice} ${config.coin2}, or a drawdown percent less than 100%. ${sampleCommandGuards}.`,
+        notifyType: 'log',
+      };
+    }
+
+    const takeProfit = namedParams.tp === undefined ? undefined : utils.parsePercentOrValue(namedParams.tp);
+    if (takeProfit && (!takeProfit.isValid || (!takeProfit.isPercent && takeProfit.value <= midPrice))) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Incorrect take-profit: ${namedParams.tp}. Set a price higher than the middle ladder price ${midPrice} ${config.coin2}, or a balance value growth percent. ${sampleCommandGuards}.`,
+        notifyType: 'log',
+      };
+    }
+
+    let guardPosition = null;
+    if (namedParams.position !== undefined) {
+      guardPosition = +namedParams.position;
+      if (!utils.isPositiveOrZeroNumber(guardPosition) || namedParams.position === '') {
+        return {
+          msgNotify: '',
+          msgSendBack: `Incorrect ${config.coin1} position to achieve when stop-loss or take-profit is triggered: ${namedParams.position}. ${sampleCommandGuards}.`,
+          notifyType: 'log',
+        };
+      }
+    }
+
+    const sampleCommandTrailing = `Example: */start ld 100 ${config.coin2} 10 2% trail=2h trailsteps=3*. The ladder re-initializes around the market price if no ld-orders filled for 2 hours, and the market is more than 3 steps away.${ratesInfo}`;
+
+    let trailingIntervalMs = null;
+    let trailingSteps = null;
+    if (namedParams.trail !== undefined) {
+      const trailingInterval = utils.parseSmartTime(namedParams.trail);
+      if (!trailingInterval.isTime || !utils.isPositiveNumber(trailingInterval.msecs)) {
+        return {
+          msgNotify: '',
+          msgSendBack: `Incorrect trailing inactivity time: ${namedParams.trail}. ${sampleCommandTrailing}.`,
+          notifyType: 'log',
+        };
+      }
+      trailingIntervalMs = trailingInterval.msecs;
+
+      trailingSteps = namedParams.trailsteps === undefined ? DEFAULT_LADDER_TRAILING_STEPS : +namedParams.trailsteps;
+      if (!utils.isPositiveInteger(trailingSteps)) {
+        return {
+          msgNotify: '',
+          msgSendBack: `Incorrect trailing step count: ${namedParams.trailsteps}. ${sampleCommandTrailing}.`,
+          notifyType: 'log',
+        };
+      }
+    } else if (namedParams.trailsteps !== undefined) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Set trailing inactivity time with _trail_ param. ${sampleCommandTrailing}.`,
+        notifyType: 'log',
+      };
+    }
+
+    const isBounded = Boolean(lowPrice || highPrice);
+
     strategyName = 'Ladder/ Grid';
-    infoString = ` with ${orderCount} ~${amount} ${amountCoin} orders on each side with ${stepPercent}% step, starting from the middle of ${midPrice} ${config.coin2}`;
+    infoString = ` with ${orderCount} ~${amount} ${amountCoin} orders on each side with ${priceStep.description}, starting from the middle of ${midPrice} ${config.coin2}`;
+
+    if (amountProfile.description) {
+      infoString += ` (${amountProfile.description})`;
+    }
+
+    if (isBounded) {
+      infoString += `, bounded by ${lowPrice ?? 0}–${highPrice ?? '∞'} ${config.coin2} grid range (${rangeExitAction} when the market leaves it)`;
+    }
+
+    if (trailingIntervalMs) {
+      infoString += `, trailing the market if no ld-orders filled for ${utils.timestampInDaysHoursMins(trailingIntervalMs)} and it's more than ${trailingSteps} steps away`;
+    }
+
+    const guardStrings = [];
+    if (stopLoss) {
+      guardStrings.push(`stop-loss ${stopLoss.isPercent ? `at ${stopLoss.value}% balance value drawdown` : `@${stopLoss.value} ${config.coin2}`}`);
+    }
+    if (takeProfit) {
+      guardStrings.push(`take-profit ${takeProfit.isPercent ? `at ${takeProfit.value}% balance value growth` : `@${takeProfit.value} ${config.coin2}`}`);
+    }
+    if (guardStrings.length) {
+      const positionString = guardPosition === null ? '' : `, then trading to ${guardPosition} ${config.coin1} position at market price`;
+      infoString += `, ${guardStrings.join(' and ')}${positionString}`;
+    }
 
     let isConfirmed = params[params.length-1];
     if (['-y', '-Y'].includes(isConfirmed)) {
@@ -340,11 +572,48 @@ async function start(params) {
       tradeParams.mm_ladderAmount = amount;
       tradeParams.mm_ladderAmountCoin = amountCoin;
       tradeParams.mm_ladderCount = orderCount;
-      tradeParams.mm_ladderPriceStepPercent = stepPercent;
+      tradeParams.mm_ladderAmountProfile = amountProfile.profile;
+      tradeParams.mm_ladderAmountFactor = amountProfile.factor;
+      tradeParams.mm_ladderAmounts = amountProfile.amounts;
+      tradeParams.mm_ladderPriceStepType = priceStep.type;
+      tradeParams.mm_ladderPriceStepPercent = priceStep.stepPercent;
+      tradeParams.mm_ladderPriceStep = priceStep.step;
+      tradeParams.mm_ladderPriceSteps = priceStep.steps;
       tradeParams.mm_ladderMidPrice = midPrice;
       tradeParams.mm_ladderMidPriceType = midString === 'mid' ? 'Manual' : 'Calculated';
+
+      tradeParams.mm_ladderLowPrice = lowPrice;
+      tradeParams.mm_ladderHighPrice = highPrice;
+      tradeParams.mm_ladderRangeExitAction = isBounded ? rangeExitAction : null;
+
+      tradeParams.mm_ladderStopLossPrice = stopLoss && !stopLoss.isPercent ? stopLoss.value : null;
+      tradeParams.mm_ladderStopLossPercent = stopLoss?.isPercent ? stopLoss.value : null;
+      tradeParams.mm_ladderTakeProfitPrice = takeProfit && !takeProfit.isPercent ? takeProfit.value : null;
+      tradeParams.mm_ladderTakeProfitPercent = takeProfit?.isPercent ? takeProfit.value : null;
+      tradeParams.mm_ladderGuardPosition = guardPosition;
+      tradeParams.mm_ladderStartValue = null;
+      tradeParams.mm_ladderPeakValue = null;
+
+      tradeParams.mm_ladderTrailingIntervalMs = trailingIntervalMs;
+      tradeParams.mm_ladderTrailingSteps = trailingSteps;
+      tradeParams.mm_ladderLastFillDate = null;
+
+      emitter.emit(events['strategy:start'], {
+        strategy,
+        description: `${strategyName} strategy${infoString}`,
+        params: {
+          amount,
+          amountCoin,
+          orderCount,
+          midPrice,
+          priceStepPercent: priceStep.stepPercent,
+          priceStep: priceStep.step,
+          lowPrice,
+          highPrice,
+        },
+      });
     } else {
-      setPendingConfirmation(`/start ${params.join(' ')}`);
+      setPendingConfirmation(`/start ${commandParams.join(' ')}`);
 
       const reInitWarn = tradeParams.mm_isLadderActive ? ' Current ladder will be re-initialized.' : '';
 
@@ -368,122 +637,411 @@ async function start(params) {
       notifyType: 'log',
     };
   }
-}
 
-/**
- * Start trading
- * @returns {Object} { msgNotify, msgSendBack, notifyType }
- */
-function stop() {
-  let msgNotify; let msgSendBack;
+  if (strategy === 'dca') {
+    // start dca {buy|sell} {AMOUNT} {COIN} {INTERVAL} [safety={COUNT} drop={STEP%}] [tp={PROFIT%}]
 
-  if (tradeParams.co_isActive) {
-    msgNotify = `${config.notifyName} stopped trading on ${config.pair} pair.`;
-    msgSendBack = `Trading on ${config.pair} pair stopped.`;
-  } else {
-    msgNotify = '';
-    msgSendBack = 'Trading is not active.';
-  }
+    const pairObj = orderUtils.parseMarket(config.pair);
+    const sampleCommand = `Example: */start dca buy 10 ${config.coin2} 1d safety=3 drop=2% tp=5%*`;
 
-  tradeParams.co_isActive = false;
+    const parsed = utils.parseCommandParams(params.slice(1), 3);
+    if (!parsed) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Not enough parameters to start DCA. ${sampleCommand}.`,
+        notifyType: 'log',
+      };
+    }
 
-  return {
-    msgNotify,
-    msgSendBack,
-    notifyType: 'log',
-  };
-}
+    const type = parsed.orderType;
+    if (!type) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Set DCA direction: _buy_ or _sell_ ${config.coin1}. ${sampleCommand}.`,
+        notifyType: 'log',
+      };
+    }
 
-/**
- * Enable some option
- * It's a stub
- * @param {String[]} params Option
- * @returns {Object} { msgNotify, msgSendBack, notifyType }
- */
-async function enable(params, {}, isWebApi = false) {
-  let msgNotify; let msgSendBack; let infoString; let optionsString;
+    const [amountParam, amountCoinParam, intervalParam] = parsed.more.map((param) => param.param);
 
-  try {
-    const option = params[0]?.toLowerCase();
+    const amount = +amountParam;
+    if (!utils.isPositiveNumber(amount)) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Incorrect amount: ${amountParam}. ${sampleCommand}.`,
+        notifyType: 'log',
+      };
+    }
 
-    if (!['sample_option'].includes(option)) {
-      msgSendBack = 'Indicate option:\n\n_sample_option_ for Sample option.';
-      msgSendBack += '\n\nExample: */enable sample_option*.';
+    const amountCoin = amountCoinParam?.toUpperCase();
+    if (amountCoin !== config.coin1 && amountCoin !== config.coin2) {
       return {
         msgNotify: '',
-        msgSendBack,
+        msgSendBack: `Set a DCA order amount either in ${config.coin1} or ${config.coin2}. ${sampleCommand}.`,
         notifyType: 'log',
       };
     }
 
-    if (option === 'sample_option') {
-      optionsString = 'Sample option';
-      infoString = ' with some additional settings';
+    const interval = intervalParam ? utils.parseSmartTime(intervalParam) : { isTime: false };
+    if (!interval.isTime || !utils.isPositiveNumber(interval.msecs)) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Set an interval between DCA orders like 12h or 1d. ${sampleCommand}.`,
+        notifyType: 'log',
+      };
     }
 
-    msgNotify = `${config.notifyName} enabled ${optionsString}${infoString}.`;
-    msgSendBack = `${optionsString} is enabled${infoString}.`;
-    if (!tradeParams.co_isActive) {
-      msgNotify += ' Trading is not started yet.';
-      msgSendBack += ' To start Trading, type */start*.';
+    let safetyOrderCount = null;
+    let safetyStepPercent = null;
+    if (parsed.safety !== undefined || parsed.drop !== undefined) {
+      safetyOrderCount = +parsed.safety;
+      const safetyStep = utils.parsePercentOrValue(parsed.drop);
+
+      if (
+        !utils.isPositiveInteger(safetyOrderCount) ||
+        !safetyStep.isValid ||
+        !safetyStep.isPercent ||
+        safetyStep.value * safetyOrderCount >= 100
+      ) {
+        return {
+          msgNotify: '',
+          msgSendBack: `Set safety order count and a price step in percent, like _safety=3 drop=2%_. ${sampleCommand}.`,
+          notifyType: 'log',
+        };
+      }
+
+      safetyStepPercent = safetyStep.value;
     }
-  } catch (e) {
-    log.error(`Error in enable() of ${utils.getModuleName(module.id)} module: ` + e);
-  }
 
-  return {
-    msgNotify,
-    msgSendBack,
-    notifyType: 'log',
-  };
-}
+    let takeProfitPercent = null;
+    if (parsed.tp !== undefined) {
+      const takeProfit = utils.parsePercentOrValue(parsed.tp);
 
-/**
- * Disable some option
- * It's a stub
- * @param {String[]} params Option
- * @returns {Object} { msgNotify, msgSendBack, notifyType }
- */
-function disable(params) {
-  let msgNotify; let msgSendBack; let optionsString;
+      if (!takeProfit.isValid || !takeProfit.isPercent) {
+        return {
+          msgNotify: '',
+          msgSendBack: `Set target profit to close the DCA position in percent, like _tp=5%_. ${sampleCommand}.`,
+          notifyType: 'log',
+        };
+      }
 
-  const option = params[0]?.toLowerCase();
+      takeProfitPercent = takeProfit.value;
+    }
 
-  if (!['sample_option'].includes(option)) {
-    msgSendBack = 'Indicate option:\n\n_sample_option_ for Sample option.';
-    msgSendBack += '\n\nExample: */enable sample_option*.';
-    return {
-      msgNotify: '',
-      msgSendBack,
-      notifyType: 'log',
-    };
-  }
+    strategyName = 'DCA/ Dollar-cost averaging';
+    infoString = ` to ${type} ${amount} ${amountCoin} worth of ${pairObj.coin1} every ${utils.timestampInDaysHoursMins(interval.msecs)}`;
 
-  if (option === 'sample_option') {
-    optionsString = 'Sample option';
-  }
+    if (safetyOrderCount) {
+      infoString += ` with ${safetyOrderCount} safety orders each ${safetyStepPercent}% ${type === 'buy' ? 'lower' : 'higher'}`;
+    }
 
-  msgNotify = `${config.notifyName} disabled ${optionsString}.`;
-  msgSendBack = `${optionsString} is disabled.`;
-  if (tradeParams.co_isActive) {
-    msgNotify += ' Trading is still active.';
-    msgSendBack += ' Trading is still active—to stop it, type */stop*.';
-  }
+    if (takeProfitPercent) {
+      infoString += `, closing the position at ${takeProfitPercent}% profit`;
+    }
 
-  return {
-    msgNotify,
-    msgSendBack,
-    notifyType: 'log',
-  };
-}
+    if (parsed.isConfirmed) {
+      const isSameDca = tradeParams.co_strategy === 'dca' && tradeParams.dca_type === type;
 
-/**
- * Close orders
- * @param {String[]} params Order filter: trade pair, 'buy' or 'sell', order type, price
+      tradeParams.co_isActive = true;
+      tradeParams.co_strategy = strategy;
+
+      tradeParams.dca_type = type;
+      tradeParams.dca_amount = amount;
+      tradeParams.dca_amountCoin = amountCoin;
+      tradeParams.dca_intervalMs = interval.msecs;
+      tradeParams.dca_safetyOrderCount = safetyOrderCount;
+      tradeParams.dca_safetyStepPercent = safetyStepPercent;
+      tradeParams.dca_takeProfitPercent = takeProfitPercent;
+      tradeParams.dca_cycle = isSameDca && tradeParams.dca_cycle ? tradeParams.dca_cycle : 1;
+      tradeParams.dca_lastOrderDate = isSameDca ? tradeParams.dca_lastOrderDate : 0;
+
+      emitter.emit(events['strategy:start'], {
+        strategy,
+        description: `${strategyName} strategy${infoString}`,
+        params: {
+          type,
+          amount,
+          amountCoin,
+          intervalMs: interval.msecs,
+          safetyOrderCount,
+          safetyStepPercent,
+          takeProfitPercent,
+        },
+      });
+    } else {
+      setPendingConfirmation(`/start ${params.join(' ')}`);
+
+      const ladderWarn = tradeParams.mm_isLadderActive ? ' Ld-orders are not cancelled automatically; use */clear ld* if needed.' : '';
+
+      msgNotify = '';
+      msgSendBack = `Are you sure to start ${strategyName} strategy${infoString} on ${config.pair} pair? The first order will be placed at market price.${ladderWarn} Confirm with **/y** command or ignore.`;
+
+      return {
+        msgNotify,
+        msgSendBack,
+        notifyType: 'log',
+      };
+    }
+
+    msgNotify = `${config.notifyName} started ${strategyName} strategy${infoString} on ${config.pair} pair.`;
+    msgSendBack = `Starting ${strategyName} strategy${infoString} on ${config.pair} pair.`;
+
+    return {
+      msgNotify,
+      msgSendBack,
+      notifyType: 'log',
+    };
+  }
+}
+
+/**
+ * Parses a ladder price step for /start ld command
+ * - 2% or step=2%: geometric, each order price differs from the previous one by 2%
+ * - 0.0001 or step=0.0001: arithmetic, each order price differs from the previous one by 0.0001 coin2
+ * - 1%,1.5%,2% or 0.001,0.002: custom, a step for each ld-order index. The last step applies to the rest of orders.
+ * Unused step params are set to null to overwrite the previous ladder values
+ * @param {String} stepParam Step param like '2%', 'step=0.0001' or '1%,1.5%,2%'
+ * @returns {Object|undefined} { type, stepPercent, step, steps, description } or undefined if the param is incorrect
+ */
+function parseLadderPriceStep(stepParam) {
+  if (!stepParam) {
+    return undefined;
+  }
+
+  if (stepParam.toLowerCase().startsWith('step=')) {
+    stepParam = stepParam.slice(5);
+  }
+
+  const steps = stepParam.split(',').filter((step) => step);
+  const stepsParsed = steps.map((step) => utils.parsePercentOrValue(step));
+
+  if (!stepsParsed.length || stepsParsed.some((step) => !step.isValid)) {
+    return undefined;
+  }
+
+  if (stepsParsed.length > 1) {
+    return {
+      type: 'custom',
+      stepPercent: null,
+      step: null,
+      steps,
+      description: `custom ${steps.join(', ')} steps`,
+    };
+  }
+
+  const { isPercent, value } = stepsParsed[0];
+
+  if (isPercent) {
+    return {
+      type: 'geometric',
+      stepPercent: value,
+      step: null,
+      steps: null,
+      description: `${value}% geometric step`,
+    };
+  }
+
+  return {
+    type: 'arithmetic',
+    stepPercent: null,
+    step: value,
+    steps: null,
+    description: `${value} ${config.coin2} arithmetic step`,
+  };
+}
+
+/**
+ * Parses a ladder amount profile for /start ld command
+ * - profile=flat (default): the same amount for every ld-order
+ * - profile=increasing factor=10%: each next level amount increases by 10% of the base amount
+ * - profile=geometric factor=1.5: each next level amount is multiplied by 1.5
+ * - profile=martingale: geometric profile with factor of 2 by default
+ * - profile=list amounts=100,150,200: amount for each level. The last amount applies to the rest of orders.
+ * Unused profile params are set to null to overwrite the previous ladder values
+ * @param {Object} namedParams Named /start ld params
+ * @param {String} amountCoin Coin of ld-order amounts
+ * @returns {Object} { profile, factor, amounts, description } or { error }
+ */
+function parseLadderAmountProfile(namedParams, amountCoin) {
+  const profile = namedParams.profile?.toLowerCase() || 'flat';
+
+  switch (profile) {
+    case 'flat':
+      return {
+        profile,
+        factor: null,
+        amounts: null,
+        description: '',
+      };
+    case 'increasing': {
+      const factorParsed = utils.parsePercentOrValue(namedParams.factor);
+      if (!factorParsed.isValid) {
+        return { error: 'Set an increase factor for the increasing amount profile, like factor=10% or factor=0.1.' };
+      }
+
+      const factor = factorParsed.isPercent ? factorParsed.value / 100 : factorParsed.value;
+
+      return {
+        profile,
+        factor,
+        amounts: null,
+        description: `increasing by ${+(factor * 100).toFixed(2)}% of the base amount each level`,
+      };
+    }
+    case 'geometric':
+    case 'martingale': {
+      const factor = namedParams.factor === undefined && profile === 'martingale' ? 2 : +namedParams.factor;
+      if (!utils.isPositiveNumber(factor)) {
+        return { error: `Set a multiplier for the ${profile} amount profile, like factor=1.5.` };
+      }
+
+      return {
+        profile: 'geometric',
+        factor,
+        amounts: null,
+        description: `multiplied by ${factor} each level`,
+      };
+    }
+    case 'list': {
+      const amounts = namedParams.amounts?.split(',').filter((amount) => amount).map((amount) => +amount);
+      if (!amounts?.length || !amounts.every((amount) => utils.isPositiveNumber(amount))) {
+        return { error: 'Set ld-order amounts for each level for the list amount profile, like amounts=100,150,200.' };
+      }
+
+      return {
+        profile,
+        factor: null,
+        amounts,
+        description: `${amounts.join(', ')} ${amountCoin} amounts by level`,
+      };
+    }
+    default:
+      return { error: `Unknown amount profile '${profile}'. Use flat, increasing, geometric, martingale, or list.` };
+  }
+}
+
+/**
+ * Start trading
+ * @returns {Object} { msgNotify, msgSendBack, notifyType }
+ */
+function stop() {
+  let msgNotify; let msgSendBack;
+
+  if (tradeParams.co_isActive) {
+    msgNotify = `${config.notifyName} stopped trading on ${config.pair} pair.`;
+    msgSendBack = `Trading on ${config.pair} pair stopped.`;
+
+    emitter.emit(events['strategy:stop'], { strategy: tradeParams.co_strategy, reason: '/stop command' });
+  } else {
+    msgNotify = '';
+    msgSendBack = 'Trading is not active.';
+  }
+
+  tradeParams.co_isActive = false;
+
+  return {
+    msgNotify,
+    msgSendBack,
+    notifyType: 'log',
+  };
+}
+
+/**
+ * Enable some option
+ * It's a stub
+ * @param {String[]} params Option
+ * @returns {Object} { msgNotify, msgSendBack, notifyType }
+ */
+async function enable(params, {}, isWebApi = false) {
+  let msgNotify; let msgSendBack; let infoString; let optionsString;
+
+  try {
+    const option = params[0]?.toLowerCase();
+
+    if (!['sample_option'].includes(option)) {
+      msgSendBack = 'Indicate option:\n\n_sample_option_ for Sample option.';
+      msgSendBack += '\n\nExample: */enable sample_option*.';
+      return {
+        msgNotify: '',
+        msgSendBack,
+        notifyType: 'log',
+      };
+    }
+
+    if (option === 'sample_option') {
+      optionsString = 'Sample option';
+      infoString = ' with some additional settings';
+    }
+
+    msgNotify = `${config.notifyName} enabled ${optionsString}${infoString}.`;
+    msgSendBack = `${optionsString} is enabled${infoString}.`;
+    if (!tradeParams.co_isActive) {
+      msgNotify += ' Trading is not started yet.';
+      msgSendBack += ' To start Trading, type */start*.';
+    }
+  } catch (e) {
+    log.error(`Error in enable() of ${utils.getModuleName(module.id)} module: ` + e);
+  }
+
+  return {
+    msgNotify,
+    msgSendBack,
+    notifyType: 'log',
+  };
+}
+
+/**
+ * Disable some option
+ * It's a stub
+ * @param {String[]} params Option
+ * @returns {Object} { msgNotify, msgSendBack, notifyType }
+ */
+function disable(params) {
+  let msgNotify; let msgSendBack; let optionsString;
+
+  const option = params[0]?.toLowerCase();
+
+  if (!['sample_option'].includes(option)) {
+    msgSendBack = 'Indicate option:\n\n_sample_option_ for Sample option.';
+    msgSendBack += '\n\nExample: */enable sample_option*.';
+    return {
+      msgNotify: '',
+      msgSendBack,
+      notifyType: 'log',
+    };
+  }
+
+  if (option === 'sample_option') {
+    optionsString = 'Sample option';
+  }
+
+  msgNotify = `${config.notifyName} disabled ${optionsString}.`;
+  msgSendBack = `${optionsString} is disabled.`;
+  if (tradeParams.co_isActive) {
+    msgNotify += ' Trading is still active.';
+    msgSendBack += ' Trading is still active—to stop it, type */stop*.';
+  }
+
+  return {
+    msgNotify,
+    msgSendBack,
+    notifyType: 'log',
+  };
+}
+
+/**
+ * Close orders
+ * @param {String[]} params Order filter: trade pair, 'buy' or 'sell', order type, price. 'acc2' to close orders on the second account.
  * @returns {Object} { msgNotify, msgSendBack, notifyType }
  */
 async function clear(params) {
   try {
+    const account = parseAccountParam(params);
+    if (account.msgSendBack) {
+      return account; // Error info here
+    }
+    params = account.params;
+
     let pair = params[0];
     if (!pair || pair.indexOf('/') === -1) {
       pair = config.pair;
@@ -575,7 +1133,7 @@ async function clear(params) {
     let clearedInfo = {};
     const typeString = type ? `**${type}**-` : '';
 
-    const api = traderapi;
+    const api = getTraderApi(account.accountNo);
 
     if (purposes === 'all') {
       clearedInfo = await orderCollector.clearAllOrders(pairObj.pair, doForce, type, 'User command', `${typeString}orders`, api);
@@ -873,6 +1431,15 @@ async function sell(params) {
 function getBuySellParams(params, type) {
   const isConfirmed = params.find((param) => ['-y'].includes(param.toLowerCase())) !== undefined;
 
+  // Keep 'acc2' in params for the confirmation, so that a confirmed command runs on the same account
+  const account = parseAccountParam(params);
+  if (account.msgSendBack) {
+    return account; // Error info here
+  }
+  const orderParams = account.params;
+  const api = getTraderApi(account.accountNo);
+  const onWhichAccount = api.isSecondAccount ? ' on the second account' : '';
+
   // default: pair={config} BaseCurrency/QuoteCurrency, price=market
   // amount XOR quote
   // buy ADM/BTC amount=200 price=0.00000224 — buy 200 ADM at 0.00000224
@@ -885,9 +1452,15 @@ function getBuySellParams(params, type) {
   // buy ADM/BTC quote=0.01 price=market — the same
   // buy ADM/BTC quote=0.01 — buy ADM for 0.01 BTC at market price
   // sell ADM/BTC amount=8 — sell 8 ADM at market price
+  // sell ADM/BTC amount=8 acc2 — the same, using the second trade account
+
+  // TWAP and iceberg executions split an order into child tw-orders
+  // buy ADM/BTC quote=1 twap=2h slices=20 — buy ADM for 1 BTC at market price with 20 orders placed evenly in 2 hours
+  // sell ADM/BTC amount=50000 price=0.00000224 iceberg visible=2000 — sell 50000 ADM showing only 2000 ADM at a time
 
   let amount; let quote; let price = 'market';
-  params.forEach((param) => {
+  let twap; let slices; let isIceberg = false; let visible;
+  orderParams.forEach((param) => {
     try {
       if (param.startsWith('quote')) {
         quote = +param.split('=')[1].trim();
@@ -903,6 +1476,18 @@ function getBuySellParams(params, type) {
           price = +price;
         }
       }
+      if (param.startsWith('twap')) {
+        twap = utils.parseSmartTime(param.split('=')[1].trim());
+      }
+      if (param.startsWith('slices')) {
+        slices = +param.split('=')[1].trim();
+      }
+      if (param.toLowerCase() === 'iceberg') {
+        isIceberg = true;
+      }
+      if (param.startsWith('visible')) {
+        visible = +param.split('=')[1].trim();
+      }
     } catch (e) {
       return {
         msgNotify: '',
@@ -912,7 +1497,7 @@ function getBuySellParams(params, type) {
     }
   });
 
-  if (params.length < 1) {
+  if (orderParams.length < 1) {
     return {
       msgNotify: '',
       msgSendBack: 'Wrong arguments. Command works like this: */sell ADM/BTC amount=200 price=market*.',
@@ -972,12 +1557,25 @@ function getBuySellParams(params, type) {
     }
   }
 
-  let pair = params[0];
+  let pair = orderParams[0];
   if (!pair || pair.indexOf('/') === -1) {
     pair = config.pair;
   }
   const pairObj = orderUtils.parseMarket(pair);
 
+  const execution = getExecutionParams({ twap, slices, isIceberg, visible, amount, quote, price, pairObj });
+  if (execution.msgSendBack) {
+    return execution; // Error info here
+  }
+
+  if (execution.mode && api.isSecondAccount) {
+    return {
+      msgNotify: '',
+      msgSendBack: 'TWAP and iceberg executions run on the first account only. Remove _acc2_ or place a single order.',
+      notifyType: 'log',
+    };
+  }
+
   let totalUSD;
 
   if (amount) {
@@ -997,12 +1595,12 @@ function getBuySellParams(params, type) {
 
     if (price === 'market') {
       if (amount) {
-        msgSendBack += `Are you sure to ${type} ${amountCalculated} ${pairObj.coin1} (worth ~${totalUSDstring} USD) at market price?`;
+        msgSendBack += `Are you sure to ${type} ${amountCalculated} ${pairObj.coin1} (worth ~${totalUSDstring} USD) at market price${onWhichAccount}?`;
       } else {
-        msgSendBack += `Are you sure to ${type} ${pairObj.coin1} worth ~${totalUSDstring} USD at market price?`;
+        msgSendBack += `Are you sure to ${type} ${pairObj.coin1} worth ~${totalUSDstring} USD at market price${onWhichAccount}?`;
       }
     } else {
-      msgSendBack += `Are you sure to ${type} ${amountCalculated} ${pairObj.coin1} (worth ~${totalUSDstring} USD) at ${price} ${pairObj.coin2}?`;
+      msgSendBack += `Are you sure to ${type} ${amountCalculated} ${pairObj.coin1} (worth ~${totalUSDstring} USD) at ${price} ${pairObj.coin2}${onWhichAccount}?`;
 
       const marketPrice = exchangerUtils.convertCryptos(pairObj.coin1, pairObj.coin2, 1).outAmount;
       const priceDifference = utils.numbersDifferencePercentDirectNegative(marketPrice, price);
@@ -1014,6 +1612,10 @@ function getBuySellParams(params, type) {
         msgSendBack += ` **Warning: ${type} price is ${Math.abs(priceDifference).toFixed(0)}% ${marketPrice > price ? 'less' : 'greater'} than market**.`;
       }
     }
+    if (execution.mode) {
+      msgSendBack += ` The order will be split into ${execution.description}.`;
+    }
+
     msgSendBack += ' Confirm with **/y** command or ignore.';
 
     return {
@@ -1028,6 +1630,82 @@ function getBuySellParams(params, type) {
     price,
     quote,
     pairObj,
+    execution,
+    api,
+  };
+}
+
+/**
+ * Validates TWAP and iceberg execution params of /buy and /sell commands
+ * @param {Object} params Parsed command params
+ * @returns {Object} { mode, slices, durationMs, visible, description } or { msgNotify, msgSendBack, notifyType }
+ */
+function getExecutionParams({ twap, slices, isIceberg, visible, amount, quote, price, pairObj }) {
+  const wrongArgumentsMessage = (msgSendBack) => ({
+    msgNotify: '',
+    msgSendBack,
+    notifyType: 'log',
+  });
+
+  if (twap === undefined && !isIceberg) {
+    if (slices !== undefined || visible !== undefined) {
+      return wrongArgumentsMessage('Set _twap_ duration to use _slices_, or _iceberg_ to use _visible_. Command works like this: */buy ADM/BTC quote=1 twap=2h slices=20*.');
+    }
+
+    return { };
+  }
+
+  if (twap !== undefined && isIceberg) {
+    return wrongArgumentsMessage('Choose either _twap_ or _iceberg_ execution, not both of them.');
+  }
+
+  const minAmount = orderUtils.getMinOrderAmount(price === 'market' ? undefined : price)?.min;
+
+  if (twap !== undefined) {
+    if (!twap.isTime || !utils.isPositiveNumber(twap.msecs)) {
+      return wrongArgumentsMessage('Set _twap_ duration as a time value. Command works like this: */buy ADM/BTC quote=1 twap=2h slices=20*.');
+    }
+
+    slices = slices ?? DEFAULT_TWAP_SLICES;
+
+    if (!utils.isPositiveInteger(slices) || slices < 2) {
+      return wrongArgumentsMessage(`Incorrect slice count: ${slices}. It should be an integer of 2 or more. Command works like this: */buy ADM/BTC quote=1 twap=2h slices=20*.`);
+    }
+
+    const sliceAmount = amount ? amount / slices : undefined;
+    if (sliceAmount && minAmount && sliceAmount < minAmount) {
+      return wrongArgumentsMessage(`Slice amount ${sliceAmount.toFixed(pairObj.coin1Decimals)} ${pairObj.coin1} is less than minimum order amount of ${minAmount} ${pairObj.coin1}. Decrease slice count.`);
+    }
+
+    return {
+      mode: 'twap',
+      slices,
+      durationMs: twap.msecs,
+      description: `${slices} orders placed evenly in ${utils.timestampInDaysHoursMins(twap.msecs)}`,
+    };
+  }
+
+  if (price === 'market') {
+    return wrongArgumentsMessage('Iceberg execution requires a limit price. Command works like this: */sell ADM/BTC amount=50000 price=0.00000224 iceberg visible=2000*.');
+  }
+
+  if (!utils.isPositiveNumber(visible)) {
+    return wrongArgumentsMessage('Set _visible_ amount in coin1 for iceberg execution. Command works like this: */sell ADM/BTC amount=50000 price=0.00000224 iceberg visible=2000*.');
+  }
+
+  const totalAmount = amount || quote / price;
+  if (visible >= totalAmount) {
+    return wrongArgumentsMessage(`Visible amount ${visible} ${pairObj.coin1} should be less than the total order amount of ${totalAmount.toFixed(pairObj.coin1Decimals)} ${pairObj.coin1}.`);
+  }
+
+  if (minAmount && visible < minAmount) {
+    return wrongArgumentsMessage(`Visible amount ${visible} ${pairObj.coin1} is less than minimum order amount of ${minAmount} ${pairObj.coin1}.`);
+  }
+
+  return {
+    mode: 'iceberg',
+    visible,
+    description: `orders showing ${visible} ${pairObj.coin1} at a time`,
   };
 }
 
@@ -1041,6 +1719,10 @@ async function buy_sell(params, type) {
     return params; // Error info here
   }
 
+  if (params.execution?.mode) {
+    return await startExecution(params, type);
+  }
+
   if (!params.amount) {
     params.amount = params.quote / params.price;
   } else {
@@ -1062,8 +1744,9 @@ async function buy_sell(params, type) {
       msgNotify = `${config.notifyName}: ${result.message}`;
     }
   } else {
-    const onWhichAccount = params.api?.isSecondAccount ? ' (on second account)' : '';
-    msgSendBack = `Request to place an order${onWhichAccount} with params ${JSON.stringify(params)} failed. It looks like an API temporary error. Try again.`;
+    const { api, ...orderParams } = params;
+    const onWhichAccount = api?.isSecondAccount ? ' (on second account)' : '';
+    msgSendBack = `Request to place an order${onWhichAccount} with params ${JSON.stringify(orderParams)} failed. It looks like an API temporary error. Try again.`;
     msgNotify = '';
   }
 
@@ -1075,21 +1758,125 @@ async function buy_sell(params, type) {
 }
 
 /**
- * Shows trading params
+ * Starts TWAP or iceberg execution of an order
+ * @param {Object} params { amount, price, quote, pairObj, execution }
+ * @param {String} type 'buy' or 'sell'
  * @returns {Object} { msgNotify, msgSendBack, notifyType }
  */
-function params() {
-  const settings = JSON.stringify(tradeParams, null, 2);
-  const msgSendBack = `I am set to work with ${config.pair} pair on ${config.exchangeName}. Current trading settings: \n\n${settings}`;
+async function startExecution(params, type) {
+  try {
+    const execution = await coTwap.create({
+      type,
+      pairObj: params.pairObj,
+      price: params.price,
+      amount: params.amount,
+      quote: params.quote,
+      ...params.execution,
+    });
 
-  return {
-    msgNotify: '',
-    msgSendBack,
-    notifyType: 'log',
-  };
-}
+    const totalCoin = execution.isQuote ? params.pairObj.coin2 : params.pairObj.coin1;
+    const priceString = params.price === 'market' ? 'at market price' : `at ${params.price} ${params.pairObj.coin2}`;
+    const msgSendBack = `Started ${params.execution.mode === 'twap' ? 'TWAP' : 'iceberg'} execution to ${type} ${execution.total} ${totalCoin} ${priceString} with ${params.execution.description}. Check progress with **/twap** command.`;
 
-/**
+    return {
+      msgNotify: `${config.notifyName}: ${msgSendBack}`,
+      msgSendBack,
+      notifyType: 'log',
+    };
+  } catch (e) {
+    log.error(`Error in startExecution() of ${utils.getModuleName(module.id)} module: ${e}`);
+
+    return {
+      msgNotify: '',
+      msgSendBack: `Unable to start ${params.execution.mode} execution: ${e}.`,
+      notifyType: 'log',
+    };
+  }
+}
+
+/**
+ * Shows active TWAP and iceberg executions, or stops them
+ * /twap — show progress
+ * /twap stop — stop all of active executions and cancel their open tw-orders
+ * @param {String[]} params Command params
+ * @returns {Object} { msgNotify, msgSendBack, notifyType }
+ */
+async function twap(params) {
+  try {
+    if (params[0]?.toLowerCase() === 'stop') {
+      const stoppedCount = await coTwap.stopAll();
+
+      if (!stoppedCount) {
+        return {
+          msgNotify: '',
+          msgSendBack: 'No active TWAP or iceberg executions to stop.',
+          notifyType: 'log',
+        };
+      }
+
+      const msgSendBack = `Stopped ${stoppedCount} TWAP and iceberg ${utils.incline(stoppedCount, 'execution', 'executions')}. Open tw-orders are cancelled.`;
+
+      return {
+        msgNotify: `${config.notifyName}: ${msgSendBack}`,
+        msgSendBack,
+        notifyType: 'log',
+      };
+    }
+
+    if (params[0]) {
+      return {
+        msgNotify: '',
+        msgSendBack: 'Wrong arguments. Command works like this: */twap* to show active executions, or */twap stop* to stop them.',
+        notifyType: 'log',
+      };
+    }
+
+    const info = await coTwap.getActiveInfo();
+
+    return {
+      msgNotify: '',
+      msgSendBack: info ? `Active TWAP and iceberg executions on ${config.exchangeName}:${info}` : 'No active TWAP or iceberg executions.',
+      notifyType: 'log',
+    };
+  } catch (e) {
+    log.error(`Error in twap() of ${utils.getModuleName(module.id)} module: ${e}`);
+
+    return {
+      msgNotify: '',
+      msgSendBack: `Unable to process the command: ${e}.`,
+      notifyType: 'log',
+    };
+  }
+}
+
+/**
+ * Shows trading params
+ * @returns {Object} { msgNotify, msgSendBack, notifyType }
+ */
+function params() {
+  const settings = JSON.stringify(tradeParams, null, 2);
+  let msgSendBack = `I am set to work with ${config.pair} pair on ${config.exchangeName}. Current trading settings: \n\n${settings}`;
+
+  if (tradeParams.co_strategy === 'ld' && utils.isPositiveInteger(tradeParams.mm_ladderCount)) {
+    const pairObj = orderUtils.parseMarket(config.pair);
+    const amountDecimals = tradeParams.mm_ladderAmountCoin === config.coin1 ? pairObj.coin1Decimals : pairObj.coin2Decimals;
+
+    const ladderAmounts = [];
+    for (let index = 0; index < tradeParams.mm_ladderCount; index++) {
+      ladderAmounts.push(+coLadder.getLadderAmount(index)?.toFixed(amountDecimals));
+    }
+
+    msgSendBack += `\n\nLd-order amounts by level (${tradeParams.mm_ladderAmountProfile || 'flat'} profile): ${ladderAmounts.join(', ')} ${tradeParams.mm_ladderAmountCoin}.`;
+  }
+
+  return {
+    msgNotify: '',
+    msgSendBack,
+    notifyType: 'log',
+  };
+}
+
+/**
  * Shows help info
  * @param {*} commandFix
  * @returns {Object} { msgNotify, msgSendBack, notifyType }
@@ -1100,155 +1887,512 @@ function help({}, {}, commandFix) {
   output += ' See command reference on https://github.com/Adamant-im/adamant-coinoptimus/wiki';
   output += '\nHappy trading!';
 
-  if (commandFix === 'help') {
-    output += '\n\nNote: commands starts with slash **/**. Example: **/help**.';
-  }
+  if (commandFix === 'help') {
+    output += '\n\nNote: commands starts with slash **/**. Example: **/help**.';
+  }
+
+  return {
+    msgNotify: '',
+    msgSendBack: `${output}`,
+    notifyType: 'log',
+  };
+}
+
+/**
+ * Get coin rates
+ * @param {String[]} params Coin or trade pair
+ * @returns {Object} { msgNotify, msgSendBack, notifyType }
+ */
+async function rates(params) {
+  let output = '';
+
+  try {
+    // if no coin/pair is set, treat it as coin1 set in config
+    if (!params[0]) {
+      params[0] = config.coin1;
+    }
+
+    // if coin1 only, treat it as pair set in config
+    if (params[0]?.toUpperCase().trim() === config.coin1) {
+      params[0] = config.pair;
+    }
+
+    let pair; let coin1;
+    const pairObj = orderUtils.parseMarket(params[0]);
+    if (pairObj) {
+      pair = pairObj.pair;
+      coin1 = pairObj.coin1;
+    } else {
+      coin1 = params[0]?.toUpperCase();
+    }
+
+    const res = Object
+        .keys(exchangerUtils.currencies)
+        .filter((t) => t.startsWith(coin1 + '/'))
+        .map((t) => {
+          const quoteCoin = t.replace(coin1 + '/', '');
+          const pair = `${coin1}/**${quoteCoin}**`;
+          const rate = utils.formatNumber(exchangerUtils.currencies[t].toFixed(constants.PRECISION_DECIMALS));
+          return `${pair}: ${rate}`;
+        })
+        .join(', ');
+
+    if (!res.length) {
+      if (!pair) {
+        output = `I can’t get rates for *${coin1} from Infoservice*. Try */rates ADM*.`;
+        return {
+          msgNotify: '',
+          msgSendBack: output,
+          notifyType: 'log',
+        };
+      }
+    } else {
+      output = `Global market rates for ${coin1}:\n${res}.`;
+    }
+
+    if (pair) {
+      if (output) {
+        output += '\n\n';
+      }
+
+      const exchangeRatesInfo = await getRatesInfo(pair);
+      output += exchangeRatesInfo.ratesString;
+    }
+  } catch (e) {
+    log.error(`Error in rates() of ${utils.getModuleName(module.id)} module: ` + e);
+  }
+
+  return {
+    msgNotify: '',
+    msgSendBack: output,
+    notifyType: 'log',
+  };
+}
+
+async function getDepositInfo(accountNo = 0, tx = {}, coin1) {
+  let output = '';
+
+  try {
+    const api = getTraderApi(accountNo);
+    const depositAddresses = await api.getDepositAddress(coin1);
+
+    if (depositAddresses?.length) {
+      output = `The deposit addresses for ${coin1} on ${config.exchangeName}:\n${depositAddresses.map(({ network, address, memo }) => `${network ? `_${network}_: ` : ''}${address}${memo ? `, ${memo}` : ''}`).join('\n')}`;
+    } else {
+      output = `Unable to get a deposit addresses for ${coin1}.`;
+
+      if (depositAddresses?.message) {
+        output += ` Error: ${depositAddresses?.message}.`;
+      } else if (api.features().createDepositAddressWithWebsiteOnly) {
+        output += ` Note: ${config.exchangeName} don't create new deposit addresses via API. Create it manually with a website.`;
+      }
+    }
+  } catch (e) {
+    log.error(`Error in getDepositInfo() of ${utils.getModuleName(module.id)} module: ` + e);
+  }
+
+  return output;
+}
+
+/**
+ * Show deposit address for a coin
+ * @param {String[]} params Coin to deposit
+ * @returns {Object} { msgNotify, msgSendBack, notifyType }
+ */
+async function deposit(params, tx = {}) {
+  let output = '';
+
+  try {
+    if (!params[0] || params[0].indexOf('/') !== -1) {
+      output = 'Please specify coin to get a deposit address. F. e., */deposit ADM*.';
+      return {
+        msgNotify: '',
+        msgSendBack: `${output}`,
+        notifyType: 'log',
+      };
+    }
+
+    if (!traderapi.features().getDepositAddress) {
+      return {
+        msgNotify: '',
+        msgSendBack: 'The exchange doesn\'t support receiving a deposit address.',
+        notifyType: 'log',
+      };
+    }
+
+    const coin1 = params[0].toUpperCase();
+    const account0DepositInfo = await getDepositInfo(0, tx, coin1);
+    const account1DepositInfo = traderapi2 ? await getDepositInfo(1, tx, coin1) : undefined;
+    output = account1DepositInfo ?
+      account0DepositInfo.replace(`on ${config.exchangeName}`, `on ${config.exchangeName} (account 1)`) +
+      '\n\n\n' + account1DepositInfo.replace(`on ${config.exchangeName}`, `on ${config.exchangeName} (account 2)`) :
+      account0DepositInfo;
+  } catch (e) {
+    log.error(`Error in deposit() of ${utils.getModuleName(module.id)} module: ` + e);
+  }
+
+  return {
+    msgNotify: '',
+    msgSendBack: output,
+    notifyType: 'log',
+  };
+}
+
+/**
+ * Checks if an address matches the format of a network from helpers/networks.js
+ * @param {String} address Crypto address
+ * @param {String} network Network code like ERC20, as reported by the exchange. Unknown networks are not checked.
+ * @return {Object} { isValid, isChecked, networkInfo }
+ */
+function validateAddress(address, network) {
+  const networkInfo = network ? Object.values(networks).find((item) =>
+    utils.isStringEqualCI(item.code, network) || utils.isStringEqualCI(item.altcode, network)) : undefined;
+  const isChecked = Boolean(networkInfo?.addressRegex);
+
+  return {
+    isValid: isChecked ? networkInfo.addressRegex.test(address) : true,
+    isChecked,
+    networkInfo,
+  };
+}
+
+/**
+ * Withdraw coins from the exchange account
+ * @param {String[]} params Amount, coin, address, and an optional network
+ * @returns {Object} { msgNotify, msgSendBack, notifyType, isPriority }
+ */
+async function withdraw(params) {
+  try {
+    const isConfirmed = params.find((param) => ['-y'].includes(param.toLowerCase())) !== undefined;
+    const args = params.filter((param) => param.toLowerCase() !== '-y');
+
+    const wrongArgumentsMessage = (msgSendBack) => ({
+      msgNotify: '',
+      msgSendBack: `${msgSendBack} Command works like this: */withdraw 100 USDT 0xF110E32D351Cedba6400E85f3bfa308DC606e079 ERC20*.`,
+      notifyType: 'log',
+    });
+
+    if (args.length < 3 || args.length > 4) {
+      return wrongArgumentsMessage('Wrong arguments.');
+    }
+
+    const amount = +args[0];
+    const coin = args[1].toUpperCase();
+    const address = args[2];
+    let network = args[3]?.toUpperCase();
+
+    if (!utils.isPositiveNumber(amount)) {
+      return wrongArgumentsMessage(`Wrong amount: _${args[0]}_.`);
+    }
+
+    if (!traderapi.withdraw) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Withdrawals from ${config.exchangeName} via API are not supported.`,
+        notifyType: 'log',
+      };
+    }
+
+    let currency;
+    if (traderapi.features().getCurrencies && traderapi.currencies) {
+      await traderapi.getCurrencies(coin, true);
+
+      currency = traderapi.currencyInfo(coin);
+      if (!currency) {
+        return {
+          msgNotify: '',
+          msgSendBack: `It seems ${config.exchangeName} doesn't have _${coin}_ coin. Check */info ${coin}*.`,
+          notifyType: 'log',
+        };
+      }
+    }
+
+    // Choose one of the coin networks, or the only one if the network is not set
+    const coinNetworks = typeof currency?.networks === 'object' ? Object.keys(currency.networks) : [];
+    if (coinNetworks.length) {
+      const networksString = coinNetworks.map((item) => `_${item}_`).join(', ');
+
+      if (network) {
+        network = coinNetworks.find((item) => utils.isStringEqualCI(item, network));
+        if (!network) {
+          return wrongArgumentsMessage(`${config.exchangeName} doesn't support _${args[3]}_ network for ${coin}. Choose one of ${networksString}.`);
+        }
+      } else if (coinNetworks.length === 1) {
+        network = coinNetworks[0];
+      } else {
+        return wrongArgumentsMessage(`Specify a network to withdraw ${coin}: ${networksString}.`);
+      }
+    }
+
+    network = network || coin; // Coin's native network
+    const coinNetwork = currency?.networks?.[network];
+    const withdrawalInfo = coinNetwork || currency;
+    const networkString = coinNetwork ? ` in _${network}_ network` : '';
+
+    const withdrawalStatus = withdrawalInfo?.withdrawalStatus || withdrawalInfo?.status;
+    if (withdrawalStatus && withdrawalStatus !== 'ONLINE') {
+      return {
+        msgNotify: '',
+        msgSendBack: `Withdrawals of ${coin}${networkString} are not available now, the status is **${withdrawalStatus}**. Check */info ${coin}*.`,
+        notifyType: 'log',
+      };
+    }
+
+    // Check the address only against a network the exchange reported. A coin name may match a different network's code, e.g., BNB.
+    const addressCheck = validateAddress(address, coinNetwork ? network : undefined);
+    if (!addressCheck.isValid) {
+      return wrongArgumentsMessage(`_${address}_ is not a valid ${addressCheck.networkInfo.name} address. It should look like _${addressCheck.networkInfo.sampleAddress}_.`);
+    }
+
+    let addressCheckString = '';
+    if (!addressCheck.isChecked) {
+      addressCheckString = coinNetwork ?
+        ` I wasn't able to check the address format for _${network}_ network, double-check it.` :
+        ` ${config.exchangeName} didn't provide ${coin} networks, so I wasn't able to check the address format. Double-check it.`;
+    }
+
+    const withdrawalFee = coinNetwork?.withdrawalFee ?? currency?.withdrawalFee;
+    const withdrawalFeeCurrency = coinNetwork?.withdrawalFeeCurrency || currency?.withdrawalFeeCurrency || coin;
+    const minWithdrawal = coinNetwork?.minWithdrawal || currency?.minWithdrawal;
+    const maxWithdrawal = coinNetwork?.maxWithdrawal || currency?.maxWithdrawal;
+
+    if (minWithdrawal && amount < minWithdrawal) {
+      return wrongArgumentsMessage(`Minimum amount to withdraw ${coin}${networkString} is ${minWithdrawal} ${coin}.`);
+    }
+
+    if (maxWithdrawal && amount > maxWithdrawal) {
+      return wrongArgumentsMessage(`Maximum amount to withdraw ${coin}${networkString} is ${maxWithdrawal} ${coin}.`);
+    }
+
+    const feeString = utils.isPositiveOrZeroNumber(withdrawalFee) ?
+      ` Withdrawal fee is ${withdrawalFee} ${withdrawalFeeCurrency}.` :
+      ' Withdrawal fee is unknown.';
+
+    // Withdrawals are irreversible, so confirm them also when the amount can't be estimated in USD
+    const totalUSD = exchangerUtils.convertCryptos(coin, 'USD', amount).outAmount;
+    const isEstimated = utils.isPositiveNumber(totalUSD);
+
+    if (config.amount_to_confirm_usd && (!isEstimated || totalUSD >= config.amount_to_confirm_usd) && !isConfirmed) {
+      setPendingConfirmation(`/withdraw ${args.join(' ')}`);
+
+      const worthString = isEstimated ? ` (worth ~${utils.formatNumber(totalUSD.toFixed(0), true)} USD)` : '';
+
+      return {
+        msgNotify: '',
+        msgSendBack: `Are you sure to withdraw ${amount} ${coin}${worthString} to _${address}_${networkString}?${feeString}${addressCheckString} Confirm with **/y** command or ignore.`,
+        notifyType: 'log',
+      };
+    }
+
+    const result = await traderapi.withdraw(address, amount, coin, withdrawalFee, network);
+
+    if (!result?.success) {
+      let msgSendBack = `Unable to withdraw ${amount} ${coin} to _${address}_${networkString}.`;
+      msgSendBack += result?.error ? ` Error: ${utils.trimAny(String(result.error), ' .')}.` : ' It may be a temporary API error. Try again.';
+
+      const { withdrawAccountType } = traderapi.features();
+      if (withdrawAccountType) {
+        msgSendBack += ` Note: ${config.exchangeName} withdraws funds from the _${withdrawAccountType}_ account.`;
+      }
+
+      return {
+        msgNotify: '',
+        msgSendBack,
+        notifyType: 'log',
+      };
+    }
+
+    const idString = result.result?.id ? `, withdrawal id is _${result.result.id}_` : '';
+    const statusString = result.result?.status ? `, status: ${result.result.status}` : '';
+    let msgSendBack = `Withdrawal of ${amount} ${coin} to _${address}_${networkString} is requested${idString}${statusString}.${feeString}${addressCheckString}`;
 
-  return {
-    msgNotify: '',
-    msgSendBack: `${output}`,
-    notifyType: 'log',
-  };
+    const { withdrawalSuccessNote } = traderapi.features();
+    if (withdrawalSuccessNote) {
+      msgSendBack += ` Note: ${withdrawalSuccessNote}`;
+    }
+
+    return {
+      msgNotify: `${config.notifyName}: ${msgSendBack}`,
+      msgSendBack,
+      notifyType: 'warn',
+      isPriority: true,
+    };
+  } catch (e) {
+    log.error(`Error in withdraw() of ${utils.getModuleName(module.id)} module: ` + e);
+  }
 }
 
 /**
- * Get coin rates
- * @param {String[]} params Coin or trade pair
+ * Transfer coins between account types of the same exchange account, like main, trade, and margin
+ * Exchange should support features().supportTransferBetweenAccounts
+ * @param {String[]} params Amount, coin, from and to account types, and optional 'acc2' for the second trade account
  * @returns {Object} { msgNotify, msgSendBack, notifyType }
  */
-async function rates(params) {
-  let output = '';
-
+async function transfer(params) {
   try {
-    // if no coin/pair is set, treat it as coin1 set in config
-    if (!params[0]) {
-      params[0] = config.coin1;
+    const account = parseAccountParam(params);
+    if (account.msgSendBack) {
+      return account; // Error info here
     }
 
-    // if coin1 only, treat it as pair set in config
-    if (params[0]?.toUpperCase().trim() === config.coin1) {
-      params[0] = config.pair;
+    const api = getTraderApi(account.accountNo);
+    const accountNoString = account.accountNo === 1 ? ' on the second account' : '';
+
+    const wrongArgumentsMessage = (msgSendBack) => ({
+      msgNotify: '',
+      msgSendBack: `${msgSendBack} Command works like this: */transfer 100 USDT from=main to=trade*.`,
+      notifyType: 'log',
+    });
+
+    const { supportTransferBetweenAccounts, accountTypes } = api.features();
+    if (!supportTransferBetweenAccounts || !api.transfer) {
+      return {
+        msgNotify: '',
+        msgSendBack: `Transfers between account types on ${config.exchangeName} via API are not supported.`,
+        notifyType: 'log',
+      };
     }
 
-    let pair; let coin1;
-    const pairObj = orderUtils.parseMarket(params[0]);
-    if (pairObj) {
-      pair = pairObj.pair;
-      coin1 = pairObj.coin1;
-    } else {
-      coin1 = params[0]?.toUpperCase();
+    const parsed = utils.parseCommandParams(account.params, 4);
+    if (!parsed || parsed.more.length !== 2) {
+      return wrongArgumentsMessage('Wrong arguments.');
     }
 
-    const res = Object
-        .keys(exchangerUtils.currencies)
-        .filter((t) => t.startsWith(coin1 + '/'))
-        .map((t) => {
-          const quoteCoin = t.replace(coin1 + '/', '');
-          const pair = `${coin1}/**${quoteCoin}**`;
-          const rate = utils.formatNumber(exchangerUtils.currencies[t].toFixed(constants.PRECISION_DECIMALS));
-          return `${pair}: ${rate}`;
-        })
-        .join(', ');
+    const [amountParam, coinParam] = parsed.more.map((param) => param.param);
 
-    if (!res.length) {
-      if (!pair) {
-        output = `I can’t get rates for *${coin1} from Infoservice*. Try */rates ADM*.`;
-        return {
-          msgNotify: '',
-          msgSendBack: output,
-          notifyType: 'log',
-        };
-      }
-    } else {
-      output = `Global market rates for ${coin1}:\n${res}.`;
+    const amount = +amountParam;
+    if (!utils.isPositiveNumber(amount)) {
+      return wrongArgumentsMessage(`Wrong amount: _${amountParam}_.`);
     }
 
-    if (pair) {
-      if (output) {
-        output += '\n\n';
-      }
+    const coin = coinParam.toUpperCase();
+    const from = parsed.from?.toLowerCase();
+    const to = parsed.to?.toLowerCase();
 
-      const exchangeRatesInfo = await getRatesInfo(pair);
-      output += exchangeRatesInfo.ratesString;
+    const accountTypesString = accountTypes.map((type) => `_${type}_`).join(', ');
+
+    if (!accountTypes.includes(from) || !accountTypes.includes(to)) {
+      return wrongArgumentsMessage(`Set _from_ and _to_ account types. ${config.exchangeName} supports ${accountTypesString}.`);
     }
-  } catch (e) {
-    log.error(`Error in rates() of ${utils.getModuleName(module.id)} module: ` + e);
-  }
 
-  return {
-    msgNotify: '',
-    msgSendBack: output,
-    notifyType: 'log',
-  };
-}
+    if (from === to) {
+      return wrongArgumentsMessage('Account types to transfer from and to should be different.');
+    }
 
-async function getDepositInfo(accountNo = 0, tx = {}, coin1) {
-  let output = '';
+    const totalUSD = exchangerUtils.convertCryptos(coin, 'USD', amount).outAmount;
 
-  try {
-    const api = traderapi;
-    const depositAddresses = await api.getDepositAddress(coin1);
+    if (config.amount_to_confirm_usd && totalUSD >= config.amount_to_confirm_usd && !parsed.isConfirmed) {
+      setPendingConfirmation(`/transfer ${params.join(' ')}`);
 
-    if (depositAddresses?.length) {
-      output = `The deposit addresses for ${coin1} on ${config.exchangeName}:\n${depositAddresses.map(({ network, address, memo }) => `${network ? `_${network}_: ` : ''}${address}${memo ? `, ${memo}` : ''}`).join('\n')}`;
-    } else {
-      output = `Unable to get a deposit addresses for ${coin1}.`;
+      return {
+        msgNotify: '',
+        msgSendBack: `Are you sure to transfer ${amount} ${coin} (worth ~${utils.formatNumber(totalUSD.toFixed(0), true)} USD) from _${from}_ to _${to}_ account${accountNoString}? Confirm with **/y** command or ignore.`,
+        notifyType: 'log',
+      };
+    }
 
-      if (depositAddresses?.message) {
-        output += ` Error: ${depositAddresses?.message}.`;
-      } else if (api.features().createDepositAddressWithWebsiteOnly) {
-        output += ` Note: ${config.exchangeName} don't create new deposit addresses via API. Create it manually with a website.`;
-      }
+    const result = await api.transfer(coin, amount, from, to);
+
+    if (!result?.success) {
+      let msgSendBack = `Unable to transfer ${amount} ${coin} from _${from}_ to _${to}_ account${accountNoString}.`;
+      msgSendBack += result?.error ? ` Error: ${utils.trimAny(String(result.error), ' .')}.` : ' It may be a temporary API error. Try again.';
+
+      return {
+        msgNotify: '',
+        msgSendBack,
+        notifyType: 'log',
+      };
     }
+
+    const idString = result.result?.id ? `, transfer id is _${result.result.id}_` : '';
+    const msgSendBack = `Transferred ${amount} ${coin} from _${from}_ to _${to}_ account${accountNoString}${idString}.`;
+
+    return {
+      msgNotify: `${config.notifyName}: ${msgSendBack}`,
+      msgSendBack,
+      notifyType: 'log',
+    };
   } catch (e) {
-    log.error(`Error in getDepositInfo() of ${utils.getModuleName(module.id)} module: ` + e);
+    log.error(`Error in transfer() of ${utils.getModuleName(module.id)} module: ` + e);
   }
-
-  return output;
 }
 
 /**
- * Show deposit address for a coin
- * @param {String[]} params Coin to deposit
+ * Show deposit or withdrawal history
+ * @param {String[]} params 'deposits' or 'withdrawals', optional coin and number of records
  * @returns {Object} { msgNotify, msgSendBack, notifyType }
  */
-async function deposit(params, tx = {}) {
-  let output = '';
-
+async function history(params) {
   try {
-    if (!params[0] || params[0].indexOf('/') !== -1) {
-      output = 'Please specify coin to get a deposit address. F. e., */deposit ADM*.';
+    const kind = params[0]?.toLowerCase();
+
+    if (!['deposits', 'withdrawals'].includes(kind)) {
       return {
         msgNotify: '',
-        msgSendBack: `${output}`,
+        msgSendBack: 'Specify _deposits_ or _withdrawals_. Command works like this: */history withdrawals USDT 5*.',
         notifyType: 'log',
       };
     }
 
-    if (!traderapi.features().getDepositAddress) {
+    if (!fundWatcher.isSupported()) {
       return {
         msgNotify: '',
-        msgSendBack: 'The exchange doesn\'t support receiving a deposit address.',
+        msgSendBack: `Receiving deposit and withdrawal history from ${config.exchangeName} is not implemented.`,
         notifyType: 'log',
       };
     }
 
-    const coin1 = params[0].toUpperCase();
-    const account0DepositInfo = await getDepositInfo(0, tx, coin1);
-    const account1DepositInfo = undefined;
-    output = account1DepositInfo ?
-      account0DepositInfo.replace(`on ${config.exchangeName}`, `on ${config.exchangeName} (account 1)`) +
-      '\n\n\n' + account1DepositInfo.replace(`on ${config.exchangeName}`, `on ${config.exchangeName} (account 2)`) :
-      account0DepositInfo;
+    let coin;
+    let count = DEFAULT_HISTORY_RECORDS;
+
+    for (const param of params.slice(1)) {
+      if (utils.isPositiveInteger(+param)) {
+        count = Math.min(+param, MAX_HISTORY_RECORDS);
+      } else {
+        coin = param.toUpperCase();
+      }
+    }
+
+    const isWithdrawal = kind === 'withdrawals';
+    const records = isWithdrawal ?
+      await traderapi.getWithdrawalHistory(coin, count) :
+      await traderapi.getDepositHistory(coin, count);
+
+    const coinString = coin ? ` of ${coin}` : '';
+
+    if (!records?.success || !Array.isArray(records.result)) {
+      const errorString = records?.error ? ` Error: ${utils.trimAny(String(records.error), ' .')}.` : ' Try again later.';
+
+      return {
+        msgNotify: '',
+        msgSendBack: `Unable to get ${kind}${coinString} history from ${config.exchangeName}.${errorString}`,
+        notifyType: 'log',
+      };
+    }
+
+    // Some exchanges ignore the coin filter and the limit
+    const recentRecords = records.result
+        .filter((record) => !coin || utils.isStringEqualCI(record.currencySymbol, coin))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .slice(0, count);
+
+    let msgSendBack;
+
+    if (recentRecords.length) {
+      msgSendBack = `Recent ${config.exchangeName} ${kind}${coinString}: ${recentRecords.length}.\n`;
+      msgSendBack += recentRecords.map((record) => `+ ${fundWatcher.getRecordString(record)}`).join('\n');
+    } else {
+      msgSendBack = `No ${kind}${coinString} found on ${config.exchangeName}.`;
+    }
+
+    return {
+      msgNotify: '',
+      msgSendBack,
+      notifyType: 'log',
+    };
   } catch (e) {
-    log.error(`Error in deposit() of ${utils.getModuleName(module.id)} module: ` + e);
+    log.error(`Error in history() of ${utils.getModuleName(module.id)} module: ` + e);
   }
-
-  return {
-    msgNotify: '',
-    msgSendBack: output,
-    notifyType: 'log',
-  };
 }
 
 /**
@@ -1346,7 +2490,7 @@ async function stats(params) {
     // ..
 
     // Forth, get order statistics
-    const { statList, statTotal } = await orderStats.getAllOrderStats(['ld', 'man'], pairObj.pair);
+    const { statList, statTotal } = await orderStats.getAllOrderStats(['ld', 'dca', 'tw', 'gd', 'man'], pairObj.pair);
 
     const composeOrderStats = function(stats) {
       const composeLine = function(time, label) {
@@ -1381,6 +2525,23 @@ async function stats(params) {
     } else {
       output += `\n\nThe bot executed no orders on ${pairObj.pair} pair all time.`;
     }
+
+    const dcaInfo = await coDca.getInfoString();
+    if (dcaInfo) {
+      output += `\n\n${dcaInfo}`;
+    }
+
+    // Fifth, get realized ladder profit
+    const profitSummary = await ladderProfit.getProfitSummary(pairObj.pair);
+
+    if (profitSummary.all.count > 0) {
+      output += '\n\n**Ladder realized profit** (net of fees):';
+      output += composeProfitLine(profitSummary.day, 'Day', pairObj);
+      output += composeProfitLine(profitSummary.week, 'Week', pairObj);
+      output += composeProfitLine(profitSummary.month, 'Month', pairObj);
+      output += composeProfitLine(profitSummary.all, 'All time', pairObj);
+      output += '\nSee */profit* for details.';
+    }
   } catch (e) {
     log.error(`Error in stats() of ${utils.getModuleName(module.id)} module: ` + e);
   }
@@ -1392,6 +2553,99 @@ async function stats(params) {
   };
 }
 
+/**
+ * Composes a line with realized ladder profit for a period
+ * @param {Object} stats Profit stats from ladderProfit
+ * @param {String} label Period label
+ * @param {Object} pairObj Parsed trade pair
+ * @returns {String}
+ */
+function composeProfitLine(stats, label, pairObj) {
+  if (!stats.count) {
+    return `\n${label} — No round trips`;
+  }
+
+  const profit = utils.formatNumber(stats.profit.toFixed(pairObj.coin2Decimals), true);
+  const fees = utils.formatNumber(stats.fees.toFixed(pairObj.coin2Decimals), true);
+  const amount = utils.formatNumber(stats.coin1Amount.toFixed(pairObj.coin1Decimals), true);
+
+  return `\n${label} — ${stats.count} round trips with ${amount} ${pairObj.coin1}, profit _${profit}_ ${pairObj.coin2} (${fees} ${pairObj.coin2} fees paid)`;
+}
+
+/**
+ * Shows realized profit of completed ladder round trips
+ * /profit — Summary for the last day, week, month, and all time
+ * /profit day|week|month [N] — Breakdown by the last N periods
+ * @param {String[]} params Period and count
+ * @returns {Object} { msgNotify, msgSendBack, notifyType }
+ */
+async function profit(params) {
+  let output = '';
+
+  try {
+    const pairObj = orderUtils.parseMarket(config.pair);
+    const period = params[0]?.toLowerCase();
+
+    if (!period) {
+      const profitSummary = await ladderProfit.getProfitSummary(pairObj.pair);
+
+      if (profitSummary.all.count > 0) {
+        output += `Ladder realized profit on ${pairObj.pair} pair (net of fees):`;
+        output += composeProfitLine(profitSummary.day, 'Day', pairObj);
+        output += composeProfitLine(profitSummary.week, 'Week', pairObj);
+        output += composeProfitLine(profitSummary.month, 'Month', pairObj);
+        output += composeProfitLine(profitSummary.all, 'All time', pairObj);
+      } else {
+        output += `The ladder has no completed round trips on ${pairObj.pair} pair yet.`;
+      }
+    } else {
+      if (!Object.keys(ladderProfit.PERIODS).includes(period)) {
+        return {
+          msgNotify: '',
+          msgSendBack: `Wrong period '${period}'. Use _day_, _week_, or _month_. Example: */profit day 7*.`,
+          notifyType: 'log',
+        };
+      }
+
+      const count = params[1] ? +params[1] : ladderProfit.PERIODS[period].defaultCount;
+      if (!utils.isPositiveInteger(count) || count > 100) {
+        return {
+          msgNotify: '',
+          msgSendBack: `Wrong period count '${params[1]}'. Set a number from 1 to 100. Example: */profit ${period} ${ladderProfit.PERIODS[period].defaultCount}*.`,
+          notifyType: 'log',
+        };
+      }
+
+      const profitByPeriods = await ladderProfit.getProfitByPeriods(pairObj.pair, period, count);
+      const total = profitByPeriods.reduce((total, stats) => total + stats.profit, 0);
+
+      output += `Ladder realized profit on ${pairObj.pair} pair (net of fees) by ${period}s:`;
+      profitByPeriods.forEach((stats) => {
+        const label = `${utils.formatDate(new Date(stats.fromDate)).slice(0, 16)} – ${utils.formatDate(new Date(stats.toDate)).slice(0, 16)}`;
+        output += composeProfitLine(stats, label, pairObj);
+      });
+      output += `\nTotal for ${count} ${period}s: _${utils.formatNumber(total.toFixed(pairObj.coin2Decimals), true)}_ ${pairObj.coin2}.`;
+    }
+
+    const openRoundTrips = await ladderProfit.getOpenRoundTrips(pairObj.pair);
+    if (openRoundTrips.buy || openRoundTrips.sell) {
+      output += `\n\nOpen round trips waiting for a cross-type fill: ${openRoundTrips.buy} buys and ${openRoundTrips.sell} sells.`;
+    }
+
+    const feeRate = await ladderProfit.getFeeRate();
+    const feeRateSource = feeRate.isDefault ? `default, ${config.exchangeName}'s API doesn't provide fee rates` : `by ${config.exchangeName}'s API`;
+    output += `\nFees are calculated with ${+(feeRate.rate * 100).toFixed(4)}% maker rate (${feeRateSource}).`;
+  } catch (e) {
+    log.error(`Error in profit() of ${utils.getModuleName(module.id)} module: ` + e);
+  }
+
+  return {
+    msgNotify: '',
+    msgSendBack: output,
+    notifyType: 'log',
+  };
+}
+
 /**
  * Show trade pair exchange config
  * @param {String[]} params Trade pair
@@ -1455,9 +2709,9 @@ async function getOrdersInfo(accountNo = 0, tx = {}, pair) {
   const pairObj = orderUtils.parseMarket(pair);
   let diffStringUnknownOrdersCount = '';
 
-  const api = traderapi;
+  const api = getTraderApi(accountNo);
   const ordersByType = await orderStats.ordersByType(pairObj.pair, api);
-  const openOrders = await traderapi.getOpenOrders(pairObj.pair);
+  const openOrders = await api.getOpenOrders(pairObj.pair);
 
   if (openOrders) {
 
@@ -1541,7 +2795,7 @@ async function getOrdersDetails(accountNo = 0, tx = {}, pair, type, fullInfo) {
   let output = '';
   const pairObj = orderUtils.parseMarket(pair);
 
-  const api = traderapi;
+  const api = getTraderApi(accountNo);
   const ordersByType = (await orderStats.ordersByType(pairObj.pair, api, false))[type]?.allOrders;
 
   if (ordersByType?.length) {
@@ -1581,11 +2835,20 @@ async function getOrdersDetails(accountNo = 0, tx = {}, pair, type, fullInfo) {
 
 /**
  * Get open orders details
- * @param {Object} params Optional trade pair and type of orders
+ * @param {Object} params Optional trade pair and type of orders. 'acc1' or 'acc2' to show one of two trade accounts.
  * @param {Object} tx Command Tx info
  * @returns Notification messages
  */
 async function orders(params, tx = {}) {
+  const account = parseAccountParam(params);
+  if (account.msgSendBack) {
+    return account; // Error info here
+  }
+  params = account.params;
+
+  const showAccount0 = account.accountNo !== 1;
+  const showAccount1 = account.accountNo !== 0 && Boolean(traderapi2);
+
   let detailsType;
   let pair = params[0];
 
@@ -1620,17 +2883,31 @@ async function orders(params, tx = {}) {
 
     const fullInfo = params[params.length - 1]?.toLowerCase() === 'full' ? true : false;
 
-    account0Orders = await getOrdersDetails(0, tx, pair, detailsType, fullInfo);
-    account1Orders = undefined;
+    account0Orders = showAccount0 ? await getOrdersDetails(0, tx, pair, detailsType, fullInfo) : undefined;
+    account1Orders = showAccount1 ? await getOrdersDetails(1, tx, pair, detailsType, fullInfo) : undefined;
+  } else {
+    account0Orders = showAccount0 ? await getOrdersInfo(0, tx, pair) : undefined;
+    account1Orders = showAccount1 ? await getOrdersInfo(1, tx, pair) : undefined;
+  }
+
+  const markAccount = (ordersString, accountNo) => ordersString
+      .replace(' pair:', ` pair (account ${accountNo + 1}):`)
+      .replace(`on ${config.exchangeName} for`, `on ${config.exchangeName} (account ${accountNo + 1}) for`);
+
+  let output;
+  if (account0Orders && account1Orders) {
+    output = markAccount(account0Orders, 0) + '\n\n\n' + markAccount(account1Orders, 1);
   } else {
-    account0Orders = await getOrdersInfo(0, tx, pair);
-    account1Orders = undefined;
+    output = account1Orders ? markAccount(account1Orders, 1) : account0Orders;
   }
 
-  const output = account1Orders ?
-      account0Orders.replace(' pair:', ' pair (account 1):').replace(`on ${config.exchangeName} for`, `on ${config.exchangeName} (account 1) for`) +
-      '\n\n\n' + account1Orders.replace(' pair:', ' pair (account 2):').replace(`on ${config.exchangeName} for`, `on ${config.exchangeName} (account 2) for`) :
-      account0Orders;
+  // Strategies trade on the first account only
+  if (showAccount0 && (!detailsType || detailsType === 'dca') && pair === config.pair) {
+    const dcaInfo = await coDca.getInfoString();
+    if (dcaInfo) {
+      output += `\n\n${dcaInfo}`;
+    }
+  }
 
   return {
     msgNotify: '',
@@ -2007,6 +3284,25 @@ function balancesString(balances, caption, params) {
   return { output, balances };
 }
 
+/**
+ * Lists non-empty balances on account types other than 'trade', like main and margin
+ * @param {Object} api traderapi or traderapi2
+ * @return {Promise<String>} Empty string if there are no such balances
+ */
+async function otherAccountTypesString(api) {
+  const allBalances = await api.getBalances(true, 'full');
+  if (!Array.isArray(allBalances)) return '';
+
+  const otherBalances = allBalances.filter((crypto) => crypto.accountType !== 'trade' && crypto.total > 0);
+  if (!otherBalances.length) return '';
+
+  const balancesList = otherBalances
+      .map((crypto) => `${utils.formatNumber(crypto.total.toFixed(8), true)} _${crypto.code}_ on _${crypto.accountType}_`)
+      .join(', ');
+
+  return `\nNot available for trading: ${balancesList}. Move them with */transfer AMOUNT COIN from=ACCOUNT to=trade*.`;
+}
+
 /**
  * Create balance info string for an account, including balance difference from previous request
  * @param {Number} accountNo 0 for first account, 1 for second one
@@ -2021,11 +3317,13 @@ async function getBalancesInfo(accountNo = 0, tx, isWebApi = false, params, user
   let output = '';
 
   try {
+    const api = getTraderApi(accountNo);
     let balances =
-      await traderapi.getBalances();
+      await api.getBalances(undefined, params?.[0]);
 
     const accountTypeString = params?.[0] ? ` _${params?.[0]}_ account` : '';
-    const caption = `${config.exchangeName}${accountTypeString} balances:\n`;
+    const accountNoString = traderapi2 ? ` (account ${accountNo + 1})` : '';
+    const caption = `${config.exchangeName}${accountTypeString} balances${accountNoString}:\n`;
     const balancesObject = balancesString(balances, caption, params);
     output = balancesObject.output;
     balances = balancesObject.balances;
@@ -2039,6 +3337,12 @@ async function getBalancesInfo(accountNo = 0, tx, isWebApi = false, params, user
 
       previousBalances[accountNo][userId] = { timestamp: Date.now(), balances };
     }
+
+    // Funds in main or margin accounts are not available for trading. List them with trade account balances only, not to repeat them.
+    const isTradeAccount = !params?.[0] || params[0] === 'trade';
+    if (!isWebApi && isTradeAccount && api.features().accountTypes) {
+      output += await otherAccountTypesString(api);
+    }
   } catch (e) {
     log.error(`Error in getBalancesInfo() of ${utils.getModuleName(module.id)} module: ` + e);
   }
@@ -2051,6 +3355,7 @@ async function getBalancesInfo(accountNo = 0, tx, isWebApi = false, params, user
  * @param {Array} params First parameter: account type, like main, trade, margin, or 'full'.
  *   If undefined, will show balances for 'trade' account. If 'full', for all account types.
  *   Exchange should support features().accountTypes
+ *   'acc1' or 'acc2' shows one of two trade accounts. Otherwise, both accounts and their sum are shown.
  *   Note: Both account balances in case of two-keys trading will show only for 'trade'
  * @param {Object} tx Income ADM transaction for in-chat command
  * @param {Object} user User info for web
@@ -2061,6 +3366,12 @@ async function balances(params, tx, user, isWebApi = false) {
   let output = '';
 
   try {
+    const account = parseAccountParam(params);
+    if (account.msgSendBack) {
+      return account; // Error info here
+    }
+    params = account.params;
+
     if (params?.[0]) {
       if (traderapi.features().accountTypes) {
         params[0] = params[0].toLowerCase();
@@ -2071,11 +3382,16 @@ async function balances(params, tx, user, isWebApi = false) {
 
     const userId = isWebApi ? user.login : tx.senderId;
 
+    const showAccount0 = account.accountNo !== 1;
+    const showAccount1 = account.accountNo !== 0 && Boolean(traderapi2);
+
     // Get balances info for each account separately
-    const account0Balances = await getBalancesInfo(0, tx, isWebApi, params, userId);
-    const account1Balances = undefined;
+    const account0Balances = showAccount0 ? await getBalancesInfo(0, tx, isWebApi, params, userId) : undefined;
+    const account1Balances = showAccount1 ? await getBalancesInfo(1, tx, isWebApi, params, userId) : undefined;
 
-    output = account1Balances ? account0Balances + '\n\n' + account1Balances : account0Balances;
+    output = account0Balances && account1Balances ?
+      account0Balances + '\n\n' + account1Balances :
+      account0Balances || account1Balances;
 
     // Get balances info combined for two accounts (commonBalances)
     if (account0Balances && account1Balances && !isWebApi && !params?.[0]) {
@@ -2112,7 +3428,7 @@ async function getAccountInfo(accountNo = 0, tx, isWebApi = false) {
   let output = '';
 
   try {
-    const api = traderapi;
+    const api = getTraderApi(accountNo);
 
     if (traderapi.features().getTradingFees) {
       const feesBTC = config.pair === 'BTC/USDT' ? [] : await api.getFees('BTC/USDT');
@@ -2156,6 +3472,56 @@ async function getAccountInfo(accountNo = 0, tx, isWebApi = false) {
   return output;
 }
 
+/**
+ * Returns API request counters collected by the request scheduler since the bot start
+ * Lists the endpoints with the most errors, then the slowest ones.
+ * @return {String}
+ */
+function getRequestStatsInfo() {
+  const stats = requestScheduler.getStats();
+  const exchangeStats = stats.exchanges.find((exchange) => utils.isStringEqualCI(exchange.exchange, config.exchangeName));
+
+  if (!exchangeStats) {
+    return `No ${config.exchangeName} API requests counted yet.`;
+  }
+
+  const endpoints = Object.entries(exchangeStats.endpoints).map(([endpoint, counters]) => ({ endpoint, ...counters }));
+
+  const total = endpoints.reduce((sum, counters) => ({
+    requests: sum.requests + counters.requests,
+    errors: sum.errors + counters.errors,
+    retries: sum.retries + counters.retries,
+    latencyTotalMs: sum.latencyTotalMs + counters.latencyTotalMs,
+    latencyMaxMs: Math.max(sum.latencyMaxMs, counters.latencyMaxMs),
+  }), { requests: 0, errors: 0, retries: 0, latencyTotalMs: 0, latencyMaxMs: 0 });
+
+  const latencyAverageMs = total.requests ? Math.round(total.latencyTotalMs / total.requests) : 0;
+
+  let output = `${config.exchangeName} API requests in ${utils.timestampInDaysHoursMins(Date.now() - stats.since)}: `;
+  output += `${total.requests} requests, ${total.errors} errors, ${total.retries} retries, `;
+  output += `latency ${latencyAverageMs} ms average, ${total.latencyMaxMs} ms max.`;
+  output += ` Budget: ${exchangeStats.spentWeight}/${exchangeStats.weightLimit} weight per ${exchangeStats.intervalMs / 1000} sec`;
+  output += exchangeStats.queued ? `, ${exchangeStats.queued} requests queued` : '';
+  output += exchangeStats.pausedUntil ? `, paused until ${utils.formatDate(new Date(exchangeStats.pausedUntil))}` : '';
+  output += '.';
+
+  const topEndpoints = endpoints
+      .sort((a, b) => b.errors - a.errors || b.latencyAverageMs - a.latencyAverageMs)
+      .slice(0, REQUEST_STATS_TOP_ENDPOINTS);
+
+  if (topEndpoints.length) {
+    output += '\n';
+
+    topEndpoints.forEach((counters) => {
+      output += `\n_${counters.endpoint}_: ${counters.requests} requests, ${counters.errors} errors, ${counters.retries} retries, `;
+      output += `${counters.latencyAverageMs} ms average, ${counters.latencyMaxMs} ms max`;
+      output += counters.lastError ? `. Last error: ${counters.lastError}` : '';
+    });
+  }
+
+  return output;
+}
+
 async function account({}, tx, isWebApi = false) {
   let output = '';
 
@@ -2163,12 +3529,14 @@ async function account({}, tx, isWebApi = false) {
 
     if (traderapi.features().getTradingFees || traderapi.features().getAccountTradeVolume) {
       const account0Info = await getAccountInfo(0, tx, isWebApi);
-      const account1Info = undefined;
-      output = account1Info ? account0Info + '\n\n' + account1Info : account0Info;
+      const account1Info = traderapi2 ? await getAccountInfo(1, tx, isWebApi) : undefined;
+      output = account1Info ? account0Info + '\n\n**Second account**:\n' + account1Info : account0Info;
     } else {
       output = `${config.exchangeName}'s API doesn't provide account information.`;
     }
 
+    output += '\n\n' + getRequestStatsInfo();
+
   } catch (e) {
     log.error(`Error in account() of ${utils.getModuleName(module.id)} module: ` + e);
   }
@@ -2196,6 +3564,7 @@ const commands = {
   help,
   rates,
   stats,
+  profit,
   pair,
   orders,
   calc,
@@ -2209,9 +3578,13 @@ const commands = {
   params,
   buy,
   sell,
+  twap,
   enable,
   disable,
   deposit,
+  withdraw,
+  transfer,
+  history,
   y,
   info,
   saveConfig: utils.saveConfig,
@@ -84,7 +84,7 @@ try {
   config.fileWithPath = './trade/settings/' + config.file;
 
   config.email_notify_enabled =
-      (config.email_notify?.length || config.email_notify_priority?.length) &&
+      (config.email_notify?.length || config.email_priority?.length) &&
       config.email_smtp?.auth?.username &&
       config.email_smtp?.auth?.password;
 
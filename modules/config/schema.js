@@ -55,6 +55,18 @@ module.exports = {
     type: String,
     default: '',
   },
+  apikey2: {
+    type: String,
+    default: '',
+  },
+  apisecret2: {
+    type: String,
+    default: '',
+  },
+  apipassword2: {
+    type: String,
+    default: '',
+  },
   admin_accounts: {
     type: [String],
     default: [],
@@ -63,6 +75,14 @@ module.exports = {
     type: Boolean,
     default: false,
   },
+  admin_telegram: {
+    type: [String],
+    default: [],
+  },
+  manageTelegramBotToken: {
+    type: String,
+    default: '',
+  },
   socket: {
     type: Boolean,
     default: true,
@@ -115,6 +135,22 @@ module.exports = {
     type: Object,
     default: {},
   },
+  webhook: {
+    type: Object,
+    default: {
+      urls: [],
+      secret: '',
+      events: [],
+    },
+  },
+  notify_policy: {
+    type: Object,
+    default: {
+      dedup_window_min: 0,
+      rate_limit_per_hour: {},
+      quiet_hours: false,
+    },
+  },
   silent_mode: {
     type: Boolean,
     default: false,
@@ -157,4 +193,8 @@ module.exports = {
     type: Boolean,
     default: false,
   },
+  paper: {
+    type: Object,
+    default: {},
+  },
 };
@@ -2,8 +2,19 @@ const Emitter = require('events');
 
 const emitter = new Emitter();
 
+/**
+ * Bot activity events. Listeners receive an object with event details, see modules/webhook.js.
+ * Note: Node's EventEmitter throws on 'error' events without listeners, so errors are 'bot_error'.
+ */
 const events = {
   'parameters:update': 'parameters_update',
+  'order:placed': 'order_placed', // { orderId, purpose, side, price, coin1Amount, coin2Amount, ladderIndex?, isSecondAccount? }
+  'order:filled': 'order_filled', // { orderId, purpose, side, price, coin1Amount, coin2Amount, ladderIndex?, realizedProfit?, isSecondAccount? }
+  'order:cancelled': 'order_cancelled', // { orderId, purpose, side, price, coin1Amount, coin2Amount, reason, isSecondAccount }
+  'ladder:midPriceShift': 'ladder_mid_price_shift', // { previousMidPrice, midPrice, reason: 'Filled' or 'Trailed' }
+  'strategy:start': 'strategy_start', // { strategy, description, params }
+  'strategy:stop': 'strategy_stop', // { strategy, reason }
+  'bot:error': 'bot_error', // { message, isPriority }
 };
 
 
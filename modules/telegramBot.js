@@ -0,0 +1,168 @@
+/**
+ * Telegram transport for bot commands
+ * Receives messages with Bot API long polling, and processes commands from admin_telegram users
+ * with the same commandTxs pipeline as ADAMANT messages, including /y confirmations.
+ * Messages sent before the bot started are skipped, so that queued commands are not executed unexpectedly.
+ */
+
+const axios = require('axios');
+const config = require('./config/reader');
+const log = require('../helpers/log');
+const utils = require('../helpers/utils');
+const notify = require('../helpers/notify');
+
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+const POLLING_TIMEOUT_SEC = 30; // Telegram holds a getUpdates request until a message comes, or for this time
+const RETRY_INTERVAL_MS = 5000; // After a failed getUpdates request
+
+let updatesOffset;
+let isPolling = false;
+let pollingPromise;
+let startTimestampSec;
+
+module.exports = {
+  readableModuleName: 'Telegram bot',
+
+  /**
+   * Starts long polling, if manageTelegramBotToken is set
+   */
+  start() {
+    if (!config.manageTelegramBotToken) return;
+
+    if (!config.admin_telegram.length) {
+      log.warn('Telegram bot: admin_telegram list is empty. Commands from Telegram will not be executed.');
+    }
+
+    isPolling = true;
+    startTimestampSec = Math.floor(Date.now() / 1000);
+
+    log.log('Telegram bot: Listening to commands.');
+    pollingPromise = this.poll();
+  },
+
+  /**
+   * Stops long polling after the current getUpdates request
+   * @return {Promise<void>} Resolves when polling is stopped
+   */
+  stop() {
+    isPolling = false;
+
+    return pollingPromise;
+  },
+
+  async poll() {
+    while (isPolling) {
+      try {
+        const response = await axios.get(this.methodUrl('getUpdates'), {
+          params: {
+            offset: updatesOffset,
+            timeout: POLLING_TIMEOUT_SEC,
+            allowed_updates: JSON.stringify(['message']),
+          },
+          timeout: (POLLING_TIMEOUT_SEC + 10) * 1000,
+        });
+
+        for (const update of response.data.result) {
+          updatesOffset = update.update_id + 1;
+
+          if (isPolling) {
+            await this.processUpdate(update);
+          }
+        }
+      } catch (error) {
+        const errorDescription = error.response?.data?.description || error;
+        log.warn(`Telegram bot: Unable to get updates. ${errorDescription}. Retrying in ${RETRY_INTERVAL_MS} ms.`);
+
+        await new Promise((resolve) => setTimeout(resolve, RETRY_INTERVAL_MS));
+      }
+    }
+  },
+
+  /**
+   * Processes a Telegram message: checks the sender, executes a command, and replies with its result
+   * @param {Object} update Telegram update with a message
+   */
+  async processUpdate(update) {
+    const message = update.message;
+    const text = message?.text?.trim();
+
+    if (!text) return;
+
+    try {
+      const username = message.from?.username;
+      const sender = username ? `@${username}` : `user ${message.from?.id}`;
+
+      if (message.date < startTimestampSec) {
+        log.log(`Telegram bot: Skipping '${text}' from ${sender} as it was sent before the bot started.`);
+        return;
+      }
+
+      if (!this.isAdmin(username)) {
+        log.warn(`${config.notifyName} received a Telegram message from non-admin ${sender}. Ignoring.`);
+
+        if (config.notify_non_admins) {
+          await this.reply(message.chat.id, 'I won\'t execute your commands as you are not an admin. Connect with my master.');
+        }
+
+        return;
+      }
+
+      if (!text.startsWith('/')) {
+        await this.reply(message.chat.id, 'ℹ️ Send me a command, you can start with **/help**.');
+        return;
+      }
+
+      // In group chats, commands may look like /balances@SomeBot
+      const commandMsg = text.replace(/^(\/\S+?)@\w+/, '$1');
+
+      const tx = {
+        id: `${message.chat.id}/${message.message_id}`,
+        senderId: sender,
+        senderTgUsername: sender,
+      };
+
+      const commandTxs = require('./commandTxs');
+      const commandResult = await commandTxs(commandMsg, tx);
+
+      if (commandResult?.msgSendBack) {
+        await this.reply(message.chat.id, commandResult.msgSendBack);
+      }
+    } catch (e) {
+      log.error(`Error in processUpdate() of ${utils.getModuleName(module.id)} module: ${e}`);
+    }
+  },
+
+  /**
+   * Checks if a Telegram user is in admin_telegram list. Usernames are case insensitive, and may start with @.
+   * @param {String} username Telegram username without @
+   * @return {Boolean}
+   */
+  isAdmin(username) {
+    if (!username) return false;
+
+    return config.admin_telegram.some((admin) => utils.isStringEqualCI(admin.replace(/^@/, ''), username));
+  },
+
+  /**
+   * Sends a reply to a chat. Long replies are split into several messages.
+   * @param {Number} chatId Telegram chat id
+   * @param {String} text Reply, may include markdown
+   * @return {Promise<void>}
+   */
+  async reply(chatId, text) {
+    const isSent = await notify.sendTelegramMessage(this.methodUrl('sendMessage'), chatId, text);
+
+    if (!isSent) {
+      log.warn(`Telegram bot: Failed to reply '${text}' to chat ${chatId}.`);
+    }
+  },
+
+  /**
+   * Creates Bot API method URL
+   * @param {String} method Like 'getUpdates'
+   * @return {String}
+   */
+  methodUrl(method) {
+    return `${TELEGRAM_API_URL}/bot${config.manageTelegramBotToken}/${method}`;
+  },
+};
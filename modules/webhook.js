@@ -0,0 +1,121 @@
+/**
+ * Generic outgoing webhook for dashboards and incident tools
+ * Posts bot activity events from modules/eventEmitter.js as JSON to webhook.urls.
+ * Each request is signed with HMAC-SHA256 using webhook.secret:
+ *   X-CoinOptimus-Event: order_filled
+ *   X-CoinOptimus-Timestamp: 1710404126000
+ *   X-CoinOptimus-Signature: sha256=<hex HMAC of `${timestamp}.${body}`>
+ * Receivers should compute the same HMAC over the raw body, and reject old timestamps to prevent replays.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('./config/reader');
+const log = require('../helpers/log');
+const utils = require('../helpers/utils');
+const { emitter, events } = require('./eventEmitter');
+
+const WEBHOOK_EVENTS = Object.values(events).filter((event) => event !== events['parameters:update']);
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 3;
+const RETRY_INTERVAL_MS = 2000; // Multiplied by the attempt number
+
+module.exports = {
+  readableModuleName: 'Webhook',
+
+  /**
+   * Subscribes to bot events, if webhook.urls are set
+   * If webhook.events is set, only these events are sent.
+   */
+  init() {
+    const { urls = [], events: eventsToSend = [] } = config.webhook || {};
+
+    if (!urls.length) return;
+
+    if (!config.webhook.secret) {
+      log.warn('Webhook: webhook.secret is not set. Receivers will not be able to verify requests.');
+    }
+
+    WEBHOOK_EVENTS
+        .filter((event) => !eventsToSend.length || eventsToSend.includes(event))
+        .forEach((event) => {
+          emitter.on(event, (data) => {
+            this.send(event, data);
+          });
+        });
+
+    log.log(`Webhook: Sending events to ${urls.length} URL(s).`);
+  },
+
+  /**
+   * Creates an event payload
+   * @param {String} event Event type like 'order_filled'
+   * @param {Object} data Event details
+   * @param {Number} timestamp
+   * @return {Object}
+   */
+  buildPayload(event, data, timestamp) {
+    return {
+      event,
+      timestamp,
+      bot: config.bot_id,
+      exchange: config.exchangeName,
+      pair: config.pair,
+      coin1: config.coin1,
+      coin2: config.coin2,
+      data,
+    };
+  },
+
+  /**
+   * Signs a request body
+   * @param {String} body JSON string to send
+   * @param {Number} timestamp Value of X-CoinOptimus-Timestamp header
+   * @return {String} Value of X-CoinOptimus-Signature header
+   */
+  sign(body, timestamp) {
+    const hmac = crypto.createHmac('sha256', config.webhook.secret || '').update(`${timestamp}.${body}`).digest('hex');
+
+    return `sha256=${hmac}`;
+  },
+
+  /**
+   * Posts an event to all webhook URLs. Retries on network errors and 5xx responses.
+   * @param {String} event Event type like 'order_filled'
+   * @param {Object} data Event details
+   * @return {Promise<void>}
+   */
+  async send(event, data) {
+    try {
+      const timestamp = Date.now();
+      const body = JSON.stringify(this.buildPayload(event, data, timestamp));
+
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-CoinOptimus-Event': event,
+        'X-CoinOptimus-Timestamp': String(timestamp),
+        'X-CoinOptimus-Signature': this.sign(body, timestamp),
+      };
+
+      await Promise.all(config.webhook.urls.map(async (url) => {
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+          try {
+            await axios.post(url, body, { headers, timeout: REQUEST_TIMEOUT_MS });
+            return;
+          } catch (error) {
+            const isRetryable = !error.response || error.response.status >= 500;
+
+            if (!isRetryable || attempt === MAX_ATTEMPTS) {
+              log.warn(`Webhook: Request to ${url} with ${event} event failed. ${error}.`);
+              return;
+            }
+
+            await new Promise((resolve) => setTimeout(resolve, RETRY_INTERVAL_MS * attempt));
+          }
+        }
+      }));
+    } catch (e) {
+      log.error(`Error in send() of ${utils.getModuleName(module.id)} module: ${e}`);
+    }
+  },
+};
@@ -1,4 +1,5 @@
 const { Router } = require('express');
+const requestScheduler = require('../trade/api/request_scheduler');
 
 const router = new Router();
 
@@ -6,4 +7,11 @@ router.get('/ping', (req, res) => {
   res.status(200).send({ timestamp: Date.now() });
 });
 
+/**
+ * Exchange API request counters: per-endpoint requests, errors, retries, and latency
+ */
+router.get('/requests', (req, res) => {
+  res.status(200).send(requestScheduler.getStats());
+});
+
 module.exports = router;
@@ -1,5 +1,5 @@
 const crypto = require('crypto');
-const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 const utils = require('../../helpers/utils');
 
 module.exports = function() {
@@ -15,6 +15,9 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js. Temporary errors are network errors, HTTP 429 and 5xx.
+  const scheduler = requestScheduler.getScheduler('Azbit');
+
   const notValidStatuses = [
     401, // ~Invalid auth, payload, nonce
     429, // Too many requests
@@ -135,7 +138,7 @@ module.exports = function() {
         timeout: 10000,
         headers: DEFAULT_HEADERS,
       };
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, undefined, queryString, urlBase))
           .catch((error) => handleResponse(error, resolve, reject, undefined, queryString, urlBase));
     });
@@ -186,7 +189,7 @@ module.exports = function() {
         data,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, queryString, urlBase))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, queryString, urlBase));
     });
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 const crypto = require('crypto');
 const {
   getParamsString,
@@ -95,6 +96,18 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js
+  const scheduler = requestScheduler.getScheduler('Biconomy', {
+    // Network errors and errors marked as isTemporary in errorCodeDescriptions
+    isTemporary: (responseOrError) => {
+      const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+      const data = responseOrError?.data ?? responseOrError?.response?.data;
+      const httpCodeInfo = httpErrorCodeDescriptions[httpCode] ?? httpErrorCodeDescriptions[httpCode?.toString()[0]];
+
+      return !httpCode || httpCodeInfo?.isTemporary || errorCodeDescriptions[data?.code]?.isTemporary;
+    },
+  });
+
   /**
    * Handles response from API
    * @param {Object} responseOrError
@@ -195,7 +208,7 @@ module.exports = function() {
         data: sortedParamsString,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, url))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, url));
     });
@@ -225,7 +238,7 @@ module.exports = function() {
         },
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, queryString, url))
           .catch((error) => handleResponse(error, resolve, reject, queryString, url));
     });
@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 
 const {
   trimAny,
@@ -22,6 +23,19 @@ const {
  * -1000 UNKNOWN and less.
  */
 
+// Request weights for the REQUEST_WEIGHT limit, https://binance-docs.github.io/apidocs/spot/en/#limits
+// Not listed endpoints weigh 1. Weights for the same path with different methods are taken by the heaviest one.
+const requestWeights = {
+  '/api/v3/account': 20,
+  '/api/v3/openOrders': 6,
+  '/api/v3/order': 4,
+  '/api/v3/ticker/24hr': 2,
+  '/api/v3/depth': 5,
+  '/api/v3/trades': 25,
+  '/api/v3/exchangeInfo': 20,
+  '/sapi/v1/capital/config/getall': 10,
+};
+
 module.exports = function() {
   let WEB_BASE = 'https://api.binance.com'; // Default, may be changed on init
   let config = {
@@ -31,6 +45,13 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js
+  const scheduler = requestScheduler.getScheduler('Binance', {
+    // REQUEST_WEIGHT limit is 6000 per minute. Keep a margin for other bots on the same IP.
+    weightLimit: 4800,
+    intervalMs: 60 * 1000,
+  });
+
   /**
    * Handles response from API
    * @param {Object} responseOrError
@@ -111,7 +132,7 @@ module.exports = function() {
         timeout: 10000,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { weight: requestWeights[path], log })
           .then((response) => handleResponse(response, resolve, reject, queryString, url))
           .catch((error) => handleResponse(error, resolve, reject, queryString, url));
     });
@@ -149,7 +170,36 @@ module.exports = function() {
         httpOptions.params = data;
       }
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { weight: requestWeights[path], log })
+          .then((response) => handleResponse(response, resolve, reject, bodyString, url))
+          .catch((error) => handleResponse(error, resolve, reject, bodyString, url));
+    });
+  }
+
+  /**
+   * Makes a request to an endpoint, which requires API key, but not a signature
+   * @param {String} type Request type: get, post, put, delete
+   * @param {String} path Endpoint
+   * @param {Object} data Request params
+   * @returns {*}
+   */
+  function apiKeyRequest(type, path, data) {
+    const url = `${WEB_BASE}${path}`;
+
+    const bodyString = getParamsString(data);
+
+    return new Promise((resolve, reject) => {
+      const httpOptions = {
+        url,
+        method: type,
+        timeout: 10000,
+        params: data,
+        headers: {
+          'X-MBX-APIKEY': config.apiKey,
+        },
+      };
+
+      scheduler.request(httpOptions, { weight: requestWeights[path], log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, url))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, url));
     });
@@ -367,6 +417,25 @@ module.exports = function() {
     getFees(symbol) {
       return protectedRequest('get', '/sapi/v1/asset/tradeFee', { symbol });
     },
+
+    /**
+     * Start a user data stream. The stream will close after 60 minutes unless a keepalive is sent.
+     * https://binance-docs.github.io/apidocs/spot/en/#listen-key-spot
+     * @returns {Promise<Object>} { listenKey }
+     */
+    createListenKey() {
+      return apiKeyRequest('post', '/api/v3/userDataStream', {});
+    },
+
+    /**
+     * Keepalive a user data stream to prevent a time out. It's recommended to send a ping about every 30 minutes.
+     * https://binance-docs.github.io/apidocs/spot/en/#listen-key-spot
+     * @param {String} listenKey
+     * @returns {Promise<Object>} {}
+     */
+    keepAliveListenKey(listenKey) {
+      return apiKeyRequest('put', '/api/v3/userDataStream', { listenKey });
+    },
   };
 
   return EXCHANGE_API;
@@ -0,0 +1,217 @@
+const socketConnection = require('./socket_connection');
+const socketData = require('./socket_data');
+
+/**
+ * Binance WebSocket streams
+ * Market data: https://binance-docs.github.io/apidocs/spot/en/#websocket-market-streams
+ * User data: https://binance-docs.github.io/apidocs/spot/en/#user-data-streams
+ * - Order book: top 20 levels, pushed every 100 ms
+ * - Ticker: 24hr rolling window statistics, pushed every 1000 ms
+ * - Trades and order updates don't have snapshots. They are synced by seeding with REST results.
+ */
+
+const STREAM_SERVER = 'wss://stream.binance.com:9443';
+const LISTEN_KEY_KEEP_ALIVE_MS = 30 * 60 * 1000;
+
+// Map Binance's order status -> Bot's status
+const orderStatusMap = {
+  NEW: 'new',
+  PARTIALLY_FILLED: 'part_filled',
+  FILLED: 'filled',
+  CANCELED: 'cancelled',
+  PENDING_CANCEL: 'cancelled',
+  REJECTED: 'cancelled',
+  EXPIRED: 'cancelled',
+  EXPIRED_IN_MATCH: 'cancelled',
+};
+
+// Clients are shared between trader instances: one for public data and one per account
+const clients = {};
+
+/**
+ * Returns a socket client for an account, and connects it on the first call
+ * @param {Object} options
+ * @param {Object} options.apiClient Binance API client to get a listen key
+ * @param {String} options.apiKey Account's API key. Not used for public data.
+ * @param {Boolean} options.publicOnly Stream market data only
+ * @param {Object} options.log Logger
+ * @return {Object} { market, account, subscribe(pair) }
+ */
+module.exports = ({ apiClient, apiKey, publicOnly, log }) => {
+  const clientKey = publicOnly ? 'public' : apiKey;
+
+  if (clients[clientKey]) {
+    return clients[clientKey];
+  }
+
+  const subscribedPairs = new Map(); // binance symbol in lowercase -> pair in classic format
+  let lastRequestId = 0;
+  let keepAliveTimer;
+
+  const marketConnection = socketConnection({
+    url: `${STREAM_SERVER}/stream`,
+    name: 'Binance market socket',
+    log,
+    onOpen: () => {
+      for (const symbol of subscribedPairs.keys()) {
+        sendSubscribe(symbol);
+      }
+    },
+    onMessage: processMarketMessage,
+  });
+
+  const market = socketData(marketConnection);
+
+  let accountConnection;
+  let account;
+
+  if (!publicOnly) {
+    accountConnection = socketConnection({
+      url: getUserStreamUrl,
+      name: 'Binance user data socket',
+      log,
+      onMessage: processAccountMessage,
+    });
+
+    account = socketData(accountConnection);
+    accountConnection.connect();
+  }
+
+  /**
+   * Creates a listen key and keeps it alive
+   * @return {Promise<String|undefined>} User data stream URL
+   */
+  async function getUserStreamUrl() {
+    const data = await apiClient.createListenKey();
+
+    if (!data?.listenKey) {
+      log.warn(`Binance user data socket: Unable to create a listen key: ${data?.binanceErrorInfo || 'No details'}.`);
+      return undefined;
+    }
+
+    clearInterval(keepAliveTimer);
+
+    keepAliveTimer = setInterval(() => {
+      apiClient.keepAliveListenKey(data.listenKey).catch((error) => {
+        log.warn(`Binance user data socket: Unable to keep alive a listen key: ${error}.`);
+      });
+    }, LISTEN_KEY_KEEP_ALIVE_MS);
+
+    return `${STREAM_SERVER}/ws/${data.listenKey}`;
+  }
+
+  /**
+   * Subscribes to order book, ticker, and trades streams of a symbol
+   * @param {String} symbol Binance symbol in lowercase as ethusdt
+   */
+  function sendSubscribe(symbol) {
+    marketConnection.send({
+      method: 'SUBSCRIBE',
+      params: [`${symbol}@depth20@100ms`, `${symbol}@ticker`, `${symbol}@trade`],
+      id: ++lastRequestId,
+    });
+  }
+
+  /**
+   * Processes a combined stream message { stream, data }
+   * @param {Object} message
+   */
+  function processMarketMessage(message) {
+    if (!message.stream) {
+      if (message.error) {
+        log.warn(`Binance market socket: Request ${message.id} failed: ${JSON.stringify(message.error)}.`);
+      }
+
+      return; // Subscription results
+    }
+
+    const [symbol, streamType] = message.stream.split('@');
+    const pair = subscribedPairs.get(symbol);
+    const { data } = message;
+
+    if (!pair) {
+      return;
+    }
+
+    if (streamType === 'depth20') {
+      market.setBook(pair, data.bids, data.asks);
+    } else if (streamType === 'ticker') {
+      market.setTicker(pair, {
+        ask: +data.a,
+        bid: +data.b,
+        last: +data.c,
+        volume: +data.v,
+        volumeInCoin2: +data.q,
+        high: +data.h,
+        low: +data.l,
+      });
+    } else if (streamType === 'trade') {
+      market.addTrades(pair, [{
+        coin1Amount: +data.q, // amount in coin1
+        price: +data.p, // trade price
+        coin2Amount: +data.q * +data.p, // quote in coin2
+        date: data.T, // must be as utils.unixTimeStampMs(): 1641121688194 - 1 641 121 688 194
+        type: data.m ? 'buy' : 'sell', // The same as in REST: isBuyerMaker
+        tradeId: data.t?.toString(),
+      }]);
+    }
+  }
+
+  /**
+   * Processes a user data stream event
+   * @param {Object} event
+   */
+  function processAccountMessage(event) {
+    if (event.e === 'executionReport') {
+      const pair = subscribedPairs.get(event.s?.toLowerCase());
+
+      if (!pair) {
+        return; // Orders on other pairs are not tracked
+      }
+
+      account.updateOrder({
+        orderId: event.i?.toString(),
+        symbol: pair,
+        symbolPlain: event.s,
+        price: +event.p,
+        side: event.S.toLowerCase(), // 'buy' or 'sell'
+        type: event.o.toLowerCase(), // 'limit' or 'market'
+        timestamp: event.O,
+        amount: +event.q,
+        amountExecuted: +event.z,
+        amountLeft: +event.q - +event.z,
+        status: orderStatusMap[event.X] ?? 'new',
+      });
+    } else if (event.e === 'listenKeyExpired') {
+      log.log('Binance user data socket: Listen key expired. Reconnecting…');
+      accountConnection.reconnect();
+    }
+  }
+
+  clients[clientKey] = {
+    market,
+    account,
+
+    /**
+     * Starts streaming a pair, if not yet
+     * @param {String} pair In classic format as BTC/USDT
+     */
+    subscribe(pair) {
+      const symbol = pair.replace('/', '').toLowerCase();
+
+      if (subscribedPairs.has(symbol)) {
+        return;
+      }
+
+      subscribedPairs.set(symbol, pair);
+
+      if (marketConnection.isConnected()) {
+        sendSubscribe(symbol);
+      } else if (subscribedPairs.size === 1) {
+        marketConnection.connect();
+      }
+    },
+  };
+
+  return clients[clientKey];
+};
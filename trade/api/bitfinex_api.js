@@ -1,6 +1,7 @@
 /* eslint-disable max-len */
 const crypto = require('crypto');
 const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 const utils = require('../../helpers/utils');
 
 module.exports = function() {
@@ -14,6 +15,9 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js. Temporary errors are network errors, HTTP 429 and 5xx.
+  const scheduler = requestScheduler.getScheduler('Bitfinex');
+
   const handleResponse = (responseOrError, resolve, reject, bodyString, queryString, url) => {
     const data = responseOrError?.data || responseOrError?.response?.data;
     const httpCode = responseOrError?.status || responseOrError?.response?.status;
@@ -111,7 +115,7 @@ module.exports = function() {
           data: type !== 'post' ? undefined : bodyString,
         };
 
-        axios(httpOptions)
+        scheduler.request(httpOptions, { log })
             .then((response) => handleResponse(response, resolve, reject, bodyString, queryString, urlBase))
             .catch((error) => handleResponse(error, resolve, reject, bodyString, queryString, urlBase));
       } catch (err) {
@@ -142,7 +146,7 @@ module.exports = function() {
           timeout: 10000,
         };
 
-        axios(httpOptions)
+        scheduler.request(httpOptions, { log })
             .then((response) => handleResponse(response, resolve, reject, undefined, queryString, urlBase))
             .catch((error) => handleResponse(error, resolve, reject, undefined, queryString, urlBase));
 
@@ -351,6 +355,26 @@ module.exports = function() {
       }, 'get');
     },
 
+    /**
+     * Transfer funds between wallets
+     * @param {String} from Wallet to transfer from: exchange, margin, funding
+     * @param {String} to Wallet to transfer to: exchange, margin, funding
+     * @param {String} currency Like 'UST'
+     * @param {String} amount
+     * @return {Array} [MTS, TYPE, MESSAGE_ID, _PLACEHOLDER, DATA, CODE, STATUS, TEXT]
+     * https://docs.bitfinex.com/reference/rest-auth-transfer
+     */
+    transfer(from, to, currency, amount) {
+      const data = {
+        from,
+        to,
+        currency,
+        amount,
+      };
+
+      return protectedRequest('/auth/w/transfer', data, 'post');
+    },
+
     /**
      * Retrieve your deposit address or generate a new deposit address for a specific currency and wallet
      * @param {String} method Wallet name
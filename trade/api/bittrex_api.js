@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 
 const {
   trimAny,
@@ -31,6 +32,9 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js. Temporary errors are network errors, HTTP 429 and 5xx.
+  const scheduler = requestScheduler.getScheduler('Bittrex');
+
   /**
    * Handles response from API
    * @param {Object} responseOrError
@@ -127,7 +131,7 @@ module.exports = function() {
         httpOptions.params = data;
       }
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, url))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, url));
     });
@@ -153,12 +157,33 @@ module.exports = function() {
         timeout: 10000,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, queryString, url))
           .catch((error) => handleResponse(error, resolve, reject, queryString, url));
     });
   }
 
+  /**
+   * Combines open and closed deposits or withdrawals, as Bittrex lists them with separate endpoints
+   * @param {String} path '/deposits' or '/withdrawals'
+   * @param {String} [coin] As ETH
+   * @param {Number} pageSize Closed records to return
+   * @return {Promise<Array|Object>} Records, or an object with bittrexErrorInfo
+   */
+  async function getFundHistory(path, coin, pageSize) {
+    const openRecords = await protectedRequest('get', `${path}/open`, { currencySymbol: coin });
+    if (!Array.isArray(openRecords)) {
+      return openRecords;
+    }
+
+    const closedRecords = await protectedRequest('get', `${path}/closed`, { currencySymbol: coin, pageSize });
+    if (!Array.isArray(closedRecords)) {
+      return closedRecords;
+    }
+
+    return [...openRecords, ...closedRecords];
+  }
+
   /**
    * Get a hash for a Bittrex request
    * @param {String} payload Data to hash
@@ -409,6 +434,30 @@ module.exports = function() {
     getVolume() {
       return protectedRequest('get', '/account/volume', {});
     },
+
+    /**
+     * List open and closed deposits, open ones first
+     * https://bittrex.github.io/api/v3#operation--deposits-open-get
+     * https://bittrex.github.io/api/v3#operation--deposits-closed-get
+     * @param {String} [coin] As ETH
+     * @param {Number} [pageSize=200] Closed deposits to return. Max: 200
+     * @return {Promise<Array|Object>} Records, or an object with bittrexErrorInfo
+     */
+    getDepositHistory(coin, pageSize = 200) {
+      return getFundHistory('/deposits', coin, pageSize);
+    },
+
+    /**
+     * List open and closed withdrawals, open ones first
+     * https://bittrex.github.io/api/v3#operation--withdrawals-open-get
+     * https://bittrex.github.io/api/v3#operation--withdrawals-closed-get
+     * @param {String} [coin] As ETH
+     * @param {Number} [pageSize=200] Closed withdrawals to return. Max: 200
+     * @return {Promise<Array|Object>} Records, or an object with bittrexErrorInfo
+     */
+    getWithdrawalHistory(coin, pageSize = 200) {
+      return getFundHistory('/withdrawals', coin, pageSize);
+    },
   };
 
   return EXCHANGE_API;
@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 
 const {
   trimAny,
@@ -28,6 +29,9 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js. Temporary errors are network errors, HTTP 429 and 5xx.
+  const scheduler = requestScheduler.getScheduler('Coinstore');
+
   /**
    * Handles response from API
    * @param {Object} responseOrError
@@ -116,7 +120,7 @@ module.exports = function() {
         httpOptions.params = data;
       }
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, url))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, url));
     });
@@ -142,7 +146,7 @@ module.exports = function() {
         timeout: 10000,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, queryString, url))
           .catch((error) => handleResponse(error, resolve, reject, queryString, url));
     });
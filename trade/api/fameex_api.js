@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 
 const {
   trimAny,
@@ -18,6 +19,17 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js
+  const scheduler = requestScheduler.getScheduler('FameEX', {
+    // Network errors, HTTP 429 and 5xx, and errors marked as isTemporary in fameEXErrorCodes
+    isTemporary: (responseOrError) => {
+      const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+      const data = responseOrError?.data ?? responseOrError?.response?.data;
+
+      return !httpCode || httpCode === 429 || httpCode >= 500 || fameEXErrorCodes[data?.code]?.isTemporary;
+    },
+  });
+
   // Error codes: https://fameex-docs.github.io/docs/api/spot/en/#error-message
   // If error isTemporary, bot will reject a response and try again later
   const fameEXErrorCodes = {
@@ -198,7 +210,7 @@ module.exports = function() {
         params: type === 'post' ? undefined : data,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, url))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, url));
     });
@@ -227,7 +239,7 @@ module.exports = function() {
         },
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, queryString, url))
           .catch((error) => handleResponse(error, resolve, reject, queryString, url));
     });
@@ -447,7 +459,7 @@ module.exports = function() {
         limit,
       };
 
-      return publicRequest('get', `/api/${versioning.v2}/trades`, params);
+      return publicRequest('get', `/api${versioning.v2}/trades`, params);
     },
 
     /**
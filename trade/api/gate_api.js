@@ -0,0 +1,528 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
+
+const {
+  trimAny,
+  getParamsString,
+} = require('../../helpers/utils');
+
+/**
+ * Docs: https://www.gate.io/docs/developers/apiv4/en/
+ */
+
+const API_PREFIX = '/api/v4'; // Signed paths include the prefix
+
+/**
+ * Error labels: https://www.gate.io/docs/developers/apiv4/en/#label-list
+ * Gate returns HTTP 2XX on success, and { label, message } with HTTP 4XX or 5XX on error.
+ * isTemporary means that we consider the request is temporary failed and we'll repeat it later with success possibility
+ */
+const errorCodeDescriptions = {
+  INVALID_PARAM_VALUE: {
+    description: 'Invalid parameter value',
+  },
+  INVALID_REQUEST_BODY: {
+    description: 'Invalid request body',
+  },
+  MISSING_REQUIRED_PARAM: {
+    description: 'Missing required parameter',
+  },
+  INVALID_CREDENTIALS: {
+    description: 'Invalid credentials provided',
+  },
+  INVALID_KEY: {
+    description: 'Invalid API Key',
+  },
+  IP_FORBIDDEN: {
+    description: 'Request IP not in whitelist',
+  },
+  READ_ONLY: {
+    description: 'API key is read-only',
+  },
+  INVALID_SIGNATURE: {
+    description: 'Invalid signature',
+  },
+  REQUEST_EXPIRED: {
+    description: 'Request Timestamp is far from the server time',
+    isTemporary: true,
+  },
+  ACCOUNT_LOCKED: {
+    description: 'Account is locked',
+  },
+  FORBIDDEN: {
+    description: 'No permission to perform the request',
+  },
+  INVALID_CURRENCY: {
+    description: 'Invalid currency',
+  },
+  INVALID_CURRENCY_PAIR: {
+    description: 'Invalid currency pair',
+  },
+  INVALID_PRECISION: {
+    description: 'Invalid precision',
+  },
+  ORDER_NOT_FOUND: {
+    description: 'Order not found',
+  },
+  ORDER_CLOSED: {
+    description: 'Order already closed',
+  },
+  ORDER_CANCELLED: {
+    description: 'Order already cancelled',
+  },
+  BALANCE_NOT_ENOUGH: {
+    description: 'Balance not enough',
+  },
+  AMOUNT_TOO_LITTLE: {
+    description: 'Amount is not reaching the minimum',
+  },
+  AMOUNT_TOO_MUCH: {
+    description: 'Amount is exceeding the maximum',
+  },
+  TOO_MANY_ORDERS: {
+    description: 'Too many open orders',
+  },
+  TOO_MANY_REQUESTS: {
+    description: 'Request rate limit exceeded',
+    isTemporary: true,
+  },
+  SERVER_ERROR: {
+    description: 'Internal server error',
+    isTemporary: true,
+  },
+  TOO_BUSY: {
+    description: 'Server is too busy at the moment',
+    isTemporary: true,
+  },
+};
+
+const httpErrorCodeDescriptions = {
+  429: {
+    description: 'Too many requests',
+    isTemporary: true,
+  },
+  500: {
+    description: 'Internal Server Error',
+    isTemporary: true,
+  },
+  502: {
+    description: 'Bad Gateway',
+    isTemporary: true,
+  },
+  503: {
+    description: 'Service Unavailable',
+    isTemporary: true,
+  },
+  504: {
+    description: 'Gateway Timeout',
+    isTemporary: true,
+  },
+};
+
+module.exports = function() {
+  let WEB_BASE = `https://api.gateio.ws${API_PREFIX}`; // Default, may be changed on init
+  let config = {
+    apiKey: '',
+    secret_key: '',
+    tradePwd: '',
+  };
+  let log = {};
+
+  // Shared with other instances, see ./request_scheduler.js
+  const scheduler = requestScheduler.getScheduler('Gate', {
+    // Most of private endpoints allow 200 requests per 10 seconds
+    weightLimit: 150,
+    intervalMs: 10 * 1000,
+    // Network errors and errors marked as isTemporary in errorCodeDescriptions
+    isTemporary: (responseOrError) => {
+      const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+      const data = responseOrError?.data ?? responseOrError?.response?.data;
+
+      return !httpCode || httpErrorCodeDescriptions[httpCode]?.isTemporary || errorCodeDescriptions[data?.label]?.isTemporary;
+    },
+  });
+
+  /**
+   * Handles response from API
+   * @param {Object} responseOrError
+   * @param resolve
+   * @param reject
+   * @param {String} queryString
+   * @param {String} url
+   */
+  const handleResponse = (responseOrError, resolve, reject, queryString, url) => {
+    const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+    const httpMessage = responseOrError?.statusText ?? responseOrError?.response?.statusText;
+
+    const data = responseOrError?.data ?? responseOrError?.response?.data;
+
+    const gateErrorInfo = errorCodeDescriptions[data?.label];
+    const httpCodeInfo = httpErrorCodeDescriptions[httpCode];
+
+    const success = httpCode >= 200 && httpCode < 300 && !data?.label;
+
+    const error = {
+      code: data?.label ?? 'No error code',
+      message: trimAny(data?.message ?? gateErrorInfo?.description ?? '', ' .'),
+    };
+
+    const reqParameters = queryString || '{ No parameters }';
+
+    try {
+      if (success) {
+        resolve(data);
+      } else {
+        const gateErrorInfoString = `[${error.code}] ${error.message || 'No error message'}`;
+        const errorMessage = httpCode ? `${httpCode} ${httpMessage}, ${gateErrorInfoString}` : String(responseOrError);
+
+        if (typeof data === 'object') {
+          data.gateErrorInfo = gateErrorInfoString;
+        }
+
+        if (httpCode && !httpCodeInfo?.isTemporary && !gateErrorInfo?.isTemporary) {
+          log.log(`Gate processed a request to ${url} with data ${reqParameters}, but with error: ${errorMessage}. Resolving…`);
+
+          resolve(data);
+        } else {
+          log.warn(`Request to ${url} with data ${reqParameters} failed. Details: ${errorMessage}. Rejecting…`);
+
+          reject(errorMessage);
+        }
+      }
+    } catch (error) {
+      log.warn(`Error while processing response of request to ${url} with data ${reqParameters}: ${error}. Data object I've got: ${JSON.stringify(data)}.`);
+      reject(`Unable to process data: ${JSON.stringify(data)}. ${error}`);
+    }
+  };
+
+  /**
+   * Makes a request to private (auth) endpoint
+   * GET and DELETE params are sent in a query string, POST params in a JSON body. Both are signed.
+   * @param {String} type Request type: get, post, delete
+   * @param {String} path Endpoint
+   * @param {Object} data Request params
+   * @returns {*}
+   */
+  function protectedRequest(type, path, data) {
+    const isBodyRequest = type === 'post';
+
+    const queryString = isBodyRequest ? '' : getParamsString(data);
+    const bodyString = isBodyRequest ? JSON.stringify(data) : '';
+    const url = `${WEB_BASE}${path}${queryString ? `?${queryString}` : ''}`;
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const bodyHash = crypto.createHash('sha512').update(bodyString).digest('hex');
+    const payload = [type.toUpperCase(), `${API_PREFIX}${path}`, queryString, bodyHash, timestamp].join('\n');
+
+    return new Promise((resolve, reject) => {
+      const httpOptions = {
+        url,
+        method: type,
+        timeout: 10000,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          KEY: config.apiKey,
+          Timestamp: timestamp,
+          SIGN: getSignature(config.secret_key, payload),
+        },
+        data: isBodyRequest ? bodyString : undefined,
+      };
+
+      scheduler.request(httpOptions, { log })
+          .then((response) => handleResponse(response, resolve, reject, queryString || bodyString, url))
+          .catch((error) => handleResponse(error, resolve, reject, queryString || bodyString, url));
+    });
+  }
+
+  /**
+   * Makes a request to public endpoint
+   * @param {String} type Request type: get, post, delete
+   * @param {String} path Endpoint
+   * @param {Object} params Request params
+   * @returns {*}
+   */
+  function publicRequest(type, path, params) {
+    const url = `${WEB_BASE}${path}`;
+
+    const queryString = getParamsString(params);
+
+    return new Promise((resolve, reject) => {
+      const httpOptions = {
+        url,
+        params,
+        method: type,
+        timeout: 10000,
+      };
+
+      scheduler.request(httpOptions, { log })
+          .then((response) => handleResponse(response, resolve, reject, queryString, url))
+          .catch((error) => handleResponse(error, resolve, reject, queryString, url));
+    });
+  }
+
+  /**
+   * Get a signature for a Gate request
+   * @param {String} secret API secret key
+   * @param {String} payload Data to sign
+   * @returns {String}
+   */
+  function getSignature(secret, payload) {
+    return crypto
+        .createHmac('sha512', secret)
+        .update(payload)
+        .digest('hex');
+  }
+
+  const EXCHANGE_API = {
+    setConfig(apiServer, apiKey, secretKey, tradePwd, logger, publicOnly = false) {
+      if (apiServer) {
+        WEB_BASE = apiServer;
+      }
+
+      if (logger) {
+        log = logger;
+      }
+
+      if (!publicOnly) {
+        config = {
+          apiKey,
+          tradePwd,
+          secret_key: secretKey,
+        };
+      }
+    },
+
+    /**
+     * List spot accounts
+     * https://www.gate.io/docs/developers/apiv4/en/#list-spot-accounts
+     * @returns {Promise<[]>} [{ currency, available, locked }]
+     */
+    getBalances() {
+      return protectedRequest('get', '/spot/accounts', {});
+    },
+
+    /**
+     * List open orders on a market
+     * https://www.gate.io/docs/developers/apiv4/en/#list-orders
+     * @param {String} pair In Gate format as ETH_USDT
+     * @param {Number} [page=1]
+     * @param {Number} [limit=100] Max: 100
+     * @returns {Promise<[]>}
+     */
+    getOrders(pair, page = 1, limit = 100) {
+      return protectedRequest('get', '/spot/orders', {
+        currency_pair: pair,
+        status: 'open',
+        page,
+        limit,
+      });
+    },
+
+    /**
+     * Get a single order
+     * https://www.gate.io/docs/developers/apiv4/en/#get-a-single-order
+     * @param {String} orderId Example: '1852454420'
+     * @param {String} pair In Gate format as ETH_USDT
+     * @returns {Promise<Object>}
+     * Order doesn't exist: 404, { label: 'ORDER_NOT_FOUND', message: 'Order not found' }
+     */
+    getOrder(orderId, pair) {
+      return protectedRequest('get', `/spot/orders/${orderId}`, { currency_pair: pair });
+    },
+
+    /**
+     * Create an order
+     * https://www.gate.io/docs/developers/apiv4/en/#create-an-order
+     * @param {String} pair In Gate format as ETH_USDT
+     * @param {String} amount Base coin amount. For market buy orders, it's a quote coin amount.
+     * @param {String} price Order price. Not used for market orders.
+     * @param {String} side 'buy' or 'sell'
+     * @param {String} type 'limit' or 'market'
+     * @returns {Promise<Object>} Order
+     */
+    addOrder(pair, amount, price, side, type) {
+      const data = {
+        currency_pair: pair,
+        type,
+        account: 'spot',
+        side,
+        amount,
+      };
+
+      if (type === 'limit') {
+        data.price = price;
+        data.time_in_force = 'gtc';
+      } else {
+        data.time_in_force = 'ioc';
+      }
+
+      return protectedRequest('post', '/spot/orders', data);
+    },
+
+    /**
+     * Cancel a single order
+     * https://www.gate.io/docs/developers/apiv4/en/#cancel-a-single-order
+     * @param {String} orderId Example: '1852454420'
+     * @param {String} pair In Gate format as ETH_USDT
+     * @returns {Promise<Object>} Order with status 'cancelled'
+     */
+    cancelOrder(orderId, pair) {
+      return protectedRequest('delete', `/spot/orders/${orderId}`, { currency_pair: pair });
+    },
+
+    /**
+     * Cancel all open orders on a market
+     * https://www.gate.io/docs/developers/apiv4/en/#cancel-all-open-orders-in-specified-currency-pair
+     * @param {String} pair In Gate format as ETH_USDT
+     * @param {String} [side] 'buy' or 'sell'. Both sides if not set.
+     * @returns {Promise<[]>} Cancelled orders
+     */
+    cancelAllOrders(pair, side) {
+      return protectedRequest('delete', '/spot/orders', {
+        currency_pair: pair,
+        side,
+        account: 'spot',
+      });
+    },
+
+    /**
+     * Get ticker on a market
+     * https://www.gate.io/docs/developers/apiv4/en/#retrieve-ticker-information
+     * @param {String} pair In Gate format as ETH_USDT
+     * @returns {Promise<[]>} [{ currency_pair, last, lowest_ask, highest_bid, base_volume, quote_volume, high_24h, low_24h }]
+     */
+    ticker(pair) {
+      return publicRequest('get', '/spot/tickers', { currency_pair: pair });
+    },
+
+    /**
+     * Get order book
+     * https://www.gate.io/docs/developers/apiv4/en/#retrieve-order-book
+     * @param {String} pair In Gate format as ETH_USDT
+     * @param {Number} [limit=100] Max: 1000
+     * @returns {Promise<Object>} { id, current, update, asks[], bids[] }
+     */
+    orderBook(pair, limit = 100) {
+      return publicRequest('get', '/spot/order_book', {
+        currency_pair: pair,
+        limit,
+      });
+    },
+
+    /**
+     * Get market trades
+     * https://www.gate.io/docs/developers/apiv4/en/#retrieve-market-trades
+     * @param {String} pair In Gate format as ETH_USDT
+     * @param {Number} [limit=100] Max: 1000
+     * @returns {Promise<[]>} [{ id, create_time_ms, side, amount, price }]
+     */
+    getTradesHistory(pair, limit = 100) {
+      return publicRequest('get', '/spot/trades', {
+        currency_pair: pair,
+        limit,
+      });
+    },
+
+    /**
+     * List all currency pairs
+     * https://www.gate.io/docs/developers/apiv4/en/#list-all-currency-pairs-supported
+     * @returns {Promise<[]>}
+     */
+    markets() {
+      return publicRequest('get', '/spot/currency_pairs', {});
+    },
+
+    /**
+     * List all currencies with their chains
+     * https://www.gate.io/docs/developers/apiv4/en/#list-all-currencies-details
+     * @returns {Promise<[]>}
+     */
+    currencies() {
+      return publicRequest('get', '/spot/currencies', {});
+    },
+
+    /**
+     * Get withdrawal fees and limits of currencies
+     * https://www.gate.io/docs/developers/apiv4/en/#retrieve-withdrawal-status
+     * @param {String} [currency] All currencies if not set
+     * @returns {Promise<[]>} [{ currency, withdraw_fix_on_chains, withdraw_amount_mini, withdraw_eachtime_limit, ... }]
+     */
+    getWithdrawStatus(currency) {
+      return protectedRequest('get', '/wallet/withdraw_status', { currency });
+    },
+
+    /**
+     * Get trading fee rates
+     * https://www.gate.io/docs/developers/apiv4/en/#retrieve-personal-trading-fee
+     * @param {String} [pair] In Gate format as ETH_USDT
+     * @returns {Promise<Object>} { taker_fee, maker_fee, ... }
+     */
+    getFees(pair) {
+      return protectedRequest('get', '/wallet/fee', { currency_pair: pair });
+    },
+
+    /**
+     * Generate currency deposit addresses
+     * https://www.gate.io/docs/developers/apiv4/en/#generate-currency-deposit-address
+     * @param {String} currency As USDT
+     * @returns {Promise<Object>} { currency, address, multichain_addresses[] }
+     */
+    getDepositAddress(currency) {
+      return protectedRequest('get', '/wallet/deposit_address', { currency });
+    },
+
+    /**
+     * Withdraw
+     * https://www.gate.io/docs/developers/apiv4/en/#withdraw
+     * @param {String} currency As USDT
+     * @param {String} amount
+     * @param {String} address Crypto address to withdraw funds to
+     * @param {String} chain As TRX
+     * @param {String} [memo] Address memo or tag
+     * @returns {Promise<Object>} { id, status, ... }
+     */
+    addWithdrawal(currency, amount, address, chain, memo) {
+      return protectedRequest('post', '/withdrawals', {
+        currency,
+        amount,
+        address,
+        chain,
+        memo,
+      });
+    },
+
+    /**
+     * Retrieve withdrawal records
+     * https://www.gate.io/docs/developers/apiv4/en/#retrieve-withdrawal-records
+     * @param {String} [currency] As USDT
+     * @param {Number} [limit=100] Max: 500
+     * @returns {Promise<[]>}
+     */
+    getWithdrawalHistory(currency, limit = 100) {
+      return protectedRequest('get', '/wallet/withdrawals', {
+        currency,
+        limit,
+      });
+    },
+
+    /**
+     * Retrieve deposit records
+     * https://www.gate.io/docs/developers/apiv4/en/#retrieve-deposit-records
+     * @param {String} [currency] As USDT
+     * @param {Number} [limit=100] Max: 500
+     * @returns {Promise<[]>}
+     */
+    getDepositHistory(currency, limit = 100) {
+      return protectedRequest('get', '/wallet/deposits', {
+        currency,
+        limit,
+      });
+    },
+  };
+
+  return EXCHANGE_API;
+};
+
+module.exports.axios = axios; // for setup axios mock adapter
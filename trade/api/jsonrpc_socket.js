@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const socketConnection = require('./socket_connection');
+const socketData = require('./socket_data');
+
+/**
+ * WebSocket API of XeggeX-like exchanges, JSON-RPC 2.0 like. XeggeX and NonKYC run on the same platform.
+ * - Order book and trades: snapshot, then updates
+ * - Ticker: pushed on change
+ * - Reports: snapshot of active orders after subscribing, then order updates. Requires login.
+ * Usage: see ./xeggex_socket.js and ./nonkyc_socket.js
+ */
+
+/**
+ * Creates a socket client factory for an exchange
+ * @param {Object} exchange
+ * @param {String} exchange.name Exchange name for logs, like 'XeggeX'
+ * @param {String} exchange.server Socket server url, like 'wss://api.xeggex.com'
+ * @return {Function} Returns a socket client for an account, see below
+ */
+module.exports = ({ name, server }) => {
+  // Clients are shared between trader instances: one for public data and one per account
+  const clients = {};
+
+  /**
+   * Returns a socket client for an account, and connects it on the first call
+   * @param {Object} options
+   * @param {String} options.apiKey Account's API key. Not used for public data.
+   * @param {String} options.secretKey Account's API secret
+   * @param {Boolean} options.publicOnly Stream market data only
+   * @param {Object} options.orderStatusMap Exchange's order status -> Bot's status
+   * @param {Object} options.log Logger
+   * @return {Object} { market, account, subscribe(pair) }
+   */
+  return ({ apiKey, secretKey, publicOnly, orderStatusMap, log }) => {
+    const clientKey = publicOnly ? 'public' : apiKey;
+
+    if (clients[clientKey]) {
+      return clients[clientKey];
+    }
+
+    const subscribedPairs = new Set(); // Pairs in classic format as BTC/USDT
+    const requests = {}; // id -> method, to log failed requests
+    let lastRequestId = 0;
+
+    const connection = socketConnection({
+      url: server,
+      name: `${name} socket`,
+      log,
+      onOpen: () => {
+        if (!publicOnly) {
+          login();
+        }
+
+        for (const pair of subscribedPairs) {
+          sendSubscribe(pair);
+        }
+      },
+      onMessage: processMessage,
+    });
+
+    // Market data and orders are streamed with the same connection
+    const data = socketData(connection);
+
+    /**
+     * Sends a request
+     * @param {String} method
+     * @param {Object} params
+     */
+    function request(method, params) {
+      const id = ++lastRequestId;
+      requests[id] = method;
+      connection.send({ method, params, id });
+    }
+
+    /**
+     * Authenticates to stream account's orders
+     * Signature is HMAC-SHA256 of a nonce with the API secret
+     */
+    function login() {
+      const nonce = crypto.randomBytes(8).toString('hex');
+
+      request('login', {
+        algo: 'HS256',
+        pKey: apiKey,
+        nonce,
+        signature: crypto.createHmac('sha256', secretKey).update(nonce).digest('hex'),
+      });
+    }
+
+    /**
+     * Subscribes to order book, trades, and ticker of a pair
+     * @param {String} pair In classic format as BTC/USDT
+     */
+    function sendSubscribe(pair) {
+      request('subscribeOrderbook', { symbol: pair, limit: 100 });
+      request('subscribeTrades', { symbol: pair });
+      request('subscribeTicker', { symbol: pair });
+    }
+
+    /**
+     * Converts an order to getOpenOrders() format
+     * @param {Object} order Exchange's order
+     * @return {Object}
+     */
+    function formatOrder(order) {
+      return {
+        orderId: order.id?.toString(),
+        symbol: formatSymbol(order.symbol ?? order.market?.symbol),
+        price: +order.price,
+        side: order.side, // 'buy' or 'sell'
+        type: order.type, // 'limit' or 'market'
+        timestamp: +order.createdAt || Date.parse(order.createdAt),
+        amount: +order.quantity,
+        amountExecuted: +order.executedQuantity,
+        amountLeft: +(order.remainQuantity ?? +order.quantity - +order.executedQuantity),
+        status: orderStatusMap[order.status] ?? 'new',
+      };
+    }
+
+    /**
+     * Processes a response or a notification
+     * @param {Object} message
+     */
+    function processMessage(message) {
+      if (message.id) {
+        const method = requests[message.id];
+        delete requests[message.id];
+
+        if (message.error) {
+          log.warn(`${name} socket: Request ${method} failed: ${JSON.stringify(message.error)}.`);
+        } else if (method === 'login' && message.result) {
+          request('subscribeReports', {});
+        }
+
+        return;
+      }
+
+      const { method, params } = message;
+      const pair = formatSymbol(params?.symbol);
+
+      switch (method) {
+        case 'snapshotOrderbook':
+          data.setBook(pair, formatLevels(params.bids), formatLevels(params.asks));
+          break;
+        case 'updateOrderbook':
+          data.updateBook(pair, formatLevels(params.bids), formatLevels(params.asks));
+          break;
+        case 'snapshotTrades':
+        case 'updateTrades':
+          data.addTrades(pair, params.data.map(formatTrade), method === 'snapshotTrades' ? data.connectionId : undefined);
+          break;
+        case 'ticker':
+          data.setTicker(pair, {
+            ask: +params.ask || undefined,
+            bid: +params.bid || undefined,
+            last: +(params.last ?? params.lastPrice),
+            volume: +params.volume,
+            volumeInCoin2: +(params.volumeQuote ?? params.quoteVolume),
+            high: +params.high,
+            low: +params.low,
+          });
+          break;
+        case 'activeOrders': {
+          const orders = params.map(formatOrder);
+
+          for (const subscribedPair of subscribedPairs) {
+            data.setOpenOrders(subscribedPair, orders.filter((order) => order.symbol === subscribedPair), data.connectionId);
+          }
+          break;
+        }
+        case 'report':
+          data.updateOrder(formatOrder(params));
+          break;
+        default:
+          break;
+      }
+    }
+
+    clients[clientKey] = {
+      market: data,
+      account: publicOnly ? undefined : data,
+
+      /**
+       * Starts streaming a pair, if not yet
+       * @param {String} pair In classic format as BTC/USDT
+       */
+      subscribe(pair) {
+        if (subscribedPairs.has(pair)) {
+          return;
+        }
+
+        subscribedPairs.add(pair);
+
+        if (connection.isConnected()) {
+          sendSubscribe(pair);
+
+          if (!publicOnly) {
+            request('subscribeReports', {}); // Receive active orders snapshot for the new pair
+          }
+        } else if (subscribedPairs.size === 1) {
+          connection.connect();
+        }
+      },
+    };
+
+    return clients[clientKey];
+  };
+};
+
+/**
+ * Returns pair in classic format as BTC/USDT
+ * @param {String} symbol As BTC/USDT or BTC_USDT
+ * @return {String}
+ */
+function formatSymbol(symbol) {
+  return symbol?.replace('_', '/').toUpperCase();
+}
+
+/**
+ * Converts order book levels to [[price, amount]]
+ * @param {Array<Object>} levels [{ price, quantity }]
+ * @return {Array<Array>}
+ */
+function formatLevels(levels = []) {
+  return levels.map((level) => [+level.price, +level.quantity]);
+}
+
+/**
+ * Converts a trade to getTradesHistory() format
+ * @param {Object} trade { id, price, quantity, side, timestamp }
+ * @return {Object}
+ */
+function formatTrade(trade) {
+  return {
+    coin1Amount: +trade.quantity, // amount in coin1
+    price: +trade.price, // trade price
+    coin2Amount: +trade.quantity * +trade.price, // quote in coin2
+    date: +trade.timestamp || Date.parse(trade.timestamp), // must be as utils.unixTimeStampMs(): 1641121688194 - 1 641 121 688 194
+    type: trade.side?.toLowerCase(), // 'buy' or 'sell'
+    tradeId: trade.id?.toString(),
+  };
+}
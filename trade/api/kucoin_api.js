@@ -0,0 +1,542 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
+
+const {
+  trimAny,
+  getParamsString,
+} = require('../../helpers/utils');
+
+/**
+ * Docs: https://www.kucoin.com/docs/beginners/introduction
+ */
+
+/**
+ * Error codes: https://www.kucoin.com/docs/errors/http
+ * KuCoin returns the '200000' code on success. Business errors may come with HTTP 200 or 4XX.
+ * isTemporary means that we consider the request is temporary failed and we'll repeat it later with success possibility
+ */
+const errorCodeDescriptions = {
+  400001: {
+    description: 'Any of KC-API-KEY, KC-API-SIGN, KC-API-TIMESTAMP, KC-API-PASSPHRASE is missing in your request header',
+  },
+  400002: {
+    description: 'KC-API-TIMESTAMP Invalid',
+    details: 'Request timestamp differs from the server time by more than 5 seconds',
+    isTemporary: true,
+  },
+  400003: {
+    description: 'KC-API-KEY not exists',
+  },
+  400004: {
+    description: 'KC-API-PASSPHRASE error',
+    details: 'Check the apipassword config parameter',
+  },
+  400005: {
+    description: 'Signature error',
+  },
+  400006: {
+    description: 'The requested ip address is not in the api whitelist',
+  },
+  400007: {
+    description: 'Access Denied',
+    details: 'Check permissions for API key',
+  },
+  404000: {
+    description: 'Url Not Found',
+  },
+  400100: {
+    description: 'Parameter Error',
+  },
+  400200: {
+    description: 'Forbidden to place an order',
+  },
+  400500: {
+    description: 'Your located country/region is currently not supported for the trading of this token',
+  },
+  400600: {
+    description: 'Symbol is not available',
+  },
+  400700: {
+    description: 'Transaction restricted',
+  },
+  411100: {
+    description: 'User is frozen',
+  },
+  415000: {
+    description: 'Unsupported Media Type',
+  },
+  200004: {
+    description: 'Balance insufficient',
+  },
+  429000: {
+    description: 'Too Many Requests',
+    details: 'Request frequency exceeds the resource pool limit, or the server is overloaded',
+    isTemporary: true,
+  },
+  500000: {
+    description: 'Internal Server Error',
+    isTemporary: true,
+  },
+  900001: {
+    description: 'Symbol not exists',
+  },
+};
+
+const httpErrorCodeDescriptions = {
+  429: {
+    description: 'Too Many Requests',
+    isTemporary: true,
+  },
+  500: {
+    description: 'Internal Server Error',
+    isTemporary: true,
+  },
+  502: {
+    description: 'Bad Gateway',
+    isTemporary: true,
+  },
+  503: {
+    description: 'Service Unavailable',
+    isTemporary: true,
+  },
+  504: {
+    description: 'Gateway Timeout',
+    isTemporary: true,
+  },
+};
+
+// Request weights for the Spot and Public resource pools, https://www.kucoin.com/docs/basic-info/request-rate-limit/rest-api
+// Not listed endpoints weigh 1. Weights for the same path with different methods are taken by the heaviest one.
+const requestWeights = {
+  '/api/v1/accounts': 5,
+  '/api/v2/accounts/inner-transfer': 10,
+  '/api/v1/orders': 2,
+  '/api/v1/market/stats': 15,
+  '/api/v1/market/orderbook/level2_100': 4,
+  '/api/v1/market/histories': 3,
+  '/api/v2/symbols': 4,
+  '/api/v3/currencies': 3,
+  '/api/v1/trade-fees': 3,
+  '/api/v1/withdrawals': 20,
+  '/api/v1/deposits': 5,
+  '/api/v2/deposit-addresses': 5,
+};
+
+module.exports = function() {
+  let WEB_BASE = 'https://api.kucoin.com'; // Default, may be changed on init
+  let config = {
+    apiKey: '',
+    secret_key: '',
+    tradePwd: '',
+  };
+  let log = {};
+
+  // Shared with other instances, see ./request_scheduler.js
+  const scheduler = requestScheduler.getScheduler('KuCoin', {
+    // Spot resource pool is 4000 per 30 seconds for VIP 0. Keep a margin for other bots on the same account.
+    weightLimit: 3000,
+    intervalMs: 30 * 1000,
+    // Network errors and errors marked as isTemporary in error code tables
+    isTemporary: (responseOrError) => {
+      const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+      const data = responseOrError?.data ?? responseOrError?.response?.data;
+
+      return !httpCode || httpErrorCodeDescriptions[httpCode]?.isTemporary || errorCodeDescriptions[data?.code]?.isTemporary;
+    },
+  });
+
+  /**
+   * Handles response from API
+   * @param {Object} responseOrError
+   * @param resolve
+   * @param reject
+   * @param {String} queryString
+   * @param {String} url
+   */
+  const handleResponse = (responseOrError, resolve, reject, queryString, url) => {
+    const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+    const httpMessage = responseOrError?.statusText ?? responseOrError?.response?.statusText;
+
+    const data = responseOrError?.data ?? responseOrError?.response?.data;
+
+    const kucoinErrorInfo = errorCodeDescriptions[data?.code];
+    const httpCodeInfo = httpErrorCodeDescriptions[httpCode];
+
+    const success = httpCode === 200 && data?.code === '200000';
+
+    const error = {
+      code: data?.code ?? 'No error code',
+      message: trimAny(data?.msg ?? kucoinErrorInfo?.description ?? '', ' .'),
+      details: trimAny(kucoinErrorInfo?.details ?? '', ' .'),
+    };
+
+    const reqParameters = queryString || '{ No parameters }';
+
+    try {
+      if (success) {
+        resolve(data.data);
+      } else {
+        const kucoinErrorInfoString = `[${error.code}] ${error.message || 'No error message'}${error.details ? ` (${error.details})` : ''}`;
+        const errorMessage = httpCode ? `${httpCode} ${httpMessage}, ${kucoinErrorInfoString}` : String(responseOrError);
+
+        if (typeof data === 'object') {
+          data.kucoinErrorInfo = kucoinErrorInfoString;
+        }
+
+        if (httpCode && !httpCodeInfo?.isTemporary && !kucoinErrorInfo?.isTemporary) {
+          log.log(`KuCoin processed a request to ${url} with data ${reqParameters}, but with error: ${errorMessage}. Resolving…`);
+
+          resolve(data);
+        } else {
+          log.warn(`Request to ${url} with data ${reqParameters} failed. Details: ${errorMessage}. Rejecting…`);
+
+          reject(errorMessage);
+        }
+      }
+    } catch (error) {
+      log.warn(`Error while processing response of request to ${url} with data ${reqParameters}: ${error}. Data object I've got: ${JSON.stringify(data)}.`);
+      reject(`Unable to process data: ${JSON.stringify(data)}. ${error}`);
+    }
+  };
+
+  /**
+   * Makes a request to private (auth) endpoint
+   * GET and DELETE params are sent in a query string, POST params in a JSON body. Both are signed.
+   * @param {String} type Request type: get, post, delete
+   * @param {String} path Endpoint
+   * @param {Object} data Request params
+   * @returns {*}
+   */
+  function protectedRequest(type, path, data) {
+    const queryString = getParamsString(data);
+    const isBodyRequest = type === 'post';
+
+    const endpoint = !isBodyRequest && queryString ? `${path}?${queryString}` : path;
+    const url = `${WEB_BASE}${endpoint}`;
+    const bodyString = isBodyRequest ? JSON.stringify(data) : '';
+
+    const timestamp = Date.now().toString();
+    const sign = getSignature(config.secret_key, `${timestamp}${type.toUpperCase()}${endpoint}${bodyString}`);
+
+    return new Promise((resolve, reject) => {
+      const httpOptions = {
+        url,
+        method: type,
+        timeout: 10000,
+        headers: {
+          'Content-Type': 'application/json',
+          'KC-API-KEY': config.apiKey,
+          'KC-API-SIGN': sign,
+          'KC-API-TIMESTAMP': timestamp,
+          'KC-API-PASSPHRASE': getSignature(config.secret_key, config.tradePwd),
+          'KC-API-KEY-VERSION': '2',
+        },
+        data: isBodyRequest ? bodyString : undefined,
+      };
+
+      scheduler.request(httpOptions, { weight: requestWeights[path], log })
+          .then((response) => handleResponse(response, resolve, reject, queryString, url))
+          .catch((error) => handleResponse(error, resolve, reject, queryString, url));
+    });
+  }
+
+  /**
+   * Makes a request to public endpoint
+   * @param {String} type Request type: get, post, delete
+   * @param {String} path Endpoint
+   * @param {Object} params Request params
+   * @returns {*}
+   */
+  function publicRequest(type, path, params) {
+    const url = `${WEB_BASE}${path}`;
+
+    const queryString = getParamsString(params);
+
+    return new Promise((resolve, reject) => {
+      const httpOptions = {
+        url,
+        params,
+        method: type,
+        timeout: 10000,
+      };
+
+      scheduler.request(httpOptions, { weight: requestWeights[path], log })
+          .then((response) => handleResponse(response, resolve, reject, queryString, url))
+          .catch((error) => handleResponse(error, resolve, reject, queryString, url));
+    });
+  }
+
+  /**
+   * Get a signature for a KuCoin request. With API key version 2, the passphrase is signed as well.
+   * @param {String} secret API secret key
+   * @param {String} payload Data to sign
+   * @returns {String}
+   */
+  function getSignature(secret, payload) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(payload)
+        .digest('base64');
+  }
+
+  const EXCHANGE_API = {
+    setConfig(apiServer, apiKey, secretKey, tradePwd, logger, publicOnly = false) {
+      if (apiServer) {
+        WEB_BASE = apiServer;
+      }
+
+      if (logger) {
+        log = logger;
+      }
+
+      if (!publicOnly) {
+        config = {
+          apiKey,
+          tradePwd,
+          secret_key: secretKey,
+        };
+      }
+    },
+
+    /**
+     * List accounts of a type
+     * https://www.kucoin.com/docs/rest/account/basic-info/get-account-list-spot-margin-trade_hf
+     * @param {String} [type] 'main' for Funding account, 'trade' for Spot account, 'margin'. All types if not set.
+     * @return {Promise<[]>} [{ id, currency, type, balance, available, holds }]
+     */
+    getBalances(type) {
+      return protectedRequest('get', '/api/v1/accounts', type ? { type } : {});
+    },
+
+    /**
+     * Transfer funds between accounts of the user
+     * https://www.kucoin.com/docs/rest/funding/transfer/inner-transfer
+     * @param {String} coin As USDT
+     * @param {String} amount
+     * @param {String} from 'main', 'trade', or 'margin'
+     * @param {String} to 'main', 'trade', or 'margin'
+     * @return {Promise<Object>} { orderId }
+     */
+    transfer(coin, amount, from, to) {
+      const data = {
+        clientOid: crypto.randomUUID(),
+        currency: coin,
+        amount,
+        from,
+        to,
+      };
+
+      return protectedRequest('post', '/api/v2/accounts/inner-transfer', data);
+    },
+
+    /**
+     * List active orders
+     * https://www.kucoin.com/docs/rest/spot-trading/orders/get-order-list
+     * @param {String} symbol In KuCoin format as ETH-USDT
+     * @param {Number} [currentPage=1]
+     * @param {Number} [pageSize=500] Max: 500
+     * @return {Promise<Object>} { currentPage, pageSize, totalNum, totalPage, items[] }
+     */
+    getOrders(symbol, currentPage = 1, pageSize = 500) {
+      const params = {
+        status: 'active',
+        symbol,
+        currentPage,
+        pageSize,
+      };
+
+      return protectedRequest('get', '/api/v1/orders', params);
+    },
+
+    /**
+     * Get an order by id
+     * https://www.kucoin.com/docs/rest/spot-trading/orders/get-order-details-by-orderid
+     * @param {String} orderId Example: '5c35c02703aa673ceec2a168'
+     * @return {Promise<Object>}
+     * Order doesn't exist: 404, { code: '400100', msg: 'order not exist.' }
+     */
+    getOrder(orderId) {
+      return protectedRequest('get', `/api/v1/orders/${orderId}`, {});
+    },
+
+    /**
+     * Place an order
+     * https://www.kucoin.com/docs/rest/spot-trading/orders/place-order
+     * @param {String} symbol In KuCoin format as ETH-USDT
+     * @param {String} amount Base coin amount
+     * @param {String} quoteAmount Quote coin amount. For market orders only, when amount is not set.
+     * @param {String} price Order price
+     * @param {String} side 'buy' or 'sell'
+     * @param {String} type 'limit' or 'market'
+     * @return {Promise<Object>} { orderId }
+     */
+    addOrder(symbol, amount, quoteAmount, price, side, type) {
+      const data = {
+        clientOid: crypto.randomUUID(),
+        side,
+        symbol,
+        type,
+      };
+
+      if (type === 'limit') {
+        data.price = price;
+        data.size = amount;
+      } else if (amount) {
+        data.size = amount;
+      } else {
+        data.funds = quoteAmount;
+      }
+
+      return protectedRequest('post', '/api/v1/orders', data);
+    },
+
+    /**
+     * Cancel an order
+     * https://www.kucoin.com/docs/rest/spot-trading/orders/cancel-order-by-orderid
+     * @param {String} orderId Example: '5c35c02703aa673ceec2a168'
+     * @return {Promise<Object>} { cancelledOrderIds[] }
+     */
+    cancelOrder(orderId) {
+      return protectedRequest('delete', `/api/v1/orders/${orderId}`, {});
+    },
+
+    /**
+     * Cancel all orders on a market
+     * https://www.kucoin.com/docs/rest/spot-trading/orders/cancel-all-orders
+     * @param {String} symbol In KuCoin format as ETH-USDT
+     * @return {Promise<Object>} { cancelledOrderIds[] }
+     */
+    cancelAllOrders(symbol) {
+      return protectedRequest('delete', '/api/v1/orders', { symbol });
+    },
+
+    /**
+     * Get 24h market statistics
+     * https://www.kucoin.com/docs/rest/spot-trading/market-data/get-24hr-stats
+     * @param {String} symbol In KuCoin format as ETH-USDT
+     * @return {Promise<Object>} { symbol, buy, sell, high, low, vol, volValue, last, ... }
+     */
+    ticker(symbol) {
+      return publicRequest('get', '/api/v1/market/stats', { symbol });
+    },
+
+    /**
+     * Get market depth, 100 levels on each side
+     * https://www.kucoin.com/docs/rest/spot-trading/market-data/get-part-order-book-aggregated-
+     * @param {String} symbol In KuCoin format as ETH-USDT
+     * @return {Promise<Object>} { time, sequence, bids[], asks[] }
+     */
+    orderBook(symbol) {
+      return publicRequest('get', '/api/v1/market/orderbook/level2_100', { symbol });
+    },
+
+    /**
+     * Get last 100 trades
+     * https://www.kucoin.com/docs/rest/spot-trading/market-data/get-trade-histories
+     * @param {String} symbol In KuCoin format as ETH-USDT
+     * @return {Promise<[]>} [{ sequence, price, size, side, time }], time is in nanoseconds
+     */
+    getTradesHistory(symbol) {
+      return publicRequest('get', '/api/v1/market/histories', { symbol });
+    },
+
+    /**
+     * Get info on all markets
+     * https://www.kucoin.com/docs/rest/spot-trading/market-data/get-symbols-list
+     * @return {Promise<[]>}
+     */
+    markets() {
+      return publicRequest('get', '/api/v2/symbols', {});
+    },
+
+    /**
+     * Get info on all currencies with their chains
+     * https://www.kucoin.com/docs/rest/spot-trading/market-data/get-currency-list
+     * @return {Promise<[]>}
+     */
+    currencies() {
+      return publicRequest('get', '/api/v3/currencies', {});
+    },
+
+    /**
+     * Get trading fees for up to 10 markets
+     * https://www.kucoin.com/docs/rest/funding/trade-fee/trading-pair-actual-fee-spot-margin-trade_hf
+     * @param {String} symbols In KuCoin format as ETH-USDT, comma separated
+     * @return {Promise<[]>} [{ symbol, takerFeeRate, makerFeeRate }]
+     */
+    getFees(symbols) {
+      return protectedRequest('get', '/api/v1/trade-fees', { symbols });
+    },
+
+    /**
+     * Get deposit addresses for all chains of a currency
+     * https://www.kucoin.com/docs/rest/funding/deposit/get-deposit-addresses-v2-
+     * @param {String} coin As USDT
+     * @return {Promise<[]>} [{ address, memo, chain, contractAddress }]
+     */
+    getDepositAddress(coin) {
+      return protectedRequest('get', '/api/v2/deposit-addresses', { currency: coin });
+    },
+
+    /**
+     * Create a deposit address
+     * https://www.kucoin.com/docs/rest/funding/deposit/create-deposit-address
+     * @param {String} coin As USDT
+     * @param {String} chain As ERC20, TRC20
+     * @return {Promise<Object>} { address, memo, chain }
+     */
+    createDepositAddress(coin, chain) {
+      return protectedRequest('post', '/api/v1/deposit-addresses', { currency: coin, chain });
+    },
+
+    /**
+     * Withdraw funds. KuCoin takes them from the main (Funding) account.
+     * https://www.kucoin.com/docs/rest/funding/withdrawals/apply-withdraw
+     * @param {String} coin As USDT
+     * @param {String} amount Amount to receive. The fee is deducted from the rest of the balance.
+     * @param {String} address Crypto address to withdraw funds to
+     * @param {String} [chain] As ERC20, TRC20. Default chain of a currency if not set.
+     * @param {String} [memo] Address memo or tag
+     * @return {Promise<Object>} { withdrawalId }
+     */
+    addWithdrawal(coin, amount, address, chain, memo) {
+      const data = {
+        currency: coin,
+        address,
+        amount,
+        chain,
+        memo,
+        feeDeductType: 'EXTERNAL',
+      };
+
+      return protectedRequest('post', '/api/v1/withdrawals', data);
+    },
+
+    /**
+     * List withdrawals
+     * https://www.kucoin.com/docs/rest/funding/withdrawals/get-withdrawals-list
+     * @param {String} [coin] As USDT
+     * @param {Number} [pageSize=500] Max: 500
+     * @return {Promise<Object>} { currentPage, pageSize, totalNum, totalPage, items[] }
+     */
+    getWithdrawalHistory(coin, pageSize = 500) {
+      return protectedRequest('get', '/api/v1/withdrawals', { currency: coin, pageSize });
+    },
+
+    /**
+     * List deposits
+     * https://www.kucoin.com/docs/rest/funding/deposit/get-deposit-list
+     * @param {String} [coin] As USDT
+     * @param {Number} [pageSize=500] Max: 500
+     * @return {Promise<Object>} { currentPage, pageSize, totalNum, totalPage, items[] }
+     */
+    getDepositHistory(coin, pageSize = 500) {
+      return protectedRequest('get', '/api/v1/deposits', { currency: coin, pageSize });
+    },
+  };
+
+  return EXCHANGE_API;
+};
+
+module.exports.axios = axios; // for setup axios mock adapter
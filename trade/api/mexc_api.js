@@ -0,0 +1,503 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
+
+const {
+  trimAny,
+  getParamsString,
+} = require('../../helpers/utils');
+
+/**
+ * Docs: https://mexcdevelop.github.io/apidocs/spot_v3_en/
+ * MEXC's spot v3 API is Binance-like: signed params go in a query string, and errors come as { code, msg }.
+ */
+
+/**
+ * Error codes: https://mexcdevelop.github.io/apidocs/spot_v3_en/#error-code
+ * isTemporary means that we consider the request is temporary failed and we'll repeat it later with success possibility
+ */
+const errorCodeDescriptions = {
+  '-2011': {
+    description: 'Unknown order sent',
+  },
+  '-2013': {
+    description: 'Order does not exist',
+  },
+  400: {
+    description: 'API key required',
+  },
+  401: {
+    description: 'No authority',
+  },
+  403: {
+    description: 'Access Denied',
+  },
+  429: {
+    description: 'Too Many Requests',
+    isTemporary: true,
+  },
+  500: {
+    description: 'Internal error',
+    isTemporary: true,
+  },
+  503: {
+    description: 'Service is not available, please try again',
+    isTemporary: true,
+  },
+  504: {
+    description: 'Gateway Time-out',
+    isTemporary: true,
+  },
+  602: {
+    description: 'Signature verification failed',
+  },
+  10007: {
+    description: 'Symbol not support api',
+  },
+  10072: {
+    description: 'Invalid access key',
+  },
+  10101: {
+    description: 'Insufficient balance',
+  },
+  30002: {
+    description: 'Minimum transaction volume cannot be less than the limit',
+  },
+  30004: {
+    description: 'Insufficient position',
+  },
+  30005: {
+    description: 'Oversold',
+  },
+  30016: {
+    description: 'Trading disabled',
+  },
+  30019: {
+    description: 'Orders count over max limit',
+  },
+  700002: {
+    description: 'Signature for this request is not valid',
+  },
+  700003: {
+    description: 'Timestamp for this request is outside of the recvWindow',
+    isTemporary: true,
+  },
+};
+
+// Request weights, https://mexcdevelop.github.io/apidocs/spot_v3_en/#limits
+// Not listed endpoints weigh 1. Weights for the same path with different methods are taken by the heaviest one.
+const requestWeights = {
+  '/api/v3/account': 10,
+  '/api/v3/openOrders': 3,
+  '/api/v3/order': 2,
+  '/api/v3/trades': 5,
+  '/api/v3/exchangeInfo': 10,
+  '/api/v3/capital/config/getall': 10,
+  '/api/v3/capital/deposit/address': 10,
+  '/api/v3/capital/deposit/hisrec': 10,
+  '/api/v3/capital/withdraw/history': 10,
+};
+
+module.exports = function() {
+  let WEB_BASE = 'https://api.mexc.com'; // Default, may be changed on init
+  let config = {
+    apiKey: '',
+    secret_key: '',
+    tradePwd: '',
+  };
+  let log = {};
+
+  // Shared with other instances, see ./request_scheduler.js
+  const scheduler = requestScheduler.getScheduler('MEXC', {
+    // Each endpoint allows 500 weight per 10 seconds. Keep a margin for other bots on the same IP.
+    weightLimit: 400,
+    intervalMs: 10 * 1000,
+    // Network errors and errors marked as isTemporary in errorCodeDescriptions
+    isTemporary: (responseOrError) => {
+      const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+      const data = responseOrError?.data ?? responseOrError?.response?.data;
+
+      return !httpCode || httpCode >= 500 ||
+          errorCodeDescriptions[httpCode]?.isTemporary || errorCodeDescriptions[data?.code]?.isTemporary;
+    },
+  });
+
+  /**
+   * Handles response from API
+   * @param {Object} responseOrError
+   * @param resolve
+   * @param reject
+   * @param {String} queryString
+   * @param {String} url
+   */
+  const handleResponse = (responseOrError, resolve, reject, queryString, url) => {
+    const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+    const httpMessage = responseOrError?.statusText ?? responseOrError?.response?.statusText;
+
+    const data = responseOrError?.data ?? responseOrError?.response?.data;
+
+    // MEXC doesn't return any special status code on success. Some endpoints return { code: 200, data } or { code: 0 }.
+    const success = httpCode === 200 && (!data?.code || data.code === 200);
+
+    const mexcErrorInfo = errorCodeDescriptions[data?.code];
+    const httpCodeInfo = errorCodeDescriptions[httpCode];
+
+    const error = {
+      code: data?.code ?? 'No error code',
+      message: trimAny(data?.msg ?? mexcErrorInfo?.description ?? '', ' .'),
+    };
+
+    const reqParameters = queryString || '{ No parameters }';
+
+    try {
+      if (success) {
+        resolve(data);
+      } else {
+        const mexcErrorInfoString = `[${error.code}] ${error.message || 'No error message'}`;
+        const errorMessage = httpCode ? `${httpCode} ${httpMessage}, ${mexcErrorInfoString}` : String(responseOrError);
+
+        if (typeof data === 'object') {
+          data.mexcErrorInfo = mexcErrorInfoString;
+        }
+
+        if (httpCode && httpCode < 500 && !httpCodeInfo?.isTemporary && !mexcErrorInfo?.isTemporary) {
+          log.log(`MEXC processed a request to ${url} with data ${reqParameters}, but with error: ${errorMessage}. Resolving…`);
+
+          resolve(data);
+        } else {
+          log.warn(`Request to ${url} with data ${reqParameters} failed. Details: ${errorMessage}. Rejecting…`);
+
+          reject(errorMessage);
+        }
+      }
+    } catch (error) {
+      log.warn(`Error while processing response of request to ${url} with data ${reqParameters}: ${error}. Data object I've got: ${JSON.stringify(data)}.`);
+      reject(`Unable to process data: ${JSON.stringify(data)}. ${error}`);
+    }
+  };
+
+  /**
+   * Makes a request to public endpoint
+   * @param {String} type Request type: get, post, delete
+   * @param {String} path Endpoint
+   * @param {Object} params Request params
+   * @returns {*}
+   */
+  function publicRequest(type, path, params) {
+    const url = `${WEB_BASE}${path}`;
+
+    const queryString = getParamsString(params);
+
+    return new Promise((resolve, reject) => {
+      const httpOptions = {
+        url,
+        params,
+        method: type,
+        timeout: 10000,
+      };
+
+      scheduler.request(httpOptions, { weight: requestWeights[path], log })
+          .then((response) => handleResponse(response, resolve, reject, queryString, url))
+          .catch((error) => handleResponse(error, resolve, reject, queryString, url));
+    });
+  }
+
+  /**
+   * Makes a request to private (auth) endpoint
+   * Params of all request types are sent in a signed query string
+   * @param {String} type Request type: get, post, delete
+   * @param {String} path Endpoint
+   * @param {Object} data Request params
+   * @returns {*}
+   */
+  function protectedRequest(type, path, data) {
+    data.timestamp = Date.now();
+
+    const payload = getParamsString(data);
+    const queryString = `${payload}&signature=${getSignature(config.secret_key, payload)}`;
+    const url = `${WEB_BASE}${path}`;
+
+    return new Promise((resolve, reject) => {
+      const httpOptions = {
+        url: `${url}?${queryString}`,
+        method: type,
+        timeout: 10000,
+        headers: {
+          'X-MEXC-APIKEY': config.apiKey,
+          'Content-Type': 'application/json',
+        },
+      };
+
+      scheduler.request(httpOptions, { weight: requestWeights[path], log })
+          .then((response) => handleResponse(response, resolve, reject, payload, url))
+          .catch((error) => handleResponse(error, resolve, reject, payload, url));
+    });
+  }
+
+  /**
+   * Get a signature for a MEXC request
+   * @param {String} secret API secret key
+   * @param {String} payload Data to sign
+   * @returns {String}
+   */
+  function getSignature(secret, payload) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(payload)
+        .digest('hex');
+  }
+
+  const EXCHANGE_API = {
+    setConfig(apiServer, apiKey, secretKey, tradePwd, logger, publicOnly = false) {
+      if (apiServer) {
+        WEB_BASE = apiServer;
+      }
+
+      if (logger) {
+        log = logger;
+      }
+
+      if (!publicOnly) {
+        config = {
+          apiKey,
+          tradePwd,
+          secret_key: secretKey,
+        };
+      }
+    },
+
+    /**
+     * Get account information
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#account-information
+     * @returns {Promise<Object>} { balances[], canTrade, canWithdraw, canDeposit, accountType, permissions[], ... }
+     */
+    getBalances() {
+      return protectedRequest('get', '/api/v3/account', {});
+    },
+
+    /**
+     * Query account active orders
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#current-open-orders
+     * @param {String} symbol In MEXC format as ETHUSDT
+     * @return {Promise<[]>}
+     */
+    getOrders(symbol) {
+      return protectedRequest('get', '/api/v3/openOrders', { symbol });
+    },
+
+    /**
+     * Places an order
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#new-order
+     * @param {String} symbol In MEXC format as ETHUSDT
+     * @param {String} amount Base coin amount
+     * @param {String} quoteAmount Quote coin amount. For market orders only, when amount is not set.
+     * @param {String} price Order price
+     * @param {String} side 'buy' or 'sell'
+     * @param {String} type 'limit' or 'market'
+     * @returns {Promise<Object>} { symbol, orderId, price, origQty, type, side, transactTime }
+     */
+    addOrder(symbol, amount, quoteAmount, price, side, type) {
+      const data = {
+        symbol,
+        side: side.toUpperCase(),
+        type: type.toUpperCase(),
+      };
+
+      if (type === 'limit') {
+        data.price = price;
+        data.quantity = amount;
+      } else if (amount) {
+        data.quantity = amount;
+      } else {
+        data.quoteOrderQty = quoteAmount;
+      }
+
+      return protectedRequest('post', '/api/v3/order', data);
+    },
+
+    /**
+     * Get order status
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#query-order
+     * @param {String} orderId Example: 'C02__443776347957968896'
+     * @param {String} symbol In MEXC format as ETHUSDT
+     * @returns {Promise<Object>} { orderId, status, ... }
+     * Order doesn't exist: 400, { code: -2013, msg: 'Order does not exist.' }
+     */
+    getOrder(orderId, symbol) {
+      return protectedRequest('get', '/api/v3/order', {
+        symbol,
+        orderId,
+      });
+    },
+
+    /**
+     * Cancel an order
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#cancel-order
+     * @param {String} orderId Example: 'C02__443776347957968896'
+     * @param {String} symbol In MEXC format as ETHUSDT
+     * @returns {Promise<Object>} { orderId, status: 'CANCELED', ... }
+     */
+    cancelOrder(orderId, symbol) {
+      return protectedRequest('delete', '/api/v3/order', {
+        symbol,
+        orderId,
+      });
+    },
+
+    /**
+     * Cancel all open orders on a symbol
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#cancel-all-open-orders-on-a-symbol
+     * @param {String} symbol In MEXC format as ETHUSDT
+     * @returns {Promise<[]>} [{ orderId, status: 'CANCELED', ... }]
+     */
+    cancelAllOrders(symbol) {
+      return protectedRequest('delete', '/api/v3/openOrders', { symbol });
+    },
+
+    /**
+     * Get 24hr ticker price change statistics
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#24hr-ticker-price-change-statistics
+     * @param {String} symbol In MEXC format as ETHUSDT
+     * @returns {Promise<Object>}
+     */
+    ticker(symbol) {
+      return publicRequest('get', '/api/v3/ticker/24hr', { symbol });
+    },
+
+    /**
+     * Get market depth
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#order-book
+     * @param {String} symbol In MEXC format as ETHUSDT
+     * @param {Number} [limit=100] Max: 5000
+     * @returns {Promise<Object>} { lastUpdateId, bids[], asks[] }
+     */
+    orderBook(symbol, limit = 100) {
+      return publicRequest('get', '/api/v3/depth', {
+        symbol,
+        limit,
+      });
+    },
+
+    /**
+     * Get recent trades
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#recent-trades-list
+     * @param {String} symbol In MEXC format as ETHUSDT
+     * @param {Number} [limit=500] Max: 1000
+     * @returns {Promise<[]>} [{ id, price, qty, quoteQty, time, isBuyerMaker, tradeType }]
+     */
+    getTradesHistory(symbol, limit = 500) {
+      return publicRequest('get', '/api/v3/trades', {
+        symbol,
+        limit,
+      });
+    },
+
+    /**
+     * Get info on all markets
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#exchange-information
+     * @returns {Promise<Object>} { timezone, serverTime, symbols[] }
+     */
+    markets() {
+      return publicRequest('get', '/api/v3/exchangeInfo', {});
+    },
+
+    /**
+     * Get account trading fees for a market
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#query-symbol-commission
+     * @param {String} symbol In MEXC format as ETHUSDT
+     * @returns {Promise<Object>} { data: { makerCommission, takerCommission }, code, msg }
+     */
+    getFees(symbol) {
+      return protectedRequest('get', '/api/v3/tradeFee', { symbol });
+    },
+
+    /**
+     * Get information of coins with their networks
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#query-the-currency-information
+     * @returns {Promise<[]>} [{ coin, name, networkList[] }]
+     */
+    getCurrencies() {
+      return protectedRequest('get', '/api/v3/capital/config/getall', {});
+    },
+
+    /**
+     * Get deposit addresses of a coin
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#deposit-address-supporting-network
+     * @param {String} coin As USDT
+     * @param {String} [network] As TRX. All networks if not set.
+     * @returns {Promise<[]>} [{ coin, network, address, memo }]
+     */
+    getDepositAddress(coin, network) {
+      return protectedRequest('get', '/api/v3/capital/deposit/address', {
+        coin,
+        network,
+      });
+    },
+
+    /**
+     * Generate a deposit address
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#generate-deposit-address-supporting-network
+     * @param {String} coin As USDT
+     * @param {String} network As TRX
+     * @returns {Promise<Object>} { coin, network, address, memo }
+     */
+    createDepositAddress(coin, network) {
+      return protectedRequest('post', '/api/v3/capital/deposit/address', {
+        coin,
+        network,
+      });
+    },
+
+    /**
+     * Withdraw
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#withdraw-new
+     * @param {String} coin As USDT
+     * @param {String} amount
+     * @param {String} address Crypto address to withdraw funds to
+     * @param {String} [network] As TRX. Default network of a coin if not set.
+     * @param {String} [memo] Address memo or tag
+     * @returns {Promise<Object>} { id }
+     */
+    addWithdrawal(coin, amount, address, network, memo) {
+      return protectedRequest('post', '/api/v3/capital/withdraw', {
+        coin,
+        address,
+        amount,
+        netWork: network,
+        memo,
+      });
+    },
+
+    /**
+     * Get withdraw history
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#withdraw-history-supporting-network
+     * @param {String} [coin] As USDT
+     * @param {Number} [limit=1000] Max: 1000
+     * @returns {Promise<[]>}
+     */
+    getWithdrawalHistory(coin, limit = 1000) {
+      return protectedRequest('get', '/api/v3/capital/withdraw/history', {
+        coin,
+        limit,
+      });
+    },
+
+    /**
+     * Get deposit history
+     * https://mexcdevelop.github.io/apidocs/spot_v3_en/#deposit-history-supporting-network
+     * @param {String} [coin] As USDT
+     * @param {Number} [limit=1000] Max: 1000
+     * @returns {Promise<[]>}
+     */
+    getDepositHistory(coin, limit = 1000) {
+      return protectedRequest('get', '/api/v3/capital/deposit/hisrec', {
+        coin,
+        limit,
+      });
+    },
+  };
+
+  return EXCHANGE_API;
+};
+
+module.exports.axios = axios; // for setup axios mock adapter
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 
 const {
   trimAny,
@@ -139,6 +140,17 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js
+  const scheduler = requestScheduler.getScheduler('NonKYC', {
+    // Network errors and errors marked as isTemporary in errorCodeDescriptions
+    isTemporary: (responseOrError) => {
+      const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+      const data = responseOrError?.data ?? responseOrError?.response?.data;
+
+      return !httpCode || errorCodeDescriptions[httpCode]?.isTemporary || errorCodeDescriptions[data?.error?.code]?.isTemporary;
+    },
+  });
+
   /**
    * Handles response from API
    * @param {Object} responseOrError
@@ -224,7 +236,7 @@ module.exports = function() {
         params: type === 'get' ? data : undefined,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, url))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, url));
     });
@@ -250,7 +262,7 @@ module.exports = function() {
         timeout: 10000,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, queryString, url))
           .catch((error) => handleResponse(error, resolve, reject, queryString, url));
     });
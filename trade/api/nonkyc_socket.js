@@ -0,0 +1,11 @@
+const jsonRpcSocket = require('./jsonrpc_socket');
+
+/**
+ * NonKYC WebSocket API, JSON-RPC 2.0 like
+ * Docs: https://api.nonkyc.io
+ */
+
+module.exports = jsonRpcSocket({
+  name: 'NonKYC',
+  server: 'wss://ws.nonkyc.io',
+});
@@ -1,5 +1,5 @@
 const crypto = require('crypto');
-const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 const utils = require('../../helpers/utils');
 
 module.exports = function() {
@@ -15,6 +15,9 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js. Temporary errors are network errors, HTTP 429 and 5xx.
+  const scheduler = requestScheduler.getScheduler('P2PB2B');
+
   // https://github.com/P2pb2b-team/p2pb2b-api-docs/blob/master/errors.md
   const notValidStatuses = [
     401, // ~Invalid auth, payload, nonce
@@ -95,7 +98,7 @@ module.exports = function() {
         headers: DEFAULT_HEADERS,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, undefined, queryString, urlBase))
           .catch((error) => handleResponse(error, resolve, reject, undefined, queryString, urlBase));
     });
@@ -137,7 +140,7 @@ module.exports = function() {
         headers,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, undefined, urlBase))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, undefined, urlBase));
     });
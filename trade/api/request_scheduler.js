@@ -0,0 +1,308 @@
+const axios = require('axios');
+
+/**
+ * Common request scheduler for exchange API clients, ./*_api.js
+ * - Weight budgets: an exchange allows weightLimit per intervalMs. Requests over the budget wait in a FIFO queue.
+ * - Retries: temporary failed requests are repeated with exponential backoff and jitter.
+ *   What's temporary is decided by API client's isTemporary(), which reads its error code tables.
+ *   Requests which change something (placing or cancelling orders) are retried only when they are surely not processed:
+ *   the exchange responded with HTTP 429, or the connection wasn't established.
+ * - HTTP 429 and 418 with Retry-After pause all of the exchange's requests
+ * - Counters: per-endpoint request, error, retry numbers and latency, see getStats()
+ * Schedulers are shared between API client instances, as exchanges limit requests per IP or account.
+ */
+
+const DEFAULT_WEIGHT_LIMIT = 10;
+const DEFAULT_INTERVAL_MS = 1000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 10000;
+const NOT_CONNECTED_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+const ID_PLACEHOLDER = ':id';
+
+const schedulers = {};
+const startedTimestamp = Date.now();
+
+/**
+ * Default classification when an API client doesn't provide its own:
+ * network errors, HTTP 429 and 5xx are temporary
+ * @param {Object} responseOrError Axios response or error
+ * @return {Boolean}
+ */
+function isTemporaryByDefault(responseOrError) {
+  const httpCode = getHttpCode(responseOrError);
+
+  return !httpCode || httpCode === 429 || httpCode >= 500;
+}
+
+/**
+ * @param {Object} responseOrError Axios response or error
+ * @return {Number|undefined}
+ */
+function getHttpCode(responseOrError) {
+  return responseOrError?.status ?? responseOrError?.response?.status;
+}
+
+/**
+ * Checks if a path segment is an order id, numeric like '1852454403', hex like '65f2f0e4a1b2c3d4e5f60718', or a UUID
+ * @param {String} segment
+ * @return {Boolean}
+ */
+function isIdSegment(segment) {
+  return /^\d+$/.test(segment) || (segment.length >= 16 && /^[\da-f-]+$/i.test(segment) && /\d/.test(segment));
+}
+
+/**
+ * Returns an endpoint name for counters like 'GET /api/v3/order'
+ * Ids in a path are replaced with ':id', so '/orders/1852454403/deals' is 'GET /orders/:id/deals' for all orders.
+ * @param {Object} httpOptions Axios request config
+ * @return {String}
+ */
+function getEndpoint(httpOptions) {
+  let path = httpOptions.url;
+
+  try {
+    path = new URL(httpOptions.url).pathname;
+  } catch (error) {
+    path = String(path).split('?')[0]; // Keep a relative url without the query
+  }
+
+  path = path
+      .split('/')
+      .map((segment) => isIdSegment(segment) ? ID_PLACEHOLDER : segment)
+      .join('/');
+
+  return `${(httpOptions.method || 'get').toUpperCase()} ${path}`;
+}
+
+/**
+ * Returns a shared scheduler for an exchange. Options are applied on the first call.
+ * @param {String} exchangeName Like 'Binance'
+ * @param {Object} [options]
+ * @param {Number} [options.weightLimit=10] Request weight allowed per interval
+ * @param {Number} [options.intervalMs=1000] Interval for weightLimit
+ * @param {Function} [options.isTemporary] Returns if a request failed temporary, by Axios response or error
+ * @return {Object} { request }
+ */
+function getScheduler(exchangeName, options = {}) {
+  if (schedulers[exchangeName]) {
+    return schedulers[exchangeName];
+  }
+
+  const weightLimit = options.weightLimit || DEFAULT_WEIGHT_LIMIT;
+  const intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+  const isTemporary = options.isTemporary || isTemporaryByDefault;
+
+  const spent = []; // { timestamp, weight } within the last intervalMs
+  const queue = []; // { weight, resolve }
+  const endpoints = {}; // endpoint -> counters
+  let pausedUntil = 0;
+  let queueTimer;
+
+  /**
+   * Returns weight spent within the last intervalMs
+   * @return {Number}
+   */
+  function getSpentWeight() {
+    const since = Date.now() - intervalMs;
+
+    while (spent.length && spent[0].timestamp <= since) {
+      spent.shift();
+    }
+
+    return spent.reduce((total, record) => total + record.weight, 0);
+  }
+
+  /**
+   * Lets queued requests go while the budget allows
+   */
+  function processQueue() {
+    clearTimeout(queueTimer);
+
+    while (queue.length) {
+      const now = Date.now();
+
+      if (now < pausedUntil) {
+        queueTimer = setTimeout(processQueue, pausedUntil - now);
+        return;
+      }
+
+      const { weight, resolve } = queue[0];
+      const spentWeight = getSpentWeight();
+
+      // A request heavier than the whole budget goes alone
+      if (spentWeight && spentWeight + weight > weightLimit) {
+        queueTimer = setTimeout(processQueue, spent[0].timestamp + intervalMs - now + 1);
+        return;
+      }
+
+      queue.shift();
+      spent.push({ timestamp: now, weight });
+      resolve();
+    }
+  }
+
+  /**
+   * Waits for the budget
+   * @param {Number} weight
+   * @return {Promise<Number>} Waited ms
+   */
+  function acquire(weight) {
+    const queuedTimestamp = Date.now();
+
+    return new Promise((resolve) => {
+      queue.push({ weight, resolve: () => resolve(Date.now() - queuedTimestamp) });
+      processQueue();
+    });
+  }
+
+  /**
+   * Returns counters for an endpoint
+   * @param {String} endpoint
+   * @return {Object}
+   */
+  function getCounters(endpoint) {
+    if (!endpoints[endpoint]) {
+      endpoints[endpoint] = {
+        requests: 0,
+        errors: 0,
+        temporaryErrors: 0,
+        retries: 0,
+        latencyTotalMs: 0,
+        latencyMaxMs: 0,
+        throttledMs: 0,
+        lastError: undefined,
+        lastErrorTimestamp: undefined,
+      };
+    }
+
+    return endpoints[endpoint];
+  }
+
+  /**
+   * Pauses all requests according to the Retry-After header
+   * @param {Object} responseOrError Axios response or error
+   */
+  function applyRetryAfter(responseOrError) {
+    const httpCode = getHttpCode(responseOrError);
+    const headers = responseOrError?.headers ?? responseOrError?.response?.headers;
+    const retryAfterSec = +headers?.['retry-after'];
+
+    if ([418, 429].includes(httpCode) && retryAfterSec > 0) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + retryAfterSec * 1000);
+    }
+  }
+
+  schedulers[exchangeName] = {
+    /**
+     * Makes a request within the budget, and retries it on temporary errors
+     * Resolves or rejects the same way as axios(httpOptions), with the last attempt's result.
+     * @param {Object} httpOptions Axios request config
+     * @param {Object} [requestOptions]
+     * @param {Number} [requestOptions.weight=1] Request weight
+     * @param {Object} [requestOptions.log] Logger to log retries
+     * @return {Promise<Object>} Axios response
+     */
+    async request(httpOptions, { weight = 1, log } = {}) {
+      const endpoint = getEndpoint(httpOptions);
+      const counters = getCounters(endpoint);
+      const isIdempotent = IDEMPOTENT_METHODS.includes((httpOptions.method || 'get').toLowerCase());
+
+      for (let attempt = 0; ; attempt++) {
+        counters.throttledMs += await acquire(weight);
+        counters.requests += 1;
+
+        const startTimestamp = Date.now();
+
+        let response;
+        let error;
+
+        try {
+          response = await axios(httpOptions);
+        } catch (requestError) {
+          error = requestError;
+        }
+
+        const latency = Date.now() - startTimestamp;
+        counters.latencyTotalMs += latency;
+        counters.latencyMaxMs = Math.max(counters.latencyMaxMs, latency);
+
+        const responseOrError = response ?? error;
+        const httpCode = getHttpCode(responseOrError);
+        const isTemporaryError = Boolean(isTemporary(responseOrError));
+
+        if (error || isTemporaryError) {
+          counters.errors += 1;
+          counters.temporaryErrors += isTemporaryError ? 1 : 0;
+          counters.lastError = httpCode ? `${httpCode} ${error?.response?.statusText ?? response?.statusText ?? ''}`.trim() : String(error?.code ?? error);
+          counters.lastErrorTimestamp = Date.now();
+
+          applyRetryAfter(responseOrError);
+        }
+
+        const isSurelyNotProcessed = httpCode === 429 || NOT_CONNECTED_ERROR_CODES.includes(error?.code);
+        const canRetry = isTemporaryError && (isIdempotent || isSurelyNotProcessed) && attempt < MAX_RETRIES;
+
+        if (!canRetry) {
+          if (error) {
+            throw error;
+          }
+
+          return response;
+        }
+
+        const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2); // Jitter not to repeat requests in sync
+
+        counters.retries += 1;
+        log?.log(`${exchangeName}: Request ${endpoint} failed temporary (${counters.lastError}). Retrying in ${delay} ms, attempt ${attempt + 1} of ${MAX_RETRIES}…`);
+
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    },
+
+    /**
+     * Returns counters for the exchange
+     * @return {Object} { exchange, weightLimit, intervalMs, queued, endpoints }
+     */
+    getStats() {
+      const result = {};
+
+      for (const [endpoint, counters] of Object.entries(endpoints)) {
+        result[endpoint] = {
+          ...counters,
+          latencyAverageMs: counters.requests ? Math.round(counters.latencyTotalMs / counters.requests) : 0,
+        };
+      }
+
+      return {
+        exchange: exchangeName,
+        weightLimit,
+        intervalMs,
+        spentWeight: getSpentWeight(),
+        queued: queue.length,
+        pausedUntil: pausedUntil > Date.now() ? pausedUntil : undefined,
+        endpoints: result,
+      };
+    },
+  };
+
+  return schedulers[exchangeName];
+}
+
+/**
+ * Returns counters of all of the exchanges
+ * @return {Object} { since, exchanges: [] }
+ */
+function getStats() {
+  return {
+    since: startedTimestamp,
+    exchanges: Object.values(schedulers).map((scheduler) => scheduler.getStats()),
+  };
+}
+
+module.exports = {
+  getScheduler,
+  getStats,
+};
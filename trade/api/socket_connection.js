@@ -0,0 +1,219 @@
+const WebSocket = require('ws');
+const constants = require('../../helpers/const');
+
+/**
+ * Reconnecting WebSocket connection with a heartbeat, shared by exchange socket clients
+ * - Pings the server every SOCKET_DATA_VALIDITY_MS / 2. As messages are delivered in order, a pong confirms
+ *   that all of the previous updates are received, and the streamed data is actual.
+ *   So the data is fresh, while something is received within SOCKET_DATA_VALIDITY_MS.
+ * - If nothing is received within SOCKET_DATA_MAX_HEARTBEAT_INTERVAL_MS, the connection is considered dead and re-established
+ */
+
+const RECONNECT_DELAY_MS = 3000;
+const RECONNECT_MAX_DELAY_MS = 60000;
+
+/**
+ * Creates a connection. Call connect() to open it.
+ * @param {Object} options
+ * @param {String|Function} options.url WebSocket URL or async function which returns it, e.g., to get a listen key first
+ * @param {String} options.name Connection name for logging, like 'XeggeX socket'
+ * @param {Object} options.log Logger
+ * @param {Function} [options.onOpen] Called on each (re)connection
+ * @param {Function} options.onMessage Called with a parsed JSON message
+ * @param {Function} [options.onClose] Called when the connection is lost
+ * @return {Object}
+ */
+module.exports = ({ url, name, log, onOpen, onMessage, onClose }) => {
+  let ws;
+  let connectionId = 0; // Increments on each connection, so the data received with a previous one is not trusted
+  let lastReceivedTimestamp = 0;
+  let reconnectDelay = RECONNECT_DELAY_MS;
+  let reconnectTimer;
+  let heartbeatTimer;
+  let isClosedByUser = false;
+
+  /**
+   * Opens a connection
+   */
+  async function connect() {
+    isClosedByUser = false;
+    clearTimeout(reconnectTimer);
+
+    let socketUrl;
+
+    try {
+      socketUrl = typeof url === 'function' ? await url() : url;
+    } catch (error) {
+      log.warn(`${name}: Unable to get a connection URL: ${error}.`);
+    }
+
+    if (!socketUrl) {
+      scheduleReconnect();
+      return;
+    }
+
+    ws = new WebSocket(socketUrl);
+
+    ws.on('open', () => {
+      connectionId += 1;
+      lastReceivedTimestamp = Date.now();
+      reconnectDelay = RECONNECT_DELAY_MS;
+
+      log.log(`${name}: Connected.`);
+
+      startHeartbeat();
+
+      try {
+        onOpen?.(connectionId);
+      } catch (error) {
+        log.warn(`${name}: Error while processing connection opening: ${error}`);
+      }
+    });
+
+    ws.on('message', (data) => {
+      lastReceivedTimestamp = Date.now();
+
+      let message;
+
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        log.warn(`${name}: Unable to parse a message: ${data}. ${error}`);
+        return;
+      }
+
+      try {
+        onMessage(message, connectionId);
+      } catch (error) {
+        log.warn(`${name}: Error while processing a message: ${JSON.stringify(message)}. ${error}`);
+      }
+    });
+
+    ws.on('ping', () => {
+      lastReceivedTimestamp = Date.now();
+    });
+
+    ws.on('pong', () => {
+      lastReceivedTimestamp = Date.now();
+    });
+
+    ws.on('error', (error) => {
+      log.warn(`${name}: Connection error: ${error?.message || error}.`);
+    });
+
+    ws.on('close', (code, reason) => {
+      stopHeartbeat();
+      connectionId += 1; // The data received with this connection becomes outdated
+
+      try {
+        onClose?.();
+      } catch (error) {
+        log.warn(`${name}: Error while processing connection closing: ${error}`);
+      }
+
+      if (!isClosedByUser) {
+        log.warn(`${name}: Connection closed with code ${code}${reason?.length ? `: ${reason}` : ''}. Reconnecting in ${reconnectDelay} ms…`);
+        scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Re-establishes a connection with an increasing delay
+   */
+  function scheduleReconnect() {
+    clearTimeout(reconnectTimer);
+
+    reconnectTimer = setTimeout(() => {
+      connect();
+    }, reconnectDelay);
+
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_DELAY_MS);
+  }
+
+  /**
+   * Pings the server to confirm the data is actual, and terminates a silent connection
+   */
+  function startHeartbeat() {
+    stopHeartbeat();
+
+    heartbeatTimer = setInterval(() => {
+      if (Date.now() - lastReceivedTimestamp > constants.SOCKET_DATA_MAX_HEARTBEAT_INTERVAL_MS) {
+        log.warn(`${name}: No data received for ${constants.SOCKET_DATA_MAX_HEARTBEAT_INTERVAL_MS} ms. Terminating the connection…`);
+        ws.terminate(); // Emits 'close', which reconnects
+        return;
+      }
+
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.ping();
+      }
+    }, constants.SOCKET_DATA_VALIDITY_MS / 2);
+  }
+
+  function stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+  }
+
+  return {
+    connect,
+
+    /**
+     * Sends a JSON message if connected
+     * @param {Object} message
+     * @return {Boolean} If sent
+     */
+    send(message) {
+      if (ws?.readyState !== WebSocket.OPEN) {
+        return false;
+      }
+
+      ws.send(JSON.stringify(message));
+      return true;
+    },
+
+    /**
+     * Drops the connection and re-establishes it, e.g., when the exchange expires a session
+     */
+    reconnect() {
+      if (ws) {
+        ws.terminate(); // Emits 'close', which reconnects
+      } else {
+        connect();
+      }
+    },
+
+    /**
+     * Closes the connection without reconnecting
+     */
+    close() {
+      isClosedByUser = true;
+      clearTimeout(reconnectTimer);
+      stopHeartbeat();
+      ws?.close();
+    },
+
+    /**
+     * Id of the current connection. Data received with another id is outdated.
+     * @return {Number}
+     */
+    get connectionId() {
+      return connectionId;
+    },
+
+    /**
+     * If the connection is open
+     * @return {Boolean}
+     */
+    isConnected() {
+      return ws?.readyState === WebSocket.OPEN;
+    },
+
+    /**
+     * If the streamed data is confirmed as actual within SOCKET_DATA_VALIDITY_MS
+     * @return {Boolean}
+     */
+    isFresh() {
+      return this.isConnected() && Date.now() - lastReceivedTimestamp <= constants.SOCKET_DATA_VALIDITY_MS;
+    },
+  };
+};
@@ -0,0 +1,331 @@
+/**
+ * Stores data streamed with a socket connection: order books, trades, tickers, and open orders
+ * The data is served only if it's synced with the current connection, and the connection is fresh,
+ * see socket_connection.js. Otherwise, getters return undefined, and a trader falls back to REST.
+ * Streams without snapshots (e.g., Binance trades and orders) are synced by seeding them with REST results.
+ */
+
+const MAX_TRADES_COUNT = 500;
+const CLOSED_ORDERS_KEEP_MS = 60 * 60 * 1000; // Remember closed orders for an hour not to re-add them from outdated REST results
+
+/**
+ * Creates a data store for a connection
+ * @param {Object} connection Connection created with socket_connection.js
+ * @return {Object}
+ */
+module.exports = (connection) => {
+  const books = {}; // pair -> { bids: Map(price -> amount), asks: Map(price -> amount), connectionId }
+  const trades = {}; // pair -> { list: [], connectionId }
+  const tickers = {}; // pair -> { ticker, connectionId }
+  const orders = new Map(); // orderId -> order in getOpenOrders() format with receivedTimestamp
+  const ordersSynced = {}; // pair -> connectionId
+  const closedOrders = new Map(); // orderId -> timestamp
+  const orderListeners = [];
+
+  /**
+   * If data synced with a connection can be trusted
+   * @param {Number} connectionId
+   * @return {Boolean}
+   */
+  function isActual(connectionId) {
+    return connectionId === connection.connectionId && connection.isFresh();
+  }
+
+  /**
+   * Sets or removes order book levels
+   * @param {Map} side Bids or asks
+   * @param {Array<Array>} levels [[price, amount]]. Zero amount removes a level.
+   */
+  function applyLevels(side, levels = []) {
+    for (const [price, amount] of levels) {
+      if (+amount) {
+        side.set(+price, +amount);
+      } else {
+        side.delete(+price);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Id of the current connection, to mark REST results requested with it as synced
+     * @return {Number}
+     */
+    get connectionId() {
+      return connection.connectionId;
+    },
+
+    /**
+     * Replaces an order book with a snapshot
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Array<Array>} bids [[price, amount]]
+     * @param {Array<Array>} asks [[price, amount]]
+     */
+    setBook(pair, bids, asks) {
+      books[pair] = {
+        bids: new Map(),
+        asks: new Map(),
+        connectionId: connection.connectionId,
+      };
+
+      applyLevels(books[pair].bids, bids);
+      applyLevels(books[pair].asks, asks);
+    },
+
+    /**
+     * Applies an order book update. Ignored if there was no snapshot with the current connection.
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Array<Array>} bids [[price, amount]]
+     * @param {Array<Array>} asks [[price, amount]]
+     * @return {Boolean} If applied
+     */
+    updateBook(pair, bids, asks) {
+      const book = books[pair];
+
+      if (book?.connectionId !== connection.connectionId) {
+        return false;
+      }
+
+      applyLevels(book.bids, bids);
+      applyLevels(book.asks, asks);
+
+      return true;
+    },
+
+    /**
+     * Marks an order book as not synced, e.g., when an update sequence is broken
+     * @param {String} pair In classic format as BTC/USDT
+     */
+    invalidateBook(pair) {
+      delete books[pair];
+    },
+
+    /**
+     * Returns an order book in getOrderBook() format
+     * @param {String} pair In classic format as BTC/USDT
+     * @return {Object|undefined} { bids, asks }
+     */
+    getBook(pair) {
+      const book = books[pair];
+
+      if (!book || !isActual(book.connectionId)) {
+        return undefined;
+      }
+
+      const format = (side, type) => [...side].map(([price, amount]) => ({
+        amount,
+        price,
+        count: 1,
+        type,
+      }));
+
+      return {
+        bids: format(book.bids, 'bid-buy-left').sort((a, b) => b.price - a.price),
+        asks: format(book.asks, 'ask-sell-right').sort((a, b) => a.price - b.price),
+      };
+    },
+
+    /**
+     * Adds trades
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Array<Object>} list Trades in getTradesHistory() format
+     * @param {Number} [syncedConnectionId] Mark trades as synced, if it's a snapshot or REST results requested with this connection
+     */
+    addTrades(pair, list, syncedConnectionId) {
+      if (!trades[pair]) {
+        trades[pair] = { list: [] };
+      }
+
+      const stored = trades[pair];
+      const storedIds = new Set(stored.list.map((trade) => trade.tradeId));
+
+      for (const trade of list) {
+        if (!storedIds.has(trade.tradeId)) {
+          stored.list.push(trade);
+          storedIds.add(trade.tradeId);
+        }
+      }
+
+      stored.list.sort((a, b) => a.date - b.date);
+      stored.list = stored.list.slice(-MAX_TRADES_COUNT);
+
+      if (syncedConnectionId !== undefined) {
+        stored.connectionId = syncedConnectionId;
+      }
+    },
+
+    /**
+     * Returns trades in getTradesHistory() format, sorted ascending
+     * @param {String} pair In classic format as BTC/USDT
+     * @return {Array<Object>|undefined}
+     */
+    getTrades(pair) {
+      const stored = trades[pair];
+
+      if (!stored || !isActual(stored.connectionId)) {
+        return undefined;
+      }
+
+      return [...stored.list];
+    },
+
+    /**
+     * Stores a ticker
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Object} ticker { last, volume, volumeInCoin2, high, low }, optionally ask and bid
+     */
+    setTicker(pair, ticker) {
+      tickers[pair] = {
+        ticker,
+        connectionId: connection.connectionId,
+      };
+    },
+
+    /**
+     * Returns rates in getRates() format. Bid and ask are taken from the ticker or from the order book.
+     * @param {String} pair In classic format as BTC/USDT
+     * @return {Object|undefined}
+     */
+    getRates(pair) {
+      const stored = tickers[pair];
+
+      if (!stored || !isActual(stored.connectionId)) {
+        return undefined;
+      }
+
+      let { ask, bid } = stored.ticker;
+
+      if (!ask || !bid) {
+        const book = this.getBook(pair);
+
+        ask = book?.asks[0]?.price;
+        bid = book?.bids[0]?.price;
+      }
+
+      if (!ask || !bid) {
+        return undefined;
+      }
+
+      return {
+        ask,
+        bid,
+        last: stored.ticker.last,
+        volume: stored.ticker.volume,
+        volumeInCoin2: stored.ticker.volumeInCoin2,
+        high: stored.ticker.high,
+        low: stored.ticker.low,
+      };
+    },
+
+    /**
+     * Replaces open orders for a pair with a snapshot or REST results
+     * When seeding from REST, orders closed or received after the request started are not overridden.
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Array<Object>} list Orders in getOpenOrders() format
+     * @param {Number} connectionId Connection id when the snapshot or the request started
+     * @param {Number} [sinceTimestamp] When the REST request started
+     */
+    setOpenOrders(pair, list, connectionId, sinceTimestamp = Date.now()) {
+      for (const [orderId, order] of orders) {
+        if (order.symbol === pair && order.receivedTimestamp < sinceTimestamp) {
+          orders.delete(orderId);
+        }
+      }
+
+      for (const order of list) {
+        const isClosedSince = closedOrders.get(order.orderId) >= sinceTimestamp;
+        const isUpdatedSince = orders.get(order.orderId)?.receivedTimestamp >= sinceTimestamp;
+
+        if (!isClosedSince && !isUpdatedSince) {
+          orders.set(order.orderId, { ...order, receivedTimestamp: sinceTimestamp });
+        }
+      }
+
+      ordersSynced[pair] = connectionId;
+    },
+
+    /**
+     * Applies an order update and notifies listeners
+     * @param {Object} order Order in getOpenOrders() format. Status can also be 'filled' or 'cancelled'.
+     */
+    updateOrder(order) {
+      const now = Date.now();
+
+      if (['new', 'part_filled'].includes(order.status)) {
+        orders.set(order.orderId, { ...order, receivedTimestamp: now });
+      } else {
+        orders.delete(order.orderId);
+        closedOrders.set(order.orderId, now);
+      }
+
+      for (const [orderId, timestamp] of closedOrders) {
+        if (now - timestamp > CLOSED_ORDERS_KEEP_MS) {
+          closedOrders.delete(orderId);
+        }
+      }
+
+      for (const listener of orderListeners) {
+        try {
+          listener(order);
+        } catch (error) {
+          // Listeners handle their errors themselves
+        }
+      }
+    },
+
+    /**
+     * Adds an order placed with REST, if its update is not received yet
+     * @param {Object} order Order in getOpenOrders() format
+     */
+    addPlacedOrder(order) {
+      if (!orders.has(order.orderId) && !closedOrders.has(order.orderId)) {
+        orders.set(order.orderId, { ...order, receivedTimestamp: Date.now() });
+      }
+    },
+
+    /**
+     * Removes an order cancelled with REST
+     * @param {String} orderId
+     */
+    removeOrder(orderId) {
+      orders.delete(orderId);
+      closedOrders.set(orderId, Date.now());
+    },
+
+    /**
+     * Removes all orders of a pair cancelled with REST
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {String} [side] 'buy' or 'sell'. Remove both if not set.
+     */
+    removeOrders(pair, side) {
+      for (const order of orders.values()) {
+        if (order.symbol === pair && (!side || order.side === side)) {
+          this.removeOrder(order.orderId);
+        }
+      }
+    },
+
+    /**
+     * Returns open orders in getOpenOrders() format
+     * @param {String} pair In classic format as BTC/USDT
+     * @return {Array<Object>|undefined}
+     */
+    getOpenOrders(pair) {
+      if (!isActual(ordersSynced[pair])) {
+        return undefined;
+      }
+
+      return [...orders.values()]
+          .filter((order) => order.symbol === pair)
+          .map(({ receivedTimestamp, ...order }) => order);
+    },
+
+    /**
+     * Subscribes to order updates
+     * @param {Function} listener Called with an order in getOpenOrders() format, status can be 'filled' or 'cancelled'
+     */
+    onOrderUpdate(listener) {
+      orderListeners.push(listener);
+    },
+  };
+};
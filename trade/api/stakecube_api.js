@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 
 module.exports = function() {
   let WEB_BASE = 'https://stakecube.io/api/v2';
@@ -10,6 +11,9 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js. Temporary errors are network errors, HTTP 429 and 5xx.
+  const scheduler = requestScheduler.getScheduler('StakeCube');
+
   // In case if error message includes these words, consider request as failed
   const doNotResolveErrors = [
     'nonce', // ~invalid nonce. last nonce used: 1684169723966
@@ -127,7 +131,7 @@ module.exports = function() {
         data: type === 'get' || type === 'delete' ? undefined : bodyString,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, queryString, urlBase))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, queryString, urlBase));
     });
@@ -162,7 +166,7 @@ module.exports = function() {
         timeout: 20000,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, undefined, queryString, urlBase))
           .catch((error) => handleResponse(error, resolve, reject, undefined, queryString, urlBase));
     });
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const requestScheduler = require('./request_scheduler');
 const crypto = require('crypto');
 
 const {
@@ -108,6 +109,18 @@ module.exports = function() {
   };
   let log = {};
 
+  // Shared with other instances, see ./request_scheduler.js
+  const scheduler = requestScheduler.getScheduler('Tapbit', {
+    // Network errors and errors marked as isTemporary in errorCodeDescriptions
+    isTemporary: (responseOrError) => {
+      const httpCode = responseOrError?.status ?? responseOrError?.response?.status;
+      const data = responseOrError?.data ?? responseOrError?.response?.data;
+      const httpCodeInfo = httpErrorCodeDescriptions[httpCode] ?? httpErrorCodeDescriptions[httpCode?.toString()[0]];
+
+      return !httpCode || httpCodeInfo?.isTemporary || errorCodeDescriptions[data?.code]?.isTemporary;
+    },
+  });
+
   /**
    * Handles response from API
    * @param {Object} responseOrError
@@ -196,7 +209,7 @@ module.exports = function() {
         paramsSerializer: getParamsString,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, bodyString, url))
           .catch((error) => handleResponse(error, resolve, reject, bodyString, url));
     });
@@ -222,7 +235,7 @@ module.exports = function() {
         timeout: 10000,
       };
 
-      axios(httpOptions)
+      scheduler.request(httpOptions, { log })
           .then((response) => handleResponse(response, resolve, reject, queryString, url))
           .catch((error) => handleResponse(error, resolve, reject, queryString, url));
     });
@@ -0,0 +1,11 @@
+const jsonRpcSocket = require('./jsonrpc_socket');
+
+/**
+ * XeggeX WebSocket API, JSON-RPC 2.0 like
+ * Docs: https://xeggex.com/api
+ */
+
+module.exports = jsonRpcSocket({
+  name: 'XeggeX',
+  server: 'wss://api.xeggex.com',
+});
@@ -0,0 +1,142 @@
+/**
+ * Runs a Ladder backtest from the command line, offline
+ * npm run backtest -- data=./prices.csv params=./ladder.json pair=ADM/USDT balances=ADM:10000,USDT:500 [fee=0.1] [spread=0.1]
+ *   [decimals=2/6] [min=10] [usdrate=1] [iterations=1] [out=./result.json] [verbose]
+ * - data: CSV or JSON price series, see ./series.js
+ * - params: JSON file or tradeParams_*.js file with Ladder params, e.g., { "mm_ladderCount": 10, "mm_ladderPriceStepPercent": 1,
+ *   "mm_ladderAmount": 100, "mm_ladderAmountCoin": "ADM" }
+ * - fee and spread are in percent, decimals are coin1/coin2 decimal places, min is the minimum order amount in coin1
+ * - out: store the full result including fills and inventory over time
+ */
+
+const fs = require('fs');
+const path = require('path');
+const backtest = require('./index');
+
+const USAGE = 'Usage: npm run backtest -- data=./prices.csv params=./ladder.json pair=ADM/USDT balances=ADM:10000,USDT:500 [fee=0.1] [spread=0.1] [decimals=2/6] [min=10] [usdrate=1] [iterations=1] [out=./result.json] [verbose]';
+
+run().catch((error) => {
+  console.error(`Backtest failed: ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.data || !args.params || !args.pair || !args.balances) {
+    throw new Error('data, params, pair, and balances are required');
+  }
+
+  const candles = backtest.series.loadFile(args.data);
+  const tradeParams = loadParams(args.params);
+  const balances = parseBalances(args.balances);
+  const [coin1Decimals, coin2Decimals] = (args.decimals || '8/8').split('/').map((decimals) => +decimals);
+
+  console.log(`Running a Ladder backtest on ${args.pair} with ${candles.length} price records…`);
+
+  const result = await backtest.run({
+    series: candles,
+    pair: args.pair,
+    tradeParams,
+    balances,
+    feeRate: args.fee !== undefined ? +args.fee / 100 : undefined,
+    spreadPercent: args.spread !== undefined ? +args.spread : undefined,
+    coin1Decimals,
+    coin2Decimals,
+    coin1MinAmount: args.min !== undefined ? +args.min : undefined,
+    quoteUsdRate: args.usdrate !== undefined ? +args.usdrate : undefined,
+    iterationsPerCandle: args.iterations !== undefined ? +args.iterations : undefined,
+    verbose: args.verbose,
+  });
+
+  console.log(formatSummary(result, coin1Decimals, coin2Decimals));
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(result, null, 2));
+    console.log(`Full result is saved to ${args.out}.`);
+  }
+}
+
+/**
+ * Parses key=value arguments. Arguments without value are considered as true.
+ * @param {Array<String>} argv Command line arguments
+ * @return {Object}
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  for (const arg of argv) {
+    const [key, ...value] = arg.replace(/^-+/, '').split('=');
+    args[key.toLowerCase()] = value.length ? value.join('=') : true;
+  }
+
+  return args;
+}
+
+/**
+ * Loads Ladder params from a JSON or tradeParams_*.js file
+ * @param {String} filePath
+ * @return {Object}
+ */
+function loadParams(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.js') {
+    return { ...require(path.resolve(filePath)) };
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Parses balances like ADM:10000,USDT:500
+ * @param {String} balancesString
+ * @return {Object} { ADM: 10000, USDT: 500 }
+ */
+function parseBalances(balancesString) {
+  const balances = {};
+
+  for (const balance of String(balancesString).split(',')) {
+    const [coin, amount] = balance.split(':');
+
+    if (!coin || !(+amount >= 0)) {
+      throw new Error(`Wrong balance: ${balance}`);
+    }
+
+    balances[coin.trim().toUpperCase()] = +amount;
+  }
+
+  return balances;
+}
+
+/**
+ * Composes a readable backtest summary
+ * @param {Object} result Backtest result
+ * @param {Number} coin1Decimals
+ * @param {Number} coin2Decimals
+ * @return {String}
+ */
+function formatSummary(result, coin1Decimals, coin2Decimals) {
+  const { coin1, coin2 } = result;
+  const formatCoin2 = (value) => `${value.toFixed(coin2Decimals)} ${coin2}`;
+  const formatDate = (time) => new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+
+  let summary = `\nPeriod: ${formatDate(result.from)} — ${formatDate(result.to)}, ${result.candleCount} price records.`;
+  summary += `\nPrice: ${result.start.price} → ${result.end.price} ${coin2}.`;
+  summary += `\nBalances: ${result.start.coin1.toFixed(coin1Decimals)} ${coin1} + ${formatCoin2(result.start.coin2)}`;
+  summary += ` → ${result.end.coin1.toFixed(coin1Decimals)} ${coin1} + ${formatCoin2(result.end.coin2)}.`;
+  summary += `\nEquity: ${formatCoin2(result.start.equity)} → ${formatCoin2(result.end.equity)}.`;
+  summary += `\nPnL: ${formatCoin2(result.pnl)} (${result.pnlPercent.toFixed(2)}%), holding the initial balances: ${formatCoin2(result.holdPnl)}.`;
+  summary += `\nRealized profit: ${formatCoin2(result.realizedProfit)} in ${result.roundTripCount} round trips.`;
+  summary += `\nFills: ${result.fillCount} (${result.buyFillCount} buy, ${result.sellFillCount} sell), fees: ${formatCoin2(result.fees)}.`;
+  summary += `\nMax drawdown: ${formatCoin2(result.maxDrawdown)} (${result.maxDrawdownPercent.toFixed(2)}%).`;
+
+  if (result.stoppedAt) {
+    summary += `\nTrading stopped at ${formatDate(result.stoppedAt)}.`;
+  }
+
+  if (result.errorCount || result.warnCount) {
+    summary += `\nThe bot logged ${result.errorCount} errors and ${result.warnCount} warnings. Run with verbose to see them.`;
+  }
+
+  return summary;
+}
@@ -0,0 +1,528 @@
+/**
+ * Backtesting engine for Ladder/Grid strategy
+ * Replays a historical price series through the exact co_ladder.js logic. The trade modules are loaded with stand-ins:
+ * - traderapi is a simulated exchange, see ./simulatedExchange.js
+ * - ordersDb and other collections are in-memory, see ./memoryCollection.js
+ * - config, tradeParams, log, notify, and exchanger are local objects; tradeParams are not saved with config.isBacktest
+ * - utils.unixTimeStampMs() returns the time of the current candle
+ * For each candle, the simulated exchange fills the reached orders first, and then the ladder runs its iteration(s).
+ *
+ * Usage from code:
+ *   const backtest = require('./trade/backtest');
+ *   const result = await backtest.run({ series: backtest.series.loadFile('prices.csv'), pair: 'ADM/USDT', tradeParams, balances });
+ * Usage from jest tests, where modules are loaded by jest's own registry:
+ *   const result = await backtest.run({ ..., load: backtest.createJestLoader(jest) });
+ * Usage from the command line: see ./cli.js
+ */
+
+const Module = require('module');
+const path = require('path');
+const model = require('../../helpers/dbModel');
+const memoryCollection = require('./memoryCollection');
+const simulatedExchange = require('./simulatedExchange');
+const series = require('./series');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const EXCHANGE = 'backtest';
+
+// Trade modules to load with stand-ins
+const MODULES_TO_LOAD = {
+  coLadder: 'trade/co_ladder',
+  ladderProfit: 'trade/ladderProfit',
+  utils: 'helpers/utils',
+};
+
+const COLLECTIONS = ['ordersDb', 'fillsDb', 'roundTripsDb', 'twapsDb', 'incomingTxsDb', 'systemDb'];
+
+module.exports = {
+  series,
+
+  /**
+   * Runs a backtest
+   * @param {Object} options
+   * @param {Array<Object>} options.series Candles { time, open, high, low, close }, see ./series.js
+   * @param {String} options.pair Trade pair like 'ADM/USDT'
+   * @param {Object} options.tradeParams Ladder params as set with /start ld: mm_ladderCount, mm_ladderPriceStepPercent, mm_ladderAmount, …
+   *   If mm_ladderMidPrice is not set, the first close price is used.
+   * @param {Object} options.balances Initial balances like { ADM: 10000, USDT: 500 }
+   * @param {Number} [options.feeRate=0.001] Fee rate, 0.001 is 0.1%
+   * @param {Number} [options.spreadPercent=0.1] Simulated spread between bid and ask in percent
+   * @param {Number} [options.coin1Decimals=8]
+   * @param {Number} [options.coin2Decimals=8]
+   * @param {Number} [options.coin1MinAmount=0]
+   * @param {Number} [options.quoteUsdRate=1] coin2 rate in USD, used by USD-based take-profit and stop-loss guards
+   * @param {Number} [options.iterationsPerCandle=1] Ladder iterations for each candle
+   * @param {Boolean} [options.verbose=false] Output the bot's logs to console
+   * @param {Function} [options.load] Module loader, (mocks, modulePaths) => { modules, unload }. Default is for Node.js.
+   * @return {Promise<Object>} Backtest result, see getResult()
+   * @throws {Error} If the series is empty, or the pair or the required Ladder params are wrong
+   */
+  async run({
+    series: candles,
+    pair,
+    tradeParams: initialTradeParams = {},
+    balances = {},
+    feeRate = 0.001,
+    spreadPercent = 0.1,
+    coin1Decimals = 8,
+    coin2Decimals = 8,
+    coin1MinAmount = 0,
+    quoteUsdRate = 1,
+    iterationsPerCandle = 1,
+    verbose = false,
+    load = this.createNodeLoader(),
+  }) {
+    if (!candles?.length) {
+      throw new Error('Price series is empty');
+    }
+
+    if (!pair || pair.indexOf('/') === -1) {
+      throw new Error(`Wrong trade pair: ${pair}`);
+    }
+
+    pair = pair.toUpperCase();
+    const [coin1, coin2] = pair.split('/');
+
+    validateTradeParams(initialTradeParams, coin1, coin2);
+
+    const clock = { now: candles[0].time, candle: candles[0] };
+    const notifications = [];
+    const logCounters = { error: 0, warn: 0 };
+
+    const log = createLog(clock, logCounters, verbose);
+
+    const exchange = simulatedExchange({
+      pair,
+      balances,
+      feeRate,
+      spreadPercent,
+      coin1Decimals,
+      coin2Decimals,
+      coin1MinAmount,
+      log,
+    });
+
+    const config = {
+      exchange: EXCHANGE,
+      exchangeName: 'Backtest',
+      pair,
+      coin1,
+      coin2,
+      notifyName: 'Backtest',
+      bot_name: 'Backtest',
+      silent_mode: false,
+      log_level: verbose ? 'log' : 'none',
+      apikey: EXCHANGE,
+      file: `tradeParams_${EXCHANGE}.js`,
+      fileWithPath: `./trade/settings/tradeParams_${EXCHANGE}.js`,
+      exchanges: ['Backtest'],
+      isDev: false,
+      isBacktest: true, // Don't read, watch, and save the trade params file
+    };
+
+    const tradeParams = {
+      co_isActive: true,
+      co_strategy: 'ld',
+      mm_ladderMidPriceType: 'Calculated',
+      ...initialTradeParams,
+      mm_ladderReInit: false,
+      mm_ladderLastFillDate: clock.now,
+    };
+
+    if (!(tradeParams.mm_ladderMidPrice > 0)) {
+      tradeParams.mm_ladderMidPrice = candles[0].close;
+    }
+
+    const collections = {};
+    for (const collection of COLLECTIONS) {
+      collections[collection] = model(memoryCollection());
+    }
+
+    const notify = (message, type, silent_mode = false, isPriority = false) => {
+      notifications.push({ time: clock.now, type, isPriority, message });
+      log.log(`Notify (${type}${isPriority ? ', priority' : ''}): ${message}`);
+    };
+
+    const mocks = {
+      [resolve('modules/config/reader')]: config,
+      [resolve(`trade/settings/tradeParams_${EXCHANGE}`)]: tradeParams,
+      [resolve(`trade/trader_${EXCHANGE}`)]: () => exchange,
+      [resolve('modules/DB')]: collections,
+      [resolve('helpers/log')]: log,
+      [resolve('helpers/notify')]: notify,
+      [resolve('helpers/cryptos/exchanger')]: createExchanger(clock, coin1, coin2, quoteUsdRate),
+    };
+
+    const modulePaths = Object.fromEntries(Object.entries(MODULES_TO_LOAD).map(([name, modulePath]) => [name, resolve(modulePath)]));
+
+    const { modules, unload } = load(mocks, modulePaths);
+    const { coLadder, ladderProfit, utils } = modules;
+
+    try {
+      utils.unixTimeStampMs = () => clock.now;
+
+      const inventory = [];
+      let stoppedAt;
+
+      for (const candle of candles) {
+        clock.now = candle.time;
+        clock.candle = candle;
+
+        exchange.processCandle(candle);
+
+        for (let iteration = 0; iteration < iterationsPerCandle && tradeParams.co_isActive; iteration++) {
+          await coLadder.buildLadder();
+        }
+
+        if (!tradeParams.co_isActive && !stoppedAt) {
+          stoppedAt = candle.time;
+        }
+
+        const { coin1: coin1Balance, coin2: coin2Balance } = exchange.inventory;
+
+        inventory.push({
+          time: candle.time,
+          price: candle.close,
+          coin1: coin1Balance,
+          coin2: coin2Balance,
+          equity: coin1Balance * candle.close + coin2Balance,
+        });
+      }
+
+      const realizedProfit = await ladderProfit.getProfit(pair, 0, clock.now);
+
+      return getResult({
+        pair,
+        candles,
+        balances,
+        exchange,
+        inventory,
+        realizedProfit,
+        notifications,
+        logCounters,
+        tradeParams,
+        stoppedAt,
+        collections,
+      });
+    } finally {
+      unload();
+    }
+  },
+
+  /**
+   * Creates a module loader for Node.js
+   * It intercepts require() calls of the mocked modules while the backtest runs, as some modules are required lazily.
+   * The project's modules are re-loaded for each backtest, so they don't share state with other runs.
+   * @return {Function} (mocks, modulePaths) => { modules, unload }
+   */
+  createNodeLoader() {
+    return (mocks, modulePaths) => {
+      const originalLoad = Module._load;
+
+      Module._load = function(request, parent, ...args) {
+        if (request.startsWith('.') && parent?.filename) {
+          const mockPath = stripExtension(path.resolve(path.dirname(parent.filename), request));
+
+          if (Object.prototype.hasOwnProperty.call(mocks, mockPath)) {
+            return mocks[mockPath];
+          }
+        }
+
+        return originalLoad.call(this, request, parent, ...args);
+      };
+
+      clearProjectModuleCache();
+
+      const modules = {};
+      for (const [name, modulePath] of Object.entries(modulePaths)) {
+        modules[name] = require(modulePath);
+      }
+
+      return {
+        modules,
+        unload() {
+          Module._load = originalLoad;
+          clearProjectModuleCache();
+        },
+      };
+    };
+  },
+
+  /**
+   * Creates a module loader for jest tests
+   * Existing modules are mocked by their file paths. Virtual mocks are only for files which don't exist,
+   * like trader_backtest.js, as jest doesn't match a virtual mock to an existing file reliably.
+   * @param {Object} jestObject jest global object of a test file
+   * @return {Function} (mocks, modulePaths) => { modules, unload }
+   */
+  createJestLoader(jestObject) {
+    return (mocks, modulePaths) => {
+      const modules = {};
+
+      jestObject.isolateModules(() => {
+        for (const [modulePath, mock] of Object.entries(mocks)) {
+          const filePath = resolveFile(modulePath);
+          jestObject.doMock(filePath || modulePath, () => mock, { virtual: !filePath });
+        }
+
+        for (const [name, modulePath] of Object.entries(modulePaths)) {
+          modules[name] = require(modulePath);
+        }
+      });
+
+      return {
+        modules,
+        unload() {
+          for (const modulePath of Object.keys(mocks)) {
+            jestObject.dontMock(resolveFile(modulePath) || modulePath);
+          }
+        },
+      };
+    };
+  },
+};
+
+/**
+ * Checks Ladder params, which the ladder can't place orders without
+ * Otherwise, every iteration fails, and a backtest reports no fills instead of an error.
+ * @param {Object} tradeParams Ladder params
+ * @param {String} coin1
+ * @param {String} coin2
+ * @throws {Error} Describes the first wrong param
+ */
+function validateTradeParams(tradeParams, coin1, coin2) {
+  const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+  const isNonEmptyList = (value) => Array.isArray(value) && value.length > 0;
+
+  if (!Number.isInteger(tradeParams.mm_ladderCount) || tradeParams.mm_ladderCount < 1) {
+    throw new Error(`mm_ladderCount should be a positive integer, got ${tradeParams.mm_ladderCount}`);
+  }
+
+  if (![coin1, coin2].includes(tradeParams.mm_ladderAmountCoin)) {
+    throw new Error(`mm_ladderAmountCoin should be ${coin1} or ${coin2}, got ${tradeParams.mm_ladderAmountCoin}`);
+  }
+
+  switch (tradeParams.mm_ladderPriceStepType) {
+    case 'arithmetic':
+      if (!isPositiveNumber(tradeParams.mm_ladderPriceStep)) {
+        throw new Error(`mm_ladderPriceStep should be a positive number for arithmetic price step, got ${tradeParams.mm_ladderPriceStep}`);
+      }
+      break;
+    case 'custom':
+      if (!isNonEmptyList(tradeParams.mm_ladderPriceSteps)) {
+        throw new Error('mm_ladderPriceSteps should be a list of steps for custom price step');
+      }
+      break;
+    default:
+      if (!isPositiveNumber(tradeParams.mm_ladderPriceStepPercent)) {
+        throw new Error(`mm_ladderPriceStepPercent should be a positive number, got ${tradeParams.mm_ladderPriceStepPercent}`);
+      }
+      break;
+  }
+
+  if (tradeParams.mm_ladderAmountProfile === 'list') {
+    if (!isNonEmptyList(tradeParams.mm_ladderAmounts) || !tradeParams.mm_ladderAmounts.every(isPositiveNumber)) {
+      throw new Error('mm_ladderAmounts should be a list of positive numbers for list amount profile');
+    }
+  } else {
+    if (!isPositiveNumber(tradeParams.mm_ladderAmount)) {
+      throw new Error(`mm_ladderAmount should be a positive number, got ${tradeParams.mm_ladderAmount}`);
+    }
+
+    if (['increasing', 'geometric'].includes(tradeParams.mm_ladderAmountProfile) && !isPositiveNumber(tradeParams.mm_ladderAmountFactor)) {
+      throw new Error(`mm_ladderAmountFactor should be a positive number for ${tradeParams.mm_ladderAmountProfile} amount profile, got ${tradeParams.mm_ladderAmountFactor}`);
+    }
+  }
+}
+
+/**
+ * Calculates backtest metrics
+ * @param {Object} data Backtest data
+ * @return {Object} Backtest result
+ */
+function getResult(data) {
+  const { pair, candles, balances, exchange, inventory, realizedProfit } = data;
+  const { notifications, logCounters, tradeParams, stoppedAt, collections } = data;
+  const [coin1, coin2] = pair.split('/');
+
+  const first = inventory[0];
+  const last = inventory[inventory.length - 1];
+
+  const startPrice = candles[0].close;
+  const startCoin1 = +balances[coin1] || 0;
+  const startCoin2 = +balances[coin2] || 0;
+  const startEquity = startCoin1 * startPrice + startCoin2;
+
+  let peakEquity = startEquity;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+
+  for (const point of inventory) {
+    peakEquity = Math.max(peakEquity, point.equity);
+
+    const drawdown = peakEquity - point.equity;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPercent = peakEquity ? drawdown / peakEquity * 100 : 0;
+    }
+  }
+
+  const holdEquity = startCoin1 * last.price + startCoin2;
+  const fills = exchange.fills;
+
+  return {
+    pair,
+    from: first.time,
+    to: last.time,
+    candleCount: candles.length,
+    start: {
+      price: startPrice,
+      coin1: startCoin1,
+      coin2: startCoin2,
+      equity: startEquity,
+    },
+    end: {
+      price: last.price,
+      coin1: last.coin1,
+      coin2: last.coin2,
+      equity: last.equity,
+    },
+    pnl: last.equity - startEquity,
+    pnlPercent: startEquity ? (last.equity - startEquity) / startEquity * 100 : 0,
+    holdPnl: holdEquity - startEquity, // Benchmark: if we just hold the initial balances
+    realizedProfit: realizedProfit.profit,
+    roundTripCount: realizedProfit.count,
+    fees: exchange.totalFees,
+    maxDrawdown,
+    maxDrawdownPercent,
+    fillCount: fills.length,
+    buyFillCount: fills.filter((fill) => fill.side === 'buy').length,
+    sellFillCount: fills.filter((fill) => fill.side === 'sell').length,
+    fills,
+    inventory,
+    roundTrips: collections.roundTripsDb.db.documents,
+    notifications,
+    errorCount: logCounters.error,
+    warnCount: logCounters.warn,
+    stoppedAt, // If a guard or the grid range stopped trading
+    tradeParams: { ...tradeParams },
+    coin1,
+    coin2,
+  };
+}
+
+/**
+ * Creates a logger with the helpers/log interface
+ * @param {Object} clock Simulated time
+ * @param {Object} logCounters Error and warning counters
+ * @param {Boolean} verbose Output to console
+ * @return {Object}
+ */
+function createLog(clock, logCounters, verbose) {
+  const write = (level, str) => {
+    if (level in logCounters) {
+      logCounters[level]++;
+    }
+
+    if (verbose) {
+      console.log(`${level}|${new Date(clock.now).toISOString()}|${str}`);
+    }
+  };
+
+  return {
+    error: (str) => write('error', str),
+    warn: (str) => write('warn', str),
+    info: (str) => write('info', str),
+    log: (str) => write('log', str),
+  };
+}
+
+/**
+ * Creates a stand-in for helpers/cryptos/exchanger
+ * Knows only coin1, coin2, and USD rates: coin1 is valued by the current close price
+ * @param {Object} clock Simulated time with the current candle
+ * @param {String} coin1
+ * @param {String} coin2
+ * @param {Number} quoteUsdRate coin2 rate in USD
+ * @return {Object}
+ */
+function createExchanger(clock, coin1, coin2, quoteUsdRate) {
+  const getUsdRate = (coin) => {
+    switch (coin?.toUpperCase()) {
+      case coin1:
+        return clock.candle.close * quoteUsdRate;
+      case coin2:
+        return quoteUsdRate;
+      case 'USD':
+        return 1;
+      default:
+        return NaN;
+    }
+  };
+
+  return {
+    getRate(from, to) {
+      return getUsdRate(from) / getUsdRate(to);
+    },
+    convertCryptos(from, to, amount = 1) {
+      const rate = this.getRate(from, to);
+
+      return {
+        outAmount: rate * amount,
+        exchangePrice: rate,
+      };
+    },
+    isFiat(coin) {
+      return coin === 'USD';
+    },
+    hasTicker(coin) {
+      return [coin1, coin2, 'USD'].includes(coin);
+    },
+  };
+}
+
+/**
+ * Returns an absolute module path without extension
+ * @param {String} modulePath Path from the project root like 'trade/co_ladder'
+ * @return {String}
+ */
+function resolve(modulePath) {
+  return path.join(ROOT_DIR, modulePath);
+}
+
+/**
+ * Returns a module's file path, if the file exists
+ * @param {String} modulePath Absolute module path without extension
+ * @return {String|undefined}
+ */
+function resolveFile(modulePath) {
+  try {
+    return require.resolve(modulePath);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Strips .js extension from a module path
+ * @param {String} modulePath
+ * @return {String}
+ */
+function stripExtension(modulePath) {
+  return modulePath.endsWith('.js') ? modulePath.slice(0, -3) : modulePath;
+}
+
+/**
+ * Removes the project's modules from require.cache, except for the backtesting ones
+ */
+function clearProjectModuleCache() {
+  for (const cachedPath of Object.keys(require.cache)) {
+    if (
+      cachedPath.startsWith(ROOT_DIR) &&
+      !cachedPath.includes(`${path.sep}node_modules${path.sep}`) &&
+      !cachedPath.startsWith(__dirname)
+    ) {
+      delete require.cache[cachedPath];
+    }
+  }
+}
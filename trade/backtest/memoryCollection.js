@@ -0,0 +1,204 @@
+/**
+ * In-memory stand-in for a MongoDB collection
+ * Implements the subset of the collection API used by helpers/dbModel.js, so the bot's modules can run offline.
+ * Supported query operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists.
+ * Supported aggregation stages: $match, $group with $sum, $sort, $limit.
+ */
+
+module.exports = () => {
+  let documents = [];
+  let lastId = 0;
+
+  /**
+   * Wraps results to mimic a MongoDB cursor
+   * @param {Array<Object>} data Documents
+   * @return {Object} { toArray }
+   */
+  function cursor(data) {
+    return {
+      toArray: async () => data,
+    };
+  }
+
+  return {
+    /**
+     * Returns copies of all documents, for reports
+     * @return {Array<Object>}
+     */
+    get documents() {
+      return documents.map((document) => ({ ...document }));
+    },
+
+    find(query = {}) {
+      return cursor(documents.filter((document) => isMatch(document, query)).map((document) => ({ ...document })));
+    },
+
+    async findOne(query = {}) {
+      const document = documents.find((document) => isMatch(document, query));
+      return document ? { ...document } : null;
+    },
+
+    async count(query = {}) {
+      return documents.filter((document) => isMatch(document, query)).length;
+    },
+
+    async insertOne(data) {
+      const document = { _id: data._id ?? `mem-${++lastId}`, ...data };
+      documents.push(document);
+
+      return { insertedId: document._id };
+    },
+
+    async updateOne(query, update, options = {}) {
+      const document = documents.find((document) => isMatch(document, query));
+
+      if (document) {
+        Object.assign(document, update.$set);
+        return { matchedCount: 1, modifiedCount: 1 };
+      }
+
+      if (options.upsert) {
+        const equalityFields = Object.fromEntries(Object.entries(query).filter(([, value]) => !isOperatorObject(value)));
+        documents.push({ ...equalityFields, ...update.$set });
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+
+      return { matchedCount: 0, modifiedCount: 0 };
+    },
+
+    async deleteOne(query) {
+      const index = documents.findIndex((document) => isMatch(document, query));
+
+      if (index === -1) {
+        return { deletedCount: 0 };
+      }
+
+      documents.splice(index, 1);
+      return { deletedCount: 1 };
+    },
+
+    async deleteMany(query = {}) {
+      const countBefore = documents.length;
+      documents = documents.filter((document) => !isMatch(document, query));
+
+      return { deletedCount: countBefore - documents.length };
+    },
+
+    aggregate(pipeline) {
+      let data = documents.map((document) => ({ ...document }));
+
+      for (const stage of pipeline) {
+        if (stage.$match) {
+          data = data.filter((document) => isMatch(document, stage.$match));
+        } else if (stage.$group) {
+          data = group(data, stage.$group);
+        } else if (stage.$sort) {
+          const [[field, direction]] = Object.entries(stage.$sort);
+          data.sort((a, b) => (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0) * direction);
+        } else if (stage.$limit) {
+          data = data.slice(0, stage.$limit);
+        }
+      }
+
+      return cursor(data);
+    },
+  };
+};
+
+/**
+ * Checks if a value is a query operator object like { $gt: 1 }
+ * @param {*} value Query value
+ * @return {Boolean}
+ */
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).some((key) => key.startsWith('$'));
+}
+
+/**
+ * Compares values as MongoDB does for equality, ObjectIds and numeric ids are compared as strings
+ * @param {*} a
+ * @param {*} b
+ * @return {Boolean}
+ */
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (a === undefined || a === null || b === undefined || b === null) {
+    return (a ?? null) === (b ?? null);
+  }
+
+  return a.toString() === b.toString();
+}
+
+/**
+ * Checks if a document matches a query
+ * @param {Object} document Stored document
+ * @param {Object} query MongoDB-like query
+ * @return {Boolean}
+ */
+function isMatch(document, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    const value = document[field];
+
+    if (!isOperatorObject(condition)) {
+      return isEqual(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq':
+          return isEqual(value, operand);
+        case '$ne':
+          return !isEqual(value, operand);
+        case '$gt':
+          return value > operand;
+        case '$gte':
+          return value >= operand;
+        case '$lt':
+          return value < operand;
+        case '$lte':
+          return value <= operand;
+        case '$in':
+          return operand.some((item) => isEqual(value, item));
+        case '$nin':
+          return !operand.some((item) => isEqual(value, item));
+        case '$exists':
+          return (value !== undefined) === Boolean(operand);
+        default:
+          throw new Error(`Query operator ${operator} is not supported by the in-memory collection`);
+      }
+    });
+  });
+}
+
+/**
+ * Groups documents as the $group aggregation stage does. Only $sum accumulators are supported.
+ * @param {Array<Object>} data Documents
+ * @param {Object} groupStage Like { _id: '$type', count: { $sum: 1 }, amount: { $sum: '$coin1Amount' } }
+ * @return {Array<Object>}
+ */
+function group(data, groupStage) {
+  const { _id: groupBy, ...accumulators } = groupStage;
+  const groups = new Map();
+
+  for (const document of data) {
+    const key = typeof groupBy === 'string' && groupBy.startsWith('$') ? document[groupBy.slice(1)] : groupBy;
+
+    if (!groups.has(key)) {
+      groups.set(key, { _id: key });
+    }
+
+    const result = groups.get(key);
+
+    for (const [field, accumulator] of Object.entries(accumulators)) {
+      const operand = accumulator.$sum;
+      const addend = typeof operand === 'string' && operand.startsWith('$') ? document[operand.slice(1)] : operand;
+
+      result[field] = (result[field] || 0) + (+addend || 0);
+    }
+  }
+
+  return [...groups.values()];
+}
@@ -0,0 +1,109 @@
+/**
+ * Loads historical price series for backtesting
+ * Supported formats:
+ * - CSV with a header: time (or timestamp, date), open, high, low, close, volume — candles,
+ *   or time, price, amount — trades. Each trade is considered as a candle with the same open, high, low, and close.
+ * - JSON array of objects with the same fields, or of arrays like Binance klines: [openTime, open, high, low, close, volume, …]
+ * Time can be Unix time in seconds or ms, or a date string. The series is sorted by time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TIME_FIELDS = ['time', 'timestamp', 'date', 'datetime', 'opentime'];
+
+module.exports = {
+  /**
+   * Loads a series from a CSV or JSON file
+   * @param {String} filePath Path to .csv or .json file
+   * @return {Array<Object>} Candles { time, open, high, low, close, volume }
+   */
+  loadFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const isJson = path.extname(filePath).toLowerCase() === '.json';
+
+    return isJson ? this.parseJson(JSON.parse(content)) : this.parseCsv(content);
+  },
+
+  /**
+   * Parses CSV content
+   * @param {String} content CSV with a header line
+   * @return {Array<Object>} Candles
+   */
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+    const delimiter = lines[0]?.includes(';') ? ';' : ',';
+    const header = lines.shift()?.split(delimiter).map((field) => field.trim().toLowerCase()) || [];
+
+    const records = lines.map((line) => {
+      const values = line.split(delimiter);
+      return Object.fromEntries(header.map((field, index) => [field, values[index]?.trim()]));
+    });
+
+    return this.parseJson(records);
+  },
+
+  /**
+   * Normalizes records to candles
+   * @param {Array<Object|Array>} records Objects with candle or trade fields, or Binance-like kline arrays
+   * @return {Array<Object>} Candles
+   */
+  parseJson(records) {
+    if (!Array.isArray(records)) {
+      throw new Error('Price series should be an array');
+    }
+
+    const candles = records.map((record, index) => {
+      let candle;
+
+      if (Array.isArray(record)) {
+        const [time, open, high, low, close, volume] = record;
+        candle = { time, open, high, low, close, volume };
+      } else {
+        const fields = Object.fromEntries(Object.entries(record).map(([field, value]) => [field.toLowerCase(), value]));
+        const timeField = TIME_FIELDS.find((field) => fields[field] !== undefined);
+        const price = fields.price ?? fields.close;
+
+        candle = {
+          time: fields[timeField],
+          open: fields.open ?? price,
+          high: fields.high ?? price,
+          low: fields.low ?? price,
+          close: fields.close ?? price,
+          volume: fields.volume ?? fields.amount,
+        };
+      }
+
+      candle = {
+        time: parseTime(candle.time),
+        open: +candle.open,
+        high: +candle.high,
+        low: +candle.low,
+        close: +candle.close,
+        volume: +candle.volume || 0,
+      };
+
+      if (!Number.isFinite(candle.time) || ![candle.open, candle.high, candle.low, candle.close].every((value) => value > 0)) {
+        throw new Error(`Wrong price series record ${index + 1}: ${JSON.stringify(record)}`);
+      }
+
+      return candle;
+    });
+
+    return candles.sort((a, b) => a.time - b.time);
+  },
+};
+
+/**
+ * Converts time to Unix time in ms
+ * @param {Number|String} time Unix time in seconds or ms, or a date string
+ * @return {Number}
+ */
+function parseTime(time) {
+  if (time !== undefined && time !== '' && !isNaN(+time)) {
+    const unixTime = +time;
+    return unixTime < 1e12 ? unixTime * 1000 : unixTime; // Seconds until the year 33658
+  }
+
+  return new Date(time).getTime();
+}
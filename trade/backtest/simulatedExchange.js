@@ -0,0 +1,408 @@
+/**
+ * Simulated exchange for backtesting
+ * Implements the traderapi contract (placeOrder, getOpenOrders, cancelOrder, getRates, getBalances, getOrderDetails, …)
+ * over a price series instead of a real exchange.
+ * - Limit orders freeze balances and are filled entirely at their price when a candle's low/high reaches them
+ * - Market orders are filled immediately at the simulated ask or bid
+ * - Fees are charged in coin2 at feeRate for both of maker and taker orders
+ * - Bid and ask are the candle's close price ±spreadPercent/2
+ * It doesn't require the bot's config or helpers, so it can be created before the trade modules are loaded.
+ */
+
+/**
+ * Creates a simulated exchange
+ * @param {Object} options
+ * @param {String} options.pair Trade pair like 'ADM/USDT'
+ * @param {Object} options.balances Initial balances like { ADM: 10000, USDT: 500 }
+ * @param {Number} [options.feeRate=0.001] Fee rate, 0.001 is 0.1%
+ * @param {Number} [options.spreadPercent=0.1] Simulated spread between bid and ask in percent
+ * @param {Number} [options.coin1Decimals=8] Order amount decimals
+ * @param {Number} [options.coin2Decimals=8] Order price decimals
+ * @param {Number} [options.coin1MinAmount=0] Minimum order amount in coin1
+ * @param {Number} [options.coin2MinAmount=0] Minimum order volume in coin2
+ * @param {Object} options.log Logger
+ * @return {Object} traderapi-compatible object with processCandle() and report getters
+ */
+module.exports = ({
+  pair,
+  balances: initialBalances = {},
+  feeRate = 0.001,
+  spreadPercent = 0.1,
+  coin1Decimals = 8,
+  coin2Decimals = 8,
+  coin1MinAmount = 0,
+  coin2MinAmount = 0,
+  log,
+}) => {
+  const [coin1, coin2] = pair.split('/');
+  const exchangeName = 'Backtest';
+
+  const balances = {};
+  for (const coin of [coin1, coin2, ...Object.keys(initialBalances)]) {
+    balances[coin] = { free: +initialBalances[coin] || 0, freezed: 0 };
+  }
+
+  const orders = new Map();
+  const fills = [];
+  let lastOrderId = 0;
+  let candle;
+  let totalFees = 0;
+
+  const marketInfo = {
+    pairReadable: pair,
+    pairPlain: pair.replace('/', '_'),
+    coin1,
+    coin2,
+    coin1Decimals,
+    coin2Decimals,
+    coin1Precision: +(10 ** -coin1Decimals).toFixed(coin1Decimals),
+    coin2Precision: +(10 ** -coin2Decimals).toFixed(coin2Decimals),
+    coin1MinAmount,
+    coin1MaxAmount: null,
+    coin2MinAmount,
+    coin2MaxAmount: null,
+    minTrade: coin1MinAmount,
+    status: 'ONLINE',
+  };
+
+  /**
+   * Returns simulated bid and ask for the current candle
+   * @return {Object} { bid, ask }
+   */
+  function getSpread() {
+    const halfSpread = candle.close * spreadPercent / 100 / 2;
+
+    return {
+      bid: +(candle.close - halfSpread).toFixed(coin2Decimals),
+      ask: +(candle.close + halfSpread).toFixed(coin2Decimals),
+    };
+  }
+
+  /**
+   * Moves coins according to a filled order, and stores the fill
+   * @param {Object} order Simulated order
+   * @param {Number} price Fill price
+   */
+  function execute(order, price) {
+    const quote = order.amount * price;
+    const fee = quote * feeRate;
+
+    if (order.side === 'buy') {
+      balances[coin1].free += order.amount;
+      balances[coin2].freezed -= order.freezedAmount;
+      balances[coin2].free += order.freezedAmount - quote - fee;
+    } else {
+      balances[coin1].freezed -= order.freezedAmount;
+      balances[coin1].free += order.freezedAmount - order.amount;
+      balances[coin2].free += quote - fee;
+    }
+
+    order.status = 'filled';
+    order.amountExecuted = order.amount;
+    order.priceFilled = price;
+    order.updateTimestamp = candle.time;
+
+    totalFees += fee;
+
+    fills.push({
+      time: candle.time,
+      orderId: order.orderId,
+      side: order.side,
+      type: order.type,
+      price,
+      amount: order.amount,
+      quote,
+      fee,
+    });
+  }
+
+  return {
+    /**
+     * Sets the next candle and fills limit orders which price is reached
+     * Buy orders are filled from the highest price, sell orders from the lowest.
+     * @param {Object} nextCandle { time, open, high, low, close }
+     */
+    processCandle(nextCandle) {
+      candle = nextCandle;
+
+      const openOrders = [...orders.values()].filter((order) => order.status === 'new');
+
+      openOrders
+          .filter((order) => order.side === 'buy' && candle.low <= order.price)
+          .sort((a, b) => b.price - a.price)
+          .forEach((order) => execute(order, order.price));
+
+      openOrders
+          .filter((order) => order.side === 'sell' && candle.high >= order.price)
+          .sort((a, b) => a.price - b.price)
+          .forEach((order) => execute(order, order.price));
+    },
+
+    /**
+     * All of the fills since the start of the backtest
+     * @return {Array<Object>}
+     */
+    get fills() {
+      return fills;
+    },
+
+    /**
+     * Total fees paid in coin2
+     * @return {Number}
+     */
+    get totalFees() {
+      return totalFees;
+    },
+
+    /**
+     * Total balances of the trade pair coins, including frozen in orders
+     * @return {Object} { coin1, coin2 }
+     */
+    get inventory() {
+      return {
+        coin1: balances[coin1].free + balances[coin1].freezed,
+        coin2: balances[coin2].free + balances[coin2].freezed,
+      };
+    },
+
+    get markets() {
+      return { [marketInfo.pairPlain]: marketInfo };
+    },
+
+    get currencies() {
+      return {};
+    },
+
+    marketInfo() {
+      return marketInfo;
+    },
+
+    currencyInfo() {
+      return undefined;
+    },
+
+    features() {
+      return {
+        getMarkets: true,
+        getCurrencies: false,
+        placeMarketOrder: true,
+        getDepositAddress: false,
+        getTradingFees: true,
+        getAccountTradeVolume: false,
+        getFundHistory: false,
+        getFundHistoryImplemented: false,
+        allowAmountForMarketBuy: true,
+        amountForMarketOrderNecessary: false,
+        accountTypes: false,
+        withdrawAccountType: '',
+        withdrawalSuccessNote: false,
+        supportTransferBetweenAccounts: false,
+        supportCoinNetworks: false,
+      };
+    },
+
+    async getBalances(nonzero = true) {
+      let result = Object.entries(balances).map(([code, balance]) => ({
+        code,
+        free: balance.free,
+        freezed: balance.freezed,
+        total: balance.free + balance.freezed,
+      }));
+
+      if (nonzero) {
+        result = result.filter((crypto) => crypto.free || crypto.freezed);
+      }
+
+      return result;
+    },
+
+    async getOpenOrders() {
+      return [...orders.values()]
+          .filter((order) => order.status === 'new')
+          .map((order) => ({
+            orderId: order.orderId,
+            symbol: pair,
+            price: order.price,
+            side: order.side,
+            type: order.type,
+            timestamp: order.timestamp,
+            amount: order.amount,
+            amountExecuted: 0,
+            amountLeft: order.amount,
+            status: 'new',
+          }));
+    },
+
+    async getOrderDetails(orderId) {
+      const order = orders.get(orderId?.toString());
+
+      if (!order) {
+        return {
+          orderId,
+          status: 'unknown',
+        };
+      }
+
+      return {
+        orderId: order.orderId,
+        tradesCount: order.status === 'filled' ? 1 : 0,
+        price: order.priceFilled || order.price,
+        side: order.side,
+        type: order.type,
+        amount: order.amount,
+        volume: order.amount * order.price,
+        pairPlain: marketInfo.pairPlain,
+        pairReadable: pair,
+        totalFeeInCoin2: order.status === 'filled' ? order.amount * order.priceFilled * feeRate : 0,
+        amountExecuted: order.amountExecuted,
+        volumeExecuted: order.amountExecuted * (order.priceFilled || order.price),
+        timestamp: order.timestamp,
+        updateTimestamp: order.updateTimestamp,
+        status: order.status,
+      };
+    },
+
+    async cancelOrder(orderId) {
+      const order = orders.get(orderId?.toString());
+
+      if (!order || order.status !== 'new') {
+        log.log(`${exchangeName}: Unable to cancel order ${orderId}: it's ${order ? order.status : 'not found'}.`);
+        return false;
+      }
+
+      const freezedCoin = order.side === 'buy' ? coin2 : coin1;
+      balances[freezedCoin].freezed -= order.freezedAmount;
+      balances[freezedCoin].free += order.freezedAmount;
+
+      order.status = 'cancelled';
+      order.updateTimestamp = candle?.time;
+
+      return true;
+    },
+
+    async cancelAllOrders(pair, side) {
+      for (const order of orders.values()) {
+        if (order.status === 'new' && (!side || order.side === side)) {
+          await this.cancelOrder(order.orderId);
+        }
+      }
+
+      return true;
+    },
+
+    async getRates() {
+      if (!candle) {
+        return undefined;
+      }
+
+      return {
+        ...getSpread(),
+        last: candle.close,
+        volume: candle.volume || 0,
+        volumeInCoin2: (candle.volume || 0) * candle.close,
+        high: candle.high,
+        low: candle.low,
+      };
+    },
+
+    async getOrderBook() {
+      if (!candle) {
+        return undefined;
+      }
+
+      const { bid, ask } = getSpread();
+
+      return {
+        bids: [{ amount: Infinity, price: bid, count: 1, type: 'bid-buy-left' }],
+        asks: [{ amount: Infinity, price: ask, count: 1, type: 'ask-sell-right' }],
+      };
+    },
+
+    async getTradesHistory() {
+      return [];
+    },
+
+    async getFees() {
+      return [{
+        pair,
+        makerRate: feeRate,
+        takerRate: feeRate,
+      }];
+    },
+
+    async placeOrder(side, orderPair, price, coin1Amount, limit = 1, coin2Amount) {
+      let message;
+
+      if (!candle) {
+        message = `Unable to place an order on ${exchangeName} exchange. No price data yet.`;
+        log.warn(message);
+        return { message };
+      }
+
+      if (!limit) {
+        const { bid, ask } = getSpread();
+        price = side === 'buy' ? ask : bid;
+      }
+
+      if (!coin1Amount && coin2Amount && price) {
+        coin1Amount = coin2Amount / price;
+      }
+
+      coin1Amount = +(+coin1Amount).toFixed(coin1Decimals);
+      price = +(+price).toFixed(coin2Decimals);
+
+      if (!coin1Amount || !price) {
+        message = `Unable to place an order on ${exchangeName} exchange. After rounding, the order amount ${coin1Amount} or price ${price} is wrong.`;
+        log.warn(message);
+        return { message };
+      }
+
+      if (coin1Amount < coin1MinAmount || coin1Amount * price < coin2MinAmount) {
+        message = `Unable to place an order on ${exchangeName} exchange. Order amount ${coin1Amount} ${coin1} is less minimum.`;
+        log.warn(message);
+        return { message };
+      }
+
+      const freezedCoin = side === 'buy' ? coin2 : coin1;
+      const freezedAmount = side === 'buy' ? coin1Amount * price * (limit ? 1 : 1 + feeRate) : coin1Amount;
+
+      if (balances[freezedCoin].free < freezedAmount) {
+        message = `Unable to place an order on ${exchangeName} exchange. Not enough ${freezedCoin}: ${balances[freezedCoin].free} free, ${freezedAmount} required.`;
+        log.warn(message);
+        return {
+          orderId: false,
+          message,
+        };
+      }
+
+      balances[freezedCoin].free -= freezedAmount;
+      balances[freezedCoin].freezed += freezedAmount;
+
+      const order = {
+        orderId: (++lastOrderId).toString(),
+        side,
+        type: limit ? 'limit' : 'market',
+        price,
+        amount: coin1Amount,
+        amountExecuted: 0,
+        freezedAmount,
+        timestamp: candle.time,
+        status: 'new',
+      };
+
+      orders.set(order.orderId, order);
+
+      if (!limit) {
+        execute(order, price);
+      }
+
+      message = `Order placed to ${side} ${coin1Amount} ${coin1} at ${limit ? price : 'Market Price'} ${coin2}. Order Id: ${order.orderId}.`;
+      log.info(message);
+
+      return {
+        orderId: order.orderId,
+        message,
+      };
+    },
+  };
+};
@@ -0,0 +1,364 @@
+/**
+ * DCA (dollar-cost averaging) trade strategy, when a bot buys (or sells) a fixed amount of coin1 on a schedule.
+ * Optionally, it places safety limit-orders on price drops (rises for selling) from the last scheduled order price,
+ * and closes the accumulated position when the target profit is reached. Then a new DCA cycle starts.
+ */
+
+const utils = require('../helpers/utils');
+const config = require('../modules/config/reader');
+const log = require('../helpers/log');
+const notify = require('../helpers/notify');
+const tradeParams = require('./settings/tradeParams_' + config.exchange);
+const traderapi = require('./trader_' + config.exchange)(
+    config.apikey,
+    config.apisecret,
+    config.apipassword,
+    log,
+    undefined,
+    undefined,
+    config.exchange_socket,
+    config.exchange_socket_pull,
+);
+const db = require('../modules/DB');
+const orderUtils = require('./orderUtils');
+const orderCollector = require('./orderCollector');
+
+
+const INTERVAL_MIN = 10000;
+const INTERVAL_MAX = 15000;
+
+let isPreviousIterationFinished = true;
+
+module.exports = {
+  readableModuleName: 'DCA',
+
+  run() {
+    this.iteration();
+  },
+
+  async iteration() {
+    const interval = utils.randomValue(INTERVAL_MIN, INTERVAL_MAX, true);
+    if (
+      tradeParams.co_isActive &&
+      tradeParams.co_strategy === 'dca'
+    ) {
+      if (isPreviousIterationFinished) {
+        isPreviousIterationFinished = false;
+        await this.processDca();
+        isPreviousIterationFinished = true;
+      } else {
+        log.log(`DCA: Postponing iteration of the DCA module for ${interval} ms. Previous iteration is in progress yet.`);
+      }
+      setTimeout(() => {
+        this.iteration();
+      }, interval);
+    } else {
+      setTimeout(() => {
+        this.iteration();
+      }, 3000); // Check for config.co_isActive every 3 seconds
+    }
+  },
+
+  /**
+   * Main part of DCA module:
+   * Updates safety orders, closes the position if the target profit is reached, and places a scheduled order
+   */
+  async processDca() {
+    try {
+      const { ordersDb } = db;
+      const dcaOrders = await ordersDb.find({
+        isProcessed: false,
+        purpose: 'dca',
+        pair: config.pair,
+        exchange: config.exchange,
+      });
+
+      await this.updateSafetyOrders(dcaOrders);
+
+      const exchangeRates = await traderapi.getRates(config.pair);
+      if (!exchangeRates) {
+        log.warn(`DCA: Unable to get ${config.exchangeName} rates for ${config.pair}. Waiting for the next iteration.`);
+        return;
+      }
+
+      if (await this.closeOnTargetProfit(exchangeRates)) {
+        return;
+      }
+
+      const now = utils.unixTimeStampMs();
+      if (now - (tradeParams.dca_lastOrderDate || 0) >= tradeParams.dca_intervalMs) {
+        await this.placeScheduledOrder(exchangeRates);
+      }
+    } catch (e) {
+      log.error(`Error in processDca() of ${utils.getModuleName(module.id)} module: ${e}`);
+    }
+  },
+
+  /**
+   * Updates open safety orders. Safety orders which disappeared from the exchange are considered as filled.
+   * @param {Array<Object>} dcaOrders Open dca-orders from the ordersDb
+   */
+  async updateSafetyOrders(dcaOrders) {
+    if (!dcaOrders.length) {
+      return;
+    }
+
+    const updatedOrders = await orderUtils.updateOrders(dcaOrders, config.pair, utils.getModuleName(module.id) + ':dca-');
+
+    for (const order of dcaOrders) {
+      const isStillOpen = updatedOrders.some((updatedOrder) => updatedOrder._id?.toString() === order._id?.toString());
+
+      if (!isStillOpen && order.isNotFound && !order.isCancelled) {
+        await order.update({
+          isExecuted: true,
+        }, true);
+
+        const coin2Decimals = orderUtils.parseMarket(config.pair).coin2Decimals;
+        notify(`${config.notifyName}: DCA safety order to ${order.type} ${order.coin1Amount} ${config.coin1} @${order.price.toFixed(coin2Decimals)} ${config.coin2} is filled.`, 'info');
+      }
+    }
+  },
+
+  /**
+   * Calculates the position accumulated in the current DCA cycle
+   * @return {Object} { coin1Amount, coin2Amount, averagePrice, orderCount }
+   */
+  async getPosition() {
+    const { ordersDb } = db;
+
+    const cycleOrders = await ordersDb.find({
+      purpose: 'dca',
+      pair: config.pair,
+      exchange: config.exchange,
+      type: tradeParams.dca_type,
+      dcaCycle: tradeParams.dca_cycle,
+      isExecuted: true,
+    });
+
+    const position = cycleOrders.reduce((position, order) => {
+      const coin1Amount = order.coin1AmountFilled || order.coin1Amount;
+      position.coin1Amount += coin1Amount;
+      position.coin2Amount += utils.isPositiveNumber(order.price) ? coin1Amount * order.price : order.coin2Amount;
+      position.orderCount++;
+      return position;
+    }, { coin1Amount: 0, coin2Amount: 0, orderCount: 0 });
+
+    position.averagePrice = position.coin1Amount ? position.coin2Amount / position.coin1Amount : undefined;
+
+    return position;
+  },
+
+  /**
+   * Closes the position with a market order when the target profit is reached, and starts a new DCA cycle
+   * @param {Object} exchangeRates Exchange's rates
+   * @return {Boolean} If the position is closed
+   */
+  async closeOnTargetProfit(exchangeRates) {
+    if (!utils.isPositiveNumber(tradeParams.dca_takeProfitPercent)) {
+      return false;
+    }
+
+    const position = await this.getPosition();
+    if (!position.coin1Amount) {
+      return false;
+    }
+
+    const isBuying = tradeParams.dca_type === 'buy';
+    const closePrice = isBuying ? exchangeRates.bid : exchangeRates.ask;
+    const profitPercent = (isBuying ? closePrice / position.averagePrice - 1 : 1 - closePrice / position.averagePrice) * 100;
+
+    if (profitPercent < tradeParams.dca_takeProfitPercent) {
+      return false;
+    }
+
+    const pairObj = orderUtils.parseMarket(config.pair);
+    const closeType = orderUtils.crossType(tradeParams.dca_type);
+    const coin1Amount = +position.coin1Amount.toFixed(pairObj.coin1Decimals);
+
+    const balances = await orderUtils.isEnoughCoins(closeType, config.pair, coin1Amount, coin1Amount * closePrice, 'dca',
+        ' to close the DCA position', this.readableModuleName);
+    if (!balances.result) {
+      this.notifyBalances(balances.message);
+      return false;
+    }
+
+    await orderCollector.clearLocalOrders(['dca'], config.pair, true, undefined, undefined, this.readableModuleName);
+
+    const order = await orderUtils.addGeneralOrder(closeType, config.pair, null, coin1Amount, 0, null, pairObj, 'dca');
+
+    if (!order?._id) {
+      log.warn(`DCA: Unable to place a market order to ${closeType} ${coin1Amount} ${config.coin1} and close the position. Will try next time.`);
+      return false;
+    }
+
+    await order.update({
+      isExecuted: true,
+      dcaCycle: tradeParams.dca_cycle,
+      dcaOrderType: 'close',
+      coin2Amount: coin1Amount * closePrice,
+    }, true);
+
+    const profit = isBuying ?
+      coin1Amount * closePrice - position.coin2Amount :
+      position.coin2Amount - coin1Amount * closePrice;
+
+    const closedCycle = tradeParams.dca_cycle;
+    tradeParams.dca_cycle = closedCycle + 1;
+    tradeParams.dca_lastOrderDate = 0;
+    utils.saveConfig(false, 'DCA-Close');
+
+    notify(`${config.notifyName}: DCA target profit of ${tradeParams.dca_takeProfitPercent}% reached. Closed ${utils.inclineNumber(closedCycle)} DCA cycle of ${position.orderCount} orders: ${closeType === 'sell' ? 'sold' : 'bought'} ${coin1Amount} ${config.coin1} at market price ~${closePrice.toFixed(pairObj.coin2Decimals)} ${config.coin2} with the average entry price of ${position.averagePrice.toFixed(pairObj.coin2Decimals)} ${config.coin2}. Estimated profit is ${profit.toFixed(pairObj.coin2Decimals)} ${config.coin2} (${profitPercent.toFixed(2)}%). Starting a new cycle.`, 'info');
+
+    return true;
+  },
+
+  /**
+   * Places a scheduled market order, and re-places safety orders from its price
+   * @param {Object} exchangeRates Exchange's rates
+   */
+  async placeScheduledOrder(exchangeRates) {
+    const pairObj = orderUtils.parseMarket(config.pair);
+    const type = tradeParams.dca_type;
+    const price = type === 'buy' ? exchangeRates.ask : exchangeRates.bid;
+
+    const coin1Amount = +getCoin1Amount(price).toFixed(pairObj.coin1Decimals);
+    const coin2Amount = coin1Amount * price;
+
+    const minAmount = orderUtils.getMinOrderAmount(price)?.min;
+    if (!coin1Amount || (minAmount && coin1Amount < minAmount)) {
+      log.warn(`DCA: Order amount ${coin1Amount} ${config.coin1} is less, than minimal ${minAmount} ${config.coin1}. Skipping the scheduled order.`);
+      tradeParams.dca_lastOrderDate = utils.unixTimeStampMs();
+      utils.saveConfig(false, 'DCA-Scheduled');
+      return;
+    }
+
+    const balances = await orderUtils.isEnoughCoins(type, config.pair, coin1Amount, coin2Amount, 'dca', ' for a scheduled DCA order', this.readableModuleName);
+    if (!balances.result) {
+      this.notifyBalances(balances.message);
+      return;
+    }
+
+    const order = await orderUtils.addGeneralOrder(type, config.pair, null, coin1Amount, 0, null, pairObj, 'dca');
+
+    if (!order?._id) {
+      log.warn(`DCA: Unable to place a scheduled market order to ${type} ${coin1Amount} ${config.coin1}. Will try next time.`);
+      return;
+    }
+
+    await order.update({
+      isExecuted: true,
+      dcaCycle: tradeParams.dca_cycle,
+      dcaOrderType: 'scheduled',
+      coin2Amount,
+    }, true);
+
+    tradeParams.dca_lastOrderDate = utils.unixTimeStampMs();
+    utils.saveConfig(false, 'DCA-Scheduled');
+
+    log.log(`DCA: Placed a scheduled market order to ${type} ${coin1Amount} ${config.coin1} at ~${price.toFixed(pairObj.coin2Decimals)} ${config.coin2}. Next order is in ${utils.timestampInDaysHoursMins(tradeParams.dca_intervalMs)}.`);
+
+    await this.placeSafetyOrders(price, coin1Amount);
+  },
+
+  /**
+   * Cancels previous safety orders and places new ones with dca_safetyStepPercent price steps from the scheduled order price
+   * @param {Number} basePrice Scheduled order price
+   * @param {Number} coin1Amount Amount of each safety order
+   */
+  async placeSafetyOrders(basePrice, coin1Amount) {
+    const safetyOrderCount = tradeParams.dca_safetyOrderCount;
+    if (!utils.isPositiveInteger(safetyOrderCount) || !utils.isPositiveNumber(tradeParams.dca_safetyStepPercent)) {
+      return;
+    }
+
+    await orderCollector.clearLocalOrders(['dca'], config.pair, true, undefined, undefined, this.readableModuleName);
+
+    const pairObj = orderUtils.parseMarket(config.pair);
+    const type = tradeParams.dca_type;
+    const direction = type === 'buy' ? -1 : 1;
+
+    let placedCount = 0;
+
+    for (let index = 1; index <= safetyOrderCount; index++) {
+      const price = +(basePrice * (1 + direction * tradeParams.dca_safetyStepPercent * index / 100)).toFixed(pairObj.coin2Decimals);
+      if (!utils.isPositiveNumber(price)) {
+        break;
+      }
+
+      const balances = await orderUtils.isEnoughCoins(type, config.pair, coin1Amount, coin1Amount * price, 'dca', ' for a DCA safety order', this.readableModuleName);
+      if (!balances.result) {
+        this.notifyBalances(balances.message);
+        break;
+      }
+
+      const order = await orderUtils.addGeneralOrder(type, config.pair, price, coin1Amount, 1, null, pairObj, 'dca');
+
+      if (order?._id) {
+        await order.update({
+          dcaCycle: tradeParams.dca_cycle,
+          dcaOrderType: 'safety',
+          dcaSafetyIndex: index,
+        }, true);
+
+        placedCount++;
+      }
+    }
+
+    log.log(`DCA: Placed ${placedCount} of ${safetyOrderCount} safety orders with ${tradeParams.dca_safetyStepPercent}% price step.`);
+  },
+
+  /**
+   * Notifies about not enough balances. Repeated notifications are collapsed by notify_policy.
+   * @param {String} message Message from orderUtils.isEnoughCoins()
+   */
+  notifyBalances(message) {
+    if (!message) {
+      return;
+    }
+
+    notify(`${config.notifyName}: ${message}`, 'warn', config.silent_mode, false, 'dca-not-enough-balances', 60);
+  },
+
+  /**
+   * Returns DCA state info for /stats and /orders commands
+   * @return {String|undefined}
+   */
+  async getInfoString() {
+    if (tradeParams.co_strategy !== 'dca' || !tradeParams.dca_type) {
+      return undefined;
+    }
+
+    const pairObj = orderUtils.parseMarket(config.pair);
+    const position = await this.getPosition();
+
+    let info = `DCA ${tradeParams.co_isActive ? 'is active' : 'is stopped'}: ${utils.inclineNumber(tradeParams.dca_cycle)} cycle`;
+
+    if (position.coin1Amount) {
+      const action = tradeParams.dca_type === 'buy' ? 'bought' : 'sold';
+      info += `, ${action} ${position.coin1Amount.toFixed(pairObj.coin1Decimals)} ${config.coin1} for ${position.coin2Amount.toFixed(pairObj.coin2Decimals)} ${config.coin2} with ${position.orderCount} orders`;
+      info += ` at the average price of ${position.averagePrice.toFixed(pairObj.coin2Decimals)} ${config.coin2}`;
+    } else {
+      info += ', no position yet';
+    }
+
+    if (tradeParams.co_isActive && tradeParams.dca_lastOrderDate) {
+      const nextOrderIn = Math.max(tradeParams.dca_lastOrderDate + tradeParams.dca_intervalMs - utils.unixTimeStampMs(), 0);
+      info += `. Next scheduled order is in ${utils.timestampInDaysHoursMins(nextOrderIn)}`;
+    }
+
+    return info + '.';
+  },
+};
+
+/**
+ * Calculates a scheduled order amount in coin1
+ * @param {Number} price Current market price
+ * @return {Number}
+ */
+function getCoin1Amount(price) {
+  if (tradeParams.dca_amountCoin === config.coin1) {
+    return tradeParams.dca_amount;
+  }
+
+  return tradeParams.dca_amount / price;
+}
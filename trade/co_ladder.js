@@ -23,26 +23,56 @@ const traderapi = require('./trader_' + config.exchange)(
 const db = require('../modules/DB');
 const orderUtils = require('./orderUtils');
 const orderCollector = require('./orderCollector');
+const ladderProfit = require('./ladderProfit');
+const ladderGuards = require('./ladderGuards');
+const { emitter, events } = require('../modules/eventEmitter');
 
-let lastNotifyBalancesTimestamp = 0;
-let lastNotifyPriceTimestamp = 0;
+let isOutOfGridRange = false; // The market left the bounded grid range, and the ladder is paused
 
 const NOTIFY_BALANCE_INDEX_PERCENT = 33; // Don't notify 'Not enough balance' when ~ placing ld-orders with index greater than 3 out of 10 — a bot still has coins to place closest to spread orders
 const AMOUNT_DEVIATION = 0.02; // 2% random factor
 const INTERVAL_MIN = 10000;
 const INTERVAL_MAX = 15000;
+const ORDER_UPDATE_ITERATION_DELAY_MS = 500; // Review the ladder soon after the socket streams a fill
 
 let isPreviousIterationFinished = true;
+let isFillReceived = false; // A fill was streamed during an iteration
+let iterationTimer;
 
 module.exports = {
   readableModuleName: 'Ladder',
 
+  getLadderAmount,
+
   run() {
+    // With exchange_socket enabled, fills reach the ladder in seconds instead of one iteration later
+    traderapi.onOrderUpdate?.((order) => {
+      if (order.symbol === config.pair && ['filled', 'part_filled'].includes(order.status)) {
+        if (isPreviousIterationFinished) {
+          this.scheduleIteration(ORDER_UPDATE_ITERATION_DELAY_MS);
+        } else {
+          isFillReceived = true;
+        }
+      }
+    });
+
     this.iteration();
   },
 
+  /**
+   * Runs the next iteration after a pause, replacing the previously scheduled one
+   * @param {Number} interval Pause in ms
+   */
+  scheduleIteration(interval) {
+    clearTimeout(iterationTimer);
+
+    iterationTimer = setTimeout(() => {
+      this.iteration();
+    }, interval);
+  },
+
   async iteration() {
-    const interval = setPause();
+    let interval = setPause();
     if (
       interval &&
       tradeParams.co_isActive &&
@@ -50,18 +80,19 @@ module.exports = {
     ) {
       if (isPreviousIterationFinished) {
         isPreviousIterationFinished = false;
+        isFillReceived = false;
         await this.buildLadder();
         isPreviousIterationFinished = true;
+
+        if (isFillReceived) {
+          interval = ORDER_UPDATE_ITERATION_DELAY_MS;
+        }
       } else {
         log.log(`Ladder: Postponing iteration of the ladder builder for ${interval} ms. Previous iteration is in progress yet.`);
       }
-      setTimeout(() => {
-        this.iteration();
-      }, interval);
+      this.scheduleIteration(interval);
     } else {
-      setTimeout(() => {
-        this.iteration();
-      }, 3000); // Check for config.co_isActive every 3 seconds
+      this.scheduleIteration(3000); // Check for config.co_isActive every 3 seconds
     }
   },
 
@@ -92,7 +123,10 @@ module.exports = {
           log.log('Ladder: Re-initialized the ladder successfully. Ready to build the new one.');
 
           tradeParams.mm_ladderReInit = false;
+          tradeParams.mm_ladderLastFillDate = utils.unixTimeStampMs();
           utils.saveConfig(false, 'Ladder-ReInit');
+
+          isOutOfGridRange = false;
         } else {
           log.warn(`Ladder: Unable to purge all of the previous ladder orders while re-initializing. Still ${ladderOrders.length} orders opened. Will try again.`);
         }
@@ -100,6 +134,18 @@ module.exports = {
         return;
       }
 
+      // Take-profit and stop-loss guards: cancel ld-orders and stop trading when triggered
+
+      if (await ladderGuards.check()) {
+        return;
+      }
+
+      // Bounded grid: pause or stop the ladder when the market leaves the grid range
+
+      if (!await this.checkGridRange()) {
+        return;
+      }
+
       // Update ladder orders. Not existed on exchange orders are not removed from the ordersDb.
 
       ladderOrders = await orderUtils.updateOrders(ladderOrders, config.pair, utils.getModuleName(module.id) + ':ld-',
@@ -172,6 +218,24 @@ module.exports = {
               maxFilledOrderIndex[type] = index;
               filledOrderPrices[type][index] = order.price;
 
+              // Link the fill to its counterpart and store the realized profit of a completed round trip
+
+              const roundTrips = await ladderProfit.registerFill(order);
+              const realizedProfit = roundTrips.length ?
+                roundTrips.reduce((total, roundTrip) => total + roundTrip.profit, 0) :
+                undefined;
+
+              emitter.emit(events['order:filled'], {
+                orderId: order._id,
+                purpose: 'ld',
+                side: type,
+                price: order.price,
+                coin1Amount: order.coin1Amount,
+                coin2Amount: order.coin2Amount,
+                ladderIndex: index,
+                realizedProfit,
+              });
+
               // Mark cross-type order as To be removed
 
               const crossTypeOrderIndexToRemove = tradeParams.mm_ladderCount - 1 - index;
@@ -206,6 +270,14 @@ module.exports = {
               filledMessage += ` ${order.coin1Amount.toFixed(coin1Decimals)} ${config.coin1} for ${order.coin2Amount.toFixed(coin2Decimals)} ${config.coin2}`;
               filledMessage += ` @${order.price.toFixed(coin2Decimals)} ${config.coin2} as filled: ${isFilledViaApiString} ${updateCrossTypeOrderStateString}`;
 
+              roundTrips.forEach((roundTrip) => {
+                filledMessage += ` Closed a round trip of ${roundTrip.coin1Amount.toFixed(coin1Decimals)} ${config.coin1} with ${roundTrip.openType} ld-order @${roundTrip.openType === 'buy' ? roundTrip.buyPrice : roundTrip.sellPrice} ${config.coin2}, realized profit is ${roundTrip.profit.toFixed(coin2Decimals)} ${config.coin2} net of fees.`;
+              });
+
+              if (order.isLadderRoundTripOpen && roundTrips.length) {
+                filledMessage += ` ${order.ladderRoundTripOpenAmount.toFixed(coin1Decimals)} ${config.coin1} remain in an open round trip.`;
+              }
+
               notify(`${config.notifyName}: ${filledMessage}`, 'log');
             } else {
               // Consider the order is not filled; it's Missed
@@ -289,11 +361,19 @@ module.exports = {
           tradeParams.mm_ladderMidPriceType = 'Shifted';
           const changeColor = tradeParams.mm_ladderMidPrice > mm_ladderMidPriceSaved ? '🟩' : '🟥';
           filledInfoString += `${changeColor} Mid ladder price changed from ${mm_ladderMidPriceSaved.toFixed(coin2Decimals)} ${config.coin2} to ${tradeParams.mm_ladderMidPrice.toFixed(coin2Decimals)} ${config.coin2}.`;
+
+          emitter.emit(events['ladder:midPriceShift'], {
+            previousMidPrice: mm_ladderMidPriceSaved,
+            midPrice: tradeParams.mm_ladderMidPrice,
+            reason: 'Filled',
+          });
         } else {
           tradeParams.mm_ladderMidPrice = mm_ladderMidPriceSaved;
           log.warn(`Ladder: Unexpected new Mid ladder price: ${tradeParams.mm_ladderMidPrice}. Keeping ${mm_ladderMidPriceSaved} ${config.coin2} value.`);
         }
 
+        tradeParams.mm_ladderLastFillDate = utils.unixTimeStampMs();
+
         utils.saveConfig(false, 'Ladder-Shifted');
       }
 
@@ -303,6 +383,12 @@ module.exports = {
         notify(`${config.notifyName}: ${filledInfoString}`, 'info');
       }
 
+      // Trailing ladder: re-center on the market price if no ld-orders filled for a long time
+
+      if (!isBuyOrderFilled && !isSellOrderFilled) {
+        await this.trailLadder();
+      }
+
       // Log ld-orders with their types info after update
 
       let ladderOrdersByState = '';
@@ -324,6 +410,148 @@ module.exports = {
     }
   },
 
+  /**
+   * Trailing ladder: if no ld-order is filled for mm_ladderTrailingIntervalMs, and the exchange's mid price
+   * is more than mm_ladderTrailingSteps price steps away from mm_ladderMidPrice, re-initializes the ladder around the new mid price
+   */
+  async trailLadder() {
+    try {
+      if (!utils.isPositiveNumber(tradeParams.mm_ladderTrailingIntervalMs)) {
+        return;
+      }
+
+      const now = utils.unixTimeStampMs();
+
+      if (!utils.isPositiveNumber(tradeParams.mm_ladderLastFillDate)) {
+        tradeParams.mm_ladderLastFillDate = now;
+        utils.saveConfig(false, 'Ladder-Trailing');
+        return;
+      }
+
+      const inactivityMs = now - tradeParams.mm_ladderLastFillDate;
+      if (inactivityMs < tradeParams.mm_ladderTrailingIntervalMs) {
+        return;
+      }
+
+      const exchangeRates = await traderapi.getRates(config.pair);
+      if (!exchangeRates) {
+        log.warn(`Ladder: Unable to get ${config.exchangeName} rates for ${config.pair} to check if the ladder should trail the market.`);
+        return;
+      }
+
+      const coin2Decimals = orderUtils.parseMarket(config.pair).coin2Decimals;
+
+      const ladderMidPrice = tradeParams.mm_ladderMidPrice;
+      const marketMidPrice = +((exchangeRates.ask + exchangeRates.bid) / 2).toFixed(coin2Decimals);
+
+      // Calculate a price which is mm_ladderTrailingSteps away from the ladder mid price towards the market
+
+      const type = marketMidPrice > ladderMidPrice ? 'sell' : 'buy';
+      const steps = tradeParams.mm_ladderTrailingSteps;
+
+      let trailingPrice = ladderMidPrice;
+      for (let index = 0; index < steps && trailingPrice; index++) {
+        trailingPrice = setPrice(trailingPrice, type, index);
+      }
+
+      if (!trailingPrice) {
+        return;
+      }
+
+      const isFarFromMarket = type === 'sell' ? marketMidPrice > trailingPrice : marketMidPrice < trailingPrice;
+      if (!isFarFromMarket) {
+        return;
+      }
+
+      if (
+        (utils.isPositiveNumber(tradeParams.mm_ladderLowPrice) && marketMidPrice < tradeParams.mm_ladderLowPrice) ||
+        (utils.isPositiveNumber(tradeParams.mm_ladderHighPrice) && marketMidPrice > tradeParams.mm_ladderHighPrice)
+      ) {
+        log.log(`Ladder: Not trailing the market, as its mid price ${marketMidPrice} ${config.coin2} is out of the grid range.`);
+        return;
+      }
+
+      tradeParams.mm_ladderMidPrice = marketMidPrice;
+      tradeParams.mm_ladderMidPriceType = 'Trailed';
+      tradeParams.mm_ladderReInit = true;
+      tradeParams.mm_ladderLastFillDate = now;
+      utils.saveConfig(false, 'Ladder-Trailing');
+
+      emitter.emit(events['ladder:midPriceShift'], {
+        previousMidPrice: ladderMidPrice,
+        midPrice: marketMidPrice,
+        reason: 'Trailed',
+      });
+
+      const changeColor = marketMidPrice > ladderMidPrice ? '🟩' : '🟥';
+      notify(`${config.notifyName}: No ld-orders filled for ${utils.timestampInDaysHoursMins(inactivityMs)}, and ${config.pair} market mid price is more than ${steps} steps away from the ladder. ${changeColor} Re-initializing the ladder with mid price changed from ${ladderMidPrice.toFixed(coin2Decimals)} ${config.coin2} to ${marketMidPrice.toFixed(coin2Decimals)} ${config.coin2}.`, 'info');
+    } catch (e) {
+      log.error(`Error in trailLadder() of ${utils.getModuleName(module.id)} module: ${e}`);
+    }
+  },
+
+  /**
+   * Checks if the market is within the bounded grid range [mm_ladderLowPrice, mm_ladderHighPrice]
+   * When the market leaves the range, notifies and pauses the ladder until the market returns,
+   * or stops trading if mm_ladderRangeExitAction is 'stop'
+   * @return {Boolean} If the ladder should be built in this iteration
+   */
+  async checkGridRange() {
+    try {
+      const lowPrice = tradeParams.mm_ladderLowPrice;
+      const highPrice = tradeParams.mm_ladderHighPrice;
+
+      if (!utils.isPositiveNumber(lowPrice) && !utils.isPositiveNumber(highPrice)) {
+        return true;
+      }
+
+      const rangeString = `${lowPrice ?? 0}–${highPrice ?? '∞'} ${config.coin2}`;
+
+      const exchangeRates = await traderapi.getRates(config.pair);
+      if (!exchangeRates) {
+        log.warn(`Ladder: Unable to get ${config.exchangeName} rates for ${config.pair} to check if the market is within the ${rangeString} grid range. Building the ladder anyway.`);
+        return true;
+      }
+
+      let outOfRangeString = '';
+      if (utils.isPositiveNumber(highPrice) && exchangeRates.bid > highPrice) {
+        outOfRangeString = `Highest bid ${exchangeRates.bid} ${config.coin2} is above the upper grid price ${highPrice} ${config.coin2}`;
+      } else if (utils.isPositiveNumber(lowPrice) && exchangeRates.ask < lowPrice) {
+        outOfRangeString = `Lowest ask ${exchangeRates.ask} ${config.coin2} is below the lower grid price ${lowPrice} ${config.coin2}`;
+      }
+
+      if (!outOfRangeString) {
+        if (isOutOfGridRange) {
+          isOutOfGridRange = false;
+          notify(`${config.notifyName}: ${config.pair} market returned into the ${rangeString} grid range. Resuming the ladder.`, 'info');
+        }
+
+        return true;
+      }
+
+      if (tradeParams.mm_ladderRangeExitAction === 'stop') {
+        isOutOfGridRange = false;
+        tradeParams.co_isActive = false;
+        utils.saveConfig(false, 'Ladder-OutOfRange');
+
+        emitter.emit(events['strategy:stop'], { strategy: tradeParams.co_strategy, reason: `${outOfRangeString}, the market left the ${rangeString} grid range` });
+
+        notify(`${config.notifyName}: ${outOfRangeString}, the market left the ${rangeString} grid range. Trading on ${config.pair} pair stopped. Placed ld-orders are left as is.`, 'warn');
+      } else if (!isOutOfGridRange) {
+        isOutOfGridRange = true;
+
+        notify(`${config.notifyName}: ${outOfRangeString}, the market left the ${rangeString} grid range. Paused the ladder until the market returns. Placed ld-orders are left as is.`, 'warn');
+      } else {
+        log.log(`Ladder: The ladder is paused. ${outOfRangeString}, the market is out of the ${rangeString} grid range.`);
+      }
+
+      return false;
+    } catch (e) {
+      log.error(`Error in checkGridRange() of ${utils.getModuleName(module.id)} module: ${e}`);
+      return true;
+    }
+  },
+
   /**
    * Closes ld-orders:
    * - In To be removed state
@@ -403,7 +631,12 @@ module.exports = {
     const paramString = `order: ${order}, previousOrder: ${previousOrder}, type: ${type}, index: ${index}, ldOrders: ${ldOrders?.length}`;
 
     try {
-      const price = order?.price || setPrice(previousOrder?.price || tradeParams.mm_ladderMidPrice, type);
+      const price = order?.price || setPrice(previousOrder?.price || tradeParams.mm_ladderMidPrice, type, index);
+
+      if (!price) {
+        log.warn(`Ladder: Unable to calculate a price for ${utils.inclineNumber(index)} ${type} ld-order with ${tradeParams.mm_ladderPriceStepType || 'geometric'} price step. The price is out of the positive range, or the step is not set.`);
+        return;
+      }
 
       switch (order?.ladderState) {
         case undefined:
@@ -475,19 +708,14 @@ module.exports = {
         actionString = `Ladder: Creating new ${utils.inclineNumber(index)} ${type} ld-order @${price} ${config.coin2}…`;
         log.log(actionString);
 
-        const amounts = setAmount(price);
+        const amounts = setAmount(price, index);
         coin1Amount = amounts.coin1Amount;
         coin2Amount = amounts.coin2Amount;
 
         if (!utils.isPositiveNumber(coin1Amount) || !utils.isPositiveNumber(coin2Amount)) {
           const errorMessage = `Unable to calculate amount for placing ladder order. Check if ${config.coin1} and ${config.coin2} rates are available. Ladder order is not saved.`;
 
-          if (Date.now()-lastNotifyPriceTimestamp > constants.HOUR) {
-            notify(`${config.notifyName}: ${errorMessage}`, 'warn');
-            lastNotifyPriceTimestamp = Date.now();
-          } else {
-            log.warn(`Ladder: ${errorMessage}`);
-          }
+          notify(`${config.notifyName}: ${errorMessage}`, 'warn', false, false, 'ladder-unable-to-calculate-amount', 60);
 
           return false;
         }
@@ -520,6 +748,26 @@ module.exports = {
         });
       }
 
+      // Bounded grid: never place ld-orders outside of the grid range
+      if (
+        (utils.isPositiveNumber(tradeParams.mm_ladderLowPrice) && price < tradeParams.mm_ladderLowPrice) ||
+        (utils.isPositiveNumber(tradeParams.mm_ladderHighPrice) && price > tradeParams.mm_ladderHighPrice)
+      ) {
+        order = order || newOrder;
+
+        let updateStateString = updateLadderState(order, 'Not placed', 'Out of grid range');
+        if (updateStateString) {
+          updateStateString = ` Ladder order ${updateStateString}.`;
+        }
+
+        log.log(`Ladder: Order price ${price.toFixed(coin2Decimals)} ${config.coin2} is out of the ${tradeParams.mm_ladderLowPrice ?? 0}–${tradeParams.mm_ladderHighPrice ?? '∞'} ${config.coin2} grid range.${updateStateString}`);
+
+        order.ladderUpdateDate = utils.unixTimeStampMs();
+        await order.save();
+
+        return order;
+      }
+
       // Check if min order amount met
       const minAmount = orderUtils.getMinOrderAmount(price).min;
       if (coin1Amount < minAmount) {
@@ -603,12 +851,9 @@ module.exports = {
           }
 
           if (balances.message) {
-            if (
-              Date.now()-lastNotifyBalancesTimestamp > constants.HOUR &&
-              index < Math.ceil(tradeParams.mm_ladderCount * NOTIFY_BALANCE_INDEX_PERCENT / 100)
-            ) {
-              notify(`${config.notifyName}: ${balances.message}${updateStateString}`, 'warn', config.silent_mode);
-              lastNotifyBalancesTimestamp = Date.now();
+            if (index < Math.ceil(tradeParams.mm_ladderCount * NOTIFY_BALANCE_INDEX_PERCENT / 100)) {
+              // Amounts differ, but it's the same issue
+              notify(`${config.notifyName}: ${balances.message}${updateStateString}`, 'warn', config.silent_mode, false, 'ladder-not-enough-balances', 60);
             } else {
               log.log(`Ladder: ${balances.message}${updateStateString}`);
             }
@@ -634,6 +879,16 @@ module.exports = {
         }
 
         log.info(`Ladder: Successfully placed ld-order to ${orderInfo} with ID ${newOrder._id}.${updateStateString}`);
+
+        emitter.emit(events['order:placed'], {
+          orderId: newOrder._id,
+          purpose: 'ld',
+          side: type,
+          price,
+          coin1Amount,
+          coin2Amount,
+          ladderIndex: index,
+        });
       } else {
         let updateStateString = updateLadderState(newOrder, 'Not placed', 'No order id returned');
         if (updateStateString) {
@@ -722,33 +977,96 @@ async function isEnoughCoins(coin1, coin2, amount1, amount2, type, ladderIndex,
 /**
  * Calculates ld-order price
  * It ignores Price watcher
+ * Price step depends on mm_ladderPriceStepType:
+ * - geometric (default): each order price differs from the previous one by mm_ladderPriceStepPercent
+ * - arithmetic: each order price differs from the previous one by mm_ladderPriceStep in coin2
+ * - custom: a step for each ld-order index is taken from mm_ladderPriceSteps list, like ['1%', '1.5%'] or ['0.001', '0.002'].
+ *   If the list is shorter than the ladder, the last step applies to the rest of orders.
  * @param {Number} previousOrderPrice Price of the order with index - 1
  * @param {String} type 'buy' or 'sell'
- * @returns {Number} Order price
+ * @param {Number} index Ladder order index of the type
+ * @returns {Number|undefined} Order price, or undefined if unable to calculate a positive price
 */
-function setPrice(previousOrderPrice, type) {
-  const ladderPriceStep = tradeParams.mm_ladderPriceStepPercent/100;
+function setPrice(previousOrderPrice, type, index) {
+  let step;
+  let isPercent;
+
+  switch (tradeParams.mm_ladderPriceStepType) {
+    case 'arithmetic':
+      step = tradeParams.mm_ladderPriceStep;
+      isPercent = false;
+      break;
+    case 'custom': {
+      const steps = tradeParams.mm_ladderPriceSteps || [];
+      const stepParsed = utils.parsePercentOrValue(steps[Math.min(index, steps.length - 1)]);
+      step = stepParsed.value;
+      isPercent = stepParsed.isPercent;
+      break;
+    }
+    default:
+      step = tradeParams.mm_ladderPriceStepPercent;
+      isPercent = true;
+      break;
+  }
 
+  if (!utils.isPositiveNumber(step)) {
+    return undefined;
+  }
+
+  let priceDelta = isPercent ? previousOrderPrice * step / 100 : step;
   if (type === 'buy') {
-    return previousOrderPrice * (1 - ladderPriceStep);
-  } else {
-    return previousOrderPrice * (1 + ladderPriceStep);
+    priceDelta = -priceDelta;
+  }
+
+  const price = previousOrderPrice + priceDelta;
+
+  return utils.isPositiveNumber(price) ? price : undefined;
+}
+
+/**
+ * Calculates ld-order amount in mm_ladderAmountCoin for a ladder index depending on mm_ladderAmountProfile:
+ * - flat (default): mm_ladderAmount for every index
+ * - increasing: mm_ladderAmount * (1 + mm_ladderAmountFactor * index), linear growth
+ * - geometric: mm_ladderAmount * mm_ladderAmountFactor ^ index, e.g., martingale with factor of 2
+ * - list: amount for each index is taken from mm_ladderAmounts. If the list is shorter than the ladder, the last amount applies to the rest of orders.
+ * @param {Number} index Ladder order index of the type
+ * @returns {Number} Amount without random deviation
+ */
+function getLadderAmount(index) {
+  const amount = tradeParams.mm_ladderAmount;
+  const factor = tradeParams.mm_ladderAmountFactor;
+
+  switch (tradeParams.mm_ladderAmountProfile) {
+    case 'increasing':
+      return amount * (1 + factor * index);
+    case 'geometric':
+      return amount * factor ** index;
+    case 'list': {
+      const amounts = tradeParams.mm_ladderAmounts || [];
+      return amounts[Math.min(index, amounts.length - 1)];
+    }
+    default:
+      return amount;
   }
 }
 
 /**
  * Sets randomized order amount ±AMOUNT_DEVIATION
  * @param {Number} price Price of the order
+ * @param {Number} index Ladder order index of the type
  * @returns {Object<Number, Number>} coin1Amount, coin2Amount
 */
-function setAmount(price) {
+function setAmount(price, index) {
   let coin1Amount;
   let coin2Amount;
+
+  const amount = getLadderAmount(index);
+
   if (tradeParams.mm_ladderAmountCoin === config.coin1) {
-    coin1Amount = tradeParams.mm_ladderAmount;
+    coin1Amount = amount;
     coin2Amount = coin1Amount * price;
   } else if (tradeParams.mm_ladderAmountCoin === config.coin2) {
-    coin2Amount = tradeParams.mm_ladderAmount;
+    coin2Amount = amount;
     coin1Amount = coin2Amount / price;
   }
 
@@ -0,0 +1,407 @@
+/**
+ * TWAP and iceberg execution of large /buy and /sell orders
+ * - TWAP: splits an order into equal slices, and places them evenly over time
+ * - Iceberg: places a limit-order showing only a visible part of the total amount; when it's filled, places the next one
+ * Executions are stored in the twapsDb, child orders are stored in the ordersDb with 'tw' purpose.
+ * Unlike strategies, it works regardless of co_isActive.
+ */
+
+const utils = require('../helpers/utils');
+const config = require('../modules/config/reader');
+const log = require('../helpers/log');
+const notify = require('../helpers/notify');
+const traderapi = require('./trader_' + config.exchange)(
+    config.apikey,
+    config.apisecret,
+    config.apipassword,
+    log,
+    undefined,
+    undefined,
+    config.exchange_socket,
+    config.exchange_socket_pull,
+);
+const db = require('../modules/DB');
+const orderUtils = require('./orderUtils');
+const orderCollector = require('./orderCollector');
+
+const INTERVAL_MIN = 5000;
+const INTERVAL_MAX = 8000;
+const PROGRESS_NOTIFY_PERCENT = 25; // Notify about progress every 25%
+
+let isPreviousIterationFinished = true;
+
+module.exports = {
+  readableModuleName: 'TWAP',
+
+  run() {
+    this.iteration();
+  },
+
+  async iteration() {
+    const interval = utils.randomValue(INTERVAL_MIN, INTERVAL_MAX, true);
+
+    if (isPreviousIterationFinished) {
+      isPreviousIterationFinished = false;
+      await this.processExecutions();
+      isPreviousIterationFinished = true;
+    } else {
+      log.log(`TWAP: Postponing iteration of the TWAP module for ${interval} ms. Previous iteration is in progress yet.`);
+    }
+
+    setTimeout(() => {
+      this.iteration();
+    }, interval);
+  },
+
+  /**
+   * Creates a new TWAP or iceberg execution
+   * @param {Object} params Execution params
+   * @param {String} params.type 'buy' or 'sell'
+   * @param {Object} params.pairObj Parsed trade pair
+   * @param {String} params.mode 'twap' or 'iceberg'
+   * @param {Number|String} params.price Limit price or 'market'
+   * @param {Number} params.amount Total amount in coin1. If not set, quote is used.
+   * @param {Number} params.quote Total amount in coin2
+   * @param {Number} params.slices TWAP slice count
+   * @param {Number} params.durationMs TWAP duration
+   * @param {Number} params.visible Iceberg visible amount in coin1
+   * @return {Object} Stored execution
+   */
+  async create({ type, pairObj, mode, price, amount, quote, slices, durationMs, visible }) {
+    const { twapsDb } = db;
+
+    // Limit child orders are placed in coin1; market ones may be placed in coin2 as well
+    if (!amount && price !== 'market') {
+      amount = +(quote / price).toFixed(pairObj.coin1Decimals);
+      quote = undefined;
+    }
+
+    const execution = new twapsDb({
+      date: utils.unixTimeStampMs(),
+      exchange: config.exchange,
+      pair: pairObj.pair,
+      coin1: pairObj.coin1,
+      coin2: pairObj.coin2,
+      type,
+      mode,
+      price,
+      isQuote: !amount,
+      total: amount || quote,
+      slices: mode === 'twap' ? slices : undefined,
+      intervalMs: mode === 'twap' ? Math.floor(durationMs / slices) : undefined,
+      durationMs: mode === 'twap' ? durationMs : undefined,
+      visible: mode === 'iceberg' ? visible : undefined,
+      slicesPlaced: 0,
+      placed: 0,
+      nextSliceDate: utils.unixTimeStampMs(),
+      progressNotifiedPercent: 0,
+      isActive: true,
+      isCancelled: false,
+    });
+
+    await execution.save();
+
+    log.log(`TWAP: Created ${mode} execution ${execution._id} to ${type} ${execution.total} ${execution.isQuote ? pairObj.coin2 : pairObj.coin1} on ${pairObj.pair}.`);
+
+    return execution;
+  },
+
+  /**
+   * Processes all of the active executions
+   */
+  async processExecutions() {
+    try {
+      const { twapsDb } = db;
+      if (!twapsDb) {
+        return; // DB is not connected yet
+      }
+
+      const executions = await twapsDb.find({
+        isActive: true,
+        exchange: config.exchange,
+      });
+
+      for (const execution of executions) {
+        await this.processExecution(execution);
+      }
+    } catch (e) {
+      log.error(`Error in processExecutions() of ${utils.getModuleName(module.id)} module: ${e}`);
+    }
+  },
+
+  /**
+   * Updates child orders of an execution, places the next slice, and finishes the execution when it's done
+   * @param {Object} execution Execution from the twapsDb
+   */
+  async processExecution(execution) {
+    try {
+      const openOrders = await this.updateChildOrders(execution);
+
+      const pairObj = orderUtils.parseMarket(execution.pair);
+      const totalDecimals = execution.isQuote ? pairObj.coin2Decimals : pairObj.coin1Decimals;
+      const remaining = +(execution.total - execution.placed).toFixed(totalDecimals);
+
+      let isPlacingFinished;
+
+      if (execution.mode === 'twap') {
+        isPlacingFinished = execution.slicesPlaced >= execution.slices || remaining <= 0;
+
+        if (!isPlacingFinished && utils.unixTimeStampMs() >= execution.nextSliceDate) {
+          const isLastSlice = execution.slicesPlaced === execution.slices - 1;
+          const sliceSize = isLastSlice ? remaining : Math.min(execution.total / execution.slices, remaining);
+
+          await this.placeSlice(execution, sliceSize, pairObj);
+        }
+      } else {
+        const minAmount = orderUtils.getMinOrderAmount(execution.price)?.min;
+        isPlacingFinished = remaining <= 0 || (minAmount && remaining < minAmount);
+
+        if (!isPlacingFinished && openOrders.length === 0) {
+          await this.placeSlice(execution, Math.min(execution.visible, remaining), pairObj);
+        }
+      }
+
+      await this.notifyProgress(execution, pairObj);
+
+      if (isPlacingFinished && openOrders.length === 0) {
+        await this.finish(execution, 'completed');
+      }
+    } catch (e) {
+      log.error(`Error in processExecution(${execution?._id}) of ${utils.getModuleName(module.id)} module: ${e}`);
+    }
+  },
+
+  /**
+   * Updates open child limit-orders. Orders which disappeared from the exchange are considered as filled.
+   * @param {Object} execution Execution from the twapsDb
+   * @return {Array<Object>} Open child orders
+   */
+  async updateChildOrders(execution) {
+    const { ordersDb } = db;
+
+    const childOrders = await ordersDb.find({
+      purpose: 'tw',
+      twapId: execution._id,
+      isProcessed: false,
+    });
+
+    if (!childOrders.length) {
+      return [];
+    }
+
+    const updatedOrders = await orderUtils.updateOrders(childOrders, execution.pair, utils.getModuleName(module.id) + ':tw-');
+
+    for (const order of childOrders) {
+      const isStillOpen = updatedOrders.some((updatedOrder) => updatedOrder._id?.toString() === order._id?.toString());
+
+      if (!isStillOpen && order.isNotFound && !order.isCancelled) {
+        await order.update({
+          isExecuted: true,
+          coin1AmountFilled: order.coin1Amount,
+          priceFilled: order.price,
+        }, true);
+      }
+    }
+
+    return updatedOrders;
+  },
+
+  /**
+   * Places a child order
+   * @param {Object} execution Execution from the twapsDb
+   * @param {Number} size Child order size in coin1 or coin2 (if isQuote)
+   * @param {Object} pairObj Parsed trade pair
+   */
+  async placeSlice(execution, size, pairObj) {
+    const { type } = execution;
+    const isMarket = execution.price === 'market';
+
+    let marketPrice;
+    if (isMarket) {
+      const exchangeRates = await traderapi.getRates(execution.pair);
+      marketPrice = type === 'buy' ? exchangeRates?.ask : exchangeRates?.bid;
+
+      if (!utils.isPositiveNumber(marketPrice)) {
+        log.warn(`TWAP: Unable to get ${config.exchangeName} rates for ${execution.pair} to place a child order of ${execution._id}. Will try next time.`);
+        return;
+      }
+    }
+
+    const price = isMarket ? marketPrice : execution.price;
+    const coin1Amount = execution.isQuote ? size / price : size;
+    const coin2Amount = execution.isQuote ? size : size * price;
+
+    const balances = await orderUtils.isEnoughCoins(type, pairObj, coin1Amount, coin2Amount, 'tw',
+        ` for ${execution.mode} execution`, this.readableModuleName);
+    if (!balances.result) {
+      if (balances.message) {
+        log.warn(`TWAP: ${balances.message}`);
+      }
+      return;
+    }
+
+    const order = isMarket ?
+      await orderUtils.addGeneralOrder(type, execution.pair, null, execution.isQuote ? undefined : coin1Amount,
+          0, execution.isQuote ? coin2Amount : undefined, pairObj, 'tw') :
+      await orderUtils.addGeneralOrder(type, execution.pair, price, coin1Amount, 1, undefined, pairObj, 'tw');
+
+    if (!order?._id) {
+      log.warn(`TWAP: Unable to place a child order of ${execution.mode} execution ${execution._id}. Will try next time.`);
+      return;
+    }
+
+    await order.update({
+      twapId: execution._id,
+      twapSliceIndex: execution.slicesPlaced,
+      subPurposeString: ` (${execution.mode})`,
+      ...(isMarket && {
+        // Market orders are considered filled at the current price
+        isExecuted: true,
+        coin1AmountFilled: coin1Amount,
+        priceFilled: marketPrice,
+        probablyFilled: true,
+      }),
+    }, true);
+
+    const intervalMs = execution.intervalMs || 0;
+
+    await execution.update({
+      slicesPlaced: execution.slicesPlaced + 1,
+      placed: execution.placed + size,
+      nextSliceDate: utils.unixTimeStampMs() + intervalMs,
+    }, true);
+
+    const sliceCountString = execution.slices ? ` ${execution.slicesPlaced} of ${execution.slices}` : ` ${utils.inclineNumber(execution.slicesPlaced)}`;
+    log.log(`TWAP: Placed${sliceCountString} child order of ${execution.mode} execution ${execution._id} to ${type} ${coin1Amount.toFixed(pairObj.coin1Decimals)} ${pairObj.coin1} at ${isMarket ? 'market price' : price} ${pairObj.coin2}.`);
+  },
+
+  /**
+   * Calculates execution progress with utils.calculateTWAP()
+   * @param {Object} execution Execution from the twapsDb
+   * @return {Object} calculateTWAP() metrics with placedPercent
+   */
+  async getProgress(execution) {
+    const { ordersDb } = db;
+
+    const childOrders = await ordersDb.find({
+      purpose: 'tw',
+      twapId: execution._id,
+    });
+
+    const stats = utils.calculateTWAP(childOrders);
+    stats.childOrders = childOrders.length;
+    stats.placedPercent = execution.placed / execution.total * 100;
+
+    return stats;
+  },
+
+  /**
+   * Composes execution progress string
+   * @param {Object} execution Execution from the twapsDb
+   * @param {Object} stats Progress from getProgress()
+   * @param {Object} pairObj Parsed trade pair
+   * @return {String}
+   */
+  getProgressString(execution, stats, pairObj) {
+    const totalCoin = execution.isQuote ? pairObj.coin2 : pairObj.coin1;
+    const modeString = execution.mode === 'twap' ?
+      `TWAP of ${execution.slices} slices over ${utils.timestampInDaysHoursMins(execution.durationMs)}` :
+      `Iceberg with ${execution.visible} ${pairObj.coin1} visible`;
+    const priceString = execution.price === 'market' ? 'at market price' : `at ${execution.price} ${pairObj.coin2}`;
+
+    let progressString = `${modeString} to ${execution.type} ${execution.total} ${totalCoin} ${priceString}:`;
+    progressString += ` ${stats.placedPercent.toFixed(0)}% placed with ${stats.childOrders} orders,`;
+    progressString += ` ${stats.totalAmount.toFixed(pairObj.coin1Decimals)} ${pairObj.coin1} filled for ${stats.totalQuote.toFixed(pairObj.coin2Decimals)} ${pairObj.coin2}`;
+
+    if (stats.twap) {
+      progressString += ` at the average price of ${stats.twap.toFixed(pairObj.coin2Decimals)} ${pairObj.coin2}`;
+    }
+
+    if (stats.uncertainOrders) {
+      progressString += ` (${stats.uncertainOrders} market orders are estimated)`;
+    }
+
+    return progressString;
+  },
+
+  /**
+   * Notifies about execution progress every PROGRESS_NOTIFY_PERCENT
+   * @param {Object} execution Execution from the twapsDb
+   * @param {Object} pairObj Parsed trade pair
+   */
+  async notifyProgress(execution, pairObj) {
+    const stats = await this.getProgress(execution);
+    const progressPercent = Math.floor(stats.placedPercent / PROGRESS_NOTIFY_PERCENT) * PROGRESS_NOTIFY_PERCENT;
+
+    if (progressPercent > execution.progressNotifiedPercent && progressPercent < 100) {
+      await execution.update({
+        progressNotifiedPercent: progressPercent,
+      }, true);
+
+      notify(`${config.notifyName}: ${this.getProgressString(execution, stats, pairObj)}.`, 'log');
+    }
+  },
+
+  /**
+   * Finishes an execution and sends the final report
+   * @param {Object} execution Execution from the twapsDb
+   * @param {String} reason 'completed' or 'stopped'
+   */
+  async finish(execution, reason) {
+    const pairObj = orderUtils.parseMarket(execution.pair);
+
+    await execution.update({
+      isActive: false,
+      isCancelled: reason !== 'completed',
+      finishedDate: utils.unixTimeStampMs(),
+    }, true);
+
+    const stats = await this.getProgress(execution);
+    const reasonString = reason === 'completed' ? 'Completed' : 'Stopped';
+
+    notify(`${config.notifyName}: ${reasonString} ${this.getProgressString(execution, stats, pairObj)}.`, 'info');
+  },
+
+  /**
+   * Stops all of the active executions and cancels their open child orders
+   * @return {Number} Stopped execution count
+   */
+  async stopAll() {
+    const { twapsDb } = db;
+
+    const executions = await twapsDb.find({
+      isActive: true,
+      exchange: config.exchange,
+    });
+
+    for (const execution of executions) {
+      await orderCollector.clearLocalOrders(['tw'], execution.pair, true, undefined, { twapId: execution._id }, this.readableModuleName);
+      await this.finish(execution, 'stopped');
+    }
+
+    return executions.length;
+  },
+
+  /**
+   * Returns progress info of active executions
+   * @return {String}
+   */
+  async getActiveInfo() {
+    const { twapsDb } = db;
+
+    const executions = await twapsDb.find({
+      isActive: true,
+      exchange: config.exchange,
+    });
+
+    let info = '';
+
+    for (const execution of executions) {
+      const pairObj = orderUtils.parseMarket(execution.pair);
+      const stats = await this.getProgress(execution);
+      info += `\n${this.getProgressString(execution, stats, pairObj)}.`;
+    }
+
+    return info;
+  },
+};
@@ -0,0 +1,184 @@
+/**
+ * Watches deposit and withdrawal history of the trade account
+ * Notifies when a deposit is credited, or when a withdrawal is completed or failed.
+ * Works with exchanges which implement fund history, see features().getFundHistoryImplemented.
+ * Records received with the first request are remembered without notifications.
+ */
+
+const utils = require('../helpers/utils');
+const config = require('../modules/config/reader');
+const log = require('../helpers/log');
+const notify = require('../helpers/notify');
+const traderapi = require('./trader_' + config.exchange)(
+    config.apikey,
+    config.apisecret,
+    config.apipassword,
+    log,
+    undefined,
+    undefined,
+    config.exchange_socket,
+    config.exchange_socket_pull,
+);
+
+const INTERVAL_MIN = 60000;
+const INTERVAL_MAX = 90000;
+const RECORDS_TO_CHECK = 20; // Only recent records are watched
+
+// Exchanges use different status names. Statuses which are not listed are considered as pending.
+const SUCCESS_STATUSES = ['SUCCESS', 'DONE', 'COMPLETE', 'COMPLETED', 'CONFIRMED', 'POSTED', 'FINISHED'];
+const FAILED_STATUSES = [
+  'FAIL', 'FAILED', 'FAILURE', 'CANCEL', 'CANCELED', 'CANCELLED', 'REJECTED', 'INVALID', 'INVALIDATED', 'REFUND', 'REVERSED', 'RESTRICTED',
+  'ORPHANED', 'ERROR_INVALID_ADDRESS', // Bittrex
+];
+
+/**
+ * Record id -> status type, for deposits and withdrawals separately
+ * undefined until the first history request succeeds
+ */
+const knownRecords = {
+  deposits: undefined,
+  withdrawals: undefined,
+};
+
+let isPreviousIterationFinished = true;
+
+module.exports = {
+  readableModuleName: 'Fund watcher',
+
+  /**
+   * Returns true if the exchange connector provides deposit and withdrawal history
+   * @return {Boolean}
+   */
+  isSupported() {
+    return Boolean(traderapi.features().getFundHistoryImplemented && traderapi.getDepositHistory && traderapi.getWithdrawalHistory);
+  },
+
+  run() {
+    if (!this.isSupported()) {
+      log.log(`Fund watcher: ${config.exchangeName} connector doesn't implement deposit and withdrawal history. Not watching them.`);
+      return;
+    }
+
+    this.iteration();
+  },
+
+  async iteration() {
+    const interval = utils.randomValue(INTERVAL_MIN, INTERVAL_MAX, true);
+
+    if (isPreviousIterationFinished) {
+      isPreviousIterationFinished = false;
+      await this.checkHistory(false);
+      await this.checkHistory(true);
+      isPreviousIterationFinished = true;
+    } else {
+      log.log(`Fund watcher: Postponing iteration of the Fund watcher module for ${interval} ms. Previous iteration is in progress yet.`);
+    }
+
+    setTimeout(() => {
+      this.iteration();
+    }, interval);
+  },
+
+  /**
+   * Requests recent deposits or withdrawals, and notifies about the ones which are finished since the previous request
+   * @param {Boolean} isWithdrawal Check withdrawals, or deposits
+   */
+  async checkHistory(isWithdrawal) {
+    const kind = isWithdrawal ? 'withdrawals' : 'deposits';
+
+    try {
+      const history = isWithdrawal ?
+        await traderapi.getWithdrawalHistory(undefined, RECORDS_TO_CHECK) :
+        await traderapi.getDepositHistory(undefined, RECORDS_TO_CHECK);
+
+      if (!history?.success || !Array.isArray(history.result)) {
+        log.warn(`Fund watcher: Unable to get ${kind} history. ${history?.error ? `Error: ${history.error}.` : ''}`);
+        return;
+      }
+
+      const isFirstRequest = !knownRecords[kind];
+      const records = knownRecords[kind] || {};
+
+      for (const record of history.result) {
+        const recordId = record.id ?? record.txId;
+        if (recordId === undefined || recordId === null) continue;
+
+        const statusType = this.getStatusType(record.status);
+        const previousStatusType = records[recordId];
+        records[recordId] = statusType;
+
+        if (isFirstRequest || statusType === 'pending' || statusType === previousStatusType) continue;
+
+        const recordString = this.getRecordString(record);
+
+        if (isWithdrawal) {
+          if (statusType === 'success') {
+            notify(`${config.notifyName}: Withdrawal is completed: ${recordString}.`, 'info', config.silent_mode);
+          } else {
+            notify(`${config.notifyName}: Withdrawal failed: ${recordString}.`, 'warn', config.silent_mode, true);
+          }
+        } else {
+          if (statusType === 'success') {
+            notify(`${config.notifyName}: Deposit is credited: ${recordString}.`, 'info', config.silent_mode);
+          } else {
+            notify(`${config.notifyName}: Deposit failed: ${recordString}.`, 'warn', config.silent_mode);
+          }
+        }
+      }
+
+      knownRecords[kind] = records;
+    } catch (e) {
+      log.error(`Error in checkHistory(${kind}) of ${utils.getModuleName(module.id)} module: ${e}`);
+    }
+  },
+
+  /**
+   * Classifies an exchange's deposit or withdrawal status
+   * @param {String|Number} status Status of a history record
+   * @return {String} 'success', 'failed', or 'pending'
+   */
+  getStatusType(status) {
+    const statusUpperCase = String(status).toUpperCase();
+
+    if (SUCCESS_STATUSES.includes(statusUpperCase)) return 'success';
+    if (FAILED_STATUSES.includes(statusUpperCase)) return 'failed';
+
+    return 'pending';
+  },
+
+  /**
+   * Creates a string about a deposit or withdrawal record
+   * Looks like '2024-03-14 10:15:26: 0.5 ETH in ERC20 network to 0x12..., fee 0.0015 ETH, status SUCCESS, tx hash 0x34...'
+   * @param {Object} record Record from getDepositHistory() or getWithdrawalHistory()
+   * @return {String}
+   */
+  getRecordString(record) {
+    let output = '';
+
+    if (record.createdAt) {
+      output += `${utils.formatDate(new Date(record.createdAt))}: `;
+    }
+
+    output += `${record.quantity} ${record.currencySymbol}`;
+
+    if (record.chain) {
+      output += ` in _${record.chain}_ network`;
+    }
+
+    if (record.cryptoAddress) {
+      output += ` to _${record.cryptoAddress}_`;
+    }
+
+    if (utils.isPositiveNumber(record.fee)) {
+      output += `, fee ${record.fee} ${record.feeCurrency || record.currencySymbol}`;
+    }
+
+    output += `, status ${record.status}`;
+
+    if (record.txId) {
+      output += `, tx hash _${record.txId}_`;
+    }
+
+    return output;
+  },
+};
@@ -0,0 +1,249 @@
+/**
+ * Take-profit and stop-loss guards for Ladder/Grid strategy
+ * Triggers:
+ * - By price: mm_ladderStopLossPrice and mm_ladderTakeProfitPrice compared to the exchange's mid price
+ * - By total value of coin1 and coin2 balances in USD:
+ *   mm_ladderStopLossPercent is a drawdown from the peak value, mm_ladderTakeProfitPercent is a growth from the start value
+ * When triggered, a bot cancels all of ld-orders, optionally trades at market price to achieve mm_ladderGuardPosition of coin1,
+ * and stops trading.
+ */
+
+const utils = require('../helpers/utils');
+const exchangerUtils = require('../helpers/cryptos/exchanger');
+const config = require('../modules/config/reader');
+const log = require('../helpers/log');
+const notify = require('../helpers/notify');
+const { emitter, events } = require('../modules/eventEmitter');
+const tradeParams = require('./settings/tradeParams_' + config.exchange);
+const traderapi = require('./trader_' + config.exchange)(
+    config.apikey,
+    config.apisecret,
+    config.apipassword,
+    log,
+    undefined,
+    undefined,
+    config.exchange_socket,
+    config.exchange_socket_pull,
+);
+const orderUtils = require('./orderUtils');
+const orderCollector = require('./orderCollector');
+
+module.exports = {
+  readableModuleName: 'Ladder guards',
+
+  /**
+   * Checks if any of take-profit or stop-loss guards is set
+   * @return {Boolean}
+   */
+  isAnyGuardSet() {
+    return [
+      tradeParams.mm_ladderStopLossPrice,
+      tradeParams.mm_ladderStopLossPercent,
+      tradeParams.mm_ladderTakeProfitPrice,
+      tradeParams.mm_ladderTakeProfitPercent,
+    ].some((value) => utils.isPositiveNumber(value));
+  },
+
+  /**
+   * Checks take-profit and stop-loss triggers, and if one is triggered, stops the ladder
+   * @return {Boolean} True, if a guard is triggered and trading is stopped
+   */
+  async check() {
+    try {
+      if (!this.isAnyGuardSet()) {
+        return false;
+      }
+
+      const exchangeRates = await traderapi.getRates(config.pair);
+      if (!exchangeRates) {
+        log.warn(`Ladder: Unable to get ${config.exchangeName} rates for ${config.pair} to check take-profit and stop-loss guards.`);
+        return false;
+      }
+
+      const coin2Decimals = orderUtils.parseMarket(config.pair).coin2Decimals;
+      const midPrice = (exchangeRates.ask + exchangeRates.bid) / 2;
+
+      let trigger;
+
+      if (utils.isPositiveNumber(tradeParams.mm_ladderStopLossPrice) && midPrice <= tradeParams.mm_ladderStopLossPrice) {
+        trigger = {
+          name: 'Stop-loss',
+          reason: `Mid price ${midPrice.toFixed(coin2Decimals)} ${config.coin2} is at or below the stop-loss price ${tradeParams.mm_ladderStopLossPrice} ${config.coin2}`,
+        };
+      } else if (utils.isPositiveNumber(tradeParams.mm_ladderTakeProfitPrice) && midPrice >= tradeParams.mm_ladderTakeProfitPrice) {
+        trigger = {
+          name: 'Take-profit',
+          reason: `Mid price ${midPrice.toFixed(coin2Decimals)} ${config.coin2} is at or above the take-profit price ${tradeParams.mm_ladderTakeProfitPrice} ${config.coin2}`,
+        };
+      } else if (
+        utils.isPositiveNumber(tradeParams.mm_ladderStopLossPercent) ||
+        utils.isPositiveNumber(tradeParams.mm_ladderTakeProfitPercent)
+      ) {
+        trigger = await this.checkBalanceValue(midPrice);
+      }
+
+      if (!trigger) {
+        return false;
+      }
+
+      await this.trigger(trigger, midPrice);
+
+      return true;
+    } catch (e) {
+      log.error(`Error in check() of ${utils.getModuleName(module.id)} module: ${e}`);
+      return false;
+    }
+  },
+
+  /**
+   * Checks drawdown and growth of the total balance value
+   * Stores the start and the peak values in mm_ladderStartValue and mm_ladderPeakValue
+   * @param {Number} midPrice Exchange's mid price to value coin1 if Infoservice doesn't have its rates
+   * @return {Object|undefined} Trigger { name, reason } if triggered
+   */
+  async checkBalanceValue(midPrice) {
+    const value = await this.getBalanceValue(midPrice);
+
+    if (!utils.isPositiveNumber(value)) {
+      log.warn(`Ladder: Unable to calculate ${config.coin1} and ${config.coin2} balance value in USD to check take-profit and stop-loss guards.`);
+      return undefined;
+    }
+
+    if (!utils.isPositiveNumber(tradeParams.mm_ladderStartValue)) {
+      tradeParams.mm_ladderStartValue = value;
+      tradeParams.mm_ladderPeakValue = value;
+      utils.saveConfig(false, 'Ladder-Guards');
+
+      log.log(`Ladder: Start balance value for take-profit and stop-loss guards is ${value.toFixed(2)} USD.`);
+
+      return undefined;
+    }
+
+    if (!utils.isPositiveNumber(tradeParams.mm_ladderPeakValue) || value > tradeParams.mm_ladderPeakValue) {
+      tradeParams.mm_ladderPeakValue = value;
+      utils.saveConfig(false, 'Ladder-Guards');
+    }
+
+    const drawdownPercent = (tradeParams.mm_ladderPeakValue - value) / tradeParams.mm_ladderPeakValue * 100;
+    const growthPercent = (value - tradeParams.mm_ladderStartValue) / tradeParams.mm_ladderStartValue * 100;
+
+    if (utils.isPositiveNumber(tradeParams.mm_ladderStopLossPercent) && drawdownPercent >= tradeParams.mm_ladderStopLossPercent) {
+      return {
+        name: 'Stop-loss',
+        reason: `Balance value ${value.toFixed(2)} USD dropped by ${drawdownPercent.toFixed(2)}% from the peak of ${tradeParams.mm_ladderPeakValue.toFixed(2)} USD, the stop-loss drawdown is ${tradeParams.mm_ladderStopLossPercent}%`,
+      };
+    }
+
+    if (utils.isPositiveNumber(tradeParams.mm_ladderTakeProfitPercent) && growthPercent >= tradeParams.mm_ladderTakeProfitPercent) {
+      return {
+        name: 'Take-profit',
+        reason: `Balance value ${value.toFixed(2)} USD grew by ${growthPercent.toFixed(2)}% from the start value of ${tradeParams.mm_ladderStartValue.toFixed(2)} USD, the take-profit growth is ${tradeParams.mm_ladderTakeProfitPercent}%`,
+      };
+    }
+
+    return undefined;
+  },
+
+  /**
+   * Calculates total value of coin1 and coin2 balances in USD
+   * If Infoservice doesn't have coin1 rates, values it by the exchange's mid price
+   * @param {Number} midPrice Exchange's mid price
+   * @return {Number|undefined} Value in USD
+   */
+  async getBalanceValue(midPrice) {
+    const balances = await traderapi.getBalances(false);
+    if (!balances) {
+      return undefined;
+    }
+
+    const coin1Balance = balances.find((crypto) => crypto.code === config.coin1)?.total || 0;
+    const coin2Balance = balances.find((crypto) => crypto.code === config.coin2)?.total || 0;
+
+    let coin1Value = exchangerUtils.convertCryptos(config.coin1, 'USD', coin1Balance).outAmount;
+    if (!utils.isPositiveOrZeroNumber(coin1Value)) {
+      coin1Value = exchangerUtils.convertCryptos(config.coin2, 'USD', coin1Balance * midPrice).outAmount;
+    }
+
+    const coin2Value = exchangerUtils.convertCryptos(config.coin2, 'USD', coin2Balance).outAmount;
+
+    return coin1Value + coin2Value;
+  },
+
+  /**
+   * Stops the ladder because of triggered guard:
+   * Cancels all of ld-orders, trades at market price to achieve mm_ladderGuardPosition, and sets co_isActive to false
+   * @param {Object} trigger { name, reason }
+   * @param {Number} midPrice Exchange's mid price
+   */
+  async trigger(trigger, midPrice) {
+    log.warn(`Ladder: ${trigger.name} triggered. ${trigger.reason}. Cancelling ld-orders and stopping trading.`);
+
+    tradeParams.co_isActive = false;
+    utils.saveConfig(false, 'Ladder-Guards');
+
+    emitter.emit(events['strategy:stop'], { strategy: tradeParams.co_strategy, reason: `${trigger.name} triggered. ${trigger.reason}` });
+
+    const clearResult = await orderCollector.clearLocalOrders(['ld'], config.pair, true, undefined, undefined, `Ladder ${trigger.name}`);
+    const clearedString = clearResult ?
+      `Cancelled ${clearResult.clearedOrdersCountSuccess} of ${clearResult.totalOrders} ld-orders.` :
+      'Unable to cancel ld-orders.';
+
+    const positionString = await this.tradeToPosition(midPrice);
+
+    notify(`${config.notifyName}: ${trigger.name} triggered on ${config.pair} pair. ${trigger.reason}. ${clearedString}${positionString} Trading stopped.`, 'warn', false, true);
+  },
+
+  /**
+   * Trades at market price to achieve mm_ladderGuardPosition of coin1
+   * @param {Number} midPrice Exchange's mid price to estimate order amounts
+   * @return {String} Result info with leading space, or an empty string if the position is not set
+   */
+  async tradeToPosition(midPrice) {
+    const targetPosition = tradeParams.mm_ladderGuardPosition;
+
+    if (!utils.isPositiveOrZeroNumber(targetPosition)) {
+      return '';
+    }
+
+    try {
+      const pairObj = orderUtils.parseMarket(config.pair);
+
+      const balances = await traderapi.getBalances(false);
+      const coin1Balance = balances?.find((crypto) => crypto.code === config.coin1);
+      const coin2Balance = balances?.find((crypto) => crypto.code === config.coin2);
+
+      if (!balances) {
+        return ` Unable to get balances to achieve ${targetPosition} ${config.coin1} position.`;
+      }
+
+      const coin1Free = coin1Balance?.free || 0;
+      const coin2Free = coin2Balance?.free || 0;
+
+      const type = coin1Free > targetPosition ? 'sell' : 'buy';
+      let coin1Amount = Math.abs(coin1Free - targetPosition);
+
+      if (type === 'buy') {
+        coin1Amount = Math.min(coin1Amount, coin2Free / midPrice);
+      }
+
+      coin1Amount = +coin1Amount.toFixed(pairObj.coin1Decimals);
+
+      const minAmount = orderUtils.getMinOrderAmount(midPrice)?.min;
+      if (!coin1Amount || (minAmount && coin1Amount < minAmount)) {
+        return ` ${config.coin1} position ${coin1Free} is close to the target of ${targetPosition} ${config.coin1}, no market order needed.`;
+      }
+
+      const order = await orderUtils.addGeneralOrder(type, config.pair, null, coin1Amount, 0, null, pairObj, 'gd');
+
+      if (order?._id) {
+        return ` Placed a market order to ${type} ${coin1Amount} ${config.coin1} to achieve ${targetPosition} ${config.coin1} position.`;
+      } else {
+        const details = order?.message ? ` [${utils.trimAny(order.message, ' .')}]` : '';
+        return ` Unable to place a market order to ${type} ${coin1Amount} ${config.coin1} to achieve ${targetPosition} ${config.coin1} position${details}.`;
+      }
+    } catch (e) {
+      log.error(`Error in tradeToPosition() of ${utils.getModuleName(module.id)} module: ${e}`);
+      return ` Unable to achieve ${targetPosition} ${config.coin1} position because of error.`;
+    }
+  },
+};
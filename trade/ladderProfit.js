@@ -0,0 +1,309 @@
+/**
+ * Realized profit accounting for Ladder/Grid strategy
+ * When a ld-order is filled, it opens a round trip. When a cross-type ld-order is filled later with a better price,
+ * it closes the most recent open round trip: "buy lower than you sell, and sell higher than you buy".
+ * Both of the filled ld-orders are linked with ladderCrossOrderId and ladderCrossOrderPrice,
+ * and the completed round trip is stored in the roundTripsDb with its realized profit in coin2 net of fees.
+ * If the amounts differ, the matched part is stored, and the unmatched remainder stays open for the next fills.
+ */
+
+const constants = require('../helpers/const');
+const db = require('../modules/DB');
+const utils = require('../helpers/utils');
+const config = require('../modules/config/reader');
+const log = require('../helpers/log');
+const orderUtils = require('./orderUtils');
+const traderapi = require('./trader_' + config.exchange)(
+    config.apikey,
+    config.apisecret,
+    config.apipassword,
+    log,
+    undefined,
+    undefined,
+    config.exchange_socket,
+    config.exchange_socket_pull,
+);
+
+const DEFAULT_FEE_RATE = 0.001; // 0.1% maker fee in case the exchange's API doesn't provide fee rates
+const FEE_RATE_CACHE_MS = constants.HOUR;
+
+const PERIODS = {
+  day: { duration: constants.DAY, defaultCount: 7 },
+  week: { duration: 7 * constants.DAY, defaultCount: 4 },
+  month: { duration: 30 * constants.DAY, defaultCount: 6 },
+};
+
+const feeRateCache = {
+  rate: undefined,
+  isDefault: undefined,
+  timestamp: 0,
+};
+
+module.exports = {
+  PERIODS,
+
+  /**
+   * Registers a filled ld-order
+   * Matches its amount against open round trips of cross-type with a better price, the most recent first,
+   * and stores the realized profit of each matched part.
+   * As buy and sell ld-orders may differ in amount, a round trip can be closed partially:
+   * its unmatched remainder stays open in ladderRoundTripOpenAmount. The same goes for the order's own remainder.
+   * Updates the order fields, but doesn't save it; the caller is responsible for saving.
+   * @param {Object} order Filled ld-order from the ordersDb
+   * @return {Array<Object>} Stored round trips, empty if the order only opened one
+   */
+  async registerFill(order) {
+    const paramString = `order: ${order?._id}, type: ${order?.type}, price: ${order?.price}`;
+    const roundTrips = [];
+
+    try {
+      const { ordersDb, roundTripsDb } = db;
+
+      const crossType = orderUtils.crossType(order.type);
+      const { coin1Decimals, coin2Decimals } = orderUtils.parseMarket(order.pair);
+      const minAmount = 10 ** -coin1Decimals;
+
+      const openCrossOrders = await ordersDb.find({
+        purpose: 'ld',
+        pair: order.pair,
+        exchange: order.exchange,
+        type: crossType,
+        isLadderRoundTripOpen: true,
+        price: order.type === 'sell' ? { $lt: order.price } : { $gt: order.price },
+      });
+
+      // The most recent open round trip is the closest one by the ladder logic
+      openCrossOrders.sort((a, b) => (b.ladderFillDate || b.date) - (a.ladderFillDate || a.date));
+
+      const fillDate = utils.unixTimeStampMs();
+      let openAmount = getFilledAmount(order);
+
+      for (const crossOrder of openCrossOrders) {
+        if (openAmount < minAmount) break;
+
+        const crossOpenAmount = crossOrder.ladderRoundTripOpenAmount;
+        const coin1Amount = Math.min(openAmount, crossOpenAmount);
+
+        const buyOrder = order.type === 'buy' ? order : crossOrder;
+        const sellOrder = order.type === 'sell' ? order : crossOrder;
+
+        const buyQuote = coin1Amount * buyOrder.price;
+        const sellQuote = coin1Amount * sellOrder.price;
+
+        const feeRate = await this.getFeeRate();
+        const fees = (buyQuote + sellQuote) * feeRate.rate;
+        const profit = sellQuote - buyQuote - fees;
+
+        const roundTrip = new roundTripsDb({
+          date: fillDate,
+          openDate: crossOrder.ladderFillDate || crossOrder.date,
+          purpose: 'ld',
+          exchange: order.exchange,
+          pair: order.pair,
+          coin1: order.coin1,
+          coin2: order.coin2,
+          openType: crossOrder.type,
+          buyOrderId: buyOrder._id,
+          sellOrderId: sellOrder._id,
+          buyPrice: buyOrder.price,
+          sellPrice: sellOrder.price,
+          coin1Amount,
+          buyQuote,
+          sellQuote,
+          feeRate: feeRate.rate,
+          isDefaultFeeRate: feeRate.isDefault,
+          fees,
+          profit,
+        });
+
+        await roundTrip.save();
+        roundTrips.push(roundTrip);
+
+        openAmount -= coin1Amount;
+
+        const crossRemainder = crossOpenAmount - coin1Amount;
+        const isCrossClosed = crossRemainder < minAmount;
+
+        await crossOrder.update({
+          isLadderRoundTripOpen: !isCrossClosed,
+          ladderRoundTripOpenAmount: isCrossClosed ? 0 : crossRemainder,
+          ladderCrossOrderId: order._id,
+          ladderCrossOrderPrice: order.price,
+        }, true);
+
+        order.ladderCrossOrderId = crossOrder._id;
+        order.ladderCrossOrderPrice = crossOrder.price;
+
+        const remainderString = isCrossClosed ? '' : ` ${crossRemainder.toFixed(coin1Decimals)} ${config.coin1} of ${crossOrder.type} ld-order ${crossOrder._id} remain open.`;
+        log.log(`Ladder: Closed a round trip: bought @${buyOrder.price} and sold @${sellOrder.price} ${config.coin2} ${coin1Amount} ${config.coin1} with ${fees.toFixed(coin2Decimals)} ${config.coin2} fees. Realized profit is ${profit.toFixed(coin2Decimals)} ${config.coin2}.${remainderString}`);
+      }
+
+      const isOpen = openAmount >= minAmount;
+
+      order.isLadderRoundTripOpen = isOpen;
+      order.ladderRoundTripOpenAmount = isOpen ? openAmount : 0;
+      order.ladderFillDate = fillDate;
+
+      if (isOpen) {
+        const closedString = roundTrips.length ? `the remaining ${openAmount.toFixed(coin1Decimals)} ${config.coin1} of ` : '';
+        log.log(`Ladder: Opened a round trip with ${closedString}filled ${order.type} ld-order ${order._id} @${order.price} ${config.coin2}. No more open ${crossType} round trips with a better price to close.`);
+      }
+    } catch (e) {
+      log.error(`Error in registerFill(${paramString}) of ${utils.getModuleName(module.id)} module: ${e}`);
+    }
+
+    return roundTrips;
+  },
+
+  /**
+   * Returns maker fee rate for the trading pair
+   * Uses traderapi.getFees() if available, and caches the result for an hour
+   * @return {Object} { rate, isDefault }
+   */
+  async getFeeRate() {
+    if (feeRateCache.rate !== undefined && Date.now() - feeRateCache.timestamp < FEE_RATE_CACHE_MS) {
+      return feeRateCache;
+    }
+
+    let rate;
+
+    try {
+      if (traderapi.getFees) {
+        const fees = await traderapi.getFees(config.pair);
+        rate = fees?.find((pairFees) => pairFees.pair === config.pair)?.makerRate;
+      }
+    } catch (e) {
+      log.warn(`Ladder: Unable to get ${config.pair} fee rates from ${config.exchangeName}: ${e}`);
+    }
+
+    feeRateCache.isDefault = !utils.isPositiveOrZeroNumber(rate);
+    feeRateCache.rate = feeRateCache.isDefault ? DEFAULT_FEE_RATE : rate;
+    feeRateCache.timestamp = Date.now();
+
+    return feeRateCache;
+  },
+
+  /**
+   * Aggregates realized profit of completed round trips
+   * @param {String} pair Trade pair
+   * @param {Number} [fromDate] Consider round trips closed after this timestamp
+   * @param {Number} [toDate] Consider round trips closed before this timestamp
+   * @return {Object} { count, coin1Amount, fees, profit }
+   */
+  async getProfit(pair, fromDate = 0, toDate = utils.unixTimeStampMs()) {
+    const profitStats = {
+      count: 0,
+      coin1Amount: 0,
+      fees: 0,
+      profit: 0,
+    };
+
+    try {
+      const { roundTripsDb } = db;
+
+      const stats = await roundTripsDb.aggregate([
+        {
+          $match: {
+            pair,
+            exchange: config.exchange,
+            date: { $gt: fromDate, $lte: toDate },
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            coin1Amount: { $sum: '$coin1Amount' },
+            fees: { $sum: '$fees' },
+            profit: { $sum: '$profit' },
+          },
+        },
+      ]);
+
+      if (stats[0]) {
+        profitStats.count = stats[0].count;
+        profitStats.coin1Amount = stats[0].coin1Amount;
+        profitStats.fees = stats[0].fees;
+        profitStats.profit = stats[0].profit;
+      }
+    } catch (e) {
+      log.error(`Error in getProfit(pair: ${pair}, fromDate: ${fromDate}, toDate: ${toDate}) of ${utils.getModuleName(module.id)} module: ${e}`);
+    }
+
+    return profitStats;
+  },
+
+  /**
+   * Aggregates realized profit for the last day, week, month, and all time
+   * @param {String} pair Trade pair
+   * @return {Object} { day, week, month, all }
+   */
+  async getProfitSummary(pair) {
+    const now = utils.unixTimeStampMs();
+
+    return {
+      day: await this.getProfit(pair, now - PERIODS.day.duration),
+      week: await this.getProfit(pair, now - PERIODS.week.duration),
+      month: await this.getProfit(pair, now - PERIODS.month.duration),
+      all: await this.getProfit(pair),
+    };
+  },
+
+  /**
+   * Aggregates realized profit by periods, starting from the current one
+   * @param {String} pair Trade pair
+   * @param {String} period 'day', 'week', or 'month'
+   * @param {Number} count Number of periods
+   * @return {Array<Object>} { fromDate, toDate, count, coin1Amount, fees, profit }
+   */
+  async getProfitByPeriods(pair, period, count) {
+    const now = utils.unixTimeStampMs();
+    const duration = PERIODS[period].duration;
+
+    const profitByPeriods = [];
+
+    for (let i = 0; i < count; i++) {
+      const toDate = now - i * duration;
+      const fromDate = toDate - duration;
+
+      profitByPeriods.push({
+        fromDate,
+        toDate,
+        ...(await this.getProfit(pair, fromDate, toDate)),
+      });
+    }
+
+    return profitByPeriods;
+  },
+
+  /**
+   * Counts open round trips, which wait for a cross-type ld-order to be filled
+   * @param {String} pair Trade pair
+   * @return {Object} { buy, sell }
+   */
+  async getOpenRoundTrips(pair) {
+    const { ordersDb } = db;
+
+    const openOrders = await ordersDb.find({
+      purpose: 'ld',
+      pair,
+      exchange: config.exchange,
+      isLadderRoundTripOpen: true,
+    });
+
+    return {
+      buy: openOrders.filter((order) => order.type === 'buy').length,
+      sell: openOrders.filter((order) => order.type === 'sell').length,
+    };
+  },
+};
+
+/**
+ * Returns filled ld-order amount in coin1
+ * @param {Object} order Filled ld-order
+ * @returns {Number}
+ */
+function getFilledAmount(order) {
+  return order.coin1AmountFilled || order.coin1Amount;
+}
+
@@ -1,5 +1,6 @@
 const constants = require('../helpers/const');
 const db = require('../modules/DB');
+const { emitter, events } = require('../modules/eventEmitter');
 const config = require('../modules/config/reader');
 const log = require('../helpers/log');
 const traderapi = require('./trader_' + config.exchange)(
@@ -18,7 +19,10 @@ const utils = require('../helpers/utils');
 module.exports = {
   orderPurposes: {
     ld: 'Ladder',
+    dca: 'DCA', // dollar-cost averaging orders: scheduled, safety, and closing ones
+    tw: 'TWAP & Iceberg', // child orders of TWAP and iceberg executions, started with /buy & /sell commands
     man: 'Manual', // manually placed order with /buy & /sell commands
+    gd: 'Ladder guard', // market orders of Ladder guards to achieve the target position when trading stops
     all: 'All types',
     // unk: unknown order (not in the local bot's database)
   },
@@ -205,6 +209,17 @@ module.exports = {
           }
 
           log.log(`Order collector: Successfully cancelled ${orderInfoString}${reasonToCloseString}.${ordersDbString}`);
+
+          emitter.emit(events['order:cancelled'], {
+            orderId,
+            purpose: order?.purpose,
+            side: orderType,
+            price: order?.price,
+            coin1Amount: order?.coin1AmountLeft,
+            coin2Amount: order?.coin2Amount,
+            reason: reasonToClose,
+            isSecondAccount: Boolean(api.isSecondAccount),
+          });
         } else {
           if (order) {
             ordersDbString = ' Marking it as closed in the ordersDb.';
@@ -308,7 +323,7 @@ module.exports = {
           if (!clearedOrdersAll.includes(order._id)) {
             const orderInfoString = `${order.purpose}-order${order.subPurposeString || ''} with id=${order._id}, type=${order.type}, targetType=${order.targetType}, pair=${order.pair}, price=${order.price}, coin1Amount=${order.coin1Amount} (${order.coin1AmountLeft} left), coin2Amount=${order.coin2Amount}`;
 
-            const cancelReq = await traderapi.cancelOrder(order._id, order.type, order.pair);
+            const cancelReq = await api.cancelOrder(order._id, order.type, order.pair);
 
             if (cancelReq !== undefined) {
               if (cancelReq) {
@@ -333,6 +348,17 @@ module.exports = {
                 }
 
                 clearedOrdersSuccess.push(order._id);
+
+                emitter.emit(events['order:cancelled'], {
+                  orderId: order._id,
+                  purpose: order.purpose,
+                  side: order.type,
+                  price: order.price,
+                  coin1Amount: order.coin1AmountLeft,
+                  coin2Amount: order.coin2Amount,
+                  reason: callerName,
+                  isSecondAccount: Boolean(api.isSecondAccount),
+                });
                 if (order.type === 'buy') {
                   totalBidsQuote += order.coin2Amount;
                 } else {
@@ -470,7 +496,7 @@ module.exports = {
       let clearedOrdersCountSuccess = 0;
       let totalOrdersToClearCount;
 
-      let openOrders = await traderapi.getOpenOrders(pair || config.pair);
+      let openOrders = await api.getOpenOrders(pair || config.pair);
       if (orderType) openOrders = openOrders.filter((order) => order.side === orderType);
 
       if (openOrders) {
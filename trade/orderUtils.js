@@ -13,6 +13,7 @@ const traderapi = require('./trader_' + config.exchange)(
     config.exchange_socket_pull,
 );
 const db = require('../modules/DB');
+const { emitter, events } = require('../modules/eventEmitter');
 const tradeParams = require('./settings/tradeParams_' + config.exchange);
 
 module.exports = {
@@ -366,6 +367,16 @@ module.exports = {
           `${orderType} ${pairObj.coin1} for ${coin2Amount.toFixed(pairObj.coin2Decimals)} ${pairObj.coin2}`;
         log.info(`orderUtils: Successfully executed ${purpose}-order${whichAccount} to ${output}.`);
 
+        emitter.emit(events['order:placed'], {
+          orderId: order._id,
+          purpose,
+          side: orderType,
+          price: limit ? price : 'Market',
+          coin1Amount: coin1AmountEstimated,
+          coin2Amount: coin2AmountEstimated,
+          isSecondAccount: Boolean(isSecondAccountOrder),
+        });
+
         return order;
       } else {
         const details = orderReq?.message ? ` [${utils.trimAny(orderReq?.message, ' .')}].` : ' { No details }.';
@@ -419,7 +430,7 @@ module.exports = {
 
     try {
       const onWhichAccount = api.isSecondAccount ? ' (on second account)' : '';
-      const exchangeOrders = await traderapi.getOpenOrders(pair);
+      const exchangeOrders = await api.getOpenOrders(pair);
 
       log.log(`orderUtils: Updating ${dbOrders.length} ${samePurpose}dbOrders on ${pair} for ${moduleName}, noCache: ${noCache}, hideNotOpened: ${hideNotOpened}… Received ${exchangeOrders?.length} orders from the exchange.`);
 
@@ -434,8 +445,8 @@ module.exports = {
       if (
         dbOrders.length !== 0 &&
         exchangeOrders.length === 0 &&
-        traderapi.features().dontTrustApi &&
-        traderapi.getOrderDetails
+        api.features().dontTrustApi &&
+        api.getOrderDetails
       ) {
         let falseResultDetails;
 
@@ -444,7 +455,7 @@ module.exports = {
             !dbOrder.isVirtual &&
             (!dbOrder.apikey || dbOrder.apikey === config.apikey)
           ) {
-            const orderDetails = await traderapi.getOrderDetails(dbOrder._id, dbOrder.pair);
+            const orderDetails = await api.getOrderDetails(dbOrder._id, dbOrder.pair);
             const orderStatus = orderDetails?.status;
 
             /**
@@ -588,6 +599,19 @@ module.exports = {
         }
 
         if (isOrderFilled) {
+          // Ld-orders are verified and reported as filled by the Ladder module
+          if (dbOrder.purpose !== 'ld') {
+            emitter.emit(events['order:filled'], {
+              orderId: dbOrder._id,
+              purpose: dbOrder.purpose,
+              side: dbOrder.type,
+              price: dbOrder.price,
+              coin1Amount: coin1AmountBeforeIteration,
+              coin2Amount: coin1AmountBeforeIteration * dbOrder.price,
+              isSecondAccount: Boolean(dbOrder.isSecondAccountOrder),
+            });
+          }
+
           fills[dbOrder.purpose][`${dbOrder.type}FilledAmount`] += coin1AmountBeforeIteration;
           fills[dbOrder.purpose][`${dbOrder.type}FilledQuote`] += coin1AmountBeforeIteration * dbOrder.price;
           fills[dbOrder.purpose].filledOrders.push({
@@ -0,0 +1,85 @@
+/**
+ * Ladder backtest on a synthetic price series
+ * Modules are loaded with jest's registry, see backtest.createJestLoader().
+ */
+
+const backtest = require('../../backtest');
+
+const HOUR_MS = 3600000;
+const START_TIME = Date.UTC(2024, 2, 14);
+
+// The price goes down by 3 ladder steps, back up by 3 steps above the start, and back to the start
+const PRICES = [100, 98, 96, 94, 96, 98, 100, 102, 104, 106, 104, 102, 100];
+
+const tradeParams = {
+  mm_ladderCount: 4,
+  mm_ladderPriceStepPercent: 2,
+  mm_ladderAmount: 1,
+  mm_ladderAmountCoin: 'ETH',
+};
+
+/**
+ * Creates candles with a narrow range around each price
+ * @param {Array<Number>} prices
+ * @return {Array<Object>}
+ */
+function createSeries(prices) {
+  return prices.map((price, index) => ({
+    time: START_TIME + index * HOUR_MS,
+    open: price,
+    high: price * 1.001,
+    low: price * 0.999,
+    close: price,
+  }));
+}
+
+/**
+ * Runs a backtest with jest's module loader
+ * @param {Object} params Ladder params
+ * @return {Promise<Object>} Backtest result
+ */
+function runBacktest(params) {
+  return backtest.run({
+    series: createSeries(PRICES),
+    pair: 'ETH/USDT',
+    tradeParams: params,
+    balances: { ETH: 20, USDT: 2000 },
+    load: backtest.createJestLoader(jest),
+  });
+}
+
+describe('Ladder backtest', () => {
+  it('fills ld-orders both ways and realizes profit of round trips', async () => {
+    const result = await runBacktest(tradeParams);
+
+    expect(result.errorCount).toBe(0);
+    expect(result.buyFillCount).toBe(5);
+    expect(result.sellFillCount).toBe(5);
+    expect(result.fillCount).toBe(result.fills.length);
+
+    expect(result.roundTripCount).toBeGreaterThan(0);
+    expect(result.roundTripCount).toBe(result.roundTrips.length);
+
+    let expectedProfit = 0;
+
+    for (const roundTrip of result.roundTrips) {
+      expect(roundTrip.sellPrice).toBeGreaterThan(roundTrip.buyPrice);
+
+      const quoteDelta = roundTrip.coin1Amount * (roundTrip.sellPrice - roundTrip.buyPrice);
+      expect(roundTrip.profit).toBeCloseTo(quoteDelta - roundTrip.fees, 8);
+
+      expectedProfit += roundTrip.profit;
+    }
+
+    expect(result.realizedProfit).toBeGreaterThan(0);
+    expect(result.realizedProfit).toBeCloseTo(expectedProfit, 8);
+  });
+
+  it('throws if a required Ladder param is not set', async () => {
+    const { mm_ladderAmountCoin, ...withoutAmountCoin } = tradeParams;
+
+    await expect(runBacktest(withoutAmountCoin)).rejects.toThrow('mm_ladderAmountCoin should be ETH or USDT');
+    await expect(runBacktest({ ...tradeParams, mm_ladderPriceStepPercent: 0 })).rejects.toThrow('mm_ladderPriceStepPercent');
+    await expect(runBacktest({ ...tradeParams, mm_ladderCount: undefined })).rejects.toThrow('mm_ladderCount');
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Conformance suite for trader_*.js connectors
+ * Each connector runs against a local stand-in, which replays recorded responses from ./fixtures/<exchange>.js.
+ * The suite asserts that results are normalised the same way for every exchange:
+ * numbers are numbers, order statuses are the bot's ones, order books and trades are sorted.
+ * Run with `npm test`. To cover a new connector, add a fixture.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const standIn = require('./standIn');
+
+// Connectors need a few config values only. A real config requires an ADAMANT passphrase.
+jest.mock('../../../modules/config/reader', () => ({
+  exchange: 'Default', // tradeParams_Default.js is the only trading params file in a clean checkout
+  exchangeName: 'Default',
+  pair: 'ETH/USDT',
+  coin1: 'ETH',
+  coin2: 'USDT',
+  log_level: 'none',
+  exchange_restrictions: {},
+  isBacktest: true, // Don't watch and save the trade params file
+}));
+
+const OPEN_ORDER_STATUSES = ['new', 'part_filled'];
+const REQUIRED_FEATURES = ['getMarkets', 'placeMarketOrder', 'getDepositAddress', 'getFundHistory'];
+const MARKETS_TIMEOUT_MS = 5000;
+
+const silentLog = {
+  log() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+const fixtures = fs.readdirSync(path.join(__dirname, 'fixtures'))
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => require(`./fixtures/${file}`));
+
+/**
+ * Waits until a connector receives markets and currencies, as it requests them on creation
+ * @param {Object} trader
+ * @param {String} pair
+ * @return {Promise<void>}
+ */
+async function waitForMarkets(trader, pair) {
+  const startTimestamp = Date.now();
+  const isLoaded = () => trader.markets && (!('currencies' in trader) || trader.currencies);
+
+  while (!isLoaded() && Date.now() - startTimestamp < MARKETS_TIMEOUT_MS) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  // Some connectors receive a market on demand
+  await trader.marketInfo(pair);
+}
+
+/**
+ * Makes expected numbers match calculated ones like 0.15 - 0.05
+ * @param {Object} object Expected fields
+ * @return {Object}
+ */
+function approximately(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [
+    key,
+    typeof value === 'number' ? expect.closeTo(value, 10) : value,
+  ]));
+}
+
+/**
+ * Expects a value to be a finite number
+ * @param {*} value
+ * @param {String} name Field name to show in a failure
+ */
+function expectNumber(value, name) {
+  expect({ [name]: Number.isFinite(value) }).toEqual({ [name]: true });
+}
+
+describe.each(fixtures.map((fixture) => [fixture.exchange, fixture]))('%s connector', (exchange, fixture) => {
+  const { pair, expected } = fixture;
+
+  let stand;
+  let trader;
+
+  beforeAll(async () => {
+    stand = await standIn.start(fixture.routes);
+    trader = require(`../../trader_${exchange.toLowerCase()}`)('apiKey', 'secretKey', 'password', silentLog);
+
+    await waitForMarkets(trader, pair);
+  });
+
+  afterAll(async () => {
+    await stand.stop();
+  });
+
+  afterEach(() => {
+    // Show requests a fixture has no recorded responses for
+    expect(stand.unmatched).toEqual([]);
+    stand.unmatched.length = 0;
+  });
+
+  test('features() lists capabilities', () => {
+    const features = trader.features();
+
+    for (const feature of REQUIRED_FEATURES) {
+      expect(typeof features[feature]).toBe('boolean');
+    }
+
+    // Market order specifics are null when an exchange doesn't support market orders
+    if (features.placeMarketOrder) {
+      expect(typeof features.allowAmountForMarketBuy).toBe('boolean');
+    }
+  });
+
+  test('marketInfo() returns numeric precision and limits', async () => {
+    const market = await trader.marketInfo(pair);
+
+    expect(market).toMatchObject(approximately(expected.marketInfo));
+    expectNumber(market.coin1Decimals, 'coin1Decimals');
+    expectNumber(market.coin2Decimals, 'coin2Decimals');
+  });
+
+  test('getBalances() returns free and freezed amounts', async () => {
+    const balances = await trader.getBalances();
+
+    expect(balances).toEqual(expect.arrayContaining(expected.balances.map((balance) => expect.objectContaining(approximately(balance)))));
+
+    for (const balance of balances) {
+      expect(balance.code).toBe(balance.code.toUpperCase());
+      expectNumber(balance.free, 'free');
+      expectNumber(balance.freezed, 'freezed');
+    }
+  });
+
+  test('getOpenOrders() returns open orders', async () => {
+    const orders = await trader.getOpenOrders(pair);
+
+    expect(orders).toHaveLength(expected.openOrders.length);
+    expect(orders).toEqual(expected.openOrders.map((order) => expect.objectContaining(approximately(order))));
+
+    for (const order of orders) {
+      expect(typeof order.orderId).toBe('string');
+      expect(['buy', 'sell']).toContain(order.side);
+      expect(OPEN_ORDER_STATUSES).toContain(order.status);
+
+      for (const field of ['price', 'timestamp', 'amount', 'amountExecuted', 'amountLeft']) {
+        expectNumber(order[field], field);
+      }
+    }
+  });
+
+  // Cases are keyed by the expected status: filled, part_filled, cancelled, unknown
+  const orderDetailsCases = Object.entries(expected.orderDetails ?? {});
+  const testOrderDetails = orderDetailsCases.length ? test.each(orderDetailsCases) : test.skip.each([['none', {}]]);
+
+  testOrderDetails('getOrderDetails() returns a %s order', async (status, { orderId, ...details }) => {
+    const order = await trader.getOrderDetails(orderId, pair);
+
+    expect(order).toMatchObject(approximately({ ...details, status }));
+
+    if (status !== 'unknown') {
+      expect(String(order.orderId)).toBe(orderId);
+
+      for (const field of ['price', 'amount', 'amountExecuted', 'timestamp']) {
+        expectNumber(order[field], field);
+      }
+    }
+  });
+
+  test('placeOrder() returns an order id', async () => {
+    const order = await trader.placeOrder(...expected.placeOrder.args);
+
+    expect(String(order.orderId)).toBe(expected.placeOrder.orderId);
+    expect(typeof order.message).toBe('string');
+  });
+
+  test('placeOrder() returns orderId false when rejected', async () => {
+    const order = await trader.placeOrder(...expected.placeOrderRejected.args);
+
+    expect(order.orderId).toBe(false);
+    expect(typeof order.message).toBe('string');
+  });
+
+  test('cancelOrder() returns true', async () => {
+    expect(await trader.cancelOrder(...expected.cancelOrder.args)).toBe(true);
+  });
+
+  test('getRates() returns numeric rates', async () => {
+    const rates = await trader.getRates(pair);
+
+    expect(rates).toMatchObject(approximately(expected.rates));
+
+    for (const field of ['ask', 'bid', 'last', 'volume', 'volumeInCoin2', 'high', 'low']) {
+      expectNumber(rates[field], field);
+    }
+  });
+
+  test('getOrderBook() returns sorted numeric levels', async () => {
+    const book = await trader.getOrderBook(pair);
+
+    expect(book.bids.map((level) => level.price)).toEqual(expected.orderBook.bids);
+    expect(book.asks.map((level) => level.price)).toEqual(expected.orderBook.asks);
+
+    for (const level of [...book.bids, ...book.asks]) {
+      expectNumber(level.amount, 'amount');
+    }
+
+    expect(book.bids.every((level) => level.type === 'bid-buy-left')).toBe(true);
+    expect(book.asks.every((level) => level.type === 'ask-sell-right')).toBe(true);
+  });
+
+  test('getTradesHistory() returns trades in ascending order', async () => {
+    const trades = await trader.getTradesHistory(pair);
+
+    expect(trades).toEqual(expected.trades.map((trade) => expect.objectContaining(approximately(trade))));
+
+    for (const trade of trades) {
+      expect(['buy', 'sell']).toContain(trade.type);
+
+      for (const field of ['coin1Amount', 'price', 'coin2Amount', 'date']) {
+        expectNumber(trade[field], field);
+      }
+    }
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Azbit responses in the format of https://data.azbit.com/api, reduced to one market
+ * Azbit returns numbers as numbers, and dates without a time zone, which are UTC.
+ */
+
+const API = '/api';
+
+const newOrder = {
+  id: '70192a8b-c34e-48ce-badf-889584670001',
+  isBid: true,
+  price: 1500,
+  initialAmount: 0.2,
+  amount: 0.2,
+  quoteAmount: 300,
+  date: '2024-03-14T08:15:26.000000',
+  isCanceled: false,
+  currencyPairCode: 'ETH_USDT',
+};
+const partFilledOrder = {
+  id: '70192a8b-c34e-48ce-badf-889584670002',
+  isBid: false,
+  price: 1700,
+  initialAmount: 0.15,
+  amount: 0.1,
+  quoteAmount: 255,
+  date: '2024-03-14T08:15:27.000000',
+  isCanceled: false,
+  currencyPairCode: 'ETH_USDT',
+};
+
+module.exports = {
+  exchange: 'Azbit',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: `${API}/currencies/pairs`,
+      body: [
+        { code: 'ETH_USDT', digitsAmount: 4, digitsPrice: 2, minBaseAmount: 0.001, minQuoteAmount: 1 },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/currencies`,
+      body: ['ETH', 'USDT', 'BTC'],
+    },
+    {
+      method: 'GET',
+      path: `${API}/wallets/balances`,
+      body: {
+        balances: [
+          { currencyCode: 'ETH', amount: 1.5 },
+          { currencyCode: 'USDT', amount: 2400.12 },
+          { currencyCode: 'BTC', amount: 0 },
+        ],
+        balancesBlockedInOrder: [
+          { currencyCode: 'ETH', amount: 0.25 },
+          { currencyCode: 'USDT', amount: 300 },
+          { currencyCode: 'BTC', amount: 0 },
+        ],
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/user/orders`,
+      params: { currencyPairCode: 'ETH_USDT', status: 'active' },
+      body: [newOrder, partFilledOrder],
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/70192a8b-c34e-48ce-badf-889584670003/deals`,
+      body: {
+        id: '70192a8b-c34e-48ce-badf-889584670003',
+        isBid: true,
+        price: 1550,
+        initialAmount: 0.1,
+        amount: 0,
+        quoteAmount: 155,
+        date: '2024-03-14T08:15:00.000000',
+        isCanceled: false,
+        currencyPairCode: 'ETH_USDT',
+        deals: [
+          { id: 'd1', dealDateUtc: '2024-03-14T08:16:00.0000000', price: 1550, volume: 0.1 },
+        ],
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/${partFilledOrder.id}/deals`,
+      body: {
+        ...partFilledOrder,
+        deals: [
+          { id: 'd2', dealDateUtc: '2024-03-14T08:16:30.0000000', price: 1700, volume: 0.05 },
+        ],
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/70192a8b-c34e-48ce-badf-889584670004/deals`,
+      body: {
+        id: '70192a8b-c34e-48ce-badf-889584670004',
+        isBid: false,
+        price: 1800,
+        initialAmount: 0.3,
+        amount: 0.3,
+        quoteAmount: 540,
+        date: '2024-03-14T08:13:20.000000',
+        isCanceled: true,
+        currencyPairCode: 'ETH_USDT',
+        deals: [],
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/70192a8b-c34e-48ce-badf-889584670099/deals`,
+      status: 404,
+      body: { type: 'https://tools.ietf.org/html/rfc7231#section-6.5.4', title: 'Not Found', status: 404 },
+    },
+    {
+      method: 'POST',
+      path: `${API}/orders`,
+      params: { side: 'buy', currencyPairCode: 'ETH_USDT', amount: '0.1000', price: '1500.00' },
+      body: '70192a8b-c34e-48ce-badf-889584670005',
+    },
+    {
+      method: 'POST',
+      path: `${API}/orders`,
+      params: { side: 'sell', currencyPairCode: 'ETH_USDT', amount: '100.0000' },
+      status: 400,
+      body: 'Insufficient funds',
+    },
+    {
+      // Azbit responds with an empty body
+      method: 'DELETE',
+      path: `${API}/orders/${newOrder.id}`,
+    },
+    {
+      method: 'GET',
+      path: `${API}/tickers`,
+      params: { currencyPairCode: 'ETH_USDT' },
+      body: [
+        {
+          currencyPairCode: 'ETH_USDT',
+          price: 1602.15,
+          askPrice: 1603,
+          bidPrice: 1601.5,
+          volume24h: 244080.75,
+          high24h: 1650,
+          low24h: 1580.25,
+          priceChangePercentage24h: 1.2,
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/orderbook`,
+      params: { currencyPairCode: 'ETH_USDT' },
+      body: [
+        { isBid: true, price: 1600, amount: 0.5 },
+        { isBid: false, price: 1605, amount: 0.4 },
+        { isBid: true, price: 1601.5, amount: 0.25 },
+        { isBid: false, price: 1603, amount: 0.1 },
+        { isBid: true, price: 1595.1, amount: 1 },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/deals`,
+      params: { currencyPairCode: 'ETH_USDT' },
+      body: [
+        { id: 'b2', dealDateUtc: '2024-03-14T08:16:20.0000000', price: 1602.15, volume: 0.05, isBuy: false },
+        { id: 'b1', dealDateUtc: '2024-03-14T08:16:10.0000000', price: 1601, volume: 0.1, isBuy: true },
+      ],
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.001,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: newOrder.id, side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: partFilledOrder.id, side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '70192a8b-c34e-48ce-badf-889584670003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: partFilledOrder.id, amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '70192a8b-c34e-48ce-badf-889584670004', amountExecuted: 0 },
+      unknown: { orderId: '70192a8b-c34e-48ce-badf-889584670099' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '70192a8b-c34e-48ce-badf-889584670005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: [newOrder.id, 'buy', 'ETH/USDT'],
+    },
+    // Azbit provides the 24h volume in coin2 only
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 244080.75 / 1602.15, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: 'b1', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: 'b2', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
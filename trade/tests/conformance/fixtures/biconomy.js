@@ -0,0 +1,226 @@
+/**
+ * Biconomy responses in the format of https://market.biconomy.vip/api, reduced to one market
+ * Biconomy reads private requests as forms, and it encodes order sides and types as numbers: 1 is sell, 2 is buy.
+ */
+
+const API = '/api/v1';
+
+const newOrder = {
+  id: 32868001,
+  market: 'ETH_USDT',
+  side: 2,
+  type: 1,
+  price: '1500.00',
+  amount: '0.2000',
+  left: '0.2000',
+  deal_stock: '0',
+  deal_money: '0',
+  deal_fee: '0',
+  ctime: 1710404126.000,
+  mtime: 1710404126.000,
+};
+const partFilledOrder = {
+  id: 32868002,
+  market: 'ETH_USDT',
+  side: 1,
+  type: 1,
+  price: '1700.00',
+  amount: '0.1500',
+  left: '0.1000',
+  deal_stock: '0.0500',
+  deal_money: '85',
+  deal_fee: '0.17',
+  ctime: 1710404127.000,
+  mtime: 1710404190.000,
+};
+
+module.exports = {
+  exchange: 'Biconomy',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: `${API}/exchangeInfo`,
+      body: [
+        { symbol: 'ETH_USDT', baseAsset: 'ETH', baseAssetPrecision: 4, quoteAsset: 'USDT', quoteAssetPrecision: 2, status: 'trading' },
+      ],
+    },
+    {
+      method: 'POST',
+      path: `${API}/private/user`,
+      body: {
+        code: 0,
+        message: 'Successful!',
+        result: {
+          ETH: { available: '1.5', freeze: '0.25', other_freeze: '0' },
+          USDT: { available: '2400.12', freeze: '300', other_freeze: '0' },
+          BTC: { available: '0', freeze: '0', other_freeze: '0' },
+        },
+      },
+    },
+    {
+      method: 'POST',
+      path: `${API}/private/order/pending`,
+      params: { market: 'ETH_USDT' },
+      body: { code: 0, message: 'Successful!', result: { limit: 100, offset: 0, total: 2, records: [newOrder, partFilledOrder] } },
+    },
+    {
+      method: 'POST',
+      path: `${API}/private/order/finished/detail`,
+      params: { market: 'ETH_USDT', order_id: 32868003 },
+      body: {
+        code: 0,
+        message: 'Successful!',
+        result: {
+          id: 32868003,
+          market: 'ETH_USDT',
+          side: 2,
+          type: 1,
+          price: '1550.00',
+          amount: '0.1000',
+          deal_stock: '0.1000',
+          deal_money: '155',
+          deal_fee: '0.31',
+          ctime: 1710404100.000,
+          ftime: 1710404160.000,
+        },
+      },
+    },
+    {
+      method: 'POST',
+      path: `${API}/private/order/finished/detail`,
+      params: { market: 'ETH_USDT', order_id: 32868004 },
+      body: {
+        code: 0,
+        message: 'Successful!',
+        result: {
+          id: 32868004,
+          market: 'ETH_USDT',
+          side: 1,
+          type: 1,
+          price: '1800.00',
+          amount: '0.3000',
+          deal_stock: '0',
+          deal_money: '0',
+          deal_fee: '0',
+          ctime: 1710404000.000,
+          ftime: 1710404050.000,
+        },
+      },
+    },
+    {
+      // Open and unknown orders are not finished
+      method: 'POST',
+      path: `${API}/private/order/finished/detail`,
+      body: { code: 0, message: 'Successful!', result: null },
+    },
+    {
+      method: 'POST',
+      path: `${API}/private/order/pending/detail`,
+      params: { market: 'ETH_USDT', order_id: partFilledOrder.id },
+      body: { code: 0, message: 'Successful!', result: partFilledOrder },
+    },
+    {
+      method: 'POST',
+      path: `${API}/private/order/pending/detail`,
+      body: { code: 0, message: 'Successful!', result: null },
+    },
+    {
+      method: 'POST',
+      path: `${API}/private/trade/limit`,
+      params: { market: 'ETH_USDT', side: 2, amount: '0.1000', price: '1500.00' },
+      body: {
+        code: 0,
+        message: 'Successful!',
+        result: { ...newOrder, id: 32868005, amount: '0.1000', left: '0.1000', ctime: 1710404200.000, mtime: 1710404200.000 },
+      },
+    },
+    {
+      method: 'POST',
+      path: `${API}/private/trade/limit`,
+      params: { market: 'ETH_USDT', side: 1, amount: '100.0000' },
+      body: { code: 10, message: 'balance not enough', result: null },
+    },
+    {
+      method: 'POST',
+      path: `${API}/private/trade/cancel`,
+      params: { market: 'ETH_USDT', order_id: newOrder.id },
+      body: { code: 0, message: 'Successful!', result: newOrder },
+    },
+    {
+      method: 'GET',
+      path: `${API}/tickers`,
+      body: {
+        date: 1710404200000,
+        ticker: [
+          { symbol: 'ETH_USDT', buy: '1601.50', sell: '1603.00', last: '1602.15', vol: '152.3401', high: '1650.00', low: '1580.25', change: '1.2' },
+          { symbol: 'BTC_USDT', buy: '71020.10', sell: '71025.00', last: '71022.00', vol: '12.1', high: '72000.00', low: '70000.00', change: '0.5' },
+        ],
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/depth`,
+      params: { symbol: 'ETH_USDT' },
+      body: {
+        bids: [['1600.00', '0.5000'], ['1601.50', '0.2500'], ['1595.10', '1.0000']],
+        asks: [['1605.00', '0.4000'], ['1603.00', '0.1000']],
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/trades`,
+      params: { symbol: 'ETH_USDT' },
+      body: [
+        { amount: '0.0500', price: '1602.15', side: 'sell', timestamp: 1710404180000 },
+        { amount: '0.1000', price: '1601.00', side: 'buy', timestamp: 1710404170000 },
+      ],
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: null, // Biconomy doesn't provide limits
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '32868001', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: '32868002', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '32868003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: '32868002', amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '32868004', amountExecuted: 0 },
+      unknown: { orderId: '32868099' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '32868005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['32868001', 'buy', 'ETH/USDT'],
+    },
+    // Biconomy provides the 24h volume in coin1 only
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 152.3401 * 1602.15, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    // Biconomy doesn't provide trade ids
+    trades: [
+      { price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
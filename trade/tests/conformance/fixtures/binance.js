@@ -0,0 +1,267 @@
+/**
+ * Binance responses in the format of https://api.binance.com, reduced to one market
+ */
+
+module.exports = {
+  exchange: 'Binance',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: '/api/v3/exchangeInfo',
+      body: {
+        timezone: 'UTC',
+        serverTime: 1710404200000,
+        symbols: [
+          {
+            symbol: 'ETHUSDT',
+            status: 'TRADING',
+            baseAsset: 'ETH',
+            baseAssetPrecision: 8,
+            quoteAsset: 'USDT',
+            quotePrecision: 8,
+            quoteAssetPrecision: 8,
+            orderTypes: ['LIMIT', 'LIMIT_MAKER', 'MARKET', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT_LIMIT'],
+            quoteOrderQtyMarketAllowed: true,
+            isSpotTradingAllowed: true,
+            filters: [
+              { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+              { filterType: 'LOT_SIZE', minQty: '0.00010000', maxQty: '9000.00000000', stepSize: '0.00010000' },
+              { filterType: 'MIN_NOTIONAL', minNotional: '5.00000000', applyToMarket: true, avgPriceMins: 5 },
+              { filterType: 'MAX_NUM_ORDERS', maxNumOrders: 200 },
+            ],
+          },
+        ],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/account',
+      body: {
+        makerCommission: 10,
+        takerCommission: 10,
+        canTrade: true,
+        accountType: 'SPOT',
+        balances: [
+          { asset: 'BTC', free: '0.00000000', locked: '0.00000000' },
+          { asset: 'ETH', free: '1.50000000', locked: '0.25000000' },
+          { asset: 'USDT', free: '2400.12000000', locked: '300.00000000' },
+        ],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/openOrders',
+      params: { symbol: 'ETHUSDT' },
+      body: [
+        {
+          symbol: 'ETHUSDT',
+          orderId: 14937520001,
+          clientOrderId: 'web_3f1b2c',
+          price: '1500.00000000',
+          origQty: '0.20000000',
+          executedQty: '0.00000000',
+          cummulativeQuoteQty: '0.00000000',
+          status: 'NEW',
+          timeInForce: 'GTC',
+          type: 'LIMIT',
+          side: 'BUY',
+          time: 1710404126000,
+          updateTime: 1710404126000,
+        },
+        {
+          symbol: 'ETHUSDT',
+          orderId: 14937520002,
+          clientOrderId: 'web_3f1b2d',
+          price: '1700.00000000',
+          origQty: '0.15000000',
+          executedQty: '0.05000000',
+          cummulativeQuoteQty: '85.00000000',
+          status: 'PARTIALLY_FILLED',
+          timeInForce: 'GTC',
+          type: 'LIMIT',
+          side: 'SELL',
+          time: 1710404127000,
+          updateTime: 1710404190000,
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 14937520003 },
+      body: {
+        symbol: 'ETHUSDT',
+        orderId: 14937520003,
+        price: '1550.00000000',
+        origQty: '0.10000000',
+        executedQty: '0.10000000',
+        cummulativeQuoteQty: '155.00000000',
+        status: 'FILLED',
+        type: 'LIMIT',
+        side: 'BUY',
+        time: 1710404100000,
+        updateTime: 1710404160000,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 14937520002 },
+      body: {
+        symbol: 'ETHUSDT',
+        orderId: 14937520002,
+        price: '1700.00000000',
+        origQty: '0.15000000',
+        executedQty: '0.05000000',
+        cummulativeQuoteQty: '85.00000000',
+        status: 'PARTIALLY_FILLED',
+        type: 'LIMIT',
+        side: 'SELL',
+        time: 1710404127000,
+        updateTime: 1710404190000,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 14937520004 },
+      body: {
+        symbol: 'ETHUSDT',
+        orderId: 14937520004,
+        price: '1800.00000000',
+        origQty: '0.30000000',
+        executedQty: '0.00000000',
+        cummulativeQuoteQty: '0.00000000',
+        status: 'CANCELED',
+        type: 'LIMIT',
+        side: 'SELL',
+        time: 1710404000000,
+        updateTime: 1710404050000,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 14937520099 },
+      status: 400,
+      body: { code: -2013, msg: 'Order does not exist.' },
+    },
+    {
+      method: 'POST',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', side: 'BUY', type: 'LIMIT', price: '1500.00', quantity: '0.1000' },
+      body: {
+        symbol: 'ETHUSDT',
+        orderId: 14937520005,
+        transactTime: 1710404200000,
+        price: '1500.00000000',
+        origQty: '0.10000000',
+        executedQty: '0.00000000',
+        status: 'NEW',
+        type: 'LIMIT',
+        side: 'BUY',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', side: 'SELL', quantity: '100.0000' },
+      status: 400,
+      body: { code: -2010, msg: 'Account has insufficient balance for requested action.' },
+    },
+    {
+      method: 'DELETE',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 14937520001 },
+      body: {
+        symbol: 'ETHUSDT',
+        orderId: 14937520001,
+        price: '1500.00000000',
+        origQty: '0.20000000',
+        executedQty: '0.00000000',
+        status: 'CANCELED',
+        type: 'LIMIT',
+        side: 'BUY',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/ticker/24hr',
+      params: { symbol: 'ETHUSDT' },
+      body: {
+        symbol: 'ETHUSDT',
+        lastPrice: '1602.15000000',
+        bidPrice: '1601.50000000',
+        askPrice: '1603.00000000',
+        highPrice: '1650.00000000',
+        lowPrice: '1580.25000000',
+        volume: '152.34010000',
+        quoteVolume: '244080.75000000',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/depth',
+      params: { symbol: 'ETHUSDT' },
+      body: {
+        lastUpdateId: 41082233301,
+        bids: [['1601.50000000', '0.25000000'], ['1600.00000000', '0.50000000'], ['1595.10000000', '1.00000000']],
+        asks: [['1603.00000000', '0.10000000'], ['1605.00000000', '0.40000000']],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/trades',
+      params: { symbol: 'ETHUSDT' },
+      body: [
+        { id: 1384301, price: '1601.00000000', qty: '0.10000000', quoteQty: '160.10000000', time: 1710404170000, isBuyerMaker: true },
+        { id: 1384302, price: '1602.15000000', qty: '0.05000000', quoteQty: '80.10750000', time: 1710404180000, isBuyerMaker: false },
+      ],
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.0001,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '14937520001', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: '14937520002', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '14937520003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: '14937520002', amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '14937520004', amountExecuted: 0 },
+      unknown: { orderId: '14937520099' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '14937520005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['14937520001', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: '1384301', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: '1384302', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
@@ -0,0 +1,191 @@
+/**
+ * Bitfinex responses in the format of https://api.bitfinex.com/v2, reduced to one market
+ * Bitfinex names USDT as UST, and returns orders as arrays:
+ * [ID, GID, CID, SYMBOL, MTS_CREATE, MTS_UPDATE, AMOUNT, AMOUNT_ORIG, ORDER_TYPE, TYPE_PREV, MTS_TIF, _, FLAGS, ORDER_STATUS, _, _, PRICE, PRICE_AVG]
+ * AMOUNT is the remaining amount, positive for buy and negative for sell orders.
+ */
+
+const API = '/v2';
+
+/**
+ * Builds an order array
+ * @param {Object} order
+ * @return {Array}
+ */
+function order({ id, created, updated, amount, amountOrig, status, price }) {
+  return [id, null, 1710404000001, 'tETHUST', created, updated, amount, amountOrig, 'EXCHANGE LIMIT', null, null, null, 0, status, null, null, price, 0];
+}
+
+const newOrder = { id: 151274560001, created: 1710404126000, updated: 1710404126000, amount: 0.2, amountOrig: 0.2, status: 'ACTIVE', price: 1500 };
+const partFilledOrder = {
+  id: 151274560002,
+  created: 1710404127000,
+  updated: 1710404190000,
+  amount: -0.1,
+  amountOrig: -0.15,
+  status: 'PARTIALLY FILLED @ 1700.0(-0.05)',
+  price: 1700,
+};
+const filledOrder = { id: 151274560003, created: 1710404100000, updated: 1710404160000, amount: 0, amountOrig: 0.1, status: 'EXECUTED @ 1550.0(0.1)', price: 1550 };
+const cancelledOrder = { id: 151274560004, created: 1710404000000, updated: 1710404050000, amount: -0.3, amountOrig: -0.3, status: 'CANCELED', price: 1800 };
+const placedOrder = { id: 151274560005, created: 1710404200000, updated: 1710404200000, amount: 0.1, amountOrig: 0.1, status: 'ACTIVE', price: 1500 };
+
+module.exports = {
+  exchange: 'Bitfinex',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: `${API}/conf/pub:info:pair`,
+      body: [[
+        ['ETHUST', [null, null, null, '0.002', '2000.0', null, null, null, 0.1, 0.05]],
+        ['BTCUST', [null, null, null, '0.00006', '2000.0', null, null, null, 0.1, 0.05]],
+      ]],
+    },
+    {
+      method: 'GET',
+      path: `${API}/conf/pub:list:currency,pub:map:currency:label,pub:map:currency:sym,pub:map:currency:pool,` +
+        'pub:map:currency:tx:fee,pub:map:tx:method,pub:info:tx:status',
+      body: [
+        ['BTC', 'ETH', 'UST', 'TESTBTC'],
+        [['BTC', 'Bitcoin'], ['ETH', 'Ethereum'], ['UST', 'Tether USDt']],
+        [['UST', 'USDt']],
+        [['UST', 'ETH']],
+        [['BTC', [0, 0.0004]], ['ETH', [0, 0.00135]], ['UST', [0, 8]]],
+        [['BITCOIN', ['BTC']], ['ETHEREUM', ['ETH']], ['TETHERUSE', ['UST']]],
+        [['BITCOIN', 1, 1], ['ETHEREUM', 1, 1], ['TETHERUSE', 1, 1]],
+      ],
+    },
+    {
+      method: 'POST',
+      path: `${API}/auth/r/wallets`,
+      body: [
+        ['exchange', 'ETH', 1.75, 0, 1.5, null, null],
+        ['exchange', 'UST', 2700.12, 0, 2400.12, null, null],
+        ['exchange', 'BTC', 0, 0, 0, null, null],
+        ['funding', 'BTC', 0.1, 0, 0.1, null, null],
+      ],
+    },
+    {
+      method: 'POST',
+      path: `${API}/auth/r/orders/tETHUST`,
+      body: [order(newOrder), order(partFilledOrder)],
+    },
+    {
+      method: 'POST',
+      path: `${API}/auth/r/orders`,
+      params: { id: partFilledOrder.id },
+      body: [order(partFilledOrder)],
+    },
+    {
+      // Closed orders are not active
+      method: 'POST',
+      path: `${API}/auth/r/orders`,
+      body: [],
+    },
+    {
+      method: 'POST',
+      path: `${API}/auth/r/orders/hist`,
+      params: { id: filledOrder.id },
+      body: [order(filledOrder)],
+    },
+    {
+      method: 'POST',
+      path: `${API}/auth/r/orders/hist`,
+      params: { id: cancelledOrder.id },
+      body: [order(cancelledOrder)],
+    },
+    {
+      method: 'POST',
+      path: `${API}/auth/r/orders/hist`,
+      body: [],
+    },
+    {
+      method: 'POST',
+      path: `${API}/auth/w/order/submit`,
+      params: { type: 'EXCHANGE LIMIT', symbol: 'tETHUST', amount: '0.1', price: '1500' },
+      body: [1710404200000, 'on-req', null, null, [order(placedOrder)], null, 'SUCCESS', 'Submitting 1 orders.'],
+    },
+    {
+      method: 'POST',
+      path: `${API}/auth/w/order/submit`,
+      params: { type: 'EXCHANGE LIMIT', symbol: 'tETHUST', amount: '-100' },
+      status: 500,
+      body: ['error', 10001, 'Invalid order: not enough exchange balance for -100.0 tETHUST at 1700.0'],
+    },
+    {
+      method: 'POST',
+      path: `${API}/auth/w/order/cancel`,
+      params: { id: newOrder.id },
+      body: [1710404200000, 'oc-req', null, null, order(newOrder), null, 'SUCCESS', 'Submitted for cancellation; waiting for confirmation.'],
+    },
+    {
+      method: 'GET',
+      path: `${API}/ticker/tETHUST`,
+      body: [1601.5, 10.2, 1603, 12.7, 20.1, 0.0127, 1602.15, 152.3401, 1650, 1580.25],
+    },
+    {
+      method: 'GET',
+      path: `${API}/book/tETHUST/R0`,
+      body: [
+        [151274550001, 1600, 0.5],
+        [151274550002, 1601.5, 0.25],
+        [151274550003, 1595.1, 1],
+        [151274550004, 1605, -0.4],
+        [151274550005, 1603, -0.1],
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/trades/tETHUST/hist`,
+      body: [
+        [1384302, 1710404180000, -0.05, 1602.15],
+        [1384301, 1710404170000, 0.1, 1601],
+      ],
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'UST',
+      coin1Decimals: 8,
+      coin2Decimals: 8,
+      coin1MinAmount: 0.002,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '151274560001', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: '151274560002', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '151274560003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: '151274560002', amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '151274560004', amountExecuted: 0 },
+      unknown: { orderId: '151274560099' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '151274560005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['151274560001', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: '1384301', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: '1384302', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
@@ -0,0 +1,269 @@
+/**
+ * Bittrex responses in the format of https://api.bittrex.com/v3, reduced to one market
+ */
+
+const API = '/v3';
+
+const newOrder = {
+  id: '7c99eb7f-1bfd-4c2a-a989-cf320e803001',
+  marketSymbol: 'ETH-USDT',
+  direction: 'BUY',
+  type: 'LIMIT',
+  quantity: '0.20000000',
+  limit: '1500.00',
+  timeInForce: 'GOOD_TIL_CANCELLED',
+  fillQuantity: '0.00000000',
+  commission: '0.00',
+  proceeds: '0.00',
+  status: 'OPEN',
+  createdAt: '2024-03-14T08:15:26.00Z',
+  updatedAt: '2024-03-14T08:15:26.00Z',
+};
+const partFilledOrder = {
+  id: '7c99eb7f-1bfd-4c2a-a989-cf320e803002',
+  marketSymbol: 'ETH-USDT',
+  direction: 'SELL',
+  type: 'LIMIT',
+  quantity: '0.15000000',
+  limit: '1700.00',
+  timeInForce: 'GOOD_TIL_CANCELLED',
+  fillQuantity: '0.05000000',
+  commission: '0.17',
+  proceeds: '85.00',
+  status: 'OPEN',
+  createdAt: '2024-03-14T08:15:27.00Z',
+  updatedAt: '2024-03-14T08:16:30.00Z',
+};
+
+module.exports = {
+  exchange: 'Bittrex',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: `${API}/markets`,
+      body: [
+        {
+          symbol: 'ETH-USDT',
+          baseCurrencySymbol: 'ETH',
+          quoteCurrencySymbol: 'USDT',
+          minTradeSize: '0.00500000',
+          precision: 2,
+          status: 'ONLINE',
+          createdAt: '2018-07-17T22:23:23.09Z',
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/currencies`,
+      body: [
+        {
+          symbol: 'ETH',
+          name: 'Ethereum',
+          coinType: 'ETH',
+          status: 'ONLINE',
+          minConfirmations: 36,
+          notice: '',
+          txFee: '0.00500000',
+          logoUrl: 'https://bittrex.com/logos/eth.png',
+          baseAddress: '0xfbb1b73c4f0bda4f67dca266ce6ef42f520fbb98',
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/balances`,
+      body: [
+        { currencySymbol: 'ETH', total: '1.75000000', available: '1.50000000', updatedAt: '2024-03-14T08:16:30.00Z' },
+        { currencySymbol: 'USDT', total: '2700.12000000', available: '2400.12000000', updatedAt: '2024-03-14T08:16:30.00Z' },
+        { currencySymbol: 'BTXCRD', total: '0.00000000', available: '0.00000000', updatedAt: '2024-03-14T08:00:00.00Z' },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/open`,
+      params: { marketSymbol: 'ETH-USDT' },
+      body: [newOrder, partFilledOrder],
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/7c99eb7f-1bfd-4c2a-a989-cf320e803003`,
+      body: {
+        id: '7c99eb7f-1bfd-4c2a-a989-cf320e803003',
+        marketSymbol: 'ETH-USDT',
+        direction: 'BUY',
+        type: 'LIMIT',
+        quantity: '0.10000000',
+        limit: '1550.00',
+        timeInForce: 'GOOD_TIL_CANCELLED',
+        fillQuantity: '0.10000000',
+        commission: '0.31',
+        proceeds: '155.00',
+        status: 'CLOSED',
+        createdAt: '2024-03-14T08:15:00.00Z',
+        updatedAt: '2024-03-14T08:16:00.00Z',
+        closedAt: '2024-03-14T08:16:00.00Z',
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/7c99eb7f-1bfd-4c2a-a989-cf320e803003/executions`,
+      body: [
+        { id: 'e1', marketSymbol: 'ETH-USDT', executedAt: '2024-03-14T08:16:00.00Z', quantity: '0.10000000', rate: '1550.00', orderId: '7c99eb7f-1bfd-4c2a-a989-cf320e803003' },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/${partFilledOrder.id}`,
+      body: partFilledOrder,
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/${partFilledOrder.id}/executions`,
+      body: [
+        { id: 'e2', marketSymbol: 'ETH-USDT', executedAt: '2024-03-14T08:16:30.00Z', quantity: '0.05000000', rate: '1700.00', orderId: partFilledOrder.id },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/7c99eb7f-1bfd-4c2a-a989-cf320e803004`,
+      body: {
+        id: '7c99eb7f-1bfd-4c2a-a989-cf320e803004',
+        marketSymbol: 'ETH-USDT',
+        direction: 'SELL',
+        type: 'LIMIT',
+        quantity: '0.30000000',
+        limit: '1800.00',
+        timeInForce: 'GOOD_TIL_CANCELLED',
+        fillQuantity: '0.00000000',
+        commission: '0.00',
+        proceeds: '0.00',
+        status: 'CLOSED',
+        createdAt: '2024-03-14T08:13:20.00Z',
+        updatedAt: '2024-03-14T08:14:10.00Z',
+        closedAt: '2024-03-14T08:14:10.00Z',
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/7c99eb7f-1bfd-4c2a-a989-cf320e803004/executions`,
+      body: [],
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/7c99eb7f-1bfd-4c2a-a989-cf320e803099`,
+      status: 404,
+      body: { code: 'NOT_FOUND' },
+    },
+    {
+      method: 'GET',
+      path: `${API}/orders/7c99eb7f-1bfd-4c2a-a989-cf320e803099/executions`,
+      status: 404,
+      body: { code: 'NOT_FOUND' },
+    },
+    {
+      method: 'POST',
+      path: `${API}/orders`,
+      params: { marketSymbol: 'ETH-USDT', direction: 'BUY', type: 'LIMIT', limit: '1500.00', quantity: '0.10000000' },
+      status: 201,
+      body: {
+        ...newOrder,
+        id: '7c99eb7f-1bfd-4c2a-a989-cf320e803005',
+        quantity: '0.10000000',
+        createdAt: '2024-03-14T08:16:40.00Z',
+        updatedAt: '2024-03-14T08:16:40.00Z',
+      },
+    },
+    {
+      method: 'POST',
+      path: `${API}/orders`,
+      params: { marketSymbol: 'ETH-USDT', direction: 'SELL', quantity: '100.00000000' },
+      status: 409,
+      body: { code: 'INSUFFICIENT_FUNDS' },
+    },
+    {
+      method: 'DELETE',
+      path: `${API}/orders/${newOrder.id}`,
+      body: { ...newOrder, status: 'CLOSED', closedAt: '2024-03-14T08:16:40.00Z' },
+    },
+    {
+      method: 'GET',
+      path: `${API}/markets/ETH-USDT/ticker`,
+      body: { symbol: 'ETH-USDT', lastTradeRate: '1602.15', bidRate: '1601.50', askRate: '1603.00' },
+    },
+    {
+      method: 'GET',
+      path: `${API}/markets/ETH-USDT/summary`,
+      body: {
+        symbol: 'ETH-USDT',
+        high: '1650.00',
+        low: '1580.25',
+        volume: '152.34010000',
+        quoteVolume: '244080.75',
+        percentChange: '1.2',
+        updatedAt: '2024-03-14T08:16:40.00Z',
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/markets/ETH-USDT/orderbook`,
+      body: {
+        bid: [{ quantity: '0.50000000', rate: '1600.00' }, { quantity: '0.25000000', rate: '1601.50' }, { quantity: '1.00000000', rate: '1595.10' }],
+        ask: [{ quantity: '0.40000000', rate: '1605.00' }, { quantity: '0.10000000', rate: '1603.00' }],
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/markets/ETH-USDT/trades`,
+      body: [
+        { id: 'b2', executedAt: '2024-03-14T08:16:20.00Z', quantity: '0.05000000', rate: '1602.15', takerSide: 'SELL' },
+        { id: 'b1', executedAt: '2024-03-14T08:16:10.00Z', quantity: '0.10000000', rate: '1601.00', takerSide: 'BUY' },
+      ],
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 8,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.005,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: newOrder.id, side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: partFilledOrder.id, side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '7c99eb7f-1bfd-4c2a-a989-cf320e803003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: partFilledOrder.id, amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '7c99eb7f-1bfd-4c2a-a989-cf320e803004', amountExecuted: 0 },
+      unknown: { orderId: '7c99eb7f-1bfd-4c2a-a989-cf320e803099' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '7c99eb7f-1bfd-4c2a-a989-cf320e803005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: [newOrder.id, 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: 'b1', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: 'b2', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
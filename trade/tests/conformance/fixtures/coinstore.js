@@ -0,0 +1,250 @@
+/**
+ * Coinstore responses in the format of https://api.coinstore.com, reduced to one market
+ * Coinstore wraps results as { code: 0, data }. It names markets like ETHUSDT and doesn't provide coins or decimals for them,
+ * so the connector calculates decimals from ticker values.
+ */
+
+const newOrder = {
+  ordId: 1771215607820001,
+  clOrdId: 'c1',
+  symbol: 'ETHUSDT',
+  baseCurrency: 'ETH',
+  quoteCurrency: 'USDT',
+  side: 'BUY',
+  ordType: 'LIMIT',
+  ordPrice: '1500.00',
+  ordQty: '0.2000',
+  ordAmt: '300',
+  cumQty: '0',
+  cumAmt: '0',
+  leavesQty: '0.2000',
+  ordStatus: 'SUBMITTED',
+  timestamp: 1710404126000,
+  orderUpdateTime: 1710404126000,
+};
+const partFilledOrder = {
+  ordId: 1771215607820002,
+  clOrdId: 'c2',
+  symbol: 'ETHUSDT',
+  baseCurrency: 'ETH',
+  quoteCurrency: 'USDT',
+  side: 'SELL',
+  ordType: 'LIMIT',
+  ordPrice: '1700.00',
+  ordQty: '0.1500',
+  ordAmt: '255',
+  cumQty: '0.0500',
+  cumAmt: '85',
+  leavesQty: '0.1000',
+  ordStatus: 'PARTIAL_FILLED',
+  timestamp: 1710404127000,
+  orderUpdateTime: 1710404190,
+};
+
+module.exports = {
+  exchange: 'Coinstore',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: '/v3/public/assets',
+      body: {
+        code: 0,
+        data: {
+          ETH: {
+            name: 'ethereum',
+            unified_cryptoasset_id: '1027',
+            can_withdraw: 'true',
+            can_deposit: 'true',
+            min_withdraw: '0.01',
+            max_withdraw: '1000',
+            maker_fee: '0.002',
+            taker_fee: '0.002',
+          },
+        },
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/market/tickers',
+      body: {
+        code: 0,
+        data: [
+          {
+            channel: 'ticker',
+            symbol: 'ETHUSDT',
+            count: 1325,
+            amount: '244080.75',
+            volume: '152.3401',
+            open: '1583.10',
+            close: '1602.15',
+            high: '1650.00',
+            low: '1580.25',
+            bid: '1601.50',
+            bidSize: '0.2500',
+            ask: '1603.00',
+            askSize: '0.1000',
+          },
+        ],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/api/spot/accountList',
+      body: {
+        code: 0,
+        data: [
+          { uid: 315, accountId: 1001, currency: 'ETH', balance: '1.5', type: 1, typeName: 'AVAILABLE' },
+          { uid: 315, accountId: 1001, currency: 'ETH', balance: '0.25', type: 4, typeName: 'FROZEN' },
+          { uid: 315, accountId: 1002, currency: 'USDT', balance: '2400.12', type: 1, typeName: 'AVAILABLE' },
+          { uid: 315, accountId: 1002, currency: 'USDT', balance: '300', type: 4, typeName: 'FROZEN' },
+        ],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v2/trade/order/active',
+      params: { symbol: 'ETHUSDT' },
+      body: { code: 0, data: [newOrder, partFilledOrder] },
+    },
+    {
+      method: 'GET',
+      path: '/api/v2/trade/order/orderInfo',
+      params: { ordId: '1771215607820003' },
+      body: {
+        code: 0,
+        data: {
+          ...newOrder,
+          ordId: 1771215607820003,
+          ordPrice: '1550.00',
+          ordQty: '0.1000',
+          cumQty: '0.1000',
+          cumAmt: '155',
+          leavesQty: '0',
+          ordStatus: 'FILLED',
+          timestamp: 1710404100000,
+          orderUpdateTime: 1710404160,
+        },
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v2/trade/order/orderInfo',
+      params: { ordId: '1771215607820002' },
+      body: { code: 0, data: partFilledOrder },
+    },
+    {
+      method: 'GET',
+      path: '/api/v2/trade/order/orderInfo',
+      params: { ordId: '1771215607820004' },
+      body: {
+        code: 0,
+        data: {
+          ...partFilledOrder,
+          ordId: 1771215607820004,
+          ordPrice: '1800.00',
+          ordQty: '0.3000',
+          cumQty: '0',
+          cumAmt: '0',
+          leavesQty: '0.3000',
+          ordStatus: 'CANCELED',
+          timestamp: 1710404000000,
+          orderUpdateTime: 1710404050,
+        },
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v2/trade/order/orderInfo',
+      params: { ordId: '1771215607820099' },
+      body: { code: 3103, msg: 'order not exist' },
+    },
+    {
+      method: 'POST',
+      path: '/api/trade/order/place',
+      params: { symbol: 'ETHUSDT', side: 'BUY', ordType: 'LIMIT', ordPrice: 1500, ordQty: 0.1 },
+      body: { code: 0, data: { ordId: 1771215607820005, clOrdId: 'c5' } },
+    },
+    {
+      method: 'POST',
+      path: '/api/trade/order/place',
+      params: { symbol: 'ETHUSDT', side: 'SELL', ordQty: 100 },
+      body: { code: 1101, msg: 'Insufficient balance' },
+    },
+    {
+      method: 'POST',
+      path: '/api/trade/order/cancel',
+      params: { symbol: 'ETHUSDT', ordId: '1771215607820001' },
+      body: { code: 0, data: { clientOrderId: 'c1', state: 'CANCELED', ordId: 1771215607820001 } },
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/market/depth/ETHUSDT',
+      body: {
+        code: 0,
+        data: {
+          channel: 'ETHUSDT@depth@100',
+          level: 100,
+          instrumentId: 44,
+          b: [['1600.00', '0.5000'], ['1601.50', '0.2500'], ['1595.10', '1.0000']],
+          a: [['1605.00', '0.4000'], ['1603.00', '0.1000']],
+        },
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/market/trade/ETHUSDT',
+      body: {
+        code: 0,
+        data: [
+          { channel: 'ETHUSDT@trade', tradeId: 1384302, seq: 2, ts: 1710404180000, symbol: 'ETHUSDT', price: '1602.15', volume: '0.0500', takerSide: 'SELL' },
+          { channel: 'ETHUSDT@trade', tradeId: 1384301, seq: 1, ts: 1710404170000, symbol: 'ETHUSDT', price: '1601.00', volume: '0.1000', takerSide: 'BUY' },
+        ],
+      },
+    },
+  ],
+
+  expected: {
+    // Coinstore doesn't provide market coins and limits
+    marketInfo: {
+      pairPlain: 'ETHUSDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: null,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '1771215607820001', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: '1771215607820002', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '1771215607820003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: '1771215607820002', amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '1771215607820004', amountExecuted: 0 },
+      unknown: { orderId: '1771215607820099' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '1771215607820005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['1771215607820001', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: '1384301', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: '1384302', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
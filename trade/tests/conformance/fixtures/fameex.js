@@ -0,0 +1,272 @@
+/**
+ * FameEX responses in the format of https://api.fameex.com, reduced to one market
+ * FameEX wraps private results as { code: 200, data }, encodes sides as 1 for buy and 2 for sell, and states as numbers:
+ * 2 is waiting, 3 is partially filled, 4 is filled, 6 is cancelled. Timestamps are in seconds.
+ */
+
+const newOrder = {
+  orderId: '6c8f1e2a9b001',
+  accountType: 'spot',
+  symbol: 'ETH-USDT',
+  side: 1,
+  orderType: 1,
+  price: '1500.00',
+  amount: '0.2000',
+  money: '300',
+  filledAmount: '0',
+  filledMoney: '0',
+  filledFee: '0',
+  state: 2,
+  createTime: 1710404126,
+  updateTime: 1710404126,
+};
+const partFilledOrder = {
+  orderId: '6c8f1e2a9b002',
+  accountType: 'spot',
+  symbol: 'ETH-USDT',
+  side: 2,
+  orderType: 1,
+  price: '1700.00',
+  amount: '0.1500',
+  money: '255',
+  filledAmount: '0.0500',
+  filledMoney: '85',
+  filledFee: '0.0001',
+  state: 3,
+  createTime: 1710404127,
+  updateTime: 1710404190,
+};
+
+module.exports = {
+  exchange: 'FameEX',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: '/v2/public/assets',
+      body: {
+        code: 200,
+        data: {
+          ETH: { name: 'ETH', unified_cryptoasset_id: 1027, can_withdraw: true, can_deposit: true, min_withdraw: '0.01', max_withdraw: '1000' },
+        },
+      },
+    },
+    {
+      method: 'GET',
+      path: '/v1/common/currencys',
+      body: {
+        code: 200,
+        data: {
+          list: [
+            {
+              currency: 'eth',
+              nameEn: 'Ethereum',
+              currencyDetail: {
+                ERC20: {
+                  id: 11,
+                  chainType: 'ERC20',
+                  currencyRecharge: { state: 1, blockConfirmNumber: 12 },
+                  currencyWithdraw: { state: 1, feewithdraw: '0.005', onceminwithdraw: '0.01' },
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+    {
+      method: 'GET',
+      path: '/v1/common/symbols',
+      body: {
+        code: 200,
+        data: [
+          { pair: 'ETH-USDT', base: 'ETH', quote: 'USDT', amountPrecision: 4, pricePrecision: 2, permitAmount: '0.001' },
+        ],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/v1/api/account/wallet',
+      body: {
+        code: 200,
+        data: [
+          {
+            walletType: 'spot',
+            list: [
+              { currency: 'eth', available: '1.5', hold: '0.25', total: '1.75' },
+              { currency: 'usdt', available: '2400.12', hold: '300', total: '2700.12' },
+              { currency: 'btc', available: '0', hold: '0', total: '0' },
+            ],
+          },
+          {
+            walletType: 'futures',
+            list: [
+              { currency: 'usdt', available: '50', hold: '0', total: '50' },
+            ],
+          },
+        ],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/v1/api/spot/orderlist',
+      params: { base: 'ETH', quote: 'USDT', state: 7 },
+      body: { code: 200, data: { pageNum: 1, pageSize: 500, total: 2, orders: [newOrder, partFilledOrder] } },
+    },
+    {
+      method: 'POST',
+      path: '/v1/api/spot/orderdetail',
+      params: { symbol: 'ETH-USDT', orderId: '6c8f1e2a9b003' },
+      body: {
+        code: 200,
+        data: {
+          ...newOrder,
+          orderId: '6c8f1e2a9b003',
+          price: '1550.00',
+          amount: '0.1000',
+          money: '155',
+          filledAmount: '0.1000',
+          filledMoney: '155',
+          state: 4,
+          createTime: 1710404100,
+          updateTime: 1710404160,
+        },
+      },
+    },
+    {
+      method: 'POST',
+      path: '/v1/api/spot/orderdetail',
+      params: { symbol: 'ETH-USDT', orderId: partFilledOrder.orderId },
+      body: { code: 200, data: partFilledOrder },
+    },
+    {
+      method: 'POST',
+      path: '/v1/api/spot/orderdetail',
+      params: { symbol: 'ETH-USDT', orderId: '6c8f1e2a9b004' },
+      body: {
+        code: 200,
+        data: {
+          ...partFilledOrder,
+          orderId: '6c8f1e2a9b004',
+          price: '1800.00',
+          amount: '0.3000',
+          money: '540',
+          filledAmount: '0',
+          filledMoney: '0',
+          filledFee: '0',
+          state: 6,
+          createTime: 1710404000,
+          updateTime: 1710404050,
+        },
+      },
+    },
+    {
+      method: 'POST',
+      path: '/v1/api/spot/orderdetail',
+      params: { symbol: 'ETH-USDT', orderId: '6c8f1e2a9b099' },
+      body: { code: 280035, msg: 'fail' },
+    },
+    {
+      method: 'POST',
+      path: '/v1/api/spot/orders',
+      params: { symbol: 'ETH-USDT', side: 1, orderType: 1, amount: '0.1000', price: '1500.00' },
+      body: { code: 200, data: { orderId: '6c8f1e2a9b005' } },
+    },
+    {
+      method: 'POST',
+      path: '/v1/api/spot/orders',
+      params: { symbol: 'ETH-USDT', side: 2, amount: '100.0000' },
+      body: { code: 280018, msg: 'Insufficient balance' },
+    },
+    {
+      method: 'POST',
+      path: '/v1/api/spot/cancel_orders',
+      params: { symbol: 'ETH-USDT', orderId: newOrder.orderId },
+      body: { code: 200, data: { orderId: newOrder.orderId } },
+    },
+    {
+      method: 'GET',
+      path: '/api/v2/ticker/24hr',
+      body: [
+        {
+          trading_pairs: 'ETH-USDT',
+          base_currency: 'ETH',
+          quote_currency: 'USDT',
+          last_price: '1602.15',
+          lowest_ask: '1603.00',
+          highest_bid: '1601.50',
+          base_volume: '152.3401',
+          quote_volume: '244080.75',
+          highest_price_24h: '1650.00',
+          lowest_price_24h: '1580.25',
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: '/v2/public/orderbook/market_pair',
+      params: { market_pair: 'ETH-USDT' },
+      body: {
+        code: 200,
+        data: {
+          timestamp: 1710404200000,
+          bids: [['1600.00', '0.5000'], ['1601.50', '0.2500'], ['1595.10', '1.0000']],
+          asks: [['1605.00', '0.4000'], ['1603.00', '0.1000']],
+        },
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v2/trades',
+      params: { symbol: 'ETH-USDT' },
+      body: [
+        { trade_id: 1384302, price: '1602.15', base_volume: '0.0500', quote_volume: '80.1075', timestamp: 1710404180000, type: 'sell' },
+        { trade_id: 1384301, price: '1601.00', base_volume: '0.1000', quote_volume: '160.1', timestamp: 1710404170000, type: 'buy' },
+      ],
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.001,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: newOrder.orderId, side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: partFilledOrder.orderId, side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '6c8f1e2a9b003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: partFilledOrder.orderId, amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '6c8f1e2a9b004', amountExecuted: 0 },
+      unknown: { orderId: '6c8f1e2a9b099' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '6c8f1e2a9b005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: [newOrder.orderId, 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: '1384301', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: '1384302', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
@@ -0,0 +1,275 @@
+/**
+ * Gate responses in the format of https://api.gateio.ws/api/v4, reduced to one market
+ * Orders have the left amount instead of the executed one, and trade times are in milliseconds with fractions.
+ */
+
+/**
+ * Builds an order object
+ * @param {Object} order
+ * @return {Object}
+ */
+function order({ id, side, price, amount, left, status, finishAs, createTimeMs }) {
+  const filledAmount = +amount - +left;
+
+  return {
+    id,
+    text: 'apiv4',
+    amend_text: '-',
+    create_time: Math.floor(createTimeMs / 1000).toString(),
+    update_time: Math.floor(createTimeMs / 1000).toString(),
+    create_time_ms: createTimeMs,
+    update_time_ms: createTimeMs,
+    status,
+    currency_pair: 'ETH_USDT',
+    type: 'limit',
+    account: 'spot',
+    side,
+    amount,
+    price,
+    time_in_force: 'gtc',
+    iceberg: '0',
+    left,
+    filled_amount: filledAmount.toString(),
+    fill_price: (filledAmount * price).toString(),
+    filled_total: (filledAmount * price).toString(),
+    fee: '0',
+    fee_currency: side === 'buy' ? 'ETH' : 'USDT',
+    point_fee: '0',
+    gt_fee: '0',
+    gt_discount: false,
+    rebated_fee: '0',
+    rebated_fee_currency: 'USDT',
+    finish_as: finishAs,
+  };
+}
+
+const newOrder = order({ id: '1852454401', side: 'buy', price: '1500', amount: '0.2', left: '0.2', status: 'open', finishAs: 'open', createTimeMs: 1710404126000 });
+const partFilledOrder = order({
+  id: '1852454402',
+  side: 'sell',
+  price: '1700',
+  amount: '0.15',
+  left: '0.1',
+  status: 'open',
+  finishAs: 'open',
+  createTimeMs: 1710404127000,
+});
+
+module.exports = {
+  exchange: 'Gate',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: '/api/v4/spot/currency_pairs',
+      body: [
+        {
+          id: 'ETH_USDT',
+          base: 'ETH',
+          quote: 'USDT',
+          fee: '0.2',
+          min_base_amount: '0.0001',
+          min_quote_amount: '3',
+          max_quote_amount: '5000000',
+          amount_precision: 4,
+          precision: 2,
+          trade_status: 'tradable',
+          sell_start: 0,
+          buy_start: 0,
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/currencies',
+      body: [
+        {
+          currency: 'ETH',
+          name: 'Ethereum',
+          delisted: false,
+          withdraw_disabled: false,
+          withdraw_delayed: false,
+          deposit_disabled: false,
+          trade_disabled: false,
+          chain: 'ETH',
+          chains: [
+            { name: 'ETH', addr: '', withdraw_disabled: false, withdraw_delayed: false, deposit_disabled: false },
+            { name: 'ARBEVM', addr: '', withdraw_disabled: false, withdraw_delayed: true, deposit_disabled: true },
+          ],
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/wallet/withdraw_status',
+      body: [
+        {
+          currency: 'ETH',
+          name: 'Ethereum',
+          name_cn: 'Ethereum',
+          deposit: '0',
+          withdraw_percent: '0%',
+          withdraw_fix: '0.0015',
+          withdraw_day_limit: '500',
+          withdraw_amount_mini: '0.005',
+          withdraw_day_limit_remain: '500',
+          withdraw_eachtime_limit: '500',
+          withdraw_fix_on_chains: { ETH: '0.0015', ARBEVM: '0.0002' },
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/accounts',
+      body: [
+        { currency: 'ETH', available: '1.5', locked: '0.25', update_id: 12 },
+        { currency: 'USDT', available: '2400.12', locked: '300', update_id: 34 },
+        { currency: 'GT', available: '0', locked: '0', update_id: 1 },
+      ],
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/orders',
+      params: { currency_pair: 'ETH_USDT', status: 'open', page: '1' },
+      body: [newOrder, partFilledOrder],
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/orders/1852454403',
+      params: { currency_pair: 'ETH_USDT' },
+      body: order({ id: '1852454403', side: 'buy', price: '1550', amount: '0.1', left: '0', status: 'closed', finishAs: 'filled', createTimeMs: 1710404100000 }),
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/orders/1852454402',
+      params: { currency_pair: 'ETH_USDT' },
+      body: partFilledOrder,
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/orders/1852454404',
+      params: { currency_pair: 'ETH_USDT' },
+      body: order({
+        id: '1852454404',
+        side: 'sell',
+        price: '1800',
+        amount: '0.3',
+        left: '0.3',
+        status: 'cancelled',
+        finishAs: 'cancelled',
+        createTimeMs: 1710404000000,
+      }),
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/orders/1852454499',
+      params: { currency_pair: 'ETH_USDT' },
+      status: 404,
+      body: { label: 'ORDER_NOT_FOUND', message: 'Order not found' },
+    },
+    {
+      method: 'POST',
+      path: '/api/v4/spot/orders',
+      params: { currency_pair: 'ETH_USDT', side: 'buy', type: 'limit', price: '1500.00', amount: '0.1000' },
+      status: 201,
+      body: order({ id: '1852454405', side: 'buy', price: '1500', amount: '0.1', left: '0.1', status: 'open', finishAs: 'open', createTimeMs: 1710404200000 }),
+    },
+    {
+      method: 'POST',
+      path: '/api/v4/spot/orders',
+      params: { currency_pair: 'ETH_USDT', side: 'sell', amount: '100.0000' },
+      status: 400,
+      body: { label: 'BALANCE_NOT_ENOUGH', message: 'Not enough balance' },
+    },
+    {
+      method: 'DELETE',
+      path: '/api/v4/spot/orders/1852454401',
+      params: { currency_pair: 'ETH_USDT' },
+      body: { ...newOrder, status: 'cancelled', finish_as: 'cancelled' },
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/tickers',
+      params: { currency_pair: 'ETH_USDT' },
+      body: [
+        {
+          currency_pair: 'ETH_USDT',
+          last: '1602.15',
+          lowest_ask: '1603',
+          highest_bid: '1601.5',
+          change_percentage: '1.21',
+          base_volume: '152.3401',
+          quote_volume: '244080.75',
+          high_24h: '1650',
+          low_24h: '1580.25',
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/order_book',
+      params: { currency_pair: 'ETH_USDT' },
+      body: {
+        id: 12609374882,
+        current: 1710404200123,
+        update: 1710404200100,
+        asks: [['1603', '0.1'], ['1605', '0.4']],
+        bids: [['1601.5', '0.25'], ['1600', '0.5'], ['1595.1', '1']],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v4/spot/trades',
+      params: { currency_pair: 'ETH_USDT' },
+      body: [
+        { id: '7318421002', create_time: '1710404180', create_time_ms: '1710404180000.654', currency_pair: 'ETH_USDT', side: 'sell', amount: '0.05', price: '1602.15' },
+        { id: '7318421001', create_time: '1710404170', create_time_ms: '1710404170000.123', currency_pair: 'ETH_USDT', side: 'buy', amount: '0.1', price: '1601' },
+      ],
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.0001,
+      coin2MinAmount: 3,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '1852454401', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: '1852454402', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '1852454403', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: '1852454402', amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '1852454404', amountExecuted: 0 },
+      unknown: { orderId: '1852454499' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '1852454405',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['1852454401', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: '7318421001', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: '7318421002', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
@@ -0,0 +1,286 @@
+/**
+ * KuCoin responses in the format of https://api.kucoin.com, reduced to one market
+ * KuCoin wraps results as { code: '200000', data }, and pages open orders as { currentPage, totalPage, items }.
+ * Trade times are in nanoseconds.
+ */
+
+/**
+ * Wraps data into the KuCoin response envelope
+ * @param {*} data
+ * @return {Object}
+ */
+function ok(data) {
+  return { code: '200000', data };
+}
+
+/**
+ * Builds an order object
+ * @param {Object} order
+ * @return {Object}
+ */
+function order({ id, side, price, size, dealSize, isActive, cancelExist, createdAt }) {
+  return {
+    id,
+    symbol: 'ETH-USDT',
+    opType: 'DEAL',
+    type: 'limit',
+    side,
+    price,
+    size,
+    funds: '0',
+    dealFunds: (dealSize * price).toString(),
+    dealSize: dealSize.toString(),
+    fee: '0',
+    feeCurrency: 'USDT',
+    timeInForce: 'GTC',
+    isActive,
+    cancelExist,
+    createdAt,
+    tradeType: 'TRADE',
+  };
+}
+
+const newOrder = order({ id: '65f2b61e8e3bcae2d6e8a001', side: 'buy', price: '1500', size: '0.2', dealSize: 0, isActive: true, cancelExist: false, createdAt: 1710404126000 });
+const partFilledOrder = order({
+  id: '65f2b61e8e3bcae2d6e8a002',
+  side: 'sell',
+  price: '1700',
+  size: '0.15',
+  dealSize: 0.05,
+  isActive: true,
+  cancelExist: false,
+  createdAt: 1710404127000,
+});
+
+module.exports = {
+  exchange: 'KuCoin',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: '/api/v2/symbols',
+      body: ok([
+        {
+          symbol: 'ETH-USDT',
+          name: 'ETH-USDT',
+          baseCurrency: 'ETH',
+          quoteCurrency: 'USDT',
+          feeCurrency: 'USDT',
+          market: 'USDS',
+          baseMinSize: '0.0001',
+          quoteMinSize: '0.01',
+          baseMaxSize: '10000000000',
+          quoteMaxSize: '99999999',
+          baseIncrement: '0.0001',
+          quoteIncrement: '0.000001',
+          priceIncrement: '0.01',
+          priceLimitRate: '0.1',
+          minFunds: '0.1',
+          isMarginEnabled: true,
+          enableTrading: true,
+        },
+      ]),
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/currencies',
+      body: ok([
+        {
+          currency: 'ETH',
+          name: 'ETH',
+          fullName: 'Ethereum',
+          precision: 8,
+          confirms: null,
+          contractAddress: null,
+          isMarginEnabled: true,
+          isDebitEnabled: true,
+          chains: [
+            {
+              chainName: 'ERC20',
+              chainId: 'eth',
+              withdrawalMinSize: '0.01',
+              depositMinSize: '0.0001',
+              withdrawalMinFee: '0.002',
+              isWithdrawEnabled: true,
+              isDepositEnabled: true,
+              confirms: 64,
+              preConfirms: 64,
+              contractAddress: '',
+              withdrawPrecision: 8,
+              needTag: false,
+            },
+            {
+              chainName: 'ARBITRUM',
+              chainId: 'arbitrum',
+              withdrawalMinSize: '0.002',
+              depositMinSize: '0.0001',
+              withdrawalMinFee: '0.0002',
+              isWithdrawEnabled: true,
+              isDepositEnabled: false,
+              confirms: 300,
+              preConfirms: 300,
+              contractAddress: '',
+              withdrawPrecision: 8,
+              needTag: false,
+            },
+          ],
+        },
+      ]),
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/accounts',
+      params: { type: 'trade' },
+      body: ok([
+        { id: '5bd6e9286d99522a52e458de', currency: 'ETH', type: 'trade', balance: '1.75', available: '1.5', holds: '0.25' },
+        { id: '5bd6e9216d99522a52e458d6', currency: 'USDT', type: 'trade', balance: '2700.12', available: '2400.12', holds: '300' },
+        { id: '5bd6e9216d99522a52e458d7', currency: 'BTC', type: 'trade', balance: '0', available: '0', holds: '0' },
+      ]),
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/orders',
+      params: { status: 'active', symbol: 'ETH-USDT', currentPage: '1' },
+      body: ok({ currentPage: 1, pageSize: 500, totalNum: 2, totalPage: 1, items: [newOrder, partFilledOrder] }),
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/orders/65f2b61e8e3bcae2d6e8a003',
+      body: ok(order({
+        id: '65f2b61e8e3bcae2d6e8a003',
+        side: 'buy',
+        price: '1550',
+        size: '0.1',
+        dealSize: 0.1,
+        isActive: false,
+        cancelExist: false,
+        createdAt: 1710404100000,
+      })),
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/orders/65f2b61e8e3bcae2d6e8a002',
+      body: ok(partFilledOrder),
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/orders/65f2b61e8e3bcae2d6e8a004',
+      body: ok(order({
+        id: '65f2b61e8e3bcae2d6e8a004',
+        side: 'sell',
+        price: '1800',
+        size: '0.3',
+        dealSize: 0,
+        isActive: false,
+        cancelExist: true,
+        createdAt: 1710404000000,
+      })),
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/orders/65f2b61e8e3bcae2d6e8a0ff',
+      status: 404,
+      body: { code: '400100', msg: 'order not exist.' },
+    },
+    {
+      method: 'POST',
+      path: '/api/v1/orders',
+      params: { symbol: 'ETH-USDT', side: 'buy', type: 'limit', price: '1500.00', size: '0.1000' },
+      body: ok({ orderId: '65f2b61e8e3bcae2d6e8a005' }),
+    },
+    {
+      method: 'POST',
+      path: '/api/v1/orders',
+      params: { symbol: 'ETH-USDT', side: 'sell', size: '100.0000' },
+      body: { code: '200004', msg: 'Balance insufficient!' },
+    },
+    {
+      method: 'DELETE',
+      path: '/api/v1/orders/65f2b61e8e3bcae2d6e8a001',
+      body: ok({ cancelledOrderIds: ['65f2b61e8e3bcae2d6e8a001'] }),
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/market/stats',
+      params: { symbol: 'ETH-USDT' },
+      body: ok({
+        time: 1710404200000,
+        symbol: 'ETH-USDT',
+        buy: '1601.5',
+        sell: '1603',
+        changeRate: '0.0121',
+        changePrice: '19.15',
+        high: '1650',
+        low: '1580.25',
+        vol: '152.3401',
+        volValue: '244080.75',
+        last: '1602.15',
+        averagePrice: '1590.12',
+      }),
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/market/orderbook/level2_100',
+      params: { symbol: 'ETH-USDT' },
+      body: ok({
+        time: 1710404200000,
+        sequence: '3262786978',
+        bids: [['1601.5', '0.25'], ['1600', '0.5'], ['1595.1', '1']],
+        asks: [['1603', '0.1'], ['1605', '0.4']],
+      }),
+    },
+    {
+      method: 'GET',
+      path: '/api/v1/market/histories',
+      params: { symbol: 'ETH-USDT' },
+      body: ok([
+        { sequence: '1384301', price: '1601', size: '0.1', side: 'buy', time: 1710404170000123456 },
+        { sequence: '1384302', price: '1602.15', size: '0.05', side: 'sell', time: 1710404180000654321 },
+      ]),
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.0001,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '65f2b61e8e3bcae2d6e8a001', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: '65f2b61e8e3bcae2d6e8a002', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '65f2b61e8e3bcae2d6e8a003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: '65f2b61e8e3bcae2d6e8a002', amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '65f2b61e8e3bcae2d6e8a004', amountExecuted: 0 },
+      unknown: { orderId: '65f2b61e8e3bcae2d6e8a0ff' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '65f2b61e8e3bcae2d6e8a005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['65f2b61e8e3bcae2d6e8a001', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: '1384301', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: '1384302', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180001 },
+    ],
+  },
+};
@@ -0,0 +1,339 @@
+/**
+ * MEXC responses in the format of https://api.mexc.com, reduced to one market
+ * Markets set precision and limits in their own fields, and trades have no ids.
+ */
+
+/**
+ * Builds an order object
+ * @param {Object} order
+ * @return {Object}
+ */
+function order({ orderId, side, price, origQty, executedQty, status, time, updateTime }) {
+  return {
+    symbol: 'ETHUSDT',
+    orderId,
+    orderListId: -1,
+    clientOrderId: '',
+    price,
+    origQty,
+    executedQty,
+    cummulativeQuoteQty: (executedQty * price).toString(),
+    status,
+    timeInForce: null,
+    type: 'LIMIT',
+    side,
+    stopPrice: null,
+    icebergQty: null,
+    time,
+    updateTime,
+    isWorking: true,
+    origQuoteOrderQty: (origQty * price).toString(),
+  };
+}
+
+const newOrder = order({
+  orderId: 'C02__443776347957968001',
+  side: 'BUY',
+  price: '1500',
+  origQty: '0.2',
+  executedQty: '0',
+  status: 'NEW',
+  time: 1710404126000,
+  updateTime: null,
+});
+const partFilledOrder = order({
+  orderId: 'C02__443776347957968002',
+  side: 'SELL',
+  price: '1700',
+  origQty: '0.15',
+  executedQty: '0.05',
+  status: 'PARTIALLY_FILLED',
+  time: 1710404127000,
+  updateTime: 1710404190000,
+});
+
+module.exports = {
+  exchange: 'MEXC',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: '/api/v3/exchangeInfo',
+      body: {
+        timezone: 'CST',
+        serverTime: 1710404200000,
+        rateLimits: [],
+        exchangeFilters: [],
+        symbols: [
+          {
+            symbol: 'ETHUSDT',
+            status: '1',
+            baseAsset: 'ETH',
+            baseAssetPrecision: 4,
+            quoteAsset: 'USDT',
+            quotePrecision: 2,
+            quoteAssetPrecision: 2,
+            baseCommissionPrecision: 4,
+            quoteCommissionPrecision: 2,
+            orderTypes: ['LIMIT', 'MARKET', 'LIMIT_MAKER'],
+            isSpotTradingAllowed: true,
+            isMarginTradingAllowed: false,
+            quoteAmountPrecision: '1',
+            baseSizePrecision: '0.0001',
+            permissions: ['SPOT'],
+            filters: [],
+            maxQuoteAmount: '2000000',
+            makerCommission: '0',
+            takerCommission: '0.0005',
+            quoteAmountPrecisionMarket: '1',
+            maxQuoteAmountMarket: '100000',
+            fullName: 'Ethereum',
+            tradeSideType: 1,
+          },
+        ],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/capital/config/getall',
+      body: [
+        {
+          coin: 'ETH',
+          Name: 'Ethereum',
+          networkList: [
+            {
+              coin: 'ETH',
+              depositDesc: null,
+              depositEnable: true,
+              minConfirm: 64,
+              Name: 'Ethereum',
+              network: 'Ethereum(ERC20)',
+              withdrawEnable: true,
+              withdrawFee: '0.0012',
+              withdrawIntegerMultiple: '0.00000001',
+              withdrawMax: '3000',
+              withdrawMin: '0.005',
+              sameAddress: false,
+              contract: '',
+              withdrawTips: null,
+              depositTips: null,
+              netWork: 'ETH',
+            },
+            {
+              coin: 'ETH',
+              depositDesc: null,
+              depositEnable: false,
+              minConfirm: 120,
+              Name: 'Ethereum',
+              network: 'Arbitrum One(ARB)',
+              withdrawEnable: true,
+              withdrawFee: '0.0002',
+              withdrawIntegerMultiple: '0.00000001',
+              withdrawMax: '1000',
+              withdrawMin: '0.002',
+              sameAddress: false,
+              contract: '',
+              withdrawTips: null,
+              depositTips: null,
+              netWork: 'ARB',
+            },
+          ],
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/account',
+      body: {
+        makerCommission: null,
+        takerCommission: null,
+        canTrade: true,
+        canWithdraw: true,
+        canDeposit: true,
+        accountType: 'SPOT',
+        balances: [
+          { asset: 'ETH', free: '1.5', locked: '0.25' },
+          { asset: 'USDT', free: '2400.12', locked: '300' },
+          { asset: 'MX', free: '0', locked: '0' },
+        ],
+        permissions: ['SPOT'],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/openOrders',
+      params: { symbol: 'ETHUSDT' },
+      body: [newOrder, partFilledOrder],
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 'C02__443776347957968003' },
+      body: order({
+        orderId: 'C02__443776347957968003',
+        side: 'BUY',
+        price: '1550',
+        origQty: '0.1',
+        executedQty: '0.1',
+        status: 'FILLED',
+        time: 1710404100000,
+        updateTime: 1710404160000,
+      }),
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 'C02__443776347957968002' },
+      body: partFilledOrder,
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 'C02__443776347957968004' },
+      body: order({
+        orderId: 'C02__443776347957968004',
+        side: 'SELL',
+        price: '1800',
+        origQty: '0.3',
+        executedQty: '0',
+        status: 'CANCELED',
+        time: 1710404000000,
+        updateTime: 1710404050000,
+      }),
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 'C02__443776347957968099' },
+      status: 400,
+      body: { code: -2013, msg: 'Order does not exist.' },
+    },
+    {
+      method: 'POST',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', side: 'BUY', type: 'LIMIT', price: '1500.00', quantity: '0.1000' },
+      body: {
+        symbol: 'ETHUSDT',
+        orderId: 'C02__443776347957968005',
+        orderListId: -1,
+        price: '1500',
+        origQty: '0.1',
+        type: 'LIMIT',
+        side: 'BUY',
+        transactTime: 1710404200000,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', side: 'SELL', quantity: '100.0000' },
+      status: 400,
+      body: { code: 30004, msg: 'Insufficient position' },
+    },
+    {
+      method: 'DELETE',
+      path: '/api/v3/order',
+      params: { symbol: 'ETHUSDT', orderId: 'C02__443776347957968001' },
+      body: {
+        ...newOrder,
+        status: 'CANCELED',
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/ticker/24hr',
+      params: { symbol: 'ETHUSDT' },
+      body: {
+        symbol: 'ETHUSDT',
+        priceChange: '19.15',
+        priceChangePercent: '0.0121',
+        prevClosePrice: '1583',
+        lastPrice: '1602.15',
+        bidPrice: '1601.5',
+        bidQty: '0.25',
+        askPrice: '1603',
+        askQty: '0.1',
+        openPrice: '1583',
+        highPrice: '1650',
+        lowPrice: '1580.25',
+        volume: '152.3401',
+        quoteVolume: '244080.75',
+        openTime: 1710317800000,
+        closeTime: 1710404200000,
+        count: null,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/depth',
+      params: { symbol: 'ETHUSDT' },
+      body: {
+        lastUpdateId: 12609374882,
+        bids: [['1601.5', '0.25'], ['1600', '0.5'], ['1595.1', '1']],
+        asks: [['1603', '0.1'], ['1605', '0.4']],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/api/v3/trades',
+      params: { symbol: 'ETHUSDT' },
+      body: [
+        { id: null, price: '1602.15', qty: '0.05', quoteQty: '80.1075', time: 1710404180000, isBuyerMaker: true, isBestMatch: true, tradeType: 'ASK' },
+        { id: null, price: '1601', qty: '0.1', quoteQty: '160.1', time: 1710404170000, isBuyerMaker: false, isBestMatch: true, tradeType: 'BID' },
+      ],
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.0001,
+      coin2MinAmount: 1,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: 'C02__443776347957968001', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      {
+        orderId: 'C02__443776347957968002',
+        side: 'sell',
+        price: 1700,
+        amount: 0.15,
+        amountExecuted: 0.05,
+        amountLeft: 0.1,
+        status: 'part_filled',
+      },
+    ],
+    orderDetails: {
+      filled: { orderId: 'C02__443776347957968003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: 'C02__443776347957968002', amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: 'C02__443776347957968004', amountExecuted: 0 },
+      unknown: { orderId: 'C02__443776347957968099' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: 'C02__443776347957968005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['C02__443776347957968001', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
@@ -0,0 +1,197 @@
+/**
+ * P2PB2B responses in the format of https://api.p2pb2b.com/api/v2, reduced to one market
+ * P2PB2B wraps results as { success, result }, and provides timestamps in seconds.
+ * Its order details include trades only, so the connector can't tell order amounts and statuses, and the suite skips them.
+ */
+
+const API = '/api/v2';
+
+const newOrder = {
+  orderId: 171040412601,
+  market: 'ETH_USDT',
+  price: '1500.00',
+  side: 'buy',
+  type: 'limit',
+  timestamp: 1710404126.001511,
+  dealMoney: '0',
+  dealStock: '0',
+  amount: '0.2000',
+  takerFee: '0.002',
+  makerFee: '0.002',
+  left: '0.2000',
+  dealFee: '0',
+};
+const partFilledOrder = {
+  orderId: 171040412702,
+  market: 'ETH_USDT',
+  price: '1700.00',
+  side: 'sell',
+  type: 'limit',
+  timestamp: 1710404127.000231,
+  dealMoney: '85',
+  dealStock: '0.0500',
+  amount: '0.1500',
+  takerFee: '0.002',
+  makerFee: '0.002',
+  left: '0.1000',
+  dealFee: '0.17',
+};
+
+module.exports = {
+  exchange: 'P2PB2B',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: `${API}/public/markets`,
+      body: {
+        success: true,
+        errorCode: '',
+        message: '',
+        result: [
+          {
+            name: 'ETH_USDT',
+            stock: 'ETH',
+            money: 'USDT',
+            precision: { money: '2', stock: '4', fee: '4' },
+            limits: {
+              min_amount: '0.001',
+              max_amount: '100000',
+              step_size: '0.0001',
+              min_price: '0.01',
+              max_price: '100000',
+              tick_size: '0.01',
+              min_total: '1',
+            },
+          },
+        ],
+      },
+    },
+    {
+      method: 'POST',
+      path: `${API}/account/balances`,
+      body: {
+        success: true,
+        message: '',
+        result: {
+          ETH: { available: '1.5', freeze: '0.25' },
+          USDT: { available: '2400.12', freeze: '300' },
+          BTC: { available: '0', freeze: '0' },
+        },
+      },
+    },
+    {
+      method: 'POST',
+      path: `${API}/orders`,
+      params: { market: 'ETH_USDT' },
+      body: { success: true, message: '', result: [newOrder, partFilledOrder] },
+    },
+    {
+      method: 'POST',
+      path: `${API}/order/new`,
+      params: { market: 'ETH_USDT', side: 'buy', amount: '0.1000', price: '1500.00' },
+      body: {
+        success: true,
+        message: '',
+        result: { ...newOrder, orderId: 171040420005, amount: '0.1000', left: '0.1000', timestamp: 1710404200.000112 },
+      },
+    },
+    {
+      method: 'POST',
+      path: `${API}/order/new`,
+      params: { market: 'ETH_USDT', side: 'sell', amount: '100.0000' },
+      status: 400,
+      body: { success: false, errorCode: 2008, message: 'Balance not enough', result: [] },
+    },
+    {
+      method: 'POST',
+      path: `${API}/order/cancel`,
+      params: { market: 'ETH_USDT', orderId: '171040412601' },
+      body: { success: true, message: '', result: newOrder },
+    },
+    {
+      method: 'GET',
+      path: `${API}/public/ticker`,
+      params: { market: 'ETH_USDT' },
+      body: {
+        success: true,
+        message: '',
+        result: {
+          bid: '1601.50',
+          ask: '1603.00',
+          open: '1583.10',
+          high: '1650.00',
+          low: '1580.25',
+          last: '1602.15',
+          volume: '152.3401',
+          deal: '244080.75',
+          change: '1.2',
+        },
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/public/depth/result`,
+      params: { market: 'ETH_USDT' },
+      body: {
+        success: true,
+        message: '',
+        result: {
+          bids: [['1600.00', '0.5000'], ['1601.50', '0.2500'], ['1595.10', '1.0000']],
+          asks: [['1605.00', '0.4000'], ['1603.00', '0.1000']],
+        },
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/public/history`,
+      params: { market: 'ETH_USDT' },
+      body: {
+        success: true,
+        message: '',
+        result: [
+          { id: 1384302, type: 'sell', time: 1710404180.000211, amount: '0.0500', price: '1602.15' },
+          { id: 1384301, type: 'buy', time: 1710404170.000102, amount: '0.1000', price: '1601.00' },
+        ],
+      },
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.001,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '171040412601', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new', timestamp: 1710404126002 },
+      { orderId: '171040412702', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '171040420005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['171040412601', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: '1384301', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: '1384302', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
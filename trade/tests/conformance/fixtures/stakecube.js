@@ -0,0 +1,150 @@
+/**
+ * StakeCube responses in the format of https://stakecube.io/api/v2, reduced to one market
+ * StakeCube wraps results as { success, result, error }, and provides dates in UTC without a time zone.
+ * It has no order details endpoint, so the suite skips getOrderDetails().
+ */
+
+const API = '/api/v2';
+
+const market = {
+  tradeMarket: 'ETH',
+  baseMarket: 'USDT',
+  state: 'ACTIVE',
+  tradeMinDecimal: 4,
+  baseMinDecimal: 2,
+  lastPrice: '1602.15',
+  high24h: '1650.00',
+  low24h: '1580.25',
+  volumeTrade24h: '152.3401',
+  volumeBase24h: '244080.75',
+};
+
+module.exports = {
+  exchange: 'StakeCube',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      // Both markets() and ticker() request markets
+      method: 'GET',
+      path: `${API}/exchange/spot/markets`,
+      body: { success: true, result: { ETH_USDT: market }, error: '', timestamp: 1710404200 },
+    },
+    {
+      method: 'GET',
+      path: `${API}/user/account`,
+      body: {
+        success: true,
+        result: {
+          user: 'trader',
+          wallets: [
+            { asset: 'ETH', network: 'ETH', address: '0x9f0c3d6c1b5a3f4c0e3d8a9e3f5b6c7d8e9f0a1b', balance: '1.5', balanceInOrder: '0.25' },
+            { asset: 'USDT', network: 'ETH', address: '0x9f0c3d6c1b5a3f4c0e3d8a9e3f5b6c7d8e9f0a1b', balance: '2400.12', balanceInOrder: '300' },
+            { asset: 'SCC', network: 'SCC', address: 'sNx1v3wJ8a5kRkmDJqvX9aWfPKxLw2bHzC', balance: '0', balanceInOrder: '0' },
+          ],
+        },
+        error: '',
+        timestamp: 1710404200,
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/exchange/spot/myOpenOrder`,
+      params: { market: 'ETH_USDT' },
+      body: {
+        success: true,
+        result: [
+          { id: 5413001, market: 'ETH_USDT', side: 'BUY', price: '1500.00', amount: '0.2000', executedAmount: '0', placed: '2024-03-14 08:15:26' },
+          { id: 5413002, market: 'ETH_USDT', side: 'SELL', price: '1700.00', amount: '0.1500', executedAmount: '0.0500', placed: '2024-03-14 08:15:27' },
+        ],
+        error: '',
+        timestamp: 1710404200,
+      },
+    },
+    {
+      method: 'POST',
+      path: `${API}/exchange/spot/order`,
+      params: { market: 'ETH_USDT', side: 'BUY', price: '1500.00', amount: '0.1000' },
+      body: { success: true, result: { orderId: 5413005, executedAmount: '0', fills: [] }, error: '', timestamp: 1710404200 },
+    },
+    {
+      method: 'POST',
+      path: `${API}/exchange/spot/order`,
+      params: { market: 'ETH_USDT', side: 'SELL', amount: '100.0000' },
+      body: { success: false, result: [], error: 'insufficient balance', timestamp: 1710404200 },
+    },
+    {
+      method: 'POST',
+      path: `${API}/exchange/spot/cancel`,
+      params: { orderId: 5413001 },
+      body: { success: true, result: { orderId: 5413001 }, error: '', timestamp: 1710404200 },
+    },
+    {
+      // StakeCube sorts both sides in descending order
+      method: 'GET',
+      path: `${API}/exchange/spot/orderbook`,
+      params: { market: 'ETH_USDT' },
+      body: {
+        success: true,
+        result: {
+          asks: [{ price: '1605.00', amount: '0.4000' }, { price: '1603.00', amount: '0.1000' }],
+          bids: [{ price: '1601.50', amount: '0.2500' }, { price: '1600.00', amount: '0.5000' }, { price: '1595.10', amount: '1.0000' }],
+        },
+        error: '',
+        timestamp: 1710404200,
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/exchange/spot/trades`,
+      params: { market: 'ETH_USDT' },
+      body: {
+        success: true,
+        result: [
+          { direction: 'SELL', price: '1602.15', amount: '0.0500', timestamp: 1710404180, timeConverted: '2024-03-14 08:16:20' },
+          { direction: 'BUY', price: '1601.00', amount: '0.1000', timestamp: 1710404170, timeConverted: '2024-03-14 08:16:10' },
+        ],
+        error: '',
+        timestamp: 1710404200,
+      },
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: null, // StakeCube doesn't provide limits
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '5413001', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new', timestamp: 1710404126000 },
+      { orderId: '5413002', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '5413005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['5413001', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    // StakeCube doesn't provide trade ids
+    trades: [
+      { price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
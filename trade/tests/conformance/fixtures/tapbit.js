@@ -0,0 +1,256 @@
+/**
+ * Tapbit responses in the format of https://openapi.tapbit.com/spot, reduced to one market
+ * Tapbit wraps results as { code: 200, message, data } and returns errors with HTTP 200 and its own code.
+ * Open orders are paginated by next_order_id until a page is empty.
+ */
+
+const API = '/spot/api';
+
+/**
+ * Wraps data into the Tapbit response envelope
+ * @param {*} data
+ * @return {Object}
+ */
+function ok(data) {
+  return { code: 200, message: 'success', data };
+}
+
+const newOrder = {
+  order_id: '2231530001',
+  trade_pair_name: 'ETH/USDT',
+  direction: 'buy',
+  order_type: 'limit',
+  price: '1500.00',
+  quantity: '0.2000',
+  amount: '300.00',
+  filled_quantity: '0',
+  filled_amount: '0',
+  fee: '0',
+  status: 'Open',
+  order_time: 1710404126000,
+};
+const partFilledOrder = {
+  order_id: '2231530002',
+  trade_pair_name: 'ETH/USDT',
+  direction: 'sell',
+  order_type: 'limit',
+  price: '1700.00',
+  quantity: '0.1500',
+  amount: '255.00',
+  filled_quantity: '0.0500',
+  filled_amount: '85.00',
+  fee: '0.085',
+  status: 'Open',
+  order_time: 1710404127000,
+};
+
+module.exports = {
+  exchange: 'Tapbit',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: `${API}/spot/instruments/trade_pair_list`,
+      body: ok([
+        {
+          trade_pair_name: 'ETH/USDT',
+          base_asset: 'ETH',
+          quote_asset: 'USDT',
+          price_precision: '2',
+          amount_precision: '4',
+          min_amount: '0.001',
+          min_notional: '5',
+        },
+      ]),
+    },
+    {
+      method: 'GET',
+      path: `${API}/spot/instruments/asset/list`,
+      body: ok([
+        {
+          currency: 'ETH',
+          full_name: 'Ethereum',
+          chains: [
+            {
+              chain: 'Ethereum(ERC20)',
+              is_deposit_enabled: true,
+              is_withdraw_enabled: true,
+              deposit_min_confirm: '12',
+              fee: '0.005',
+              precision: '8',
+              withdraw_limit_min: '0.01',
+            },
+          ],
+        },
+      ]),
+    },
+    {
+      method: 'GET',
+      path: `${API}/v1/spot/account/list`,
+      body: ok([
+        { asset: 'ETH', available: '1.5', frozen_balance: '0.25', total_balance: '1.75' },
+        { asset: 'USDT', available: '2400.12', frozen_balance: '300', total_balance: '2700.12' },
+        { asset: 'BTC', available: '0', frozen_balance: '0', total_balance: '0' },
+      ]),
+    },
+    {
+      // The last page, requested after the last order id - 1
+      method: 'GET',
+      path: `${API}/v1/spot/open_order_list`,
+      params: { instrument_id: 'ETH/USDT', next_order_id: '2231530000' },
+      body: ok([]),
+    },
+    {
+      method: 'GET',
+      path: `${API}/v1/spot/open_order_list`,
+      params: { instrument_id: 'ETH/USDT' },
+      body: ok([partFilledOrder, newOrder]),
+    },
+    {
+      method: 'GET',
+      path: `${API}/v1/spot/order_info`,
+      params: { order_id: '2231530003' },
+      body: ok({
+        order_id: '2231530003',
+        trade_pair_name: 'ETH/USDT',
+        direction: 'BUY',
+        order_type: 'LIMIT',
+        price: '1550.00',
+        quantity: '0.1000',
+        amount: '155.00',
+        filled_quantity: '0.1000',
+        filled_amount: '155.00',
+        fee: '0.155',
+        status: 'Filled',
+        order_time: 1710404100000,
+      }),
+    },
+    {
+      method: 'GET',
+      path: `${API}/v1/spot/order_info`,
+      params: { order_id: '2231530002' },
+      body: ok({ ...partFilledOrder, direction: 'SELL', order_type: 'LIMIT' }),
+    },
+    {
+      method: 'GET',
+      path: `${API}/v1/spot/order_info`,
+      params: { order_id: '2231530004' },
+      body: ok({
+        order_id: '2231530004',
+        trade_pair_name: 'ETH/USDT',
+        direction: 'SELL',
+        order_type: 'LIMIT',
+        price: '1800.00',
+        quantity: '0.3000',
+        amount: '540.00',
+        filled_quantity: '0',
+        filled_amount: '0',
+        fee: '0',
+        status: 'Cancelled',
+        order_time: 1710404000000,
+      }),
+    },
+    {
+      method: 'GET',
+      path: `${API}/v1/spot/order_info`,
+      params: { order_id: '2231530099' },
+      body: { code: 11014, message: 'Order does not exist', data: null },
+    },
+    {
+      method: 'POST',
+      path: `${API}/v1/spot/order`,
+      params: { instrument_id: 'ETH/USDT', direction: '1', price: '1500.00', quantity: '0.1000' },
+      body: ok({ order_id: '2231530005' }),
+    },
+    {
+      method: 'POST',
+      path: `${API}/v1/spot/order`,
+      params: { instrument_id: 'ETH/USDT', direction: '2', quantity: '100.0000' },
+      body: { code: 11001, message: 'Insufficient balance', data: null },
+    },
+    {
+      method: 'POST',
+      path: `${API}/v1/spot/cancel_order`,
+      params: { order_id: '2231530001' },
+      body: ok({ order_id: '2231530001' }),
+    },
+    {
+      method: 'GET',
+      path: `${API}/spot/instruments/ticker_one`,
+      params: { instrument_id: 'ETH/USDT' },
+      body: ok({
+        trade_pair_name: 'ETH/USDT',
+        last_price: '1602.15',
+        highest_bid: '1601.50',
+        lowest_ask: '1603.00',
+        highest_price_24h: '1650.00',
+        lowest_price_24h: '1580.25',
+        volume24h: '152.3401',
+        amount24h: '244080.75',
+      }),
+    },
+    {
+      method: 'GET',
+      path: `${API}/spot/instruments/depth`,
+      params: { instrument_id: 'ETH/USDT' },
+      body: ok({
+        bids: [['1600.00', '0.5000'], ['1601.50', '0.2500'], ['1595.10', '1.0000']],
+        asks: [['1605.00', '0.4000'], ['1603.00', '0.1000']],
+      }),
+    },
+    {
+      // [trade_pair_name, price, quantity, direction, timestamp]
+      method: 'GET',
+      path: `${API}/spot/instruments/trade_list`,
+      params: { instrument_id: 'ETH/USDT' },
+      body: ok([
+        ['ETH/USDT', '1602.15', '0.0500', 'Sell', '1710404180000'],
+        ['ETH/USDT', '1601.00', '0.1000', 'Buy', '1710404170000'],
+      ]),
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.001,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '2231530002', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+      { orderId: '2231530001', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+    ],
+    orderDetails: {
+      filled: { orderId: '2231530003', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: '2231530002', amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '2231530004', amountExecuted: 0 },
+      unknown: { orderId: '2231530099' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '2231530005',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['2231530001', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
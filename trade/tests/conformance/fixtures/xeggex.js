@@ -0,0 +1,258 @@
+/**
+ * XeggeX responses in the format of https://api.xeggex.com/api/v2, reduced to one market
+ */
+
+const API = '/api/v2';
+
+module.exports = {
+  exchange: 'XeggeX',
+  pair: 'ETH/USDT',
+
+  routes: [
+    {
+      method: 'GET',
+      path: `${API}/market/getlist`,
+      body: [
+        {
+          id: '6374a2bf4e6d53c5b7f3b0d1',
+          symbol: 'ETH/USDT',
+          primaryTicker: 'ETH',
+          quantityDecimals: 4,
+          priceDecimals: 2,
+          minimumQuantity: 0.001,
+          minAllowedPrice: '0.01',
+          maxAllowedPrice: '1000000',
+          isActive: true,
+          isPaused: false,
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/asset/getlist`,
+      body: [
+        {
+          id: '6374a2bf4e6d53c5b7f3a001',
+          ticker: 'ETH',
+          name: 'Ethereum',
+          network: 'Ethereum',
+          childOf: null,
+          hasChildren: false,
+          isActive: true,
+          isMaintenance: false,
+          depositActive: true,
+          withdrawalActive: true,
+          confirmsRequired: 12,
+          withdrawFee: '0.005',
+          withdrawDecimals: 8,
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/balances`,
+      body: [
+        { asset: 'ETH', name: 'Ethereum', available: '1.5', pending: '0.00000000', held: '0.25' },
+        { asset: 'USDT', name: 'Tether', available: '2400.12', pending: '0.00000000', held: '300' },
+        { asset: 'XRG', name: 'Ergon', available: '0.00000000', pending: '0.00000000', held: '0.00000000' },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/getorders`,
+      params: { symbol: 'ETH_USDT', status: 'active' },
+      body: [
+        {
+          id: '65f2b61e8e3bcae2d6e8f201',
+          market: { id: '6374a2bf4e6d53c5b7f3b0d1', symbol: 'ETH/USDT' },
+          side: 'buy',
+          type: 'limit',
+          price: '1500.00',
+          quantity: '0.2000',
+          executedQuantity: '0.0000',
+          remainQuantity: '0.2000',
+          status: 'Active',
+          createdAt: 1710404126000,
+          updatedAt: 1710404126000,
+        },
+        {
+          id: '65f2b61e8e3bcae2d6e8f202',
+          market: { id: '6374a2bf4e6d53c5b7f3b0d1', symbol: 'ETH/USDT' },
+          side: 'sell',
+          type: 'limit',
+          price: '1700.00',
+          quantity: '0.1500',
+          executedQuantity: '0.0500',
+          remainQuantity: '0.1000',
+          status: 'Partly Filled',
+          createdAt: 1710404127000,
+          updatedAt: 1710404190000,
+        },
+      ],
+    },
+    {
+      method: 'GET',
+      path: `${API}/getorder/65f2b61e8e3bcae2d6e8f203`,
+      body: {
+        id: '65f2b61e8e3bcae2d6e8f203',
+        market: { id: '6374a2bf4e6d53c5b7f3b0d1', symbol: 'ETH/USDT' },
+        side: 'buy',
+        type: 'limit',
+        price: '1550.00',
+        quantity: '0.1000',
+        executedQuantity: '0.1000',
+        remainQuantity: '0.0000',
+        status: 'Filled',
+        createdAt: 1710404100000,
+        updatedAt: 1710404160000,
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/getorder/65f2b61e8e3bcae2d6e8f202`,
+      body: {
+        id: '65f2b61e8e3bcae2d6e8f202',
+        market: { id: '6374a2bf4e6d53c5b7f3b0d1', symbol: 'ETH/USDT' },
+        side: 'sell',
+        type: 'limit',
+        price: '1700.00',
+        quantity: '0.1500',
+        executedQuantity: '0.0500',
+        remainQuantity: '0.1000',
+        status: 'Partly Filled',
+        createdAt: 1710404127000,
+        updatedAt: 1710404190000,
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/getorder/65f2b61e8e3bcae2d6e8f204`,
+      body: {
+        id: '65f2b61e8e3bcae2d6e8f204',
+        market: { id: '6374a2bf4e6d53c5b7f3b0d1', symbol: 'ETH/USDT' },
+        side: 'sell',
+        type: 'limit',
+        price: '1800.00',
+        quantity: '0.3000',
+        executedQuantity: '0.0000',
+        remainQuantity: '0.3000',
+        status: 'Cancelled',
+        createdAt: 1710404000000,
+        updatedAt: 1710404050000,
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/getorder/65f2b61e8e3bcae2d6e8f2ff`,
+      status: 400,
+      body: { error: { code: 20002, message: 'Order not found', description: '' } },
+    },
+    {
+      method: 'POST',
+      path: `${API}/createorder`,
+      params: { symbol: 'ETH_USDT', side: 'buy', type: 'limit', price: '1500.00', quantity: '0.1000' },
+      body: {
+        id: '65f2b61e8e3bcae2d6e8f205',
+        market: { id: '6374a2bf4e6d53c5b7f3b0d1', symbol: 'ETH/USDT' },
+        side: 'buy',
+        type: 'limit',
+        price: '1500.00',
+        quantity: '0.1000',
+        executedQuantity: '0.0000',
+        status: 'Active',
+      },
+    },
+    {
+      method: 'POST',
+      path: `${API}/createorder`,
+      params: { symbol: 'ETH_USDT', side: 'sell', quantity: '100.0000' },
+      status: 400,
+      body: { error: { code: 20001, message: 'Insufficient funds', description: 'Insufficient funds for creating order' } },
+    },
+    {
+      method: 'POST',
+      path: `${API}/cancelorder`,
+      params: { id: '65f2b61e8e3bcae2d6e8f201' },
+      body: { success: true, id: '65f2b61e8e3bcae2d6e8f201' },
+    },
+    {
+      method: 'GET',
+      path: `${API}/ticker/ETH_USDT`,
+      body: {
+        ticker_id: 'ETH_USDT',
+        base_currency: 'ETH',
+        target_currency: 'USDT',
+        last_price: '1602.15',
+        base_volume: '152.3401',
+        target_volume: '244080.75',
+        bid: '1601.50',
+        ask: '1603.00',
+        high: '1650.00',
+        low: '1580.25',
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/orderbook`,
+      params: { ticker_id: 'ETH_USDT' },
+      body: {
+        ticker_id: 'ETH_USDT',
+        timestamp: 1710404200000,
+        bids: [['1600.00', '0.5000'], ['1601.50', '0.2500'], ['1595.10', '1.0000']],
+        asks: [['1605.00', '0.4000'], ['1603.00', '0.1000']],
+      },
+    },
+    {
+      method: 'GET',
+      path: `${API}/historical_trades`,
+      params: { ticker_id: 'ETH_USDT' },
+      body: [
+        { trade_id: 'b2', price: '1602.15', base_volume: '0.0500', target_volume: '80.1075', trade_timestamp: 1710404180000, type: 'sell' },
+        { trade_id: 'b1', price: '1601.00', base_volume: '0.1000', target_volume: '160.1000', trade_timestamp: 1710404170000, type: 'buy' },
+      ],
+    },
+  ],
+
+  expected: {
+    marketInfo: {
+      coin1: 'ETH',
+      coin2: 'USDT',
+      coin1Decimals: 4,
+      coin2Decimals: 2,
+      coin1MinAmount: 0.001,
+    },
+    balances: [
+      { code: 'ETH', free: 1.5, freezed: 0.25 },
+      { code: 'USDT', free: 2400.12, freezed: 300 },
+    ],
+    openOrders: [
+      { orderId: '65f2b61e8e3bcae2d6e8f201', side: 'buy', price: 1500, amount: 0.2, amountExecuted: 0, amountLeft: 0.2, status: 'new' },
+      { orderId: '65f2b61e8e3bcae2d6e8f202', side: 'sell', price: 1700, amount: 0.15, amountExecuted: 0.05, amountLeft: 0.1, status: 'part_filled' },
+    ],
+    orderDetails: {
+      filled: { orderId: '65f2b61e8e3bcae2d6e8f203', amount: 0.1, amountExecuted: 0.1 },
+      part_filled: { orderId: '65f2b61e8e3bcae2d6e8f202', amount: 0.15, amountExecuted: 0.05 },
+      cancelled: { orderId: '65f2b61e8e3bcae2d6e8f204', amountExecuted: 0 },
+      unknown: { orderId: '65f2b61e8e3bcae2d6e8f2ff' },
+    },
+    placeOrder: {
+      args: ['buy', 'ETH/USDT', 1500, 0.1],
+      orderId: '65f2b61e8e3bcae2d6e8f205',
+    },
+    placeOrderRejected: {
+      args: ['sell', 'ETH/USDT', 1700, 100],
+    },
+    cancelOrder: {
+      args: ['65f2b61e8e3bcae2d6e8f201', 'buy', 'ETH/USDT'],
+    },
+    rates: { ask: 1603, bid: 1601.5, last: 1602.15, volume: 152.3401, volumeInCoin2: 244080.75, high: 1650, low: 1580.25 },
+    orderBook: {
+      bids: [1601.5, 1600, 1595.1],
+      asks: [1603, 1605],
+    },
+    trades: [
+      { tradeId: 'b1', price: 1601, coin1Amount: 0.1, type: 'buy', date: 1710404170000 },
+      { tradeId: 'b2', price: 1602.15, coin1Amount: 0.05, type: 'sell', date: 1710404180000 },
+    ],
+  },
+};
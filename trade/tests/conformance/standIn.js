@@ -0,0 +1,112 @@
+const http = require('http');
+const axios = require('axios');
+
+/**
+ * Local HTTP stand-in for an exchange API
+ * Replays recorded responses from a fixture, and redirects the bot's axios requests to itself.
+ * A route matches a request by method, path, and params from the query and the body, if set:
+ * { method: 'GET', path: '/api/v2/getorder/1', params: { symbol: 'ETH_USDT' }, status: 200, body: { … } }
+ * Unmatched requests get HTTP 404, and they are listed in unmatched, so a test can show what's missing in a fixture.
+ */
+
+/**
+ * Parses a request body as JSON or as a form
+ * @param {String} body
+ * @return {Object}
+ */
+function parseBody(body) {
+  if (!body) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+}
+
+/**
+ * If the request params include all of the route params
+ * Values are compared as strings, as query strings and forms are not typed.
+ * @param {Object} routeParams
+ * @param {Object} requestParams
+ * @return {Boolean}
+ */
+function isParamsMatch(routeParams = {}, requestParams) {
+  return Object.entries(routeParams).every(([name, value]) => String(requestParams[name]) === String(value));
+}
+
+/**
+ * Starts a stand-in and redirects axios requests to it
+ * @param {Array<Object>} routes Recorded responses
+ * @return {Promise<Object>} { url, requests, unmatched, stop() }
+ */
+async function start(routes) {
+  const requests = [];
+  const unmatched = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const params = { ...Object.fromEntries(url.searchParams), ...parseBody(body) };
+
+      requests.push({ method: req.method, path: url.pathname, params });
+
+      const route = routes.find((route) =>
+        route.method === req.method &&
+        route.path === url.pathname &&
+        isParamsMatch(route.params, params),
+      );
+
+      if (!route) {
+        unmatched.push(`${req.method} ${url.pathname} ${JSON.stringify(params)}`);
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'No recorded response' }));
+        return;
+      }
+
+      res.writeHead(route.status ?? 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(route.body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const standInUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // API clients use full URLs of the exchange. Keep the path and the query, and replace the origin.
+  const interceptor = axios.interceptors.request.use((httpOptions) => {
+    const url = new URL(httpOptions.url);
+    httpOptions.url = `${standInUrl}${url.pathname}${url.search}`;
+
+    return httpOptions;
+  });
+
+  return {
+    url: standInUrl,
+    requests,
+    unmatched,
+
+    /**
+     * Stops the server and removes the redirect
+     * @return {Promise<void>}
+     */
+    stop() {
+      axios.interceptors.request.eject(interceptor);
+      server.closeAllConnections();
+
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  start,
+};
@@ -0,0 +1,164 @@
+/**
+ * Email notifications against a local SMTP sink
+ * The sink accepts any login and records received emails with their recipients.
+ */
+
+const net = require('net');
+
+const mockConfig = {
+  exchange: 'Default', // tradeParams_Default.js is the only trading params file in a clean checkout
+  exchangeName: 'Default',
+  pair: 'ETH/USDT',
+  coin1: 'ETH',
+  coin2: 'USDT',
+  log_level: 'none',
+  isBacktest: true, // Don't watch and save the trade params file
+  notifyName: 'ETH/USDT@Default CoinOptimus',
+  email_notify: ['trader@example.com'],
+  email_priority: ['oncall@example.com'],
+  email_notify_aggregate_min: 0.01, // 600 ms
+  email_smtp: {
+    host: '127.0.0.1',
+    secure: false,
+    auth: {
+      username: 'bot@example.com',
+      password: 'secret',
+    },
+  },
+  email_notify_enabled: true,
+};
+
+jest.mock('../../../modules/config/reader', () => mockConfig);
+
+const WAIT_TIMEOUT_MS = 5000;
+
+let server;
+let emails;
+let notify;
+
+/**
+ * Minimal SMTP session: greeting, EHLO, AUTH, MAIL, RCPT, DATA, QUIT
+ * @param {net.Socket} socket
+ */
+function smtpSession(socket) {
+  let buffer = '';
+  let email;
+  let isData = false;
+
+  socket.write('220 localhost SMTP sink\r\n');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString();
+
+    if (isData) {
+      const end = buffer.indexOf('\r\n.\r\n');
+      if (end === -1) return;
+
+      email.data = buffer.slice(0, end);
+      emails.push(email);
+      buffer = buffer.slice(end + 5);
+      isData = false;
+      socket.write('250 OK\r\n');
+    }
+
+    let lineEnd;
+    while (!isData && (lineEnd = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, lineEnd);
+      buffer = buffer.slice(lineEnd + 2);
+      const command = line.slice(0, 4).toUpperCase();
+
+      if (command === 'EHLO') {
+        socket.write('250-localhost\r\n250 AUTH PLAIN LOGIN\r\n');
+      } else if (command === 'AUTH') {
+        socket.write('235 Authentication successful\r\n');
+      } else if (command === 'MAIL') {
+        email = { recipients: [] };
+        socket.write('250 OK\r\n');
+      } else if (command === 'RCPT') {
+        email.recipients.push(line.match(/<(.*)>/)[1]);
+        socket.write('250 OK\r\n');
+      } else if (command === 'DATA') {
+        isData = true;
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (command === 'QUIT') {
+        socket.end('221 Bye\r\n');
+      } else {
+        socket.write('250 OK\r\n');
+      }
+    }
+  });
+}
+
+/**
+ * Waits until the sink receives a number of emails
+ * @param {Number} count
+ * @return {Promise<void>}
+ */
+async function waitForEmails(count) {
+  const startTimestamp = Date.now();
+
+  while (emails.length < count && Date.now() - startTimestamp < WAIT_TIMEOUT_MS) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Gets a header value from raw email data
+ * @param {Object} email
+ * @param {String} name
+ * @return {String}
+ */
+function header(email, name) {
+  return email.data.match(new RegExp(`^${name}: (.*)$`, 'm'))?.[1];
+}
+
+beforeAll(async () => {
+  server = net.createServer(smtpSession);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  mockConfig.email_smtp.port = server.address().port;
+
+  notify = require('../../../helpers/notify');
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  emails = [];
+});
+
+describe('Email notifications', () => {
+  it('sends regular notifications as one digest', async () => {
+    notify('Ladder is **started**', 'info');
+    notify('Order is filled', 'log');
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(emails).toEqual([]);
+
+    await waitForEmails(1);
+
+    expect(emails).toHaveLength(1);
+    expect(emails[0].recipients).toEqual(['trader@example.com']);
+    expect(header(emails[0], 'Subject')).toBe('2 notifications from ETH/USDT@Default CoinOptimus');
+    expect(emails[0].data).toMatch(/info\| Ladder is started/);
+    expect(emails[0].data).toMatch(/log\| Order is filled/);
+  });
+
+  it('sends priority notifications at once to all recipients', async () => {
+    notify('Withdrawal failed', 'warn', false, true);
+    await waitForEmails(1);
+
+    expect(emails).toHaveLength(1);
+    expect(emails[0].recipients.sort()).toEqual(['oncall@example.com', 'trader@example.com']);
+    expect(header(emails[0], 'Subject')).toBe('[Attention] Withdrawal failed');
+  });
+
+  it('skips regular notifications in silent mode', async () => {
+    notify('Order is placed', 'log', true);
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+
+    expect(emails).toEqual([]);
+  });
+});
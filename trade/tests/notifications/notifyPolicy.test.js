@@ -0,0 +1,112 @@
+/**
+ * Notification policy: deduplication, rate limits, and quiet hours
+ * Checks use explicit timestamps instead of the clock.
+ */
+
+const mockConfig = {
+  exchange: 'Default', // tradeParams_Default.js is the only trading params file in a clean checkout
+  exchangeName: 'Default',
+  pair: 'ETH/USDT',
+  coin1: 'ETH',
+  coin2: 'USDT',
+  log_level: 'none',
+  isBacktest: true, // Don't watch and save the trade params file
+  notify_policy: {
+    dedup_window_min: 60,
+    rate_limit_per_hour: { info: 2 },
+    quiet_hours: { from: '23:00', to: '08:00' },
+  },
+};
+
+jest.mock('../../../modules/config/reader', () => mockConfig);
+
+const notifyPolicy = require('../../../helpers/notifyPolicy');
+const { MINUTE } = require('../../../helpers/const');
+
+/**
+ * Loads a separate notification policy instance with its own settings
+ * @param {Object} notifyPolicyConfig notify_policy config value
+ * @return {Object}
+ */
+function loadPolicy(notifyPolicyConfig) {
+  const defaultNotifyPolicy = mockConfig.notify_policy;
+  let policy;
+
+  mockConfig.notify_policy = notifyPolicyConfig;
+
+  jest.isolateModules(() => {
+    policy = require('../../../helpers/notifyPolicy');
+  });
+
+  mockConfig.notify_policy = defaultNotifyPolicy;
+
+  return policy;
+}
+
+const DAYTIME = new Date(2024, 2, 14, 12, 0, 0).getTime();
+const NIGHT = new Date(2024, 2, 14, 23, 30, 0).getTime();
+
+describe('Notification policy', () => {
+  it('collapses identical messages and counts repetitions', () => {
+    expect(notifyPolicy.check('Not enough USDT', 'warn', false, undefined, undefined, DAYTIME)).toEqual({ isAllowed: true, message: 'Not enough USDT' });
+    expect(notifyPolicy.check('Not enough USDT', 'warn', false, undefined, undefined, DAYTIME + MINUTE).isAllowed).toBe(false);
+    expect(notifyPolicy.check('Not enough USDT', 'warn', false, undefined, undefined, DAYTIME + 2 * MINUTE).isAllowed).toBe(false);
+
+    const afterWindow = notifyPolicy.check('Not enough USDT', 'warn', false, undefined, undefined, DAYTIME + 61 * MINUTE);
+    expect(afterWindow.isAllowed).toBe(true);
+    expect(afterWindow.message).toMatch(/^Not enough USDT _Repeated 2 times since 2024-03-14 12:00:00\._$/);
+  });
+
+  it('treats messages with the same key as identical', () => {
+    expect(notifyPolicy.check('Not enough ETH: 1.5', 'warn', false, 'balances', undefined, DAYTIME).isAllowed).toBe(true);
+    expect(notifyPolicy.check('Not enough ETH: 1.2', 'warn', false, 'balances', undefined, DAYTIME + MINUTE).isAllowed).toBe(false);
+    expect(notifyPolicy.check('Not enough ETH: 1.2', 'error', false, 'balances', undefined, DAYTIME + MINUTE).isAllowed).toBe(true);
+  });
+
+  it('limits messages of a type per hour, and tells how many were skipped', () => {
+    expect(notifyPolicy.check('Fill 1', 'info', false, undefined, undefined, DAYTIME).isAllowed).toBe(true);
+    expect(notifyPolicy.check('Fill 2', 'info', false, undefined, undefined, DAYTIME + MINUTE).isAllowed).toBe(true);
+    expect(notifyPolicy.check('Fill 3', 'info', false, undefined, undefined, DAYTIME + 2 * MINUTE).isAllowed).toBe(false);
+    expect(notifyPolicy.check('Fill 4', 'info', false, undefined, undefined, DAYTIME + 3 * MINUTE).isAllowed).toBe(false);
+
+    const priority = notifyPolicy.check('Fill 5', 'info', true, undefined, undefined, DAYTIME + 4 * MINUTE);
+    expect(priority).toEqual({ isAllowed: true, message: 'Fill 5 _2 more info notifications were skipped due to the rate limit._' });
+
+    expect(notifyPolicy.check('Fill 6', 'info', false, undefined, undefined, DAYTIME + 5 * MINUTE).isAllowed).toBe(false);
+    expect(notifyPolicy.check('Fill 7', 'info', false, undefined, undefined, DAYTIME + 61 * MINUTE)).toEqual({
+      isAllowed: true,
+      message: 'Fill 7 _1 more info notifications were skipped due to the rate limit._',
+    });
+  });
+
+  it('sends only priority messages during quiet hours', () => {
+    expect(notifyPolicy.check('Ladder is paused', 'warn', false, undefined, undefined, NIGHT)).toEqual({ isAllowed: false, reason: 'Quiet hours' });
+    expect(notifyPolicy.check('Withdrawal failed', 'warn', true, undefined, undefined, NIGHT).isAllowed).toBe(true);
+    expect(notifyPolicy.isQuietTime(new Date(2024, 2, 15, 7, 59))).toBe(true);
+    expect(notifyPolicy.isQuietTime(new Date(2024, 2, 15, 8, 0))).toBe(false);
+  });
+
+  it('does not collapse priority messages', () => {
+    expect(notifyPolicy.check('Stop-loss triggered', 'error', true, undefined, undefined, DAYTIME).isAllowed).toBe(true);
+    expect(notifyPolicy.check('Stop-loss triggered', 'error', true, undefined, undefined, DAYTIME + MINUTE).isAllowed).toBe(true);
+    expect(notifyPolicy.check('Stop-loss triggered', 'error', false, undefined, undefined, DAYTIME + 2 * MINUTE).isAllowed).toBe(true);
+  });
+
+  it('collapses keyed messages within the caller window', () => {
+    expect(notifyPolicy.check('Not enough ETH: 1.5', 'warn', false, 'ladder-balances', 120, DAYTIME).isAllowed).toBe(true);
+    expect(notifyPolicy.check('Not enough ETH: 1.2', 'warn', false, 'ladder-balances', 120, DAYTIME + 90 * MINUTE).isAllowed).toBe(false);
+    expect(notifyPolicy.check('Not enough ETH: 1.1', 'warn', false, 'ladder-balances', 120, DAYTIME + 121 * MINUTE).isAllowed).toBe(true);
+  });
+
+  it('does not collapse any messages if dedup_window_min is not set, 0, or false', () => {
+    for (const notifyPolicyConfig of [{ rate_limit_per_hour: {} }, { dedup_window_min: 0 }, { dedup_window_min: false }]) {
+      const policy = loadPolicy(notifyPolicyConfig);
+
+      expect(policy.check('Ladder is paused', 'warn', false, undefined, undefined, DAYTIME).isAllowed).toBe(true);
+      expect(policy.check('Ladder is paused', 'warn', false, undefined, undefined, DAYTIME + MINUTE).isAllowed).toBe(true);
+
+      expect(policy.check('Not enough ETH: 1.5', 'warn', false, 'balances', 60, DAYTIME).isAllowed).toBe(true);
+      expect(policy.check('Not enough ETH: 1.2', 'warn', false, 'balances', 60, DAYTIME + MINUTE).isAllowed).toBe(true);
+    }
+  });
+});
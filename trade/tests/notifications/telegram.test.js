@@ -0,0 +1,143 @@
+/**
+ * Telegram notifications against a local Bot API stand-in
+ * The stand-in records sendMessage requests and replies with queued responses, or with { ok: true } when the queue is empty.
+ */
+
+const http = require('http');
+
+const mockConfig = {
+  exchange: 'Default', // tradeParams_Default.js is the only trading params file in a clean checkout
+  exchangeName: 'Default',
+  pair: 'ETH/USDT',
+  coin1: 'ETH',
+  coin2: 'USDT',
+  log_level: 'none',
+  isBacktest: true, // Don't watch and save the trade params file
+  telegram: [],
+  telegram_priority: [],
+};
+
+jest.mock('../../../modules/config/reader', () => mockConfig);
+
+const WAIT_TIMEOUT_MS = 5000;
+
+let server;
+let requests;
+let responses;
+let notify;
+let MAX_TELEGRAM_MESSAGE_LENGTH;
+
+/**
+ * Waits until the stand-in receives a number of requests
+ * @param {Number} count
+ * @return {Promise<void>}
+ */
+async function waitForRequests(count) {
+  const startTimestamp = Date.now();
+
+  while (requests.length < count && Date.now() - startTimestamp < WAIT_TIMEOUT_MS) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      requests.push({ path: req.url, params: JSON.parse(body) });
+
+      const response = responses.shift() || { status: 200, body: { ok: true, result: {} } };
+      res.writeHead(response.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response.body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const botUrl = `http://127.0.0.1:${server.address().port}/bot123456:TEST-TOKEN/sendMessage`;
+  mockConfig.telegram = [`${botUrl}?chat_id=1001`];
+  mockConfig.telegram_priority = [`${botUrl}?chat_id=-1002`];
+
+  notify = require('../../../helpers/notify');
+  ({ MAX_TELEGRAM_MESSAGE_LENGTH } = require('../../../helpers/const'));
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  responses = [];
+});
+
+describe('Telegram notifications', () => {
+  it('sends a message with MarkdownV2 escaping', async () => {
+    notify('**ADM/USDT** price is 0.025 [Binance]', 'info');
+    await waitForRequests(1);
+
+    expect(requests).toEqual([{
+      path: '/bot123456:TEST-TOKEN/sendMessage',
+      params: expect.objectContaining({
+        chat_id: '1001',
+        text: '*ADM/USDT* price is 0\\.025 \\[Binance\\]',
+        parse_mode: 'MarkdownV2',
+      }),
+    }]);
+  });
+
+  it('sends priority messages to priority chats also', async () => {
+    notify('Withdrawal failed', 'warn', false, true);
+    await waitForRequests(2);
+
+    expect(requests.map((request) => request.params.chat_id).sort()).toEqual(['-1002', '1001']);
+    expect(requests[0].params.text).toBe('\\[Attention\\] Withdrawal failed');
+  });
+
+  it('skips messages in silent mode', async () => {
+    notify('Order is placed', 'log', true);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(requests).toEqual([]);
+  });
+
+  it('splits long messages into chunks', async () => {
+    const line = 'a'.repeat(99);
+    const message = Array(100).fill(line).join('\n'); // 9999 chars
+
+    notify(message, 'info');
+    await waitForRequests(3);
+
+    const texts = requests.map((request) => request.params.text);
+    expect(texts).toHaveLength(3);
+    texts.forEach((text) => expect(text.length).toBeLessThanOrEqual(MAX_TELEGRAM_MESSAGE_LENGTH));
+    expect(texts.join('\n')).toBe(message);
+  });
+
+  it('retries after HTTP 429', async () => {
+    responses.push({ status: 429, body: { ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 0 } } });
+
+    notify('Ladder is started', 'info');
+    await waitForRequests(2);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].params.text).toBe('Ladder is started');
+  });
+
+  it('resends as plain text if Telegram cannot parse the markdown', async () => {
+    responses.push({ status: 400, body: { ok: false, error_code: 400, description: 'Bad Request: can\'t parse entities' } });
+
+    notify('Unknown param some_param.', 'warn');
+    await waitForRequests(2);
+
+    expect(requests[0].params.parse_mode).toBe('MarkdownV2');
+    expect(requests[1].params).toEqual(expect.not.objectContaining({ parse_mode: expect.anything() }));
+    expect(requests[1].params.text).toBe('Unknown param some_param.');
+  });
+});
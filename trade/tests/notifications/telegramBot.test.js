@@ -0,0 +1,132 @@
+/**
+ * Telegram command transport against a local Bot API stand-in
+ * Commands are processed with a mocked commandTxs, as the real one requires exchange and database connections.
+ */
+
+const standIn = require('../conformance/standIn');
+
+const TOKEN = '123456:TEST-TOKEN';
+const WAIT_TIMEOUT_MS = 5000;
+
+jest.mock('../../../modules/config/reader', () => ({
+  exchange: 'Default', // tradeParams_Default.js is the only trading params file in a clean checkout
+  exchangeName: 'Default',
+  pair: 'ETH/USDT',
+  coin1: 'ETH',
+  coin2: 'USDT',
+  log_level: 'none',
+  isBacktest: true, // Don't watch and save the trade params file
+  notifyName: 'ETH/USDT@Default CoinOptimus',
+  manageTelegramBotToken: '123456:TEST-TOKEN',
+  admin_telegram: ['@Ops_Lead'],
+  notify_non_admins: true,
+}));
+
+jest.mock('../../../modules/commandTxs', () => jest.fn(async (commandMsg) => ({
+  msgNotify: '',
+  msgSendBack: commandMsg.startsWith('/orders') ? 'Order line\n'.repeat(500) : `Done: ${commandMsg}`,
+  notifyType: 'log',
+})));
+
+const commandTxs = require('../../../modules/commandTxs');
+const telegramBot = require('../../../modules/telegramBot');
+
+let stand;
+
+/**
+ * Creates a Telegram update with a text message
+ * @param {Number} updateId
+ * @param {String} username
+ * @param {String} text
+ * @param {Number} date Unix time in seconds, now by default
+ * @return {Object}
+ */
+function update(updateId, username, text, date = Math.floor(Date.now() / 1000) + 1) {
+  return {
+    update_id: updateId,
+    message: {
+      message_id: updateId * 10,
+      from: { id: 700 + updateId, is_bot: false, username },
+      chat: { id: 5005, type: 'private' },
+      date,
+      text,
+    },
+  };
+}
+
+/**
+ * Waits until the stand-in receives a number of sendMessage requests
+ * @param {Number} count
+ * @return {Promise<Array<Object>>} sendMessage requests
+ */
+async function waitForReplies(count) {
+  const startTimestamp = Date.now();
+  const replies = () => stand.requests.filter((request) => request.path.endsWith('/sendMessage'));
+
+  while (replies().length < count && Date.now() - startTimestamp < WAIT_TIMEOUT_MS) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  return replies();
+}
+
+beforeAll(async () => {
+  stand = await standIn.start([
+    {
+      method: 'GET',
+      path: `/bot${TOKEN}/getUpdates`,
+      params: { offset: '6' },
+      body: { ok: true, result: [] },
+    },
+    {
+      method: 'GET',
+      path: `/bot${TOKEN}/getUpdates`,
+      body: {
+        ok: true,
+        result: [
+          update(1, 'someone', '/buy ADM/USDT quote=100'),
+          update(2, 'ops_lead', '/balances@CoinOptimusBot'),
+          update(3, 'ops_lead', '/sell ADM/USDT amount=10', 1600000000),
+          update(4, 'ops_lead', '/y'),
+          update(5, 'ops_lead', '/orders'),
+        ],
+      },
+    },
+    {
+      method: 'POST',
+      path: `/bot${TOKEN}/sendMessage`,
+      body: { ok: true, result: {} },
+    },
+  ]);
+
+  telegramBot.start();
+});
+
+afterAll(async () => {
+  await telegramBot.stop();
+  await stand.stop();
+});
+
+describe('Telegram bot', () => {
+  it('executes commands from admins only, and replies in the same chat', async () => {
+    const replies = await waitForReplies(5);
+
+    expect(commandTxs.mock.calls.map((call) => call[0])).toEqual(['/balances', '/y', '/orders']);
+    expect(commandTxs.mock.calls[0][1]).toEqual({ id: '5005/20', senderId: '@ops_lead', senderTgUsername: '@ops_lead' });
+
+    expect(replies[0].params).toEqual(expect.objectContaining({
+      chat_id: 5005,
+      text: 'I won\'t execute your commands as you are not an admin\\. Connect with my master\\.',
+    }));
+    expect(replies[1].params.text).toBe('Done: /balances');
+    expect(replies[2].params.text).toBe('Done: /y');
+  });
+
+  it('splits long replies', async () => {
+    const replies = await waitForReplies(5);
+    const ordersReplies = replies.slice(3).map((request) => request.params.text);
+
+    expect(ordersReplies.length).toBeGreaterThan(1);
+    expect(ordersReplies.join('\n')).toBe('Order line\n'.repeat(500));
+  });
+});
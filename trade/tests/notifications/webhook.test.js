@@ -0,0 +1,139 @@
+/**
+ * Signed webhook against a local receiver
+ * The receiver records raw bodies and headers, and replies with queued statuses, or with 200 when the queue is empty.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const mockConfig = {
+  exchange: 'Default', // tradeParams_Default.js is the only trading params file in a clean checkout
+  exchangeName: 'Default',
+  pair: 'ETH/USDT',
+  coin1: 'ETH',
+  coin2: 'USDT',
+  log_level: 'none',
+  isBacktest: true, // Don't watch and save the trade params file
+  bot_id: 'ETH/USDT@Default-acc1 CoinOptimus',
+  webhook: {
+    urls: [],
+    secret: 'webhook-secret',
+    events: ['order_filled', 'bot_error'],
+  },
+};
+
+jest.mock('../../../modules/config/reader', () => mockConfig);
+
+const WAIT_TIMEOUT_MS = 5000;
+
+let server;
+let requests;
+let statuses;
+let emitter;
+let events;
+let notify;
+
+/**
+ * Waits until the receiver gets a number of requests
+ * @param {Number} count
+ * @return {Promise<void>}
+ */
+async function waitForRequests(count) {
+  const startTimestamp = Date.now();
+
+  while (requests.length < count && Date.now() - startTimestamp < WAIT_TIMEOUT_MS) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  mockConfig.webhook.urls = [`http://127.0.0.1:${server.address().port}/hooks/bot`];
+
+  ({ emitter, events } = require('../../../modules/eventEmitter'));
+  notify = require('../../../helpers/notify');
+  require('../../../modules/webhook').init();
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  statuses = [];
+});
+
+describe('Webhook', () => {
+  it('posts a signed event with bot, pair, and order details', async () => {
+    const order = { orderId: '1852454403', purpose: 'ld', side: 'buy', price: 1550, coin1Amount: 0.1, coin2Amount: 155, ladderIndex: 0 };
+    emitter.emit(events['order:filled'], order);
+    await waitForRequests(1);
+
+    expect(requests).toHaveLength(1);
+
+    const { headers, body } = requests[0];
+    const timestamp = headers['x-coinoptimus-timestamp'];
+    const expectedSignature = crypto.createHmac('sha256', 'webhook-secret').update(`${timestamp}.${body}`).digest('hex');
+
+    expect(headers['content-type']).toBe('application/json');
+    expect(headers['x-coinoptimus-event']).toBe('order_filled');
+    expect(headers['x-coinoptimus-signature']).toBe(`sha256=${expectedSignature}`);
+
+    expect(JSON.parse(body)).toEqual({
+      event: 'order_filled',
+      timestamp: +timestamp,
+      bot: 'ETH/USDT@Default-acc1 CoinOptimus',
+      exchange: 'Default',
+      pair: 'ETH/USDT',
+      coin1: 'ETH',
+      coin2: 'USDT',
+      data: order,
+    });
+  });
+
+  it('sends only the events set in webhook.events', async () => {
+    emitter.emit(events['order:placed'], { orderId: '1852454405' });
+    emitter.emit(events['strategy:stop'], { strategy: 'ld', reason: '/stop command' });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(requests).toEqual([]);
+  });
+
+  it('sends error notifications as bot_error events', async () => {
+    notify('Ladder: **Unable** to get balances', 'error', true);
+    await waitForRequests(1);
+
+    expect(JSON.parse(requests[0].body)).toEqual(expect.objectContaining({
+      event: 'bot_error',
+      data: { message: 'Ladder: Unable to get balances', isPriority: false },
+    }));
+  });
+
+  it('retries after a server error', async () => {
+    statuses.push(502);
+
+    emitter.emit(events['order:filled'], { orderId: '1852454406' });
+    await waitForRequests(2);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].body).toBe(requests[0].body);
+  });
+});
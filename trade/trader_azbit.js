@@ -320,6 +320,10 @@ module.exports = (
           const result = {
             orderId: data.id,
             tradesCount: orderTrades.length,
+            price: +data.price,
+            side: data.isBid ? 'buy' : 'sell', // 'buy' or 'sell'
+            type: 'limit', // Azbit supports only limit orders
+            timestamp: new Date(data.date + '+00:00').getTime(), // '2023-03-17T18:31:13.225615'
             amount: data.initialAmount,
             volume: data.quoteAmount,
             pairPlain: pair_.pairPlain,
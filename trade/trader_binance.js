@@ -1,4 +1,5 @@
 const BinanceApi = require('./api/binance_api');
+const BinanceSocket = require('./api/binance_socket');
 const utils = require('../helpers/utils');
 const config = require('../modules/config/reader');
 /**
@@ -35,6 +36,13 @@ module.exports = (
 
   binanceApiClient.setConfig(apiServer, apiKey, secretKey, pwd, log, publicOnly);
 
+  // Stream market data and order updates. With useSocketPull, serve requests from fresh socket data.
+  const socket = useSocket ? BinanceSocket({ apiClient: binanceApiClient, apiKey, publicOnly, log }) : undefined;
+
+  if (coin1 && coin2) {
+    socket?.subscribe(`${coin1}/${coin2}`);
+  }
+
   // Fulfill markets on initialization
   if (loadMarket) {
     getMarkets();
@@ -116,6 +124,24 @@ module.exports = (
     });
   }
 
+  /**
+   * Returns data streamed with the socket, if useSocketPull is set and the data is fresh
+   * Otherwise, returns undefined, and a caller falls back to REST.
+   * @param {String} storeName 'market' or 'account'
+   * @param {String} getterName Like 'getBook'
+   * @param {String} pair In classic format as BTC/USDT
+   * @returns {*}
+   */
+  function getSocketData(storeName, getterName, pair) {
+    if (!useSocketPull || !socket?.[storeName]) {
+      return undefined;
+    }
+
+    socket.subscribe(pair);
+
+    return socket[storeName][getterName](pair);
+  }
+
   return {
     /**
      * Getter for stored markets info
@@ -207,6 +233,15 @@ module.exports = (
       const paramString = `pair: ${pair}`;
       const coinPair = formatPairName(pair);
 
+      const socketOrders = getSocketData('account', 'getOpenOrders', coinPair.pairReadable);
+
+      if (socketOrders) {
+        return socketOrders;
+      }
+
+      const socketConnectionId = socket?.account?.connectionId;
+      const requestTimestamp = Date.now();
+
       let data;
 
       try {
@@ -248,6 +283,9 @@ module.exports = (
           });
         });
 
+        // Seed the socket order stream, which doesn't provide a snapshot
+        socket?.account?.setOpenOrders(coinPair.pairReadable, result, socketConnectionId, requestTimestamp);
+
         return result;
       } catch (error) {
         log.warn(`Error while processing getOpenOrders(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
@@ -340,6 +378,7 @@ module.exports = (
       return new Promise((resolve, reject) => {
         binanceApiClient.cancelOrder(orderId, coinPair.pairPlain).then((data) => {
           if (data.status === 'CANCELED' && !data.binanceErrorInfo) {
+            socket?.account?.removeOrder(orderId?.toString());
             log.log(`Cancelling order ${orderId} on ${coinPair.pairReadable} pair…`);
             resolve(true);
           } else {
@@ -366,6 +405,7 @@ module.exports = (
       return new Promise((resolve, reject) => {
         binanceApiClient.cancelAllOrders(coinPair.pairPlain).then((data) => {
           if (data && !data.binanceErrorInfo) {
+            socket?.account?.removeOrders(coinPair.pairReadable);
             log.log(`Cancelling all orders on ${coinPair.pairReadable} pair…`);
             resolve(true);
           } else {
@@ -385,10 +425,16 @@ module.exports = (
      * @param pair In classic format as BTC/USDT
      * @returns {Promise<unknown>}
      */
-    getRates(pair) {
+    async getRates(pair) {
       const paramString = `pair: ${pair}`;
       const coinPair = formatPairName(pair);
 
+      const socketRates = getSocketData('market', 'getRates', coinPair.pairReadable);
+
+      if (socketRates) {
+        return socketRates;
+      }
+
       return new Promise((resolve, reject) => {
         binanceApiClient.ticker(coinPair.pairPlain).then((data) => {
           try {
@@ -547,6 +593,22 @@ module.exports = (
         log.info(message);
         order.orderId = orderId;
         order.message = message;
+
+        if (orderType === 'limit') {
+          // Until the socket streams the order, consider it open
+          socket?.account?.addPlacedOrder({
+            orderId: orderId.toString(),
+            symbol: marketInfo.pairReadable,
+            price: +price,
+            side,
+            type: orderType,
+            timestamp: Date.now(),
+            amount: +coin1Amount,
+            amountExecuted: 0,
+            amountLeft: +coin1Amount,
+            status: 'new',
+          });
+        }
       } else {
         const details = errorMessage ? ` Details: ${utils.trimAny(errorMessage, ' .')}.` : ' { No details }.';
         message = `Unable to place order to ${output}${details} Check parameters and balances.`;
@@ -563,10 +625,16 @@ module.exports = (
      * @param pair In classic format as BTC/USDT
      * @returns {Promise<unknown>}
      */
-    getOrderBook(pair) {
+    async getOrderBook(pair) {
       const paramString = `pair: ${pair}`;
       const coinPair = formatPairName(pair);
 
+      const socketBook = getSocketData('market', 'getBook', coinPair.pairReadable);
+
+      if (socketBook) {
+        return socketBook;
+      }
+
       return new Promise((resolve) => {
         binanceApiClient.orderBook(coinPair.pairPlain).then((book) => {
           try {
@@ -621,6 +689,14 @@ module.exports = (
       const paramString = `pair: ${pair}, limit: ${limit}`;
       const coinPair = formatPairName(pair);
 
+      const socketTrades = getSocketData('market', 'getTrades', coinPair.pairReadable);
+
+      if (socketTrades) {
+        return limit ? socketTrades.slice(-limit) : socketTrades;
+      }
+
+      const socketConnectionId = socket?.market.connectionId;
+
       return new Promise((resolve) => {
         binanceApiClient.getTradesHistory(coinPair.pairPlain, limit).then((trades) => {
           try {
@@ -638,6 +714,9 @@ module.exports = (
               return parseFloat(a.date) - parseFloat(b.date);
             });
 
+            // Seed the socket trade stream, which doesn't provide a snapshot
+            socket?.market.addTrades(coinPair.pairReadable, result, socketConnectionId);
+
             resolve(result);
           } catch (error) {
             log.warn(`Error while processing getTradesHistory(${paramString}) request: ${error}`);
@@ -734,6 +813,20 @@ module.exports = (
         });
       });
     },
+
+    /**
+     * Subscribes to account's order updates streamed with the socket
+     * @param {Function} callback Called with an order in getOpenOrders() format. Status can also be 'filled' or 'cancelled'.
+     * @returns {Boolean} If subscribed. False, if the socket is not enabled.
+     */
+    onOrderUpdate(callback) {
+      if (!socket?.account) {
+        return false;
+      }
+
+      socket.account.onOrderUpdate(callback);
+      return true;
+    },
   };
 };
 
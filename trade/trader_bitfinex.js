@@ -14,6 +14,13 @@ const marketDecimals = 8;
 const marketPrecision = utils.getPrecision(marketDecimals);
 const priceSignificantDigits = 5;
 
+// Bitfinex wallets for main, trade, and margin account types
+const walletsByAccountType = {
+  main: 'funding',
+  trade: 'exchange',
+  margin: 'margin',
+};
+
 // https://docs.bitfinex.com/reference/rest-auth-withdraw
 const bitfinexMethods = {
   tetheruse: {
@@ -492,14 +499,16 @@ module.exports = (
         amountForMarketOrderNecessary: true,
         orderNumberLimit: config.exchange_restrictions?.orderNumberLimit || 100,
         supportCoinNetworks: true,
+        accountTypes: Object.keys(walletsByAccountType), // Funding, Exchange, and Margin wallets
+        supportTransferBetweenAccounts: true,
       };
     },
 
     /**
      * List of account balances for all currencies
      * @param {Boolean} nonzero Bitfinex API returns only non-zero balances
-     * @param {String} accountType Bitfinex supports funding(main), exchange(trade), margin account types.
-     *   If undefined, will return balances for 'exchange(trade)' account. If 'full', will return balances for all account types.
+     * @param {String} accountType Bitfinex supports main(funding), trade(exchange), margin account types.
+     *   If undefined, will return balances for 'trade(exchange)' account. If 'full', will return balances for all account types.
      * @returns {Promise<unknown>}
      */
     async getBalances(nonzero = true, accountType) {
@@ -525,17 +534,17 @@ module.exports = (
           let result = [];
 
           if (!accountType) {
-            accountType = 'exchange';
+            accountType = 'trade';
           }
 
           // We want only assets from specific account
           if (accountType !== 'full') {
-            assets = assets.filter((crypto) => crypto[0] === accountType);
+            assets = assets.filter((crypto) => crypto[0] === walletsByAccountType[accountType]);
           }
 
           assets.forEach((crypto) => {
             result.push({
-              accountType: crypto[0],
+              accountType: Object.keys(walletsByAccountType).find((type) => walletsByAccountType[type] === crypto[0]) ?? crypto[0],
               code: this.currencyInfo(crypto[1]).symbol,
               free: +crypto[4],
               freezed: +crypto[2] - +crypto[4],
@@ -824,6 +833,7 @@ module.exports = (
             return {
               ask: +ticker?.[2],
               bid: +ticker?.[0],
+              last: +ticker?.[6],
               volume: +ticker?.[7],
               volumeInCoin2: +ticker?.[7] * +ticker?.[6],
               high: +ticker?.[8],
@@ -1134,6 +1144,67 @@ module.exports = (
       }
     },
 
+    /**
+     * Transfer funds between account types
+     * @param {String} coin Unique symbol of the currency to transfer
+     * @param {Number} amount Quantity to transfer
+     * @param {String} fromAccountType 'main', 'trade', or 'margin'
+     * @param {String} toAccountType 'main', 'trade', or 'margin'
+     * @return {Promise<Object>}
+     */
+    async transfer(coin, amount, fromAccountType, toAccountType) {
+      const paramString = `coin: ${coin}, amount: ${amount}, fromAccountType: ${fromAccountType}, toAccountType: ${toAccountType}`;
+
+      const currency = this.currencyInfo(coin)?.apiSymbol;
+      if (!currency) {
+        return {
+          success: false,
+          error: `Unknown coin ${coin}`,
+        };
+      }
+
+      const fromWallet = walletsByAccountType[fromAccountType];
+      const toWallet = walletsByAccountType[toAccountType];
+
+      let data;
+
+      try {
+        data = await bitfinexApiClient.transfer(fromWallet, toWallet, currency, String(amount));
+      } catch (error) {
+        log.warn(`API request transfer(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return {
+          success: undefined,
+          error,
+        };
+      }
+
+      try {
+        if (data && data[0] !== 'error' && data[6] === 'SUCCESS') {
+          return {
+            success: true,
+            result: {
+              id: data[2] ?? data[0],
+              currency: coin,
+              amount: +amount,
+              fromAccountType,
+              toAccountType,
+            },
+          };
+        }
+
+        return {
+          success: false,
+          error: data?.[0] === 'error' ? `${data?.[1]} ${data?.[2]}` : data?.[7] ?? 'No details',
+        };
+      } catch (error) {
+        log.warn(`Error while processing transfer(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return {
+          success: false,
+          error,
+        };
+      }
+    },
+
     async getFees(coinOrPair) {
       const paramString = `coinOrPair: ${coinOrPair}`;
 
@@ -743,6 +743,82 @@ module.exports = (
       }
     },
 
+    /**
+     * Get withdrawal history
+     * @param {String} coin Filter by coin, optional
+     * @param {Number} limit Limit closed records, optional
+     * @returns {Promise<{success: boolean, error: string}|{result: *[], success: boolean}>}
+     */
+    async getWithdrawalHistory(coin, limit) {
+      return this.processHistoryRecords('getWithdrawalHistory', coin, limit, true);
+    },
+
+    /**
+     * Get deposit history
+     * @param {String} coin Filter by coin, optional
+     * @param {Number} limit Limit closed records, optional
+     * @returns {Promise<{success: boolean, error: string}|{result: *[], success: boolean}>}
+     */
+    async getDepositHistory(coin, limit) {
+      return this.processHistoryRecords('getDepositHistory', coin, limit, false);
+    },
+
+    // Shared function to process history records
+    async processHistoryRecords(apiMethod, coin, limit, isWithdrawal) {
+      const paramString = `coin: ${coin}, limit: ${limit}`;
+
+      let data;
+
+      try {
+        data = await bittrexApiClient[apiMethod](coin?.toUpperCase(), limit);
+      } catch (error) {
+        log.warn(`API request ${apiMethod}(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return {
+          success: false,
+          error,
+        };
+      }
+
+      try {
+        if (!Array.isArray(data)) {
+          return {
+            success: false,
+            error: data?.bittrexErrorInfo ?? 'No details',
+          };
+        }
+
+        // Bittrex doesn't support networks
+        const result = data.map((record) => ({
+          id: record.id,
+          currencySymbol: record.currencySymbol,
+          quantity: +record.quantity,
+          cryptoAddress: record.cryptoAddress,
+          txId: record.txId,
+          status: record.status, // Deposits: PENDING, COMPLETED, ORPHANED, INVALIDATED. Withdrawals: REQUESTED, AUTHORIZED, PENDING, COMPLETED, ERROR_INVALID_ADDRESS, CANCELLED
+          chain: null,
+          chainPlain: null,
+          confirmations: record.confirmations ?? null,
+          createdAt: new Date(record.createdAt ?? record.updatedAt).getTime(),
+          updatedAt: new Date(record.completedAt ?? record.updatedAt ?? record.createdAt).getTime(),
+          fee: isWithdrawal ? +record.txCost : 0,
+          feeCurrency: record.currencySymbol,
+          target: isWithdrawal ? record.cryptoAddress : null,
+          source: isWithdrawal ? null : record.source,
+        }));
+
+        return {
+          success: true,
+          result,
+        };
+      } catch (error) {
+        log.warn(`Error while processing ${apiMethod}(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return {
+          success: false,
+          error,
+        };
+      }
+    },
+
     /**
      * Get trading fees for account
      * @param coinOrPair e.g., 'ETH' or 'ETH/USDT'. If not set, get info for all trade pairs
@@ -0,0 +1,1090 @@
+const GateAPI = require('./api/gate_api');
+const utils = require('../helpers/utils');
+const _networks = require('../helpers/networks');
+const config = require('../modules/config/reader');
+
+/**
+ * API endpoints:
+ * https://api.gateio.ws/api/v4
+ * Market buy orders are placed with a quote coin amount, and market sell orders with a base coin amount.
+ * Withdrawal fees and limits are of private API, so they are received with API keys only.
+ */
+const apiServer = 'https://api.gateio.ws/api/v4';
+const exchangeName = 'Gate';
+
+const DEFAULT_MAX_NUM_ORDERS = 200; // Max open orders per market to keep, if exchange_restrictions don't set it
+const MAX_FEE_SYMBOLS = 5; // Max markets to request trade fees for a coin
+const ORDERS_PAGE_LIMIT = 100; // Max open orders in one request
+
+module.exports = (
+    apiKey,
+    secretKey,
+    pwd,
+    log,
+    publicOnly = false,
+    loadMarket = true,
+    useSocket = false,
+    useSocketPull = false,
+    accountNo = 0,
+    coin1 = config.coin1,
+    coin2 = config.coin2,
+) => {
+  const gateApiClient = GateAPI();
+
+  gateApiClient.setConfig(apiServer, apiKey, secretKey, pwd, log, publicOnly);
+
+  // Fulfill markets on initialization
+  if (loadMarket) {
+    getMarkets();
+    getCurrencies();
+  }
+
+  /**
+   * Get info on all markets and store in module.exports.exchangeMarkets
+   * It's an internal function, not called outside of this module
+   * @param {String} [pair] In classic format as BTC/USDT. If markets are already cached, get info for the pair.
+   * @returns {Promise<unknown>|*}
+   */
+  function getMarkets(pair) {
+    const paramString = `pair: ${pair}`;
+
+    if (module.exports.gettingMarkets) return;
+    if (module.exports.exchangeMarkets) return module.exports.exchangeMarkets[pair ? formatPairName(pair).pairPlain : pair];
+
+    module.exports.gettingMarkets = true;
+
+    return new Promise((resolve) => {
+      gateApiClient.markets().then((markets) => {
+        try {
+          const result = {};
+
+          for (const market of markets) {
+            result[market.id] = {
+              pairReadable: `${market.base}/${market.quote}`, // ETH/USDT
+              pairPlain: market.id, // ETH_USDT
+              coin1: market.base,
+              coin2: market.quote,
+              coin1Decimals: +market.amount_precision,
+              coin2Decimals: +market.precision,
+              coin1Precision: utils.getPrecision(+market.amount_precision),
+              coin2Precision: utils.getPrecision(+market.precision),
+              coin1MinAmount: +market.min_base_amount || null,
+              coin1MaxAmount: +market.max_base_amount || null,
+              coin2MinAmount: +market.min_quote_amount || null,
+              coin2MaxAmount: +market.max_quote_amount || null,
+              coin2MinPrice: null,
+              coin2MaxPrice: null,
+              minTrade: +market.min_quote_amount || null, // in coin2
+              statusPlain: market.trade_status, // 'tradable', 'untradable', 'buyable', 'sellable'
+              status: market.trade_status === 'tradable' ? 'ONLINE' : 'OFFLINE', // 'ONLINE', 'OFFLINE'
+            };
+          }
+
+          if (Object.keys(result).length > 0) {
+            module.exports.exchangeMarkets = result;
+            log.log(`Received info about ${Object.keys(result).length} markets on ${exchangeName} exchange.`);
+          }
+
+          resolve(result);
+        } catch (error) {
+          log.warn(`Error while processing getMarkets(${paramString}) request: ${error}`);
+          resolve(undefined);
+        }
+      }).catch((error) => {
+        log.warn(`API request getMarkets() of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        resolve(undefined);
+      }).finally(() => {
+        module.exports.gettingMarkets = false;
+      });
+    });
+  }
+
+  /**
+   * Get info on all currencies
+   * Chains are of public API. Withdrawal fees and limits are added if API keys are set.
+   * @param {String} [coin]
+   * @param {Boolean} [forceUpdate=false] Update currencies to refresh parameters
+   * @returns {Promise<unknown>|*}
+   */
+  function getCurrencies(coin, forceUpdate = false) {
+    if (module.exports.gettingCurrencies) return;
+    if (module.exports.exchangeCurrencies && !forceUpdate) return module.exports.exchangeCurrencies[coin];
+
+    module.exports.gettingCurrencies = true;
+
+    return new Promise((resolve) => {
+      Promise.all([
+        gateApiClient.currencies(),
+        publicOnly ? undefined : gateApiClient.getWithdrawStatus().catch((error) => {
+          log.log(`Unable to get withdrawal fees on ${exchangeName} exchange: ${error}. Currencies info will not include them.`);
+        }),
+      ]).then(([currencies, withdrawStatuses]) => {
+        try {
+          const result = {};
+
+          const withdrawInfo = {};
+          if (Array.isArray(withdrawStatuses)) {
+            for (const status of withdrawStatuses) {
+              withdrawInfo[status.currency] = status;
+            }
+          }
+
+          for (const currency of currencies) {
+            const fees = withdrawInfo[currency.currency];
+            const chains = currency.chains ?? [{
+              name: currency.chain,
+              withdraw_disabled: currency.withdraw_disabled,
+              withdraw_delayed: currency.withdraw_delayed,
+              deposit_disabled: currency.deposit_disabled,
+            }];
+
+            const networks = {};
+
+            for (const chain of chains) {
+              if (!chain.name) continue;
+
+              const isDepositEnabled = !chain.deposit_disabled && !currency.delisted;
+              const isWithdrawEnabled = !chain.withdraw_disabled && !currency.delisted;
+              const withdrawalFee = fees?.withdraw_fix_on_chains?.[chain.name] ?? fees?.withdraw_fix;
+
+              networks[formatNetworkName(chain.name)] = {
+                chainName: chain.name, // To use in withdrawals, as 'ETH' or 'TRX'
+                status: isDepositEnabled || isWithdrawEnabled ? 'ONLINE' : 'OFFLINE',
+                depositStatus: isDepositEnabled ? 'ONLINE' : 'OFFLINE',
+                withdrawalStatus: isWithdrawEnabled ? 'ONLINE' : 'OFFLINE',
+                comment: chain.withdraw_delayed ? 'Withdrawals are delayed' : undefined,
+                confirmations: undefined, // Gate doesn't provide confirmations number
+                withdrawalFee: withdrawalFee === undefined ? undefined : +withdrawalFee,
+                minWithdrawal: +fees?.withdraw_amount_mini || undefined,
+                maxWithdrawal: +fees?.withdraw_eachtime_limit || undefined,
+              };
+            }
+
+            result[currency.currency] = {
+              symbol: currency.currency,
+              name: currency.name,
+              status: !currency.delisted && Object.values(networks).some((network) => network.status === 'ONLINE') ? 'ONLINE' : 'OFFLINE',
+              comment: currency.delisted ? 'Delisted' : undefined,
+              confirmations: undefined, // Gate doesn't provide confirmations number
+              withdrawalFee: undefined, // specific for each network
+              exchangeAddress: undefined,
+              decimals: undefined,
+              precision: undefined,
+              networks,
+              defaultNetwork: undefined,
+            };
+          }
+
+          if (Object.keys(result).length > 0) {
+            module.exports.exchangeCurrencies = result;
+            log.log(`${forceUpdate ? 'Updated' : 'Received'} info about ${Object.keys(result).length} currencies on ${exchangeName} exchange.`);
+          }
+
+          module.exports.gettingCurrencies = false;
+
+          resolve(result);
+        } catch (error) {
+          log.warn(`Error while processing getCurrencies() request: ${error}`);
+          resolve(undefined);
+        }
+      }).catch((error) => {
+        log.warn(`API request getCurrencies() of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        resolve(undefined);
+      }).finally(() => {
+        module.exports.gettingCurrencies = false;
+      });
+    });
+  }
+
+  /**
+   * Converts a Gate order to the bot's format
+   * Gate measures market buy orders in coin2. Their coin1 amount is known when filled only.
+   * @param {Object} order Gate order
+   * @returns {Object}
+   */
+  function parseOrder(order) {
+    const isQuoteAmount = order.type === 'market' && order.side === 'buy';
+    const amountExecuted = +order.filled_amount || +order.amount - +order.left;
+
+    let status;
+    if (order.status === 'open') {
+      status = +order.left < +order.amount ? 'part_filled' : 'new';
+    } else if (order.status === 'cancelled') {
+      status = 'cancelled';
+    } else {
+      status = 'filled'; // closed
+    }
+
+    return {
+      orderId: order.id?.toString(),
+      symbol: formatPairName(order.currency_pair).pairReadable, // In readable format as BTC/USDT
+      symbolPlain: order.currency_pair, // BTC_USDT
+      price: +order.price || +order.avg_deal_price || 0, // 0 for market orders, before they are filled
+      side: order.side, // 'buy' or 'sell'
+      type: order.type, // 'limit' or 'market'
+      timestamp: Math.floor(+order.create_time_ms), // must be as utils.unixTimeStampMs(): 1641121688194 - 1 641 121 688 194
+      updateTimestamp: Math.floor(+order.update_time_ms),
+      amount: isQuoteAmount ? amountExecuted : +order.amount, // In coin1
+      amountExecuted, // In coin1
+      amountLeft: isQuoteAmount ? 0 : +order.left,
+      volume: isQuoteAmount ? +order.amount : +order.amount * +order.price, // In coin2
+      volumeExecuted: +order.filled_total, // In coin2
+      fee: +order.fee,
+      feeCurrency: order.fee_currency,
+      status,
+    };
+  }
+
+  return {
+    getMarkets,
+    getCurrencies,
+
+    /**
+     * Getter for stored markets info
+     * @return {Object}
+     */
+    get markets() {
+      return module.exports.exchangeMarkets;
+    },
+
+    /**
+     * Getter for stored currencies info
+     * @return {Object}
+     */
+    get currencies() {
+      return module.exports.exchangeCurrencies;
+    },
+
+    /**
+     * Get info for a specific market
+     * @param pair In readable format as BTC/USDT or in Gate format as BTC_USDT
+     * @returns {Promise<*>|*}
+     */
+    marketInfo(pair) {
+      return getMarkets(pair);
+    },
+
+    currencyInfo(coin) {
+      return getCurrencies(coin);
+    },
+
+    /**
+     * Features available on Gate exchange
+     * @returns {Object}
+     */
+    features() {
+      return {
+        getMarkets: true,
+        getCurrencies: true,
+        placeMarketOrder: true,
+        getDepositAddress: true,
+        getTradingFees: true,
+        getAccountTradeVolume: false,
+        createDepositAddressWithWebsiteOnly: false,
+        getFundHistory: true,
+        getFundHistoryImplemented: true,
+        allowAmountForMarketBuy: false, // Market buy orders are placed with a quote coin amount
+        amountForMarketOrderNecessary: false,
+        accountTypes: false, // Balances are of the spot account
+        withdrawAccountType: '', // Withdraw funds from the spot account
+        withdrawalSuccessNote: false, // No additional action needed after a withdrawal by API
+        supportTransferBetweenAccounts: false,
+        supportCoinNetworks: true,
+        orderNumberLimit: config.exchange_restrictions?.orderNumberLimit || DEFAULT_MAX_NUM_ORDERS,
+      };
+    },
+
+    /**
+     * Get user balances on the spot account
+     * @param {Boolean} [nonzero=true] Return only non-zero balances
+     * @returns {Promise<Array|undefined>}
+     */
+    async getBalances(nonzero = true) {
+      const paramString = `nonzero: ${nonzero}`;
+
+      let balances;
+
+      try {
+        balances = await gateApiClient.getBalances();
+      } catch (error) {
+        log.warn(`API request getBalances(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        let result = [];
+
+        for (const crypto of balances) {
+          result.push({
+            code: crypto.currency.toUpperCase(),
+            free: +crypto.available,
+            freezed: +crypto.locked,
+            total: +crypto.available + +crypto.locked,
+          });
+        }
+
+        if (nonzero) {
+          result = result.filter((crypto) => crypto.free || crypto.freezed);
+        }
+
+        return result;
+      } catch (error) {
+        log.warn(`Error while processing getBalances(${paramString}) request results: ${JSON.stringify(balances)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get one page of account open orders
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Number} [page=1]
+     * @returns {Promise<Array|undefined>}
+     */
+    async getOpenOrdersPage(pair, page = 1) {
+      const paramString = `pair: ${pair}, page: ${page}`;
+      const coinPair = formatPairName(pair);
+
+      let data;
+
+      try {
+        data = await gateApiClient.getOrders(coinPair.pairPlain, page, ORDERS_PAGE_LIMIT);
+      } catch (error) {
+        log.warn(`API request getOpenOrdersPage(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        return data.map((order) => parseOrder(order));
+      } catch (error) {
+        log.warn(`Error while processing getOpenOrdersPage(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * List of all account open orders
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<[]|undefined>}
+     */
+    async getOpenOrders(pair) {
+      let allOrders = [];
+      let orders;
+      let page = 1;
+
+      do {
+        orders = await this.getOpenOrdersPage(pair, page);
+        if (!orders) return undefined;
+        allOrders = allOrders.concat(orders);
+        page += 1;
+      } while (orders.length === ORDERS_PAGE_LIMIT);
+
+      return allOrders;
+    },
+
+    /**
+     * Get specific order details
+     * What's important is to understand the order was filled or closed by other reason
+     * status: unknown, new, filled, part_filled, cancelled
+     * @param {String} orderId Example: '1852454420'
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getOrderDetails(orderId, pair) {
+      const paramString = `orderId: ${orderId}, pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let order;
+
+      try {
+        order = await gateApiClient.getOrder(orderId, coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getOrderDetails(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (order?.id && !order.gateErrorInfo) {
+          const parsedOrder = parseOrder(order);
+
+          return {
+            orderId: parsedOrder.orderId,
+            tradesCount: undefined, // Gate doesn't provide trades info
+            price: parsedOrder.price,
+            side: parsedOrder.side, // 'buy' or 'sell'
+            type: parsedOrder.type, // 'limit' or 'market'
+            amount: parsedOrder.amount, // In coin1
+            volume: parsedOrder.volume, // In coin2
+            pairPlain: coinPair.pairPlain,
+            pairReadable: coinPair.pairReadable,
+            totalFeeInCoin2: parsedOrder.feeCurrency === coinPair.coin2 ? parsedOrder.fee : undefined,
+            amountExecuted: parsedOrder.amountExecuted, // In coin1
+            volumeExecuted: parsedOrder.volumeExecuted, // In coin2
+            timestamp: parsedOrder.timestamp,
+            updateTimestamp: parsedOrder.updateTimestamp,
+            status: parsedOrder.status,
+          };
+        } else {
+          const errorMessage = order?.gateErrorInfo ?? 'No details';
+          log.log(`Unable to get order ${orderId} details: ${errorMessage}. Returning unknown order status.`);
+
+          return {
+            orderId,
+            status: 'unknown', // Order doesn't exist or Wrong orderId
+          };
+        }
+      } catch (error) {
+        log.warn(`Error while processing getOrderDetails(${paramString}) request results: ${JSON.stringify(order)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Cancel an order
+     * @param {String} orderId Example: '1852454420'
+     * @param {String} side Not used for Gate
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<Boolean|undefined>}
+     */
+    async cancelOrder(orderId, side, pair) {
+      const paramString = `orderId: ${orderId}, side: ${side}, pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let data;
+
+      try {
+        data = await gateApiClient.cancelOrder(orderId, coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request cancelOrder(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (data?.status === 'cancelled' && !data.gateErrorInfo) {
+          log.log(`Cancelling order ${orderId} on ${coinPair.pairReadable} pair…`);
+          return true;
+        } else {
+          const errorMessage = data?.gateErrorInfo ?? `Order status is ${data?.status}`;
+          log.log(`Unable to cancel order ${orderId} on ${coinPair.pairReadable} pair: ${errorMessage}.`);
+          return false;
+        }
+      } catch (error) {
+        log.warn(`Error while processing cancelOrder(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Cancel all order on specific pair
+     * @param pair In classic format as BTC/USDT
+     * @param side Cancel buy or sell orders. Cancel both if not set.
+     * @returns {Promise<Boolean|undefined>}
+     */
+    async cancelAllOrders(pair, side) {
+      const paramString = `pair: ${pair}, side: ${side}`;
+      const coinPair = formatPairName(pair);
+
+      let data;
+
+      try {
+        data = await gateApiClient.cancelAllOrders(coinPair.pairPlain, side);
+      } catch (error) {
+        log.warn(`API request cancelAllOrders(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (Array.isArray(data)) {
+          const sideString = side ? ` ${side}` : '';
+          log.log(`Cancelling ${data.length}${sideString} orders on ${coinPair.pairReadable} pair…`);
+          return true;
+        } else {
+          const errorMessage = data?.gateErrorInfo ?? 'No details';
+          log.log(`Unable to cancel orders on ${coinPair.pairReadable} pair: ${errorMessage}.`);
+          return false;
+        }
+      } catch (error) {
+        log.warn(`Error while processing cancelAllOrders(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get info on trade pair
+     * @param pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getRates(pair) {
+      const paramString = `pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let tickers;
+
+      try {
+        tickers = await gateApiClient.ticker(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getRates(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        const ticker = tickers?.[0];
+
+        if (ticker) {
+          return {
+            ask: +ticker.lowest_ask,
+            bid: +ticker.highest_bid,
+            last: +ticker.last,
+            volume: +ticker.base_volume,
+            volumeInCoin2: +ticker.quote_volume,
+            high: +ticker.high_24h,
+            low: +ticker.low_24h,
+          };
+        }
+      } catch (error) {
+        log.warn(`Error while processing getRates(${paramString}) request result: ${JSON.stringify(tickers)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Places an order
+     * Gate supports both limit and market orders. Market buy orders take coin2Amount, market sell orders take coin1Amount.
+     * @param {String} side 'buy' or 'sell'
+     * @param {String} pair In classic format like BTC/USDT
+     * @param {Number} price Order price
+     * @param {Number} coin1Amount Base coin amount. Provide either coin1Amount or coin2Amount.
+     * @param {Number} limit 1 if order is limit (default), 0 in case of market order
+     * @param {Number} coin2Amount Quote coin amount. Provide either coin1Amount or coin2Amount.
+     * @returns {Promise<Object>|undefined}
+     */
+    async placeOrder(side, pair, price, coin1Amount, limit = 1, coin2Amount) {
+      const paramString = `side: ${side}, pair: ${pair}, price: ${price}, coin1Amount: ${coin1Amount}, limit: ${limit}, coin2Amount: ${coin2Amount}`;
+
+      const marketInfo = this.marketInfo(pair);
+
+      let message;
+
+      if (!marketInfo) {
+        message = `Unable to place an order on ${exchangeName} exchange. I don't have info about market ${pair}.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      // for Limit orders, calculate coin1Amount if only coin2Amount is provided
+      if (!coin1Amount && coin2Amount && price) {
+        coin1Amount = coin2Amount / price;
+      }
+
+      // for Limit orders, calculate coin2Amount if only coin1Amount is provided
+      let coin2AmountCalculated;
+      if (!coin2Amount && coin1Amount && price) {
+        coin2AmountCalculated = coin1Amount * price;
+      }
+
+      // Round coin1Amount, coin2Amount and price to a certain number of decimal places, and check if they are correct.
+      // Note: any value may be small, e.g., 0.000000033. In this case, its number representation will be 3.3e-8.
+      // That's why we store values as strings. If an exchange doesn't support string type for values, cast them to numbers.
+
+      if (coin1Amount) {
+        coin1Amount = (+coin1Amount).toFixed(marketInfo.coin1Decimals);
+        if (!+coin1Amount) {
+          message = `Unable to place an order on ${exchangeName} exchange. After rounding to ${marketInfo.coin1Decimals} decimal places, the order amount is wrong: ${coin1Amount}.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+      }
+
+      if (coin2Amount) {
+        coin2Amount = (+coin2Amount).toFixed(marketInfo.coin2Decimals);
+        if (!+coin2Amount) {
+          message = `Unable to place an order on ${exchangeName} exchange. After rounding to ${marketInfo.coin2Decimals} decimal places, the order volume is wrong: ${coin2Amount}.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+      }
+
+      if (price) {
+        price = (+price).toFixed(marketInfo.coin2Decimals);
+        if (!+price) {
+          message = `Unable to place an order on ${exchangeName} exchange. After rounding to ${marketInfo.coin2Decimals} decimal places, the order price is wrong: ${price}.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+      }
+
+      if (+coin1Amount < marketInfo.coin1MinAmount) {
+        message = `Unable to place an order on ${exchangeName} exchange. Order amount ${coin1Amount} ${marketInfo.coin1} is less minimum ${marketInfo.coin1MinAmount} ${marketInfo.coin1} on ${marketInfo.pairReadable} pair.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      if (coin2Amount && +coin2Amount < marketInfo.coin2MinAmount) { // coin2Amount may be null or undefined
+        message = `Unable to place an order on ${exchangeName} exchange. Order volume ${coin2Amount} ${marketInfo.coin2} is less minimum ${marketInfo.coin2MinAmount} ${marketInfo.coin2} on ${pair} pair.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      let orderType;
+      let output;
+      let amount;
+
+      if (limit) {
+        orderType = 'limit';
+        amount = coin1Amount;
+        if (coin2Amount) {
+          output = `${side} ${coin1Amount} ${marketInfo.coin1} for ${coin2Amount} ${marketInfo.coin2} at ${price} ${marketInfo.coin2}.`;
+        } else {
+          output = `${side} ${coin1Amount} ${marketInfo.coin1} for ~${coin2AmountCalculated.toFixed(marketInfo.coin2Decimals)} ${marketInfo.coin2} at ${price} ${marketInfo.coin2}.`;
+        }
+      } else {
+        orderType = 'market';
+        amount = side === 'buy' ? coin2Amount : coin1Amount;
+        if (!amount) {
+          message = `Unable to place an order on ${exchangeName} exchange. Market ${side} orders require ${side === 'buy' ? marketInfo.coin2 : marketInfo.coin1} amount.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+
+        if (side === 'buy') {
+          output = `${side} ${marketInfo.coin1} for ${coin2Amount} ${marketInfo.coin2} at Market Price on ${pair} pair.`;
+        } else {
+          output = `${side} ${coin1Amount} ${marketInfo.coin1} at Market Price on ${pair} pair.`;
+        }
+      }
+
+      const order = {};
+      let response;
+      let orderId;
+      let errorMessage;
+
+      try {
+        response = await gateApiClient.addOrder(marketInfo.pairPlain, amount, price, side, orderType);
+
+        errorMessage = response?.gateErrorInfo;
+        orderId = response?.id;
+      } catch (error) {
+        message = `API request addOrder(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}.`;
+        log.warn(message);
+        order.orderId = false;
+        order.message = message;
+
+        return order;
+      }
+
+      if (orderId) {
+        message = `Order placed to ${output} Order Id: ${orderId}.`;
+        log.info(message);
+        order.orderId = orderId.toString();
+        order.message = message;
+      } else {
+        const details = errorMessage ? ` Details: ${utils.trimAny(errorMessage, ' .')}.` : ' { No details }.';
+        message = `Unable to place order to ${output}${details} Check parameters and balances.`;
+        log.warn(message);
+        order.orderId = false;
+        order.message = message;
+      }
+
+      return order;
+    },
+
+    /**
+     * Get orderbook on a specific pair
+     * @param pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getOrderBook(pair) {
+      const paramString = `pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let book;
+
+      try {
+        book = await gateApiClient.orderBook(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getOrderBook(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        const result = {
+          bids: [],
+          asks: [],
+        };
+
+        for (const crypto of book.asks) {
+          result.asks.push({
+            amount: +crypto[1],
+            price: +crypto[0],
+            count: 1,
+            type: 'ask-sell-right',
+          });
+        }
+        result.asks.sort((a, b) => {
+          return parseFloat(a.price) - parseFloat(b.price);
+        });
+
+        for (const crypto of book.bids) {
+          result.bids.push({
+            amount: +crypto[1],
+            price: +crypto[0],
+            count: 1,
+            type: 'bid-buy-left',
+          });
+        }
+        result.bids.sort((a, b) => {
+          return parseFloat(b.price) - parseFloat(a.price);
+        });
+
+        return result;
+      } catch (error) {
+        log.warn(`Error while processing orderBook(${paramString}) request result: ${JSON.stringify(book)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get history of trades
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Number} [limit] Number of records to return
+     * @returns {Promise<Array|undefined>}
+     */
+    async getTradesHistory(pair, limit) {
+      const paramString = `pair: ${pair}, limit: ${limit}`;
+      const coinPair = formatPairName(pair);
+
+      let trades;
+
+      try {
+        trades = await gateApiClient.getTradesHistory(coinPair.pairPlain, limit);
+      } catch (error) {
+        log.warn(`API request getTradesHistory(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        const result = [];
+
+        for (const trade of trades) {
+          result.push({
+            coin1Amount: +trade.amount, // amount in coin1
+            price: +trade.price, // trade price
+            coin2Amount: +trade.amount * +trade.price, // quote in coin2
+            date: Math.floor(+trade.create_time_ms), // As '1710404170000.123', must be as utils.unixTimeStampMs(): 1641121688194
+            type: trade.side, // 'buy' or 'sell', taker's side
+            tradeId: trade.id?.toString(),
+          });
+        }
+
+        // We need ascending sort order
+        result.sort((a, b) => {
+          return parseFloat(a.date) - parseFloat(b.date);
+        });
+
+        return result;
+      } catch (error) {
+        log.warn(`Error while processing getTradesHistory(${paramString}) request result: ${JSON.stringify(trades)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get trading fees for account
+     * Gate returns fees for one market at once
+     * @param coinOrPair BTC or BTC/USDT. If not set, get info for the trading pair.
+     * @returns {Promise<Array|undefined>}
+     */
+    async getFees(coinOrPair = config.pair) {
+      const paramString = `coinOrPair: ${coinOrPair}`;
+
+      let symbols;
+      if (coinOrPair.includes('/')) {
+        symbols = [formatPairName(coinOrPair).pairPlain];
+      } else {
+        const coin = coinOrPair.toUpperCase();
+
+        symbols = Object.values(module.exports.exchangeMarkets ?? {})
+            .filter((market) => market.coin1 === coin)
+            .map((market) => market.pairPlain)
+            .slice(0, MAX_FEE_SYMBOLS);
+      }
+
+      const result = [];
+
+      for (const symbol of symbols) {
+        let data;
+
+        try {
+          data = await gateApiClient.getFees(symbol);
+        } catch (error) {
+          log.warn(`API request getFees(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+          return undefined;
+        }
+
+        try {
+          if (data?.maker_fee && !data.gateErrorInfo) {
+            result.push({
+              pair: formatPairName(symbol).pairReadable,
+              makerRate: +data.maker_fee,
+              takerRate: +data.taker_fee,
+            });
+          } else {
+            log.log(`Unable to get trading fees for ${symbol} pair: ${data?.gateErrorInfo ?? 'No details'}.`);
+          }
+        } catch (error) {
+          log.warn(`Error while processing getFees(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+          return undefined;
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Get deposit address for a coin
+     * Gate generates addresses on request
+     * @param {String} coin As BTC
+     * @returns {Promise<Array|Object|undefined>}
+     */
+    async getDepositAddress(coin) {
+      const paramString = `coin: ${coin}`;
+
+      let data;
+
+      try {
+        data = await gateApiClient.getDepositAddress(coin);
+      } catch (error) {
+        log.warn(`API request getDepositAddress(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (data?.gateErrorInfo) {
+          log.log(`Unable to get ${coin} deposit addresses. Details: ${data.gateErrorInfo}.`);
+          return { message: data.gateErrorInfo };
+        }
+
+        return (data.multichain_addresses ?? [])
+            .filter((address) => address.address && !address.obtain_failed)
+            .map((address) => ({
+              network: formatNetworkName(address.chain),
+              address: address.address,
+              memo: address.payment_id ? `${address.payment_name || 'memo'}: ${address.payment_id}` : '',
+            }));
+      } catch (error) {
+        log.warn(`Error while processing getDepositAddress(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Withdraw coin from Gate's spot account
+     * @param {String} address Crypto address to withdraw funds to
+     * @param {Number} amount Quantity to withdraw
+     * @param {String} coin Unique symbol of the currency to withdraw
+     * @param {Number} withdrawalFee Not used for Gate, it calculates the fee itself
+     * @param {String} network In classic format as ERC20. Gate requires a chain for withdrawals.
+     * @param {String} [memo] Address memo or tag
+     * @return {Promise<Object>}
+     */
+    async withdraw(address, amount, coin, withdrawalFee, network, memo) {
+      const paramString = `address: ${address}, amount: ${amount}, coin: ${coin}, withdrawalFee: ${withdrawalFee}, network: ${network}`;
+
+      // If a coin has a single chain, a network may be omitted
+      const networks = this.currencyInfo(coin)?.networks ?? {};
+      const singleChain = Object.keys(networks).length === 1 ? Object.values(networks)[0].chainName : undefined;
+      const chain = networks[network]?.chainName ?? singleChain;
+
+      let data;
+
+      try {
+        data = await gateApiClient.addWithdrawal(coin, amount, address, chain, memo);
+      } catch (error) {
+        log.warn(`API request withdraw(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return {
+          success: undefined,
+          error,
+        };
+      }
+
+      try {
+        if (data?.id && !data.gateErrorInfo) {
+          return {
+            success: true,
+            result: {
+              id: data.id,
+              currency: coin,
+              amount: +amount,
+              address,
+              withdrawalFee: networks[network]?.withdrawalFee,
+              status: data.status,
+              date: Date.now(),
+              target: null,
+              network,
+              payment_id: memo,
+              note: null,
+            },
+          };
+        }
+
+        return {
+          success: false,
+          error: data?.gateErrorInfo ?? 'No details',
+        };
+      } catch (error) {
+        log.warn(`Error while processing withdraw(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return {
+          success: false,
+          error: data?.gateErrorInfo ?? error,
+        };
+      }
+    },
+
+    /**
+     * Get withdrawal history
+     * @param {String} coin Filter by coin, optional
+     * @param {Number} limit Limit records, optional
+     * @returns {Promise<{success: boolean, error: string}|{result: *[], success: boolean}>}
+     */
+    async getWithdrawalHistory(coin, limit) {
+      return this.processHistoryRecords('getWithdrawalHistory', coin, limit, true);
+    },
+
+    /**
+     * Get deposit history
+     * @param {String} coin Filter by coin, optional
+     * @param {Number} limit Limit records, optional
+     * @returns {Promise<{success: boolean, error: string}|{result: *[], success: boolean}>}
+     */
+    async getDepositHistory(coin, limit) {
+      return this.processHistoryRecords('getDepositHistory', coin, limit, false);
+    },
+
+    // Shared function to process history records
+    async processHistoryRecords(apiMethod, coin, limit, isWithdrawal) {
+      const paramString = `coin: ${coin}, limit: ${limit}`;
+
+      let data;
+
+      try {
+        data = await gateApiClient[apiMethod](coin, limit);
+      } catch (error) {
+        log.warn(`API request ${apiMethod}(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return {
+          success: false,
+          error,
+        };
+      }
+
+      try {
+        if (!Array.isArray(data)) {
+          return {
+            success: false,
+            error: data?.gateErrorInfo ?? 'No details',
+          };
+        }
+
+        const result = data.map((record) => ({
+          id: record.id,
+          currencySymbol: record.currency,
+          quantity: +record.amount,
+          cryptoAddress: record.address,
+          txId: record.txid,
+          status: record.status, // DONE, CANCEL, REQUEST, MANUAL, BCODE, EXTPEND, FAIL, INVALID, VERIFY, PROCES, PEND, DMOVE
+          chain: formatNetworkName(record.chain),
+          chainPlain: record.chain,
+          confirmations: null,
+          createdAt: +record.timestamp * 1000, // In seconds
+          updatedAt: undefined, // Gate doesn't provide an update time
+          fee: isWithdrawal ? +record.fee : undefined,
+          feeCurrency: record.currency,
+          target: isWithdrawal ? record.address : null,
+          source: null,
+        }));
+
+        return {
+          success: true,
+          result,
+        };
+      } catch (error) {
+        log.warn(`Error while processing ${apiMethod}(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return {
+          success: false,
+          error,
+        };
+      }
+    },
+  };
+};
+
+/**
+ * Returns network name in classic format
+ * Keys in networksNameMap should be in upper case even if exchanger format in lower case
+ * @param {String} network Gate's chain name, like 'ETH' or 'TRX'
+ * @returns {String}
+ */
+function formatNetworkName(network) {
+  const networksNameMap = {
+    ETH: _networks['ERC20'].code,
+    TRX: _networks['TRC20'].code,
+    BSC: _networks['BEP20'].code,
+    BNB: _networks['BNB'].code,
+    SOL: _networks['SOL'].code,
+    ARBEVM: _networks['ARBITRUM'].code,
+    OPETH: _networks['OPTIMISM'].code,
+    MATIC: _networks['MATIC'].code,
+    AVAX_C: _networks['AVAX-C-CHAIN'].code,
+    BTC: _networks['BTC'].code,
+    ALGO: _networks['ALGO'].code,
+    OMNI: _networks['OMNI'].code,
+    KSM: _networks['KUSAMA'].code,
+    DOT: _networks['DOT'].code,
+    EOS: _networks['EOS'].code,
+    XTZ: _networks['XTZ'].code,
+    ETC: _networks['ETC'].code,
+    XLM: _networks['XLM'].code,
+    CFX: _networks['CFX'].code,
+    FLOW: _networks['FLOW'].code,
+    MINA: _networks['MINA'].code,
+    ONE: _networks['HARMONY'].code,
+  };
+
+  return networksNameMap[network?.toUpperCase()] || network;
+}
+
+/**
+ * Returns pair in Gate format like 'BTC_USDT'
+ * @param pair Pair in any format
+ * @returns {Object} pairReadable, pairPlain, coin1, coin2
+*/
+function formatPairName(pair) {
+  pair = pair?.toUpperCase();
+
+  if (pair.indexOf('/') > -1) {
+    pair = pair.replace('/', '_');
+  } else if (pair.indexOf('-') > -1) {
+    pair = pair.replace('-', '_');
+  }
+
+  const [coin1, coin2] = pair.split('_');
+
+  return {
+    coin1,
+    coin2,
+    pairReadable: `${coin1}/${coin2}`,
+    pairPlain: pair,
+  };
+}
@@ -0,0 +1,1092 @@
+const KuCoinAPI = require('./api/kucoin_api');
+const utils = require('../helpers/utils');
+const _networks = require('../helpers/networks');
+const config = require('../modules/config/reader');
+
+/**
+ * API endpoints:
+ * https://api.kucoin.com
+ * KuCoin API keys of version 2 require a passphrase, set it as apipassword in the config.
+ * Trading is on the trade (Spot) account, and withdrawals are from the main (Funding) account.
+ */
+const apiServer = 'https://api.kucoin.com';
+const exchangeName = 'KuCoin';
+
+const DEFAULT_MAX_NUM_ORDERS = 200; // Max active orders per market
+const MAX_FEE_SYMBOLS = 10; // Max markets in one trade fees request
+
+module.exports = (
+    apiKey,
+    secretKey,
+    pwd,
+    log,
+    publicOnly = false,
+    loadMarket = true,
+    useSocket = false,
+    useSocketPull = false,
+    accountNo = 0,
+    coin1 = config.coin1,
+    coin2 = config.coin2,
+) => {
+  const kucoinApiClient = KuCoinAPI();
+
+  kucoinApiClient.setConfig(apiServer, apiKey, secretKey, pwd, log, publicOnly);
+
+  // Fulfill markets on initialization
+  if (loadMarket) {
+    getMarkets();
+    getCurrencies();
+  }
+
+  /**
+   * Get info on all markets and store in module.exports.exchangeMarkets
+   * It's an internal function, not called outside of this module
+   * @param {String} [pair] In classic format as BTC/USDT. If markets are already cached, get info for the pair.
+   * @returns {Promise<unknown>|*}
+   */
+  function getMarkets(pair) {
+    const paramString = `pair: ${pair}`;
+
+    if (module.exports.gettingMarkets) return;
+    if (module.exports.exchangeMarkets) return module.exports.exchangeMarkets[pair ? formatPairName(pair).pairPlain : pair];
+
+    module.exports.gettingMarkets = true;
+
+    return new Promise((resolve) => {
+      kucoinApiClient.markets().then((markets) => {
+        try {
+          const result = {};
+
+          for (const market of markets) {
+            result[market.symbol] = {
+              pairReadable: `${market.baseCurrency}/${market.quoteCurrency}`, // ETH/USDT
+              pairPlain: market.symbol, // ETH-USDT
+              coin1: market.baseCurrency,
+              coin2: market.quoteCurrency,
+              coin1Decimals: utils.getDecimalsFromPrecision(+market.baseIncrement),
+              coin2Decimals: utils.getDecimalsFromPrecision(+market.priceIncrement),
+              coin1Precision: +market.baseIncrement,
+              coin2Precision: +market.priceIncrement,
+              coin1MinAmount: +market.baseMinSize || null,
+              coin1MaxAmount: +market.baseMaxSize || null,
+              coin2MinAmount: +market.minFunds || +market.quoteMinSize || null,
+              coin2MaxAmount: +market.quoteMaxSize || null,
+              coin2MinPrice: +market.priceIncrement || null,
+              coin2MaxPrice: null,
+              minTrade: +market.minFunds || +market.quoteMinSize || null, // in coin2
+              status: market.enableTrading ? 'ONLINE' : 'OFFLINE', // 'ONLINE', 'OFFLINE'
+            };
+          }
+
+          if (Object.keys(result).length > 0) {
+            module.exports.exchangeMarkets = result;
+            log.log(`Received info about ${Object.keys(result).length} markets on ${exchangeName} exchange.`);
+          }
+
+          resolve(result);
+        } catch (error) {
+          log.warn(`Error while processing getMarkets(${paramString}) request: ${error}`);
+          resolve(undefined);
+        }
+      }).catch((error) => {
+        log.warn(`API request getMarkets() of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        resolve(undefined);
+      }).finally(() => {
+        module.exports.gettingMarkets = false;
+      });
+    });
+  }
+
+  /**
+   * Get info on all currencies
+   * @param {String} [coin]
+   * @param {Boolean} [forceUpdate=false] Update currencies to refresh parameters
+   * @returns {Promise<unknown>|*}
+   */
+  function getCurrencies(coin, forceUpdate = false) {
+    if (module.exports.gettingCurrencies) return;
+    if (module.exports.exchangeCurrencies && !forceUpdate) return module.exports.exchangeCurrencies[coin];
+
+    module.exports.gettingCurrencies = true;
+
+    return new Promise((resolve) => {
+      kucoinApiClient.currencies().then((currencies) => {
+        try {
+          const result = {};
+
+          for (const currency of currencies) {
+            const networks = {};
+
+            for (const chain of currency.chains ?? []) {
+              networks[formatNetworkName(chain.chainName)] = {
+                chainName: chain.chainId, // To use in withdrawals, as 'eth' or 'trx'
+                chainNameFull: chain.chainName, // As 'ERC20' or 'TRC20'
+                status: chain.isDepositEnabled || chain.isWithdrawEnabled ? 'ONLINE' : 'OFFLINE',
+                depositStatus: chain.isDepositEnabled ? 'ONLINE' : 'OFFLINE',
+                withdrawalStatus: chain.isWithdrawEnabled ? 'ONLINE' : 'OFFLINE',
+                confirmations: +chain.confirms,
+                withdrawalFee: +chain.withdrawalMinFee,
+                minWithdrawal: +chain.withdrawalMinSize,
+                decimals: chain.withdrawPrecision ?? currency.precision,
+                precision: utils.getPrecision(chain.withdrawPrecision ?? currency.precision),
+                needMemo: chain.needTag,
+              };
+            }
+
+            result[currency.currency] = {
+              symbol: currency.currency,
+              name: currency.fullName,
+              status: Object.values(networks).some((network) => network.status === 'ONLINE') ? 'ONLINE' : 'OFFLINE',
+              comment: undefined,
+              confirmations: undefined, // specific for each network
+              withdrawalFee: undefined, // specific for each network
+              exchangeAddress: undefined,
+              decimals: currency.precision,
+              precision: utils.getPrecision(currency.precision),
+              networks,
+              defaultNetwork: undefined,
+            };
+          }
+
+          if (Object.keys(result).length > 0) {
+            module.exports.exchangeCurrencies = result;
+            log.log(`${forceUpdate ? 'Updated' : 'Received'} info about ${Object.keys(result).length} currencies on ${exchangeName} exchange.`);
+          }
+
+          module.exports.gettingCurrencies = false;
+
+          resolve(result);
+        } catch (error) {
+          log.warn(`Error while processing getCurrencies() request: ${error}`);
+          resolve(undefined);
+        }
+      }).catch((error) => {
+        log.warn(`API request getCurrencies() of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        resolve(undefined);
+      }).finally(() => {
+        module.exports.gettingCurrencies = false;
+      });
+    });
+  }
+
+  return {
+    getMarkets,
+    getCurrencies,
+
+    /**
+     * Getter for stored markets info
+     * @return {Object}
+     */
+    get markets() {
+      return module.exports.exchangeMarkets;
+    },
+
+    /**
+     * Getter for stored currencies info
+     * @return {Object}
+     */
+    get currencies() {
+      return module.exports.exchangeCurrencies;
+    },
+
+    /**
+     * Get info for a specific market
+     * @param pair In readable format as BTC/USDT or in KuCoin format as BTC-USDT
+     * @returns {Promise<*>|*}
+     */
+    marketInfo(pair) {
+      return getMarkets(pair);
+    },
+
+    currencyInfo(coin) {
+      return getCurrencies(coin);
+    },
+
+    /**
+     * Features available on KuCoin exchange
+     * @returns {Object}
+     */
+    features() {
+      return {
+        getMarkets: true,
+        getCurrencies: true,
+        placeMarketOrder: true,
+        getDepositAddress: true,
+        getTradingFees: true,
+        getAccountTradeVolume: false,
+        createDepositAddressWithWebsiteOnly: false,
+        getFundHistory: true,
+        getFundHistoryImplemented: true,
+        allowAmountForMarketBuy: true,
+        amountForMarketOrderNecessary: false,
+        accountTypes: ['main', 'trade', 'margin'], // Funding, Spot, and Margin accounts
+        withdrawAccountType: 'main', // Withdraw funds from the main (Funding) account
+        withdrawalSuccessNote: false, // No additional action needed after a withdrawal by API
+        supportTransferBetweenAccounts: true,
+        supportCoinNetworks: true,
+        orderNumberLimit: config.exchange_restrictions?.orderNumberLimit || DEFAULT_MAX_NUM_ORDERS,
+      };
+    },
+
+    /**
+     * Get user balances
+     * @param {Boolean} [nonzero=true] Return only non-zero balances
+     * @param {String} [accountType='trade'] 'main', 'trade', 'margin', or 'full' for all account types
+     * @returns {Promise<Array|undefined>}
+     */
+    async getBalances(nonzero = true, accountType = 'trade') {
+      const paramString = `nonzero: ${nonzero}, accountType: ${accountType}`;
+
+      let balances;
+
+      try {
+        balances = await kucoinApiClient.getBalances(accountType === 'full' ? undefined : accountType);
+      } catch (error) {
+        log.warn(`API request getBalances(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        let result = [];
+
+        for (const crypto of balances) {
+          result.push({
+            accountType: crypto.type,
+            code: crypto.currency.toUpperCase(),
+            free: +crypto.available,
+            freezed: +crypto.holds,
+            total: +crypto.balance,
+          });
+        }
+
+        if (nonzero) {
+          result = result.filter((crypto) => crypto.free || crypto.freezed);
+        }
+
+        return result;
+      } catch (error) {
+        log.warn(`Error while processing getBalances(${paramString}) request results: ${JSON.stringify(balances)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get one page of account open orders
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Number} [currentPage=1]
+     * @returns {Promise<Object|undefined>} { orders, totalPage }
+     */
+    async getOpenOrdersPage(pair, currentPage = 1) {
+      const paramString = `pair: ${pair}, currentPage: ${currentPage}`;
+      const coinPair = formatPairName(pair);
+
+      let data;
+
+      try {
+        data = await kucoinApiClient.getOrders(coinPair.pairPlain, currentPage);
+      } catch (error) {
+        log.warn(`API request getOpenOrdersPage(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        const orders = [];
+
+        for (const order of data.items) {
+          orders.push({
+            orderId: order.id,
+            symbol: formatPairName(order.symbol).pairReadable, // In readable format as BTC/USDT
+            symbolPlain: order.symbol, // BTC-USDT
+            price: +order.price,
+            side: order.side, // 'buy' or 'sell'
+            type: order.type, // 'limit' or 'market'
+            timestamp: +order.createdAt, // must be as utils.unixTimeStampMs(): 1641121688194 - 1 641 121 688 194
+            amount: +order.size,
+            amountExecuted: +order.dealSize,
+            amountLeft: +order.size - +order.dealSize,
+            status: +order.dealSize ? 'part_filled' : 'new',
+          });
+        }
+
+        return {
+          orders,
+          totalPage: +data.totalPage,
+        };
+      } catch (error) {
+        log.warn(`Error while processing getOpenOrdersPage(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * List of all account open orders
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<[]|undefined>}
+     */
+    async getOpenOrders(pair) {
+      let allOrders = [];
+      let ordersInfo;
+      let currentPage = 1;
+
+      do {
+        ordersInfo = await this.getOpenOrdersPage(pair, currentPage);
+        if (!ordersInfo) return undefined;
+        allOrders = allOrders.concat(ordersInfo.orders);
+        currentPage += 1;
+      } while (currentPage <= ordersInfo.totalPage);
+
+      return allOrders;
+    },
+
+    /**
+     * Get specific order details
+     * What's important is to understand the order was filled or closed by other reason
+     * status: unknown, new, filled, part_filled, cancelled
+     * @param {String} orderId Example: '5c35c02703aa673ceec2a168'
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getOrderDetails(orderId, pair) {
+      const paramString = `orderId: ${orderId}, pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let order;
+
+      try {
+        order = await kucoinApiClient.getOrder(orderId);
+      } catch (error) {
+        log.warn(`API request getOrderDetails(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (order?.id) {
+          let orderStatus;
+          if (order.isActive) {
+            orderStatus = +order.dealSize ? 'part_filled' : 'new';
+          } else if (order.cancelExist) {
+            orderStatus = 'cancelled';
+          } else {
+            orderStatus = 'filled';
+          }
+
+          const result = {
+            orderId: order.id,
+            tradesCount: undefined, // KuCoin doesn't provide trades info
+            price: +order.price, // 0 for market orders
+            side: order.side, // 'buy' or 'sell'
+            type: order.type, // 'limit' or 'market'
+            amount: +order.size, // In coin1
+            volume: +order.funds || +order.size * +order.price, // In coin2
+            pairPlain: coinPair.pairPlain,
+            pairReadable: coinPair.pairReadable,
+            totalFeeInCoin2: order.feeCurrency === coinPair.coin2 ? +order.fee : undefined,
+            amountExecuted: +order.dealSize, // In coin1
+            volumeExecuted: +order.dealFunds, // In coin2
+            timestamp: +order.createdAt, // must be as utils.unixTimeStampMs(): 1641121688194 - 1 641 121 688 194
+            updateTimestamp: undefined, // KuCoin doesn't provide an update time
+            status: orderStatus,
+          };
+
+          return result;
+        } else {
+          const errorMessage = order?.kucoinErrorInfo ?? 'No details.';
+          log.log(`Unable to get order ${orderId} details: ${errorMessage}. Returning unknown order status.`);
+
+          return {
+            orderId,
+            status: 'unknown', // Order doesn't exist or Wrong orderId
+          };
+        }
+      } catch (error) {
+        log.warn(`Error while processing getOrderDetails(${paramString}) request results: ${JSON.stringify(order)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Cancel an order
+     * @param {String} orderId Example: '5c35c02703aa673ceec2a168'
+     * @param {String} side Not used for KuCoin
+     * @param {String} pair Not used for KuCoin. In classic format as BTC/USDT
+     * @returns {Promise<Boolean|undefined>}
+     */
+    async cancelOrder(orderId, side, pair) {
+      const paramString = `orderId: ${orderId}, side: ${side}, pair: ${pair}`;
+
+      let data;
+
+      try {
+        data = await kucoinApiClient.cancelOrder(orderId);
+      } catch (error) {
+        log.warn(`API request cancelOrder(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (data?.cancelledOrderIds?.includes(orderId)) {
+          log.log(`Cancelling order ${orderId} on ${pair} pair…`);
+          return true;
+        } else {
+          const errorMessage = data?.kucoinErrorInfo ?? 'No details';
+          log.log(`Unable to cancel order ${orderId} on ${pair} pair: ${errorMessage}.`);
+          return false;
+        }
+      } catch (error) {
+        log.warn(`Error while processing cancelOrder(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Cancel all order on specific pair
+     * @param pair In classic format as BTC/USDT
+     * @param side Cancel buy or sell orders. Cancel both if not set.
+     * @returns {Promise<Boolean|undefined>}
+     */
+    async cancelAllOrders(pair, side) {
+      const paramString = `pair: ${pair}, side: ${side}`;
+      const coinPair = formatPairName(pair);
+
+      let data;
+
+      try {
+        data = await kucoinApiClient.cancelAllOrders(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request cancelAllOrders(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (Array.isArray(data?.cancelledOrderIds)) {
+          log.log(`Cancelling ${data.cancelledOrderIds.length} orders on ${pair} pair…`);
+          return true;
+        } else {
+          const errorMessage = data?.kucoinErrorInfo ?? 'No details';
+          log.log(`Unable to cancel orders on ${pair} pair: ${errorMessage}.`);
+          return false;
+        }
+      } catch (error) {
+        log.warn(`Error while processing cancelAllOrders(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get info on trade pair
+     * @param pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getRates(pair) {
+      const paramString = `pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let ticker;
+
+      try {
+        ticker = await kucoinApiClient.ticker(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getRates(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (ticker?.buy && ticker?.sell) {
+          return {
+            ask: +ticker.sell,
+            bid: +ticker.buy,
+            last: +ticker.last,
+            volume: +ticker.vol,
+            volumeInCoin2: +ticker.volValue,
+            high: +ticker.high,
+            low: +ticker.low,
+          };
+        }
+      } catch (error) {
+        log.warn(`Error while processing getRates(${paramString}) request result: ${JSON.stringify(ticker)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Places an order
+     * KuCoin supports both limit and market orders
+     * @param {String} side 'buy' or 'sell'
+     * @param {String} pair In classic format like BTC/USDT
+     * @param {Number} price Order price
+     * @param {Number} coin1Amount Base coin amount. Provide either coin1Amount or coin2Amount.
+     * @param {Number} limit 1 if order is limit (default), 0 in case of market order
+     * @param {Number} coin2Amount Quote coin amount. Provide either coin1Amount or coin2Amount.
+     * @returns {Promise<Object>|undefined}
+     */
+    async placeOrder(side, pair, price, coin1Amount, limit = 1, coin2Amount) {
+      const paramString = `side: ${side}, pair: ${pair}, price: ${price}, coin1Amount: ${coin1Amount}, limit: ${limit}, coin2Amount: ${coin2Amount}`;
+
+      const marketInfo = this.marketInfo(pair);
+
+      let message;
+
+      if (!marketInfo) {
+        message = `Unable to place an order on ${exchangeName} exchange. I don't have info about market ${pair}.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      // for Limit orders, calculate coin1Amount if only coin2Amount is provided
+      if (!coin1Amount && coin2Amount && price) {
+        coin1Amount = coin2Amount / price;
+      }
+
+      // for Limit orders, calculate coin2Amount if only coin1Amount is provided
+      let coin2AmountCalculated;
+      if (!coin2Amount && coin1Amount && price) {
+        coin2AmountCalculated = coin1Amount * price;
+      }
+
+      // Round coin1Amount, coin2Amount and price to a certain number of decimal places, and check if they are correct.
+      // Note: any value may be small, e.g., 0.000000033. In this case, its number representation will be 3.3e-8.
+      // That's why we store values as strings. If an exchange doesn't support string type for values, cast them to numbers.
+
+      if (coin1Amount) {
+        coin1Amount = (+coin1Amount).toFixed(marketInfo.coin1Decimals);
+        if (!+coin1Amount) {
+          message = `Unable to place an order on ${exchangeName} exchange. After rounding to ${marketInfo.coin1Decimals} decimal places, the order amount is wrong: ${coin1Amount}.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+      }
+
+      if (coin2Amount) {
+        coin2Amount = (+coin2Amount).toFixed(marketInfo.coin2Decimals);
+        if (!+coin2Amount) {
+          message = `Unable to place an order on ${exchangeName} exchange. After rounding to ${marketInfo.coin2Decimals} decimal places, the order volume is wrong: ${coin2Amount}.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+      }
+
+      if (price) {
+        price = (+price).toFixed(marketInfo.coin2Decimals);
+        if (!+price) {
+          message = `Unable to place an order on ${exchangeName} exchange. After rounding to ${marketInfo.coin2Decimals} decimal places, the order price is wrong: ${price}.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+      }
+
+      if (+coin1Amount < marketInfo.coin1MinAmount) {
+        message = `Unable to place an order on ${exchangeName} exchange. Order amount ${coin1Amount} ${marketInfo.coin1} is less minimum ${marketInfo.coin1MinAmount} ${marketInfo.coin1} on ${marketInfo.pairReadable} pair.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      if (coin2Amount && +coin2Amount < marketInfo.coin2MinAmount) { // coin2Amount may be null or undefined
+        message = `Unable to place an order on ${exchangeName} exchange. Order volume ${coin2Amount} ${marketInfo.coin2} is less minimum ${marketInfo.coin2MinAmount} ${marketInfo.coin2} on ${pair} pair.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      let orderType;
+      let output;
+
+      if (limit) {
+        orderType = 'limit';
+        if (coin2Amount) {
+          output = `${side} ${coin1Amount} ${marketInfo.coin1} for ${coin2Amount} ${marketInfo.coin2} at ${price} ${marketInfo.coin2}.`;
+        } else {
+          output = `${side} ${coin1Amount} ${marketInfo.coin1} for ~${coin2AmountCalculated.toFixed(marketInfo.coin2Decimals)} ${marketInfo.coin2} at ${price} ${marketInfo.coin2}.`;
+        }
+      } else {
+        orderType = 'market';
+        if (coin2Amount) {
+          output = `${side} ${marketInfo.coin1} for ${coin2Amount} ${marketInfo.coin2} at Market Price on ${pair} pair.`;
+        } else {
+          output = `${side} ${coin1Amount} ${marketInfo.coin1} at Market Price on ${pair} pair.`;
+        }
+      }
+
+      const order = {};
+      let response;
+      let orderId;
+      let errorMessage;
+
+      try {
+        response = await kucoinApiClient.addOrder(marketInfo.pairPlain, coin1Amount, coin2Amount, price, side, orderType);
+
+        errorMessage = response?.kucoinErrorInfo;
+        orderId = response?.orderId;
+      } catch (error) {
+        message = `API request addOrder(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}.`;
+        log.warn(message);
+        order.orderId = false;
+        order.message = message;
+
+        return order;
+      }
+
+      if (orderId) {
+        message = `Order placed to ${output} Order Id: ${orderId}.`;
+        log.info(message);
+        order.orderId = orderId;
+        order.message = message;
+      } else {
+        const details = errorMessage ? ` Details: ${utils.trimAny(errorMessage, ' .')}.` : ' { No details }.';
+        message = `Unable to place order to ${output}${details} Check parameters and balances.`;
+        log.warn(message);
+        order.orderId = false;
+        order.message = message;
+      }
+
+      return order;
+    },
+
+    /**
+     * Get orderbook on a specific pair
+     * @param pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getOrderBook(pair) {
+      const paramString = `pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let book;
+
+      try {
+        book = await kucoinApiClient.orderBook(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getOrderBook(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        const result = {
+          bids: [],
+          asks: [],
+        };
+
+        for (const crypto of book.asks) {
+          result.asks.push({
+            amount: +crypto[1],
+            price: +crypto[0],
+            count: 1,
+            type: 'ask-sell-right',
+          });
+        }
+        result.asks.sort((a, b) => {
+          return parseFloat(a.price) - parseFloat(b.price);
+        });
+
+        for (const crypto of book.bids) {
+          result.bids.push({
+            amount: +crypto[1],
+            price: +crypto[0],
+            count: 1,
+            type: 'bid-buy-left',
+          });
+        }
+        result.bids.sort((a, b) => {
+          return parseFloat(b.price) - parseFloat(a.price);
+        });
+
+        return result;
+      } catch (error) {
+        log.warn(`Error while processing orderBook(${paramString}) request result: ${JSON.stringify(book)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get history of trades
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Number} [limit] Number of records to return. KuCoin returns last 100 trades.
+     * @returns {Promise<Array|undefined>}
+     */
+    async getTradesHistory(pair, limit) {
+      const paramString = `pair: ${pair}, limit: ${limit}`;
+      const coinPair = formatPairName(pair);
+
+      let trades;
+
+      try {
+        trades = await kucoinApiClient.getTradesHistory(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getTradesHistory(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        const result = [];
+
+        for (const trade of trades) {
+          result.push({
+            coin1Amount: +trade.size, // amount in coin1
+            price: +trade.price, // trade price
+            coin2Amount: +trade.size * +trade.price, // quote in coin2
+            date: Math.round(+trade.time / 1e6), // In nanoseconds, must be as utils.unixTimeStampMs(): 1641121688194
+            type: trade.side, // 'buy' or 'sell', taker's side
+            tradeId: trade.sequence?.toString(),
+          });
+        }
+
+        // We need ascending sort order
+        result.sort((a, b) => {
+          return parseFloat(a.date) - parseFloat(b.date);
+        });
+
+        return limit ? result.slice(-limit) : result;
+      } catch (error) {
+        log.warn(`Error while processing getTradesHistory(${paramString}) request result: ${JSON.stringify(trades)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get trading fees for account
+     * KuCoin returns fees for up to 10 markets at once
+     * @param coinOrPair BTC or BTC/USDT. If not set, get info for the trading pair.
+     * @returns {Promise<Array|undefined>}
+     */
+    async getFees(coinOrPair = config.pair) {
+      const paramString = `coinOrPair: ${coinOrPair}`;
+
+      let symbols;
+      if (coinOrPair.includes('/')) {
+        symbols = [formatPairName(coinOrPair).pairPlain];
+      } else {
+        const coin = coinOrPair.toUpperCase();
+
+        symbols = Object.values(module.exports.exchangeMarkets ?? {})
+            .filter((market) => market.coin1 === coin)
+            .map((market) => market.pairPlain)
+            .slice(0, MAX_FEE_SYMBOLS);
+      }
+
+      if (!symbols.length) {
+        return [];
+      }
+
+      let data;
+
+      try {
+        data = await kucoinApiClient.getFees(symbols.join(','));
+      } catch (error) {
+        log.warn(`API request getFees(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        return data.map((pair) => ({
+          pair: formatPairName(pair.symbol).pairReadable,
+          makerRate: +pair.makerFeeRate,
+          takerRate: +pair.takerFeeRate,
+        }));
+      } catch (error) {
+        log.warn(`Error while processing getFees(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get deposit address for a coin
+     * If there are no addresses yet, creates them for networks with enabled deposits
+     * @param {String} coin As BTC
+     * @returns {Promise<Array|undefined>}
+     */
+    async getDepositAddress(coin) {
+      const paramString = `coin: ${coin}`;
+
+      let data;
+
+      try {
+        data = await kucoinApiClient.getDepositAddress(coin);
+      } catch (error) {
+        log.warn(`API request getDepositAddress(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (data?.kucoinErrorInfo) {
+          log.log(`Unable to get ${coin} deposit addresses. Details: ${data.kucoinErrorInfo}.`);
+          return { message: data.kucoinErrorInfo };
+        }
+
+        let addresses = data;
+
+        if (!addresses.length) {
+          const networks = Object.values(this.currencyInfo(coin)?.networks ?? {})
+              .filter((network) => network.depositStatus === 'ONLINE');
+
+          addresses = [];
+
+          for (const network of networks) {
+            const address = await kucoinApiClient.createDepositAddress(coin, network.chainName);
+
+            if (address?.address) {
+              addresses.push({ ...address, chain: address.chain ?? network.chainNameFull });
+            } else {
+              log.log(`Unable to create ${coin} deposit address on ${network.chainNameFull} network. Details: ${address?.kucoinErrorInfo}.`);
+            }
+          }
+        }
+
+        return addresses.map((address) => ({
+          network: formatNetworkName(address.chain),
+          address: address.address,
+          memo: address.memo ? `memo: ${address.memo}` : '',
+        }));
+      } catch (error) {
+        log.warn(`Error while processing getDepositAddress(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Transfer funds between account types
+     * @param {String} coin Unique symbol of the currency to transfer
+     * @param {Number} amount Quantity to transfer
+     * @param {String} fromAccountType 'main', 'trade', or 'margin'
+     * @param {String} toAccountType 'main', 'trade', or 'margin'
+     * @return {Promise<Object>}
+     */
+    async transfer(coin, amount, fromAccountType, toAccountType) {
+      const paramString = `coin: ${coin}, amount: ${amount}, fromAccountType: ${fromAccountType}, toAccountType: ${toAccountType}`;
+
+      let data;
+
+      try {
+        data = await kucoinApiClient.transfer(coin, String(amount), fromAccountType, toAccountType);
+      } catch (error) {
+        log.warn(`API request transfer(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return {
+          success: undefined,
+          error,
+        };
+      }
+
+      try {
+        if (data?.orderId) {
+          return {
+            success: true,
+            result: {
+              id: data.orderId,
+              currency: coin,
+              amount: +amount,
+              fromAccountType,
+              toAccountType,
+            },
+          };
+        }
+
+        return {
+          success: false,
+          error: data?.kucoinErrorInfo ?? 'No details',
+        };
+      } catch (error) {
+        log.warn(`Error while processing transfer(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return {
+          success: false,
+          error: data?.kucoinErrorInfo ?? error,
+        };
+      }
+    },
+
+    /**
+     * Withdraw coin from KuCoin's main account
+     * @param {String} address Crypto address to withdraw funds to
+     * @param {Number} amount Quantity to receive. Withdrawal fee is charged additionally.
+     * @param {String} coin Unique symbol of the currency to withdraw
+     * @param {Number} withdrawalFee Not used for KuCoin, it calculates the fee itself
+     * @param {String} network In classic format as ERC20. Default network of a coin if not set.
+     * @param {String} [memo] Address memo or tag
+     * @return {Promise<Object>}
+     */
+    async withdraw(address, amount, coin, withdrawalFee, network, memo) {
+      const paramString = `address: ${address}, amount: ${amount}, coin: ${coin}, withdrawalFee: ${withdrawalFee}, network: ${network}`;
+
+      const chain = this.currencyInfo(coin)?.networks?.[network]?.chainName;
+
+      let data;
+
+      try {
+        data = await kucoinApiClient.addWithdrawal(coin, amount, address, chain, memo);
+      } catch (error) {
+        log.warn(`API request withdraw(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return {
+          success: undefined,
+          error,
+        };
+      }
+
+      try {
+        if (data?.withdrawalId) {
+          return {
+            success: true,
+            result: {
+              id: data.withdrawalId,
+              currency: coin,
+              amount: +amount,
+              address,
+              withdrawalFee: undefined,
+              status: 'PROCESSING',
+              date: Date.now(),
+              target: null,
+              network,
+              payment_id: memo,
+              note: null,
+            },
+          };
+        }
+
+        return {
+          success: false,
+          error: data?.kucoinErrorInfo ?? 'No details',
+        };
+      } catch (error) {
+        log.warn(`Error while processing withdraw(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return {
+          success: false,
+          error: data?.kucoinErrorInfo ?? error,
+        };
+      }
+    },
+
+    /**
+     * Get withdrawal history
+     * @param {String} coin Filter by coin, optional
+     * @param {Number} limit Limit records, optional
+     * @returns {Promise<{success: boolean, error: string}|{result: *[], success: boolean}>}
+     */
+    async getWithdrawalHistory(coin, limit) {
+      return this.processHistoryRecords('getWithdrawalHistory', coin, limit, true);
+    },
+
+    /**
+     * Get deposit history
+     * @param {String} coin Filter by coin, optional
+     * @param {Number} limit Limit records, optional
+     * @returns {Promise<{success: boolean, error: string}|{result: *[], success: boolean}>}
+     */
+    async getDepositHistory(coin, limit) {
+      return this.processHistoryRecords('getDepositHistory', coin, limit, false);
+    },
+
+    // Shared function to process history records
+    async processHistoryRecords(apiMethod, coin, limit, isWithdrawal) {
+      const paramString = `coin: ${coin}, limit: ${limit}`;
+
+      let data;
+
+      try {
+        data = await kucoinApiClient[apiMethod](coin, limit);
+      } catch (error) {
+        log.warn(`API request ${apiMethod}(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return {
+          success: false,
+          error,
+        };
+      }
+
+      try {
+        if (!Array.isArray(data?.items)) {
+          return {
+            success: false,
+            error: data?.kucoinErrorInfo ?? 'No details',
+          };
+        }
+
+        const result = data.items.map((record) => ({
+          id: record.id ?? record.walletTxId,
+          currencySymbol: record.currency,
+          quantity: +record.amount,
+          cryptoAddress: record.address,
+          txId: record.walletTxId,
+          status: record.status, // PROCESSING, WALLET_PROCESSING, SUCCESS, FAILURE
+          chain: formatNetworkName(record.chain),
+          chainPlain: record.chain,
+          confirmations: null,
+          createdAt: +record.createdAt,
+          updatedAt: +record.updatedAt,
+          fee: +record.fee,
+          feeCurrency: record.currency,
+          target: isWithdrawal ? record.address : null,
+          source: null,
+        }));
+
+        return {
+          success: true,
+          result,
+        };
+      } catch (error) {
+        log.warn(`Error while processing ${apiMethod}(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return {
+          success: false,
+          error,
+        };
+      }
+    },
+  };
+};
+
+/**
+ * Returns network name in classic format
+ * Keys in networksNameMap should be in upper case even if exchanger format in lower case
+ * @param {String} network KuCoin's chain name, like 'ERC20' or 'AVAX C-Chain'
+ * @returns {String}
+ */
+function formatNetworkName(network) {
+  const networksNameMap = {
+    ERC20: _networks['ERC20'].code,
+    TRC20: _networks['TRC20'].code,
+    BEP20: _networks['BEP20'].code,
+    'BEP20(BSC)': _networks['BEP20'].code,
+    KCC: _networks['KCC'].code,
+    SOL: _networks['SOL'].code,
+    ARBITRUM: _networks['ARBITRUM'].code,
+    OPTIMISM: _networks['OPTIMISM'].code,
+    'POLYGON POS': _networks['MATIC'].code,
+    MATIC: _networks['MATIC'].code,
+    'AVAX C-CHAIN': _networks['AVAX-C-CHAIN'].code,
+    'AVAX X-CHAIN': _networks['AVAX-X-CHAIN'].code,
+    BTC: _networks['BTC'].code,
+    ALGO: _networks['ALGO'].code,
+    OMNI: _networks['OMNI'].code,
+  };
+
+  return networksNameMap[network?.toUpperCase()] || network;
+}
+
+/**
+ * Returns pair in KuCoin format like 'BTC-USDT'
+ * @param pair Pair in any format
+ * @returns {Object} pairReadable, pairPlain, coin1, coin2
+*/
+function formatPairName(pair) {
+  pair = pair?.toUpperCase();
+
+  if (pair.indexOf('/') > -1) {
+    pair = pair.replace('/', '-');
+  } else if (pair.indexOf('_') > -1) {
+    pair = pair.replace('_', '-');
+  }
+
+  const [coin1, coin2] = pair.split('-');
+
+  return {
+    coin1,
+    coin2,
+    pairReadable: `${coin1}/${coin2}`,
+    pairPlain: pair,
+  };
+}
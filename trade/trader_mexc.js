@@ -0,0 +1,1098 @@
+const MexcApi = require('./api/mexc_api');
+const utils = require('../helpers/utils');
+const _networks = require('../helpers/networks');
+const config = require('../modules/config/reader');
+
+/**
+ * API endpoints:
+ * https://api.mexc.com
+ * MEXC's spot v3 API is Binance-like, but markets set precision and limits in their own fields instead of filters.
+ * All time and timestamp related fields are in milliseconds.
+ */
+const apiServer = 'https://api.mexc.com';
+const exchangeName = 'MEXC';
+
+const DEFAULT_MAX_NUM_ORDERS = 500; // Max open orders per market
+const MAX_FEE_SYMBOLS = 5; // Max markets to request trade fees for a coin
+
+// https://mexcdevelop.github.io/apidocs/spot_v3_en/#deposit-history-supporting-network
+const depositStatuses = {
+  1: 'SMALL',
+  2: 'TIME_DELAY',
+  3: 'LARGE_DELAY',
+  4: 'PENDING',
+  5: 'SUCCESS',
+  6: 'AUDITING',
+  7: 'REJECTED',
+  8: 'REFUND',
+  9: 'PRE_SUCCESS',
+  10: 'INVALID',
+  11: 'RESTRICTED',
+  12: 'COMPLETED',
+};
+
+// https://mexcdevelop.github.io/apidocs/spot_v3_en/#withdraw-history-supporting-network
+const withdrawalStatuses = {
+  1: 'APPLY',
+  2: 'AUDITING',
+  3: 'WAIT',
+  4: 'PROCESSING',
+  5: 'WAIT_PACKAGING',
+  6: 'WAIT_CONFIRM',
+  7: 'SUCCESS',
+  8: 'FAILED',
+  9: 'CANCEL',
+  10: 'MANUAL',
+};
+
+module.exports = (
+    apiKey,
+    secretKey,
+    pwd,
+    log,
+    publicOnly = false,
+    loadMarket = true,
+    useSocket = false,
+    useSocketPull = false,
+    accountNo = 0,
+    coin1 = config.coin1,
+    coin2 = config.coin2,
+) => {
+  const mexcApiClient = MexcApi();
+
+  mexcApiClient.setConfig(apiServer, apiKey, secretKey, pwd, log, publicOnly);
+
+  // Fulfill markets on initialization. Currencies info requires API keys.
+  if (loadMarket) {
+    getMarkets();
+
+    if (!publicOnly) {
+      getCurrencies();
+    }
+  }
+
+  /**
+   * Get info on all markets and store in module.exports.exchangeMarkets
+   * It's an internal function, not called outside of this module
+   * @param {String} [pair] In classic format as BTC/USDT. If markets are already cached, get info for the pair.
+   * @returns {Promise<unknown>|*}
+   */
+  function getMarkets(pair) {
+    const paramString = `pair: ${pair}`;
+
+    if (module.exports.gettingMarkets) return;
+    if (module.exports.exchangeMarkets) return module.exports.exchangeMarkets[pair];
+
+    module.exports.gettingMarkets = true;
+
+    return new Promise((resolve) => {
+      mexcApiClient.markets().then((data) => {
+        try {
+          const result = {};
+
+          for (const market of data.symbols) {
+            const pairReadable = `${market.baseAsset}/${market.quoteAsset}`;
+
+            result[pairReadable] = {
+              pairReadable, // LTC/BTC
+              pairPlain: market.symbol, // LTCBTC
+              coin1: market.baseAsset,
+              coin2: market.quoteAsset,
+              coin1Decimals: +market.baseAssetPrecision,
+              coin2Decimals: +market.quotePrecision,
+              coin1Precision: utils.getPrecision(+market.baseAssetPrecision),
+              coin2Precision: utils.getPrecision(+market.quotePrecision),
+              coin1MinAmount: +market.baseSizePrecision || null,
+              coin1MaxAmount: null,
+              coin2MinAmount: +market.quoteAmountPrecision || null,
+              coin2MaxAmount: +market.maxQuoteAmount || null,
+              coin2MinAmountMarket: +market.quoteAmountPrecisionMarket || null, // Min quote amount for market orders
+              coin2MaxAmountMarket: +market.maxQuoteAmountMarket || null,
+              coin2MinPrice: null,
+              coin2MaxPrice: null,
+              minTrade: +market.quoteAmountPrecision || null, // in coin2
+              statusPlain: market.status, // '1' online, '2' paused, '3' offline. Former API versions returned 'ENABLED'.
+              status: ['1', 'ENABLED'].includes(String(market.status)) && market.isSpotTradingAllowed ? 'ONLINE' : 'OFFLINE',
+              orderTypes: market.orderTypes, // like 'LIMIT', 'MARKET', 'LIMIT_MAKER'
+              makerCommission: +market.makerCommission,
+              takerCommission: +market.takerCommission,
+            };
+          }
+
+          if (Object.keys(result).length > 0) {
+            module.exports.exchangeMarkets = result;
+            log.log(`Received info about ${Object.keys(result).length} markets on ${exchangeName} exchange.`);
+          }
+
+          resolve(result);
+        } catch (error) {
+          log.warn(`Error while processing getMarkets(${paramString}) request: ${error}`);
+          resolve(undefined);
+        }
+      }).catch((error) => {
+        log.warn(`API request getMarkets(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        resolve(undefined);
+      }).finally(() => {
+        module.exports.gettingMarkets = false;
+      });
+    });
+  }
+
+  /**
+   * Get info on all currencies
+   * MEXC provides currencies info for authorized requests only
+   * @param {String} [coin]
+   * @param {Boolean} [forceUpdate=false] Update currencies to refresh parameters
+   * @returns {Promise<unknown>|*}
+   */
+  function getCurrencies(coin, forceUpdate = false) {
+    if (module.exports.gettingCurrencies) return;
+    if (module.exports.exchangeCurrencies && !forceUpdate) return module.exports.exchangeCurrencies[coin];
+
+    module.exports.gettingCurrencies = true;
+
+    return new Promise((resolve) => {
+      mexcApiClient.getCurrencies().then((currencies) => {
+        try {
+          const result = {};
+
+          for (const currency of currencies) {
+            const networks = {};
+
+            for (const chain of currency.networkList ?? []) {
+              const decimals = utils.getDecimalsFromPrecision(+chain.withdrawIntegerMultiple);
+
+              networks[formatNetworkName(chain.network)] = {
+                chainName: chain.netWork ?? chain.network, // To use in withdrawals, as 'ETH' or 'TRX'
+                chainNameFull: chain.network, // As 'Ethereum(ERC20)' or 'Tron(TRC20)'
+                status: chain.depositEnable || chain.withdrawEnable ? 'ONLINE' : 'OFFLINE',
+                depositStatus: chain.depositEnable ? 'ONLINE' : 'OFFLINE',
+                withdrawalStatus: chain.withdrawEnable ? 'ONLINE' : 'OFFLINE',
+                comment: chain.withdrawTips ?? chain.depositTips ?? undefined,
+                confirmations: +chain.minConfirm,
+                withdrawalFee: +chain.withdrawFee,
+                minWithdrawal: +chain.withdrawMin,
+                maxWithdrawal: +chain.withdrawMax,
+                decimals,
+                precision: decimals === undefined ? undefined : utils.getPrecision(decimals),
+                needMemo: chain.sameAddress,
+              };
+            }
+
+            const decimals = Object.values(networks)[0]?.decimals;
+
+            result[currency.coin] = {
+              symbol: currency.coin,
+              name: currency.Name ?? currency.name,
+              status: Object.values(networks).some((network) => network.status === 'ONLINE') ? 'ONLINE' : 'OFFLINE',
+              comment: undefined,
+              confirmations: undefined, // specific for each network
+              withdrawalFee: undefined, // specific for each network
+              exchangeAddress: undefined,
+              decimals,
+              precision: decimals === undefined ? undefined : utils.getPrecision(decimals),
+              networks,
+              defaultNetwork: undefined,
+            };
+          }
+
+          if (Object.keys(result).length > 0) {
+            module.exports.exchangeCurrencies = result;
+            log.log(`${forceUpdate ? 'Updated' : 'Received'} info about ${Object.keys(result).length} currencies on ${exchangeName} exchange.`);
+          }
+
+          module.exports.gettingCurrencies = false;
+
+          resolve(result);
+        } catch (error) {
+          log.warn(`Error while processing getCurrencies() request: ${error}`);
+          resolve(undefined);
+        }
+      }).catch((error) => {
+        log.warn(`API request getCurrencies() of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        resolve(undefined);
+      }).finally(() => {
+        module.exports.gettingCurrencies = false;
+      });
+    });
+  }
+
+  return {
+    getMarkets,
+    getCurrencies,
+
+    /**
+     * Getter for stored markets info
+     * @returns {Object}
+     */
+    get markets() {
+      return module.exports.exchangeMarkets;
+    },
+
+    /**
+     * Getter for stored currencies info
+     * @returns {Object}
+     */
+    get currencies() {
+      return module.exports.exchangeCurrencies;
+    },
+
+    /**
+     * Get info for a specific market
+     * @param pair In readable format as BTC/USDT or in MEXC format as BTCUSDT
+     * @returns {Promise<*>|*}
+     */
+    marketInfo(pair) {
+      if (pair?.includes('/')) {
+        return getMarkets(pair);
+      }
+
+      for (const market of Object.values(module.exports.exchangeMarkets ?? {})) {
+        if (market.pairPlain?.toUpperCase() === pair?.toUpperCase()) {
+          return market;
+        }
+      }
+    },
+
+    currencyInfo(coin) {
+      return getCurrencies(coin);
+    },
+
+    /**
+     * Features available on MEXC exchange
+     * MEXC accepts either base or quote coin amount for market orders of both sides
+     * @param {String} [pair] In classic format as BTC/USDT. If set, check if the market allows market orders.
+     * @returns {Object}
+     */
+    features(pair) {
+      const orderTypes = pair ? this.marketInfo(pair)?.orderTypes : undefined;
+
+      return {
+        getMarkets: true,
+        getCurrencies: true,
+        placeMarketOrder: orderTypes ? orderTypes.includes('MARKET') : true,
+        getDepositAddress: true,
+        getTradingFees: true,
+        getAccountTradeVolume: false,
+        createDepositAddressWithWebsiteOnly: false,
+        getFundHistory: true,
+        getFundHistoryImplemented: true,
+        allowAmountForMarketBuy: true,
+        amountForMarketOrderNecessary: false,
+        accountTypes: false, // MEXC API works with the spot account only
+        withdrawAccountType: '', // Withdraw funds from the spot account
+        withdrawalSuccessNote: false, // No additional action needed after a withdrawal by API
+        supportTransferBetweenAccounts: false,
+        supportCoinNetworks: true,
+        orderNumberLimit: config.exchange_restrictions?.orderNumberLimit || DEFAULT_MAX_NUM_ORDERS,
+      };
+    },
+
+    /**
+     * Get user balances
+     * @param {Boolean} [nonzero=true] Return only non-zero balances
+     * @returns {Promise<Array|undefined>}
+     */
+    async getBalances(nonzero = true) {
+      const paramString = `nonzero: ${nonzero}`;
+
+      let data;
+
+      try {
+        data = await mexcApiClient.getBalances();
+      } catch (error) {
+        log.warn(`API request getBalances(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        let result = data.balances.map((crypto) => ({
+          code: crypto.asset.toUpperCase(),
+          free: +crypto.free,
+          freezed: +crypto.locked,
+          total: +crypto.free + +crypto.locked,
+        }));
+
+        if (nonzero) {
+          result = result.filter((crypto) => crypto.free || crypto.freezed);
+        }
+
+        return result;
+      } catch (error) {
+        log.warn(`Error while processing getBalances(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * List of all account open orders
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<[]|undefined>}
+     */
+    async getOpenOrders(pair) {
+      const paramString = `pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let data;
+
+      try {
+        data = await mexcApiClient.getOrders(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getOpenOrders(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        const result = [];
+
+        for (const order of data) {
+          result.push({
+            orderId: order.orderId?.toString(),
+            symbol: coinPair.pairReadable, // ETC/USDT
+            symbolPlain: order.symbol, // ETCUSDT
+            price: +order.price,
+            side: order.side.toLowerCase(), // 'buy' or 'sell'
+            type: order.type.toLowerCase(), // 'limit' or 'market'
+            timestamp: order.time,
+            amount: +order.origQty,
+            amountExecuted: +order.executedQty,
+            amountLeft: +order.origQty - +order.executedQty,
+            status: +order.executedQty ? 'part_filled' : 'new',
+          });
+        }
+
+        return result;
+      } catch (error) {
+        log.warn(`Error while processing getOpenOrders(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get specific order details
+     * What's important is to understand the order was filled or closed by other reason
+     * status: unknown, new, filled, part_filled, cancelled
+     * @param {String} orderId Example: 'C02__443776347957968896'
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getOrderDetails(orderId, pair) {
+      const paramString = `orderId: ${orderId}, pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let order;
+
+      try {
+        order = await mexcApiClient.getOrder(orderId, coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getOrderDetails(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (order?.orderId && !order.mexcErrorInfo) {
+          // Possible order.status
+          // NEW, PARTIALLY_FILLED, FILLED, CANCELED, PARTIALLY_CANCELED
+
+          let orderStatus;
+          if (order.status === 'NEW') {
+            orderStatus = 'new';
+          } else if (order.status === 'PARTIALLY_FILLED') {
+            orderStatus = 'part_filled';
+          } else if (['CANCELED', 'PARTIALLY_CANCELED'].includes(order.status)) {
+            orderStatus = 'cancelled';
+          } else {
+            orderStatus = 'filled';
+          }
+
+          const result = {
+            orderId: order.orderId?.toString(),
+            tradesCount: undefined, // MEXC doesn't provide trades
+            price: +order.price,
+            side: order.side.toLowerCase(), // 'buy' or 'sell'
+            type: order.type.toLowerCase(), // 'limit' or 'market'
+            amount: +order.origQty,
+            volume: +order.origQuoteOrderQty || +order.origQty * +order.price,
+            pairPlain: coinPair.pairPlain,
+            pairReadable: coinPair.pairReadable,
+            totalFeeInCoin2: undefined, // MEXC doesn't provide fee info
+            amountExecuted: +order.executedQty, // In coin1
+            volumeExecuted: +order.cummulativeQuoteQty, // In coin2
+            timestamp: order.time,
+            updateTimestamp: order.updateTime,
+            status: orderStatus,
+          };
+
+          return result;
+        } else {
+          const errorMessage = order?.mexcErrorInfo ?? 'No details';
+          log.log(`Unable to get order ${orderId} details: ${errorMessage}. Returning unknown order status.`);
+
+          return {
+            orderId,
+            status: 'unknown', // Order doesn't exist or Wrong orderId
+          };
+        }
+      } catch (error) {
+        log.warn(`Error while processing getOrderDetails(${paramString}) request results: ${JSON.stringify(order)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Cancel an order
+     * @param {String} orderId Example: 'C02__443776347957968896'
+     * @param {String} side Not used for MEXC
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<Boolean|undefined>}
+     */
+    async cancelOrder(orderId, side, pair) {
+      const paramString = `orderId: ${orderId}, side: ${side}, pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let data;
+
+      try {
+        data = await mexcApiClient.cancelOrder(orderId, coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request cancelOrder(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (data?.status === 'CANCELED' && !data.mexcErrorInfo) {
+          log.log(`Cancelling order ${orderId} on ${coinPair.pairReadable} pair…`);
+          return true;
+        } else {
+          const errorMessage = data?.mexcErrorInfo ?? 'No details';
+          log.log(`Unable to cancel ${orderId} on ${coinPair.pairReadable}: ${errorMessage}.`);
+          return false;
+        }
+      } catch (error) {
+        log.warn(`Error while processing cancelOrder(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Cancel all order on specific pair
+     * @param pair In classic format as BTC/USDT
+     * @returns {Promise<Boolean|undefined>}
+     */
+    async cancelAllOrders(pair) {
+      const paramString = `pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let data;
+
+      try {
+        data = await mexcApiClient.cancelAllOrders(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request cancelAllOrders(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (Array.isArray(data)) {
+          log.log(`Cancelling ${data.length} orders on ${coinPair.pairReadable} pair…`);
+          return true;
+        } else {
+          const errorMessage = data?.mexcErrorInfo ?? 'No details';
+          log.log(`Unable to cancel all orders on ${coinPair.pairReadable}: ${errorMessage}.`);
+          return false;
+        }
+      } catch (error) {
+        log.warn(`Error while processing cancelAllOrders(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get info on trade pair
+     * @param pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getRates(pair) {
+      const paramString = `pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let ticker;
+
+      try {
+        ticker = await mexcApiClient.ticker(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getRates(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        return {
+          ask: +ticker.askPrice,
+          bid: +ticker.bidPrice,
+          last: +ticker.lastPrice,
+          volume: +ticker.volume,
+          volumeInCoin2: +ticker.quoteVolume,
+          high: +ticker.highPrice,
+          low: +ticker.lowPrice,
+        };
+      } catch (error) {
+        log.warn(`Error while processing getRates(${paramString}) request result: ${JSON.stringify(ticker)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Places an order
+     * MEXC supports both limit and market orders
+     * @param {String} side 'buy' or 'sell'
+     * @param {String} pair In classic format like BTC/USD
+     * @param {Number} price Order price
+     * @param {Number} coin1Amount Base coin amount. Provide either coin1Amount or coin2Amount.
+     * @param {Number} limit 1 if order is limit (default), 0 in case of market order
+     * @param {Number} coin2Amount Quote coin amount. Provide either coin1Amount or coin2Amount.
+     * @returns {Promise<Object>|undefined}
+     */
+    async placeOrder(side, pair, price, coin1Amount, limit = 1, coin2Amount) {
+      const paramString = `side: ${side}, pair: ${pair}, price: ${price}, coin1Amount: ${coin1Amount}, limit: ${limit}, coin2Amount: ${coin2Amount}`;
+
+      const marketInfo = this.marketInfo(pair);
+
+      let message;
+
+      if (!marketInfo) {
+        message = `Unable to place an order on ${exchangeName} exchange. I don't have info about market ${pair}.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      // for Limit orders, calculate coin1Amount if only coin2Amount is provided
+      if (!coin1Amount && coin2Amount && price) {
+        coin1Amount = coin2Amount / price;
+      }
+
+      // for Limit orders, calculate coin2Amount if only coin1Amount is provided
+      let coin2AmountCalculated;
+      if (!coin2Amount && coin1Amount && price) {
+        coin2AmountCalculated = coin1Amount * price;
+      }
+
+      // Round coin1Amount, coin2Amount and price to a certain number of decimal places, and check if they are correct.
+      // Note: any value may be small, e.g., 0.000000033. In this case, its number representation will be 3.3e-8.
+      // That's why we store values as strings. If an exchange doesn't support string type for values, cast them to numbers.
+
+      if (coin1Amount) {
+        coin1Amount = (+coin1Amount).toFixed(marketInfo.coin1Decimals);
+        if (!+coin1Amount) {
+          message = `Unable to place an order on ${exchangeName} exchange. After rounding to ${marketInfo.coin1Decimals} decimal places, the order amount is wrong: ${coin1Amount}.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+      }
+
+      if (coin2Amount) {
+        coin2Amount = (+coin2Amount).toFixed(marketInfo.coin2Decimals);
+        if (!+coin2Amount) {
+          message = `Unable to place an order on ${exchangeName} exchange. After rounding to ${marketInfo.coin2Decimals} decimal places, the order volume is wrong: ${coin2Amount}.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+      }
+
+      if (price) {
+        price = (+price).toFixed(marketInfo.coin2Decimals);
+        if (!+price) {
+          message = `Unable to place an order on ${exchangeName} exchange. After rounding to ${marketInfo.coin2Decimals} decimal places, the order price is wrong: ${price}.`;
+          log.warn(message);
+          return {
+            message,
+          };
+        }
+      }
+
+      if (+coin1Amount < marketInfo.coin1MinAmount) {
+        message = `Unable to place an order on ${exchangeName} exchange. Order amount ${coin1Amount} ${marketInfo.coin1} is less minimum ${marketInfo.coin1MinAmount} ${marketInfo.coin1} on ${marketInfo.pairReadable} pair.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      const coin2MinAmount = limit ? marketInfo.coin2MinAmount : marketInfo.coin2MinAmountMarket ?? marketInfo.coin2MinAmount;
+
+      if (coin2Amount && +coin2Amount < coin2MinAmount) { // coin2Amount may be null or undefined
+        message = `Unable to place an order on ${exchangeName} exchange. Order volume ${coin2Amount} ${marketInfo.coin2} is less minimum ${coin2MinAmount} ${marketInfo.coin2} on ${pair} pair.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      let orderType;
+      let output;
+
+      if (limit) {
+        orderType = 'limit';
+        if (coin2Amount) {
+          output = `${side} ${coin1Amount} ${marketInfo.coin1} for ${coin2Amount} ${marketInfo.coin2} at ${price} ${marketInfo.coin2}.`;
+        } else {
+          output = `${side} ${coin1Amount} ${marketInfo.coin1} for ~${coin2AmountCalculated.toFixed(marketInfo.coin2Decimals)} ${marketInfo.coin2} at ${price} ${marketInfo.coin2}.`;
+        }
+      } else {
+        orderType = 'market';
+        if (coin2Amount) {
+          output = `${side} ${marketInfo.coin1} for ${coin2Amount} ${marketInfo.coin2} at Market Price on ${pair} pair.`;
+        } else {
+          output = `${side} ${coin1Amount} ${marketInfo.coin1} at Market Price on ${pair} pair.`;
+        }
+      }
+
+      const order = {};
+      let response;
+      let orderId;
+      let errorMessage;
+
+      try {
+        response = await mexcApiClient.addOrder(marketInfo.pairPlain, coin1Amount, coin2Amount, price, side, orderType);
+
+        errorMessage = response?.mexcErrorInfo;
+        orderId = response?.orderId;
+      } catch (error) {
+        message = `API request addOrder(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}.`;
+        log.warn(message);
+        order.orderId = false;
+        order.message = message;
+
+        return order;
+      }
+
+      if (orderId) {
+        message = `Order placed to ${output} Order Id: ${orderId}.`;
+        log.info(message);
+        order.orderId = orderId.toString();
+        order.message = message;
+      } else {
+        const details = errorMessage ? ` Details: ${utils.trimAny(errorMessage, ' .')}.` : ' { No details }.';
+        message = `Unable to place order to ${output}${details} Check parameters and balances.`;
+        log.warn(message);
+        order.orderId = false;
+        order.message = message;
+      }
+
+      return order;
+    },
+
+    /**
+     * Get orderbook on a specific pair
+     * @param pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getOrderBook(pair) {
+      const paramString = `pair: ${pair}`;
+      const coinPair = formatPairName(pair);
+
+      let book;
+
+      try {
+        book = await mexcApiClient.orderBook(coinPair.pairPlain);
+      } catch (error) {
+        log.warn(`API request getOrderBook(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        const result = {
+          bids: [],
+          asks: [],
+        };
+
+        for (const crypto of book.asks) {
+          result.asks.push({
+            amount: +crypto[1],
+            price: +crypto[0],
+            count: 1,
+            type: 'ask-sell-right',
+          });
+        }
+        result.asks.sort((a, b) => {
+          return parseFloat(a.price) - parseFloat(b.price);
+        });
+
+        for (const crypto of book.bids) {
+          result.bids.push({
+            amount: +crypto[1],
+            price: +crypto[0],
+            count: 1,
+            type: 'bid-buy-left',
+          });
+        }
+        result.bids.sort((a, b) => {
+          return parseFloat(b.price) - parseFloat(a.price);
+        });
+
+        return result;
+      } catch (error) {
+        log.warn(`Error while processing orderBook(${paramString}) request result: ${JSON.stringify(book)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get history of trades
+     * @param {String} pair In classic format as BTC/USDT
+     * @param {Number} [limit] Number of records to return
+     * @returns {Promise<Array|undefined>}
+     */
+    async getTradesHistory(pair, limit) {
+      const paramString = `pair: ${pair}, limit: ${limit}`;
+      const coinPair = formatPairName(pair);
+
+      let trades;
+
+      try {
+        trades = await mexcApiClient.getTradesHistory(coinPair.pairPlain, limit);
+      } catch (error) {
+        log.warn(`API request getTradesHistory(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        const result = trades.map((trade) => ({
+          coin1Amount: +trade.qty, // amount in coin1
+          price: +trade.price, // trade price
+          coin2Amount: +trade.quoteQty, // quote in coin2
+          date: trade.time, // must be as utils.unixTimeStampMs(): 1641121688194 - 1 641 121 688 194
+          type: trade.tradeType === 'BID' ? 'buy' : 'sell', // 'buy' or 'sell', taker's side
+          tradeId: trade.id?.toString(), // MEXC returns null trade ids
+        }));
+
+        // We need ascending sort order
+        result.sort((a, b) => {
+          return parseFloat(a.date) - parseFloat(b.date);
+        });
+
+        return result;
+      } catch (error) {
+        log.warn(`Error while processing getTradesHistory(${paramString}) request result: ${JSON.stringify(trades)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get trading fees for account
+     * MEXC returns fees for one market at once
+     * @param coinOrPair BTC or BTC/USDT. If not set, get info for the trading pair.
+     * @returns {Promise<Array|undefined>}
+     */
+    async getFees(coinOrPair = config.pair) {
+      const paramString = `coinOrPair: ${coinOrPair}`;
+
+      let markets;
+      if (coinOrPair.includes('/')) {
+        markets = [this.marketInfo(coinOrPair)];
+      } else {
+        const coin = coinOrPair.toUpperCase();
+
+        markets = Object.values(module.exports.exchangeMarkets ?? {})
+            .filter((market) => market.coin1 === coin)
+            .slice(0, MAX_FEE_SYMBOLS);
+      }
+
+      markets = markets.filter((market) => market);
+
+      const result = [];
+
+      for (const market of markets) {
+        let data;
+
+        try {
+          data = await mexcApiClient.getFees(market.pairPlain);
+        } catch (error) {
+          log.warn(`API request getFees(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+          return undefined;
+        }
+
+        try {
+          if (data?.data) {
+            result.push({
+              pair: market.pairReadable,
+              makerRate: +data.data.makerCommission,
+              takerRate: +data.data.takerCommission,
+            });
+          } else {
+            log.log(`Unable to get trading fees for ${market.pairReadable} pair: ${data?.mexcErrorInfo ?? 'No details'}.`);
+          }
+        } catch (error) {
+          log.warn(`Error while processing getFees(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+          return undefined;
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Get deposit address for a coin
+     * If there are no addresses yet, creates them for networks with enabled deposits
+     * @param {String} coin As BTC
+     * @returns {Promise<Array|Object|undefined>}
+     */
+    async getDepositAddress(coin) {
+      const paramString = `coin: ${coin}`;
+
+      let data;
+
+      try {
+        data = await mexcApiClient.getDepositAddress(coin);
+      } catch (error) {
+        log.warn(`API request getDepositAddress(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return undefined;
+      }
+
+      try {
+        if (data?.mexcErrorInfo) {
+          log.log(`Unable to get ${coin} deposit addresses. Details: ${data.mexcErrorInfo}.`);
+          return { message: data.mexcErrorInfo };
+        }
+
+        let addresses = data;
+
+        if (!addresses.length) {
+          const networks = Object.values(this.currencyInfo(coin)?.networks ?? {})
+              .filter((network) => network.depositStatus === 'ONLINE');
+
+          addresses = [];
+
+          for (const network of networks) {
+            const address = await mexcApiClient.createDepositAddress(coin, network.chainName);
+
+            if (address?.address) {
+              addresses.push({ ...address, network: address.network ?? network.chainNameFull });
+            } else {
+              log.log(`Unable to create ${coin} deposit address on ${network.chainNameFull} network. Details: ${address?.mexcErrorInfo}.`);
+            }
+          }
+        }
+
+        return addresses.map((address) => ({
+          network: formatNetworkName(address.network),
+          address: address.address,
+          memo: address.memo ? `memo: ${address.memo}` : '',
+        }));
+      } catch (error) {
+        log.warn(`Error while processing getDepositAddress(${paramString}) request results: ${JSON.stringify(data)}. ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Withdraw coin from MEXC
+     * @param {String} address Crypto address to withdraw funds to
+     * @param {Number} amount Quantity to withdraw. MEXC deducts the withdrawal fee from it.
+     * @param {String} coin Unique symbol of the currency to withdraw
+     * @param {Number} withdrawalFee Not used for MEXC, it calculates the fee itself
+     * @param {String} network In classic format as ERC20. Default network of a coin if not set.
+     * @param {String} [memo] Address memo or tag
+     * @return {Promise<Object>}
+     */
+    async withdraw(address, amount, coin, withdrawalFee, network, memo) {
+      const paramString = `address: ${address}, amount: ${amount}, coin: ${coin}, withdrawalFee: ${withdrawalFee}, network: ${network}`;
+
+      const chain = this.currencyInfo(coin)?.networks?.[network]?.chainName;
+
+      let data;
+
+      try {
+        data = await mexcApiClient.addWithdrawal(coin, amount, address, chain, memo);
+      } catch (error) {
+        log.warn(`API request withdraw(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return {
+          success: undefined,
+          error,
+        };
+      }
+
+      try {
+        if (data?.id) {
+          return {
+            success: true,
+            result: {
+              id: data.id,
+              currency: coin,
+              amount: +amount,
+              address,
+              withdrawalFee: this.currencyInfo(coin)?.networks?.[network]?.withdrawalFee,
+              status: 'APPLY',
+              date: Date.now(),
+              target: null,
+              network,
+              payment_id: memo,
+              note: null,
+            },
+          };
+        }
+
+        return {
+          success: false,
+          error: data?.mexcErrorInfo ?? 'No details',
+        };
+      } catch (error) {
+        log.warn(`Error while processing withdraw(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return {
+          success: false,
+          error: data?.mexcErrorInfo ?? error,
+        };
+      }
+    },
+
+    /**
+     * Get withdrawal history
+     * @param {String} coin Filter by coin, optional
+     * @param {Number} limit Limit records, optional
+     * @returns {Promise<{success: boolean, error: string}|{result: *[], success: boolean}>}
+     */
+    async getWithdrawalHistory(coin, limit) {
+      return this.processHistoryRecords('getWithdrawalHistory', coin, limit, true);
+    },
+
+    /**
+     * Get deposit history
+     * @param {String} coin Filter by coin, optional
+     * @param {Number} limit Limit records, optional
+     * @returns {Promise<{success: boolean, error: string}|{result: *[], success: boolean}>}
+     */
+    async getDepositHistory(coin, limit) {
+      return this.processHistoryRecords('getDepositHistory', coin, limit, false);
+    },
+
+    // Shared function to process history records
+    async processHistoryRecords(apiMethod, coin, limit, isWithdrawal) {
+      const paramString = `coin: ${coin}, limit: ${limit}`;
+
+      let data;
+
+      try {
+        data = await mexcApiClient[apiMethod](coin, limit);
+      } catch (error) {
+        log.warn(`API request ${apiMethod}(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}`);
+        return {
+          success: false,
+          error,
+        };
+      }
+
+      try {
+        if (!Array.isArray(data)) {
+          return {
+            success: false,
+            error: data?.mexcErrorInfo ?? 'No details',
+          };
+        }
+
+        const statuses = isWithdrawal ? withdrawalStatuses : depositStatuses;
+
+        const result = data.map((record) => ({
+          id: record.id ?? record.txId,
+          currencySymbol: record.coin,
+          quantity: +record.amount,
+          cryptoAddress: record.address,
+          txId: record.txId,
+          status: statuses[record.status] ?? record.status,
+          chain: formatNetworkName(record.network),
+          chainPlain: record.network,
+          confirmations: isWithdrawal ? +record.confirmNo : +record.confirmTimes,
+          createdAt: isWithdrawal ? +record.applyTime : +record.insertTime,
+          updatedAt: undefined, // MEXC doesn't provide an update time
+          fee: isWithdrawal ? +record.transactionFee : undefined,
+          feeCurrency: record.coin,
+          target: isWithdrawal ? record.address : null,
+          source: null,
+        }));
+
+        return {
+          success: true,
+          result,
+        };
+      } catch (error) {
+        log.warn(`Error while processing ${apiMethod}(${paramString}) request result: ${JSON.stringify(data)}. ${error}`);
+        return {
+          success: false,
+          error,
+        };
+      }
+    },
+  };
+};
+
+/**
+ * Returns network name in classic format
+ * MEXC names networks like 'Ethereum(ERC20)' or 'Tron(TRC20)', or sends ids like 'TRX' in history records
+ * Keys in networksNameMap should be in upper case even if exchanger format in lower case
+ * @param {String} network MEXC's network name or id
+ * @returns {String}
+ */
+function formatNetworkName(network) {
+  const networksNameMap = {
+    ERC20: _networks['ERC20'].code,
+    ETH: _networks['ERC20'].code,
+    TRC20: _networks['TRC20'].code,
+    TRX: _networks['TRC20'].code,
+    BEP20: _networks['BEP20'].code,
+    BSC: _networks['BEP20'].code,
+    BNB: _networks['BNB'].code,
+    SOL: _networks['SOL'].code,
+    ARB: _networks['ARBITRUM'].code,
+    ARBITRUM: _networks['ARBITRUM'].code,
+    OP: _networks['OPTIMISM'].code,
+    OPTIMISM: _networks['OPTIMISM'].code,
+    MATIC: _networks['MATIC'].code,
+    POLYGON: _networks['MATIC'].code,
+    'AVAX CCHAIN': _networks['AVAX-C-CHAIN'].code,
+    AVAX_CCHAIN: _networks['AVAX-C-CHAIN'].code,
+    'AVAX XCHAIN': _networks['AVAX-X-CHAIN'].code,
+    BTC: _networks['BTC'].code,
+    ALGO: _networks['ALGO'].code,
+    OMNI: _networks['OMNI'].code,
+    KCC: _networks['KCC'].code,
+    XLM: _networks['XLM'].code,
+    EOS: _networks['EOS'].code,
+    DOT: _networks['DOT'].code,
+    ETC: _networks['ETC'].code,
+    BRC20: _networks['BRC20'].code,
+  };
+
+  // 'Ethereum(ERC20)' -> 'ERC20'
+  const networkId = network?.match(/\(([^)]+)\)\s*$/)?.[1] ?? network;
+
+  return networksNameMap[networkId?.toUpperCase()] || networkId;
+}
+
+/**
+ * Returns pair in MEXC format like ETHUSDT
+ * @param pair Pair in any format
+ * @returns {Object}
+ */
+function formatPairName(pair) {
+  pair = pair?.toUpperCase();
+
+  if (pair.indexOf('-') > -1) {
+    pair = pair.replace('-', '_');
+  } else {
+    pair = pair.replace('/', '_');
+  }
+
+  const [coin1, coin2] = pair.split('_');
+
+  return {
+    coin1,
+    coin2,
+    pair: `${coin1}${coin2}`,
+    pairReadable: `${coin1}/${coin2}`,
+    pairPlain: `${coin1}${coin2}`,
+  };
+}
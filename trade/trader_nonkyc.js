@@ -1,4 +1,5 @@
 const NonkycAPI = require('./api/nonkyc_api');
+const NonkycSocket = require('./api/nonkyc_socket');
 const utils = require('../helpers/utils');
 const _networks = require('./../helpers/networks');
 const config = require('../modules/config/reader');
@@ -36,6 +37,13 @@ module.exports = (
 
   nonkycApiClient.setConfig(apiServer, apiKey, secretKey, pwd, log, publicOnly);
 
+  // Stream market data and order updates. With useSocketPull, serve requests from fresh socket data.
+  const socket = useSocket ? NonkycSocket({ apiKey, secretKey, publicOnly, orderStatusMap, log }) : undefined;
+
+  if (coin1 && coin2) {
+    socket?.subscribe(`${coin1}/${coin2}`);
+  }
+
   // Fulfill markets on initialization
   if (loadMarket) {
     getMarkets();
@@ -201,6 +209,24 @@ module.exports = (
     });
   }
 
+  /**
+   * Returns data streamed with the socket, if useSocketPull is set and the data is fresh
+   * Otherwise, returns undefined, and a caller falls back to REST.
+   * @param {String} storeName 'market' or 'account'
+   * @param {String} getterName Like 'getBook'
+   * @param {String} pair In classic format as BTC/USDT
+   * @returns {*}
+   */
+  function getSocketData(storeName, getterName, pair) {
+    if (!useSocketPull || !socket?.[storeName]) {
+      return undefined;
+    }
+
+    socket.subscribe(pair);
+
+    return socket[storeName][getterName](pair);
+  }
+
   return {
     getMarkets,
     getCurrencies,
@@ -345,6 +371,12 @@ module.exports = (
      * @returns {Promise<[]|undefined>}
      */
     async getOpenOrders(pair) {
+      const socketOrders = getSocketData('account', 'getOpenOrders', formatPairName(pair).pairReadable);
+
+      if (socketOrders) {
+        return socketOrders;
+      }
+
       let allOrders = [];
       let ordersInfo;
       let offset = 0;
@@ -439,6 +471,7 @@ module.exports = (
       try {
         if (order.success) {
           // Note: You can cancel already cancelled order
+          socket?.account?.removeOrder(orderId?.toString());
           log.log(`Cancelling order ${orderId} on ${pair} pair…`);
           return true;
         } else {
@@ -473,6 +506,7 @@ module.exports = (
 
       try {
         if (orders.success) {
+          socket?.account?.removeOrders(coinPair.pairReadable);
           log.log(`Cancelling ${orders.ids.length} orders on ${pair} pair…`);
           return true;
         } else {
@@ -495,6 +529,12 @@ module.exports = (
       const paramString = `pair: ${pair}`;
       const coinPair = formatPairName(pair);
 
+      const socketRates = getSocketData('market', 'getRates', coinPair.pairReadable);
+
+      if (socketRates) {
+        return socketRates;
+      }
+
       let ticker;
 
       try {
@@ -655,6 +695,22 @@ module.exports = (
         log.info(message);
         order.orderId = orderId;
         order.message = message;
+
+        if (orderType === 'limit') {
+          // Until the socket streams the order, consider it open
+          socket?.account?.addPlacedOrder({
+            orderId: orderId.toString(),
+            symbol: marketInfo.pairReadable,
+            price: +price,
+            side,
+            type: orderType,
+            timestamp: Date.now(),
+            amount: +coin1Amount,
+            amountExecuted: 0,
+            amountLeft: +coin1Amount,
+            status: 'new',
+          });
+        }
       } else {
         const details = errorMessage ? ` Details: ${utils.trimAny(errorMessage, ' .')}.` : ' { No details }.';
         message = `Unable to place order to ${output}${details} Check parameters and balances.`;
@@ -675,6 +731,12 @@ module.exports = (
       const paramString = `pair: ${pair}`;
       const coinPair = formatPairName(pair);
 
+      const socketBook = getSocketData('market', 'getBook', coinPair.pairReadable);
+
+      if (socketBook) {
+        return socketBook;
+      }
+
       let book;
 
       try {
@@ -730,6 +792,12 @@ module.exports = (
       const paramString = `pair: ${pair}`;
       const coinPair = formatPairName(pair);
 
+      const socketTrades = getSocketData('market', 'getTrades', coinPair.pairReadable);
+
+      if (socketTrades) {
+        return socketTrades;
+      }
+
       let trades;
 
       try {
@@ -971,6 +1039,20 @@ module.exports = (
         };
       }
     },
+
+    /**
+     * Subscribes to account's order updates streamed with the socket
+     * @param {Function} callback Called with an order in getOpenOrders() format. Status can also be 'filled' or 'cancelled'.
+     * @returns {Boolean} If subscribed. False, if the socket is not enabled.
+     */
+    onOrderUpdate(callback) {
+      if (!socket?.account) {
+        return false;
+      }
+
+      socket.account.onOrderUpdate(callback);
+      return true;
+    },
   };
 };
 
@@ -191,7 +191,7 @@ module.exports = (
             price: +order.price,
             side: order.side, // 'buy' or 'sell'
             type: order.type, // 'limit' or 'market'
-            timestamp: Math.round(order.timestamp), // 1676576771.061857
+            timestamp: Math.round(order.timestamp * 1000), // 1676576771.061857 in seconds
             amount: +order.amount,
             amountExecuted: +order.dealStock,
             amountLeft: +order.left,
@@ -323,6 +323,7 @@ module.exports = (
             resolve({
               ask: +ticker.ask,
               bid: +ticker.bid,
+              last: +ticker.last,
               volume: +ticker.volume,
               volumeInCoin2: +ticker.deal,
               high: +ticker.high,
@@ -537,7 +538,7 @@ module.exports = (
                 coin1Amount: +trade.amount, // amount in coin1
                 price: +trade.price, // trade price
                 coin2Amount: +trade.amount * +trade.price, // quote in coin2
-                date: Math.round(trade.time), // 1546505899.001003
+                date: Math.round(trade.time * 1000), // 1546505899.001003 in seconds, must be as utils.unixTimeStampMs()
                 type: trade.type, // 'buy' or 'sell'
                 tradeId: trade.id?.toString(),
               });
@@ -0,0 +1,816 @@
+const utils = require('../helpers/utils');
+const config = require('../modules/config/reader');
+const db = require('../modules/DB');
+const series = require('./backtest/series');
+
+/**
+ * Paper trading: virtual balances and orders stored in MongoDB, no real funds involved
+ * Select with "exchange": "Paper" in the config, and set up the "paper" section:
+ * - exchange: take public market data (rates, order book, trades, market info) from a real exchange, e.g., 'XeggeX'
+ * - replay: or replay a CSV/JSON price series in a loop, see ./backtest/series.js. replaySpeed of 60 means an hour of the series per minute.
+ * - balances: initial virtual balances, stored in the 'paperbalances' collection on the first start. Clear it to reset.
+ * - feePercent: fee charged in coin2 for each fill. spreadPercent: simulated spread for replayed prices.
+ * Matching rules:
+ * - When placed, market and crossing limit orders are filled against the order book levels; a limit order's remainder rests
+ * - Resting limit orders are filled entirely at their price when the opposite side of the book reaches it
+ */
+const exchangeName = 'Paper';
+
+const DEFAULT_FEE_PERCENT = 0.1;
+const DEFAULT_SPREAD_PERCENT = 0.1;
+const DEFAULT_DECIMALS = 8;
+const REPLAY_BOOK_AMOUNT = Number.MAX_SAFE_INTEGER; // Replayed order book has unlimited liquidity at the best bid and ask
+const MATCH_INTERVAL_MS = 2000; // Don't request the order book to match resting orders more often
+
+// The state is shared between all of the module instances
+let operationQueue = Promise.resolve();
+const lastMatchTimestamps = {}; // account:pair -> timestamp, as orders are matched per account and pair
+let replay;
+
+module.exports = (
+    apiKey,
+    secretKey,
+    pwd,
+    log,
+    publicOnly = false,
+    loadMarket = true,
+    useSocket = false,
+    useSocketPull = false,
+    accountNo = 0,
+    coin1 = config.coin1,
+    coin2 = config.coin2,
+) => {
+  const paperConfig = config.paper || {};
+  const feeRate = (paperConfig.feePercent ?? DEFAULT_FEE_PERCENT) / 100;
+  const account = `${apiKey || 'paper'}-${accountNo}`;
+
+  let sourceApi;
+  if (paperConfig.exchange && paperConfig.exchange.toLowerCase() !== 'paper') {
+    sourceApi = require('./trader_' + paperConfig.exchange.toLowerCase())(
+        null, // API credentials
+        null,
+        null,
+        log, // Same logger
+        true, // publicOnly, no private endpoints
+        loadMarket,
+        false, // Don't connect socket
+        false, // Don't connect socket
+        undefined, // Use accountNo by default
+        coin1,
+        coin2,
+    );
+  } else if (paperConfig.replay) {
+    if (!replay) {
+      try {
+        replay = {
+          candles: series.loadFile(paperConfig.replay),
+          startTimestamp: Date.now(),
+        };
+
+        log.log(`${exchangeName}: Loaded ${replay.candles.length} price records to replay from ${paperConfig.replay}.`);
+      } catch (error) {
+        log.error(`${exchangeName}: Unable to load price series to replay from ${paperConfig.replay}: ${error}`);
+      }
+    }
+  } else {
+    log.error(`${exchangeName}: Set paper.exchange to take market data from, or paper.replay price series in the config.`);
+  }
+
+  /**
+   * Runs operations one by one, as they read and modify the same balances
+   * @param {Function} operation Async function
+   * @return {Promise<*>}
+   */
+  function exclusive(operation) {
+    const result = operationQueue.then(operation);
+    operationQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Returns the current candle of the replayed price series
+   * @return {Object|undefined} { time, open, high, low, close, volume }
+   */
+  function getReplayCandle() {
+    if (!replay?.candles.length) {
+      return undefined;
+    }
+
+    const { candles, startTimestamp } = replay;
+    const seriesDuration = candles[candles.length - 1].time - candles[0].time;
+    const elapsed = (Date.now() - startTimestamp) * (paperConfig.replaySpeed || 1);
+    const seriesTime = candles[0].time + (seriesDuration ? elapsed % seriesDuration : 0);
+
+    let index = candles.findIndex((candle) => candle.time > seriesTime);
+    index = index === -1 ? candles.length - 1 : Math.max(index - 1, 0);
+
+    return candles[index];
+  }
+
+  /**
+   * Returns simulated bid and ask for the replayed price
+   * @return {Object|undefined} { bid, ask, candle }
+   */
+  function getReplaySpread() {
+    const candle = getReplayCandle();
+
+    if (!candle) {
+      return undefined;
+    }
+
+    const halfSpread = candle.close * (paperConfig.spreadPercent ?? DEFAULT_SPREAD_PERCENT) / 100 / 2;
+
+    return {
+      bid: candle.close - halfSpread,
+      ask: candle.close + halfSpread,
+      candle,
+    };
+  }
+
+  /**
+   * Returns virtual balance records of the account. Creates them from paper.balances on the first call.
+   * @return {Promise<Object>} { [code]: paperBalancesDb record }
+   */
+  async function getBalanceRecords() {
+    const { paperBalancesDb } = db;
+
+    let records = await paperBalancesDb.find({ account });
+
+    if (!records.length) {
+      for (const [code, amount] of Object.entries(paperConfig.balances || {})) {
+        const record = new paperBalancesDb({
+          account,
+          code: code.toUpperCase(),
+          free: +amount || 0,
+          freezed: 0,
+        });
+
+        await record.save();
+      }
+
+      records = await paperBalancesDb.find({ account });
+      log.log(`${exchangeName}: Created virtual balances for ${account} account: ${JSON.stringify(paperConfig.balances || {})}.`);
+    }
+
+    const balances = {};
+    for (const record of records) {
+      balances[record.code] = record;
+    }
+
+    return balances;
+  }
+
+  /**
+   * Changes a virtual balance, and creates it if needed
+   * @param {Object} balances Balance records from getBalanceRecords()
+   * @param {String} code Coin
+   * @param {Number} freeChange
+   * @param {Number} [freezedChange=0]
+   */
+  async function changeBalance(balances, code, freeChange, freezedChange = 0) {
+    const { paperBalancesDb } = db;
+
+    if (!balances[code]) {
+      balances[code] = new paperBalancesDb({
+        account,
+        code,
+        free: 0,
+        freezed: 0,
+      });
+    }
+
+    await balances[code].update({
+      free: balances[code].free + freeChange,
+      freezed: balances[code].freezed + freezedChange,
+    }, true);
+  }
+
+  /**
+   * Returns the order book from the source exchange, or a simulated one for the replayed price
+   * @param {String} pair In classic format as BTC/USDT
+   * @return {Promise<Object|undefined>} { bids, asks }
+   */
+  async function getBook(pair) {
+    if (sourceApi) {
+      return await sourceApi.getOrderBook(pair);
+    }
+
+    const spread = getReplaySpread();
+
+    if (!spread) {
+      return undefined;
+    }
+
+    return {
+      bids: [{ amount: REPLAY_BOOK_AMOUNT, price: spread.bid, count: 1, type: 'bid-buy-left' }],
+      asks: [{ amount: REPLAY_BOOK_AMOUNT, price: spread.ask, count: 1, type: 'ask-sell-right' }],
+    };
+  }
+
+  /**
+   * Fills a part of an order and moves virtual balances
+   * @param {Object} order paperOrdersDb record
+   * @param {Number} amount Filled amount in coin1
+   * @param {Number} price Fill price
+   * @param {Boolean} isResting If the order's funds are frozen
+   * @param {Object} balances Balance records
+   */
+  async function fill(order, amount, price, isResting, balances) {
+    const quote = amount * price;
+    const fee = quote * feeRate;
+    const [orderCoin1, orderCoin2] = order.pair.split('/');
+
+    if (order.side === 'buy') {
+      await changeBalance(balances, orderCoin1, amount);
+
+      if (isResting) {
+        await changeBalance(balances, orderCoin2, amount * order.price - quote - fee, -amount * order.price);
+      } else {
+        await changeBalance(balances, orderCoin2, -quote - fee);
+      }
+    } else {
+      await changeBalance(balances, orderCoin1, isResting ? 0 : -amount, isResting ? -amount : 0);
+      await changeBalance(balances, orderCoin2, quote - fee);
+    }
+
+    const amountExecuted = order.amountExecuted + amount;
+
+    await order.update({
+      amountExecuted,
+      quoteExecuted: order.quoteExecuted + quote,
+      fee: order.fee + fee,
+      status: amountExecuted >= order.amount - Number.EPSILON * order.amount ? 'filled' : 'part_filled',
+      updateTimestamp: Date.now(),
+    }, true);
+
+    log.log(`${exchangeName}: Filled ${amount} ${orderCoin1} of ${order.side} order ${order.orderId} at ${price} ${orderCoin2}, fee is ${fee} ${orderCoin2}.`);
+  }
+
+  /**
+   * Fills resting limit orders, which price is reached by the opposite side of the book
+   * @param {String} pair In classic format as BTC/USDT
+   * @param {Boolean} [force=false] Don't consider MATCH_INTERVAL_MS
+   */
+  async function matchOrders(pair, force = false) {
+    const matchKey = `${account}:${pair}`;
+
+    if (!force && Date.now() - (lastMatchTimestamps[matchKey] || 0) < MATCH_INTERVAL_MS) {
+      return;
+    }
+
+    const { paperOrdersDb } = db;
+
+    const openOrders = await paperOrdersDb.find({
+      account,
+      pair,
+      status: { $in: ['new', 'part_filled'] },
+    });
+
+    lastMatchTimestamps[matchKey] = Date.now();
+
+    if (!openOrders.length) {
+      return;
+    }
+
+    const book = await getBook(pair);
+    const bestBid = book?.bids?.[0]?.price;
+    const bestAsk = book?.asks?.[0]?.price;
+
+    if (!bestBid || !bestAsk) {
+      log.warn(`${exchangeName}: Unable to get ${pair} order book to match resting orders.`);
+      return;
+    }
+
+    const balances = await getBalanceRecords();
+
+    for (const order of openOrders) {
+      const isReached = order.side === 'buy' ? bestAsk <= order.price : bestBid >= order.price;
+
+      if (isReached) {
+        await fill(order, order.amount - order.amountExecuted, order.price, true, balances);
+      }
+    }
+  }
+
+  /**
+   * Returns an open order by id
+   * @param {String} orderId
+   * @return {Promise<Object|null>} paperOrdersDb record
+   */
+  async function findOrder(orderId) {
+    const { paperOrdersDb } = db;
+
+    return await paperOrdersDb.findOne({
+      account,
+      orderId: orderId?.toString(),
+    });
+  }
+
+  /**
+   * Converts a virtual order to the getOpenOrders() format
+   * @param {Object} order paperOrdersDb record
+   * @return {Object}
+   */
+  function formatOpenOrder(order) {
+    return {
+      orderId: order.orderId,
+      symbol: order.pair,
+      price: order.price,
+      side: order.side,
+      type: order.type,
+      timestamp: order.timestamp,
+      amount: order.amount,
+      amountExecuted: order.amountExecuted,
+      amountLeft: order.amount - order.amountExecuted,
+      status: order.status,
+    };
+  }
+
+  /**
+   * Cancels an open order and unfreezes its funds
+   * @param {Object} order paperOrdersDb record
+   * @param {Object} balances Balance records
+   */
+  async function cancel(order, balances) {
+    const [orderCoin1, orderCoin2] = order.pair.split('/');
+    const amountLeft = order.amount - order.amountExecuted;
+
+    if (order.side === 'buy') {
+      await changeBalance(balances, orderCoin2, amountLeft * order.price, -amountLeft * order.price);
+    } else {
+      await changeBalance(balances, orderCoin1, amountLeft, -amountLeft);
+    }
+
+    await order.update({
+      status: 'cancelled',
+      updateTimestamp: Date.now(),
+    }, true);
+  }
+
+  return {
+    /**
+     * Getter for stored markets info
+     * @return {Object}
+     */
+    get markets() {
+      return sourceApi?.markets ?? { [`${coin1}_${coin2}`]: this.marketInfo(`${coin1}/${coin2}`) };
+    },
+
+    /**
+     * Getter for stored currencies info
+     * @return {Object}
+     */
+    get currencies() {
+      return sourceApi?.currencies;
+    },
+
+    marketInfo(pair) {
+      if (sourceApi) {
+        return sourceApi.marketInfo(pair);
+      }
+
+      const [pairCoin1, pairCoin2] = pair.toUpperCase().split('/');
+
+      return {
+        pairReadable: `${pairCoin1}/${pairCoin2}`,
+        pairPlain: `${pairCoin1}_${pairCoin2}`,
+        coin1: pairCoin1,
+        coin2: pairCoin2,
+        coin1Decimals: DEFAULT_DECIMALS,
+        coin2Decimals: DEFAULT_DECIMALS,
+        coin1Precision: utils.getPrecision(DEFAULT_DECIMALS),
+        coin2Precision: utils.getPrecision(DEFAULT_DECIMALS),
+        coin1MinAmount: 0,
+        coin1MaxAmount: null,
+        coin2MinAmount: 0,
+        coin2MaxAmount: null,
+        minTrade: 0,
+        status: 'ONLINE',
+      };
+    },
+
+    currencyInfo(coin) {
+      return sourceApi?.currencyInfo(coin);
+    },
+
+    /**
+     * Features available on Paper exchange
+     * @returns {Object}
+     */
+    features() {
+      return {
+        getMarkets: true,
+        getCurrencies: false,
+        placeMarketOrder: true,
+        getDepositAddress: false,
+        getTradingFees: true,
+        getAccountTradeVolume: false,
+        createDepositAddressWithWebsiteOnly: false,
+        getFundHistory: false,
+        getFundHistoryImplemented: false,
+        allowAmountForMarketBuy: true,
+        amountForMarketOrderNecessary: false,
+        accountTypes: false, // Single virtual account
+        withdrawAccountType: '',
+        withdrawalSuccessNote: false,
+        supportTransferBetweenAccounts: false,
+        supportCoinNetworks: false,
+      };
+    },
+
+    /**
+     * Get virtual balances
+     * @param {Boolean} [nonzero=true] Return only non-zero balances
+     * @returns {Promise<Array|undefined>}
+     */
+    async getBalances(nonzero = true) {
+      try {
+        return await exclusive(async () => {
+          await matchOrders(config.pair);
+
+          let result = Object.values(await getBalanceRecords()).map((record) => ({
+            code: record.code,
+            free: record.free,
+            freezed: record.freezed,
+            total: record.free + record.freezed,
+          }));
+
+          if (nonzero) {
+            result = result.filter((crypto) => crypto.free || crypto.freezed);
+          }
+
+          return result;
+        });
+      } catch (error) {
+        log.warn(`Error while processing getBalances(nonzero: ${nonzero}) of ${utils.getModuleName(module.id)} module: ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * List of all account open orders
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<[]|undefined>}
+     */
+    async getOpenOrders(pair) {
+      try {
+        return await exclusive(async () => {
+          await matchOrders(pair, true);
+
+          const { paperOrdersDb } = db;
+
+          const orders = await paperOrdersDb.find({
+            account,
+            pair,
+            status: { $in: ['new', 'part_filled'] },
+          });
+
+          return orders.map(formatOpenOrder);
+        });
+      } catch (error) {
+        log.warn(`Error while processing getOpenOrders(pair: ${pair}) of ${utils.getModuleName(module.id)} module: ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get specific order details
+     * status: unknown, new, filled, part_filled, cancelled
+     * @param {String} orderId
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getOrderDetails(orderId, pair) {
+      try {
+        return await exclusive(async () => {
+          await matchOrders(pair);
+
+          const order = await findOrder(orderId);
+
+          if (!order) {
+            return {
+              orderId,
+              status: 'unknown', // Order doesn't exist or Wrong orderId
+            };
+          }
+
+          const [pairCoin1, pairCoin2] = order.pair.split('/');
+
+          return {
+            orderId: order.orderId,
+            tradesCount: undefined,
+            price: order.amountExecuted ? order.quoteExecuted / order.amountExecuted : order.price, // filled price for market orders
+            side: order.side,
+            type: order.type,
+            amount: order.amount,
+            volume: order.amount * order.price,
+            pairPlain: `${pairCoin1}_${pairCoin2}`,
+            pairReadable: order.pair,
+            totalFeeInCoin2: order.fee,
+            amountExecuted: order.amountExecuted,
+            volumeExecuted: order.quoteExecuted,
+            timestamp: order.timestamp,
+            updateTimestamp: order.updateTimestamp,
+            status: order.status,
+          };
+        });
+      } catch (error) {
+        log.warn(`Error while processing getOrderDetails(orderId: ${orderId}, pair: ${pair}) of ${utils.getModuleName(module.id)} module: ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Cancel an order
+     * @param {String} orderId
+     * @param {String} side Not used for Paper
+     * @param {String} pair Not used for Paper. In classic format as BTC/USDT
+     * @returns {Promise<Boolean|undefined>}
+     */
+    async cancelOrder(orderId, side, pair) {
+      try {
+        return await exclusive(async () => {
+          const order = await findOrder(orderId);
+
+          if (!['new', 'part_filled'].includes(order?.status)) {
+            log.log(`Unable to cancel order ${orderId} on ${pair} pair: it's ${order ? order.status : 'not found'}.`);
+            return false;
+          }
+
+          await cancel(order, await getBalanceRecords());
+
+          log.log(`Cancelling order ${orderId} on ${pair} pair…`);
+          return true;
+        });
+      } catch (error) {
+        log.warn(`Error while processing cancelOrder(orderId: ${orderId}, side: ${side}, pair: ${pair}) of ${utils.getModuleName(module.id)} module: ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Cancel all order on specific pair
+     * @param pair In classic format as BTC/USDT
+     * @param side Cancel buy or sell orders. Cancel both if not set.
+     * @returns {Promise<Boolean|undefined>}
+     */
+    async cancelAllOrders(pair, side) {
+      try {
+        return await exclusive(async () => {
+          const { paperOrdersDb } = db;
+
+          const orders = await paperOrdersDb.find({
+            account,
+            pair,
+            status: { $in: ['new', 'part_filled'] },
+            ...(side && { side }),
+          });
+
+          const balances = await getBalanceRecords();
+
+          for (const order of orders) {
+            await cancel(order, balances);
+          }
+
+          log.log(`Cancelling ${orders.length} orders on ${pair} pair…`);
+          return true;
+        });
+      } catch (error) {
+        log.warn(`Error while processing cancelAllOrders(pair: ${pair}, side: ${side}) of ${utils.getModuleName(module.id)} module: ${error}`);
+        return undefined;
+      }
+    },
+
+    /**
+     * Get info on trade pair
+     * @param pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getRates(pair) {
+      if (sourceApi) {
+        return await sourceApi.getRates(pair);
+      }
+
+      const spread = getReplaySpread();
+
+      if (!spread) {
+        return undefined;
+      }
+
+      return {
+        ask: spread.ask,
+        bid: spread.bid,
+        last: spread.candle.close,
+        volume: spread.candle.volume,
+        volumeInCoin2: spread.candle.volume * spread.candle.close,
+        high: spread.candle.high,
+        low: spread.candle.low,
+      };
+    },
+
+    /**
+     * Places a virtual order
+     * Market and crossing limit orders are filled against the order book at once. A limit order's remainder rests.
+     * @param {String} side 'buy' or 'sell'
+     * @param {String} pair In classic format like BTC/USDT
+     * @param {Number} price Order price
+     * @param {Number} coin1Amount Base coin amount. Provide either coin1Amount or coin2Amount.
+     * @param {Number} limit 1 if order is limit (default), 0 in case of market order
+     * @param {Number} coin2Amount Quote coin amount. Provide either coin1Amount or coin2Amount.
+     * @returns {Promise<Object>|undefined}
+     */
+    async placeOrder(side, pair, price, coin1Amount, limit = 1, coin2Amount) {
+      const paramString = `side: ${side}, pair: ${pair}, price: ${price}, coin1Amount: ${coin1Amount}, limit: ${limit}, coin2Amount: ${coin2Amount}`;
+
+      const marketInfo = this.marketInfo(pair);
+
+      let message;
+
+      if (!marketInfo) {
+        message = `Unable to place an order on ${exchangeName} exchange. I don't have info about market ${pair}.`;
+        log.warn(message);
+        return {
+          message,
+        };
+      }
+
+      try {
+        return await exclusive(async () => {
+          const book = await getBook(pair);
+          const levels = side === 'buy' ? book?.asks : book?.bids;
+
+          if (!levels?.length) {
+            message = `Unable to place an order on ${exchangeName} exchange. Unable to get ${pair} order book.`;
+            log.warn(message);
+            return {
+              message,
+            };
+          }
+
+          if (limit) {
+            price = +(+price).toFixed(marketInfo.coin2Decimals);
+          }
+
+          if (!coin1Amount && coin2Amount) {
+            coin1Amount = coin2Amount / (limit ? price : levels[0].price);
+          }
+
+          coin1Amount = +(+coin1Amount).toFixed(marketInfo.coin1Decimals);
+
+          if (!coin1Amount || (limit && !price)) {
+            message = `Unable to place an order on ${exchangeName} exchange. After rounding, the order amount ${coin1Amount} or price ${price} is wrong.`;
+            log.warn(message);
+            return {
+              message,
+            };
+          }
+
+          if (coin1Amount < marketInfo.coin1MinAmount) {
+            message = `Unable to place an order on ${exchangeName} exchange. Order amount ${coin1Amount} ${marketInfo.coin1} is less minimum ${marketInfo.coin1MinAmount} ${marketInfo.coin1} on ${pair} pair.`;
+            log.warn(message);
+            return {
+              message,
+            };
+          }
+
+          // Calculate the taker part, which is filled against the book at once
+
+          const takerFills = [];
+          let amountToFill = coin1Amount;
+
+          for (const level of levels) {
+            const isReached = !limit || (side === 'buy' ? level.price <= price : level.price >= price);
+
+            if (!isReached || amountToFill <= 0) {
+              break;
+            }
+
+            const amount = Math.min(amountToFill, level.amount);
+            takerFills.push({ amount, price: level.price });
+            amountToFill -= amount;
+          }
+
+          if (!limit && amountToFill > 0) {
+            message = `Unable to place an order on ${exchangeName} exchange. Not enough liquidity in the ${pair} order book to ${side} ${coin1Amount} ${marketInfo.coin1} at Market Price.`;
+            log.warn(message);
+            return {
+              orderId: false,
+              message,
+            };
+          }
+
+          const takerQuote = takerFills.reduce((total, takerFill) => total + takerFill.amount * takerFill.price, 0);
+          const restingAmount = limit ? amountToFill : 0;
+
+          // Check virtual balances
+
+          const balances = await getBalanceRecords();
+          const [orderCoin1, orderCoin2] = [marketInfo.coin1, marketInfo.coin2];
+
+          const requiredCoin = side === 'buy' ? orderCoin2 : orderCoin1;
+          const required = side === 'buy' ? takerQuote * (1 + feeRate) + restingAmount * price : coin1Amount;
+          const available = balances[requiredCoin]?.free || 0;
+
+          if (available < required) {
+            message = `Unable to place an order on ${exchangeName} exchange. Not enough ${requiredCoin}: ${available} free, ${required} required.`;
+            log.warn(message);
+            return {
+              orderId: false,
+              message,
+            };
+          }
+
+          const { paperOrdersDb } = db;
+          const orderId = `${Date.now()}${utils.randomValue(100000, 999999, true)}`;
+
+          const order = new paperOrdersDb({
+            _id: orderId,
+            orderId,
+            account,
+            pair: marketInfo.pairReadable || pair,
+            side,
+            type: limit ? 'limit' : 'market',
+            price: limit ? price : levels[0].price,
+            amount: coin1Amount,
+            amountExecuted: 0,
+            quoteExecuted: 0,
+            fee: 0,
+            status: 'new',
+            timestamp: Date.now(),
+            updateTimestamp: Date.now(),
+          });
+
+          await order.save();
+
+          for (const takerFill of takerFills) {
+            await fill(order, takerFill.amount, takerFill.price, false, balances);
+          }
+
+          if (restingAmount > 0) {
+            if (side === 'buy') {
+              await changeBalance(balances, orderCoin2, -restingAmount * price, restingAmount * price);
+            } else {
+              await changeBalance(balances, orderCoin1, -restingAmount, restingAmount);
+            }
+          }
+
+          const output = limit ?
+            `${side} ${coin1Amount} ${orderCoin1} at ${price} ${orderCoin2}.` :
+            `${side} ${coin1Amount} ${orderCoin1} at Market Price on ${pair} pair.`;
+
+          message = `Order placed to ${output} Order Id: ${orderId}.`;
+          log.info(message);
+
+          return {
+            orderId,
+            message,
+          };
+        });
+      } catch (error) {
+        message = `Request placeOrder(${paramString}) of ${utils.getModuleName(module.id)} module failed. ${error}.`;
+        log.warn(message);
+
+        return {
+          orderId: false,
+          message,
+        };
+      }
+    },
+
+    /**
+     * Get orderbook on a specific pair
+     * @param pair In classic format as BTC/USDT
+     * @returns {Promise<Object|undefined>}
+     */
+    async getOrderBook(pair) {
+      return await getBook(pair);
+    },
+
+    /**
+     * Get history of trades
+     * Replayed series has no trades
+     * @param {String} pair In classic format as BTC/USDT
+     * @returns {Promise<Array|undefined>}
+     */
+    async getTradesHistory(pair) {
+      if (sourceApi) {
+        return await sourceApi.getTradesHistory(pair);
+      }
+
+      return [];
+    },
+
+    /**
+     * Get trading fees for account
+     * @param {String} coinOrPair Not used for Paper
+     * @returns {Promise<Array>}
+     */
+    async getFees(coinOrPair) {
+      return [{
+        pair: config.pair,
+        makerRate: feeRate,
+        takerRate: feeRate,
+      }];
+    },
+  };
+};